@@ -6,9 +6,22 @@
  * - Twilio WhatsApp Sandbox test sender (TEMP): GET /test-whatsapp
  * - Outbound WhatsApp sender (protected): POST /send-whatsapp
  * - Twilio WhatsApp inbound (TwiML): POST /twilio/whatsapp
- * - Admin DB init (protected): POST /admin/init-db
+ * - Admin DB init (protected, applies pending migrations): POST /admin/init-db
+ * - Admin migrations (protected): GET /admin/migrations, POST /admin/migrate
+ * - Admin export (protected): GET /admin/export/<sales|expenses|stock|all>?business_id=1&period=...&format=csv|xlsx
+ * - Export download link (from WhatsApp "export"): GET /exports/:token
+ * - Admin CSV import (protected): POST /admin/import/<sales|expenses|stock>?business_id=1[&dry_run=1]
+ * - Admin import batches (protected): GET /admin/imports, POST /admin/imports/:id/rollback
+ * - Admin voice notes / receipt photos read (protected): GET /admin/media?business_id=1[&status=pending]
  * - Admin latest records (protected): GET /admin/latest
- * - Admin analytics summary (protected): GET /admin/summary?business_id=1&period=today|week|month
+ * - Admin products (protected): GET /admin/products, POST /admin/products/:id/rename, POST /admin/products/merge,
+ *   POST /admin/products/:id/aliases
+ * - Admin exchange rates (protected): GET /admin/rates?business_id=1, POST /admin/rates
+ * - Admin sales forecast (protected): GET /admin/forecast?business_id=1&horizon=week|month
+ * - Admin customer debts (protected): GET /admin/debts?business_id=1
+ * - Admin run scheduled jobs now (protected): POST /admin/scheduler/run
+ * - Admin analytics summary (protected): GET /admin/summary?business_id=1&period=<period>[&by_member=1]
+ *   period: today | yesterday | week | last week | month | last month | ytd | YYYY-MM | YYYY-MM-DD [to YYYY-MM-DD]
  *
  * Required env vars:
  * - TWILIO_ACCOUNT_SID
@@ -17,30 +30,116 @@
  * - PREDICTA_API_KEY       (your own secret for protecting /send-whatsapp + admin endpoints)
  * - DATABASE_URL           (Render Postgres External Database URL)
  *
+ * Schema changes live in /migrations (run: npm run migrate [up|down|status]).
+ *
  * Optional env vars:
  * - VERIFY_TOKEN           (only needed if you’re using Meta webhook verification)
  * - DEFAULT_WHATSAPP_TO    (fallback recipient if "to" is not provided)
+ * - PUBLIC_BASE_URL        (public https URL Twilio calls; used to verify X-Twilio-Signature)
+ * - TRUST_PROXY            (proxy hops or addresses whose X-Forwarded-* count, default 1; see lib/twilioSignature.js)
+ * - TWILIO_SKIP_SIGNATURE  ("true" skips webhook signature checks — local development only)
+ * - DEFAULT_TIMEZONE       (IANA zone for new businesses, default Africa/Lagos)
+ * - EXPORT_LINK_TTL_HOURS  (how long WhatsApp export links work, default 24)
+ * - LOW_STOCK_THRESHOLD    (warn in sale replies at or below this level, default 5)
+ * - SCHEDULER_DISABLED     ("true" stops scheduled summaries in this process)
+ * - SCHEDULER_INTERVAL_SECONDS (how often due jobs are checked, default 60)
+ * - FX_RATES_URL           (optional rate provider URL with {base}, {quote}, {date}; returns { "rate": n })
+ * - DEBT_OVERDUE_DAYS      (customer debts older than this are flagged, default 30)
+ * - SPEECH_TO_TEXT_URL     (voice notes: POSTed the audio, returns { "text": "..." })
+ * - OCR_URL                (receipt photos: POSTed the image, returns { "text": "..." })
+ * - MEDIA_STUB_TEXT        (local testing: pretend every voice note/photo says this)
+ * - MEDIA_MAX_BYTES        (largest voice note/photo downloaded, default 10 MB)
  */
 
 require("dotenv").config();
 
+const crypto = require("crypto");
 const express = require("express");
 const bodyParser = require("body-parser");
 const twilio = require("twilio");
-const { Pool } = require("pg");
+const { pool } = require("./lib/db");
+const { migrateUp, migrateDown, getMigrationStatus } = require("./lib/migrator");
+const {
+  trustProxySetting,
+  requireTwilioSignature,
+  publicBaseUrl,
+  signatureCheckSkipped,
+} = require("./lib/twilioSignature");
+const { DATASETS, writeCsv, writeXlsx, buildXlsxBuffer } = require("./lib/exporter");
+const { parseCsv } = require("./lib/csv");
+const { normalizeItemName, findClosest } = require("./lib/itemMatch");
+const { findProduct, addProductAlias, renameProduct, mergeProducts } = require("./lib/catalogue");
+const { saveRate, getRate, conversionFor, warmRates, listRates, fillMissingRates } = require("./lib/fxRates");
+const { createScheduler } = require("./lib/scheduler");
+const { parseReminderArgs, describeReminder, createReminderJob } = require("./lib/reminders");
+const { forecastSeries } = require("./lib/forecast");
+const { CATEGORIES, mapCategory, parseBudgetArgs } = require("./lib/expenseCategories");
+const { DEBT_OVERDUE_DAYS, runningBalances, outstanding, summarizeDebts, isOverdue } = require("./lib/credit");
+const { purchaseUnitCost, netByCurrency } = require("./lib/profit");
+const { parseMessage, toCommand } = require("./lib/nlParser");
+const {
+  QUESTIONS,
+  checksFromRow,
+  usualAmount,
+  entryConcerns,
+  settledQuestions,
+  settling,
+  parseCheckSetting,
+} = require("./lib/entryChecks");
+const { mediaFromWebhook, extractMediaText } = require("./lib/mediaIngest");
+const {
+  CURRENCIES,
+  CURRENCY_CODES,
+  currencyOf,
+  splitCurrencySymbol,
+  toAmount,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  multiplyMoney,
+} = require("./lib/money");
+const {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  parseLanguage,
+  languageChoices,
+  t,
+  formatCurrencyAmount,
+  parseAnswer,
+  commandFor,
+} = require("./lib/i18n");
+const {
+  parseRecurringArgs,
+  describeSchedule,
+  withDefaultDay,
+  nextDueFrom,
+  createRecurringExpenseJob,
+} = require("./lib/recurring");
+const {
+  PERIOD_HELP,
+  isValidTimeZone,
+  parsePeriod,
+  resolvePeriod,
+  previousPeriod,
+  isCurrentPeriod,
+  localDateTimeToUtc,
+  zonedParts,
+  startOfLocalDay,
+  parseDate,
+  addDays,
+  formatDate,
+} = require("./lib/periods");
 
 const app = express();
+// Render sits behind a proxy: trust its X-Forwarded-Proto/Host (and only its) so signed URLs match
+app.set("trust proxy", trustProxySetting());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
+app.use(bodyParser.text({ type: ["text/csv", "text/plain"], limit: "5mb" })); // CSV imports
 
 // ==============================
 // Postgres connection (Render)
 // ==============================
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
-
 pool
   .query("SELECT 1")
   .then(() => console.log("Postgres connected ✅"))
@@ -49,18 +148,29 @@ pool
 // Twilio client
 const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
+// Outbound WhatsApp for scheduled jobs (swap for a stub in tests)
+const messenger = {
+  send: (to, body) => client.messages.create({ from: process.env.TWILIO_WHATSAPP_FROM, to, body }),
+};
+
 // ==============================
 // Predicta MVP: Event Engine
 // ==============================
-const OWNER_PROFILES = {
-  "whatsapp:+447425524117": { businessName: "Gabriel Demo Business", defaultCurrency: "GBP" },
-};
-
 const EVENTS = []; // in-memory (debug only)
 
-// Currency helpers
-const SYMBOL_TO_CODE = { "£": "GBP", "$": "USD", "₦": "NGN" };
-const CODE_SET = new Set(["GBP", "USD", "NGN"]);
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Lagos";
+// Best guess at onboarding; owners can change it with "settings timezone <zone>"
+const CURRENCY_DEFAULT_TIMEZONE = {
+  NGN: "Africa/Lagos",
+  GBP: "Europe/London",
+  USD: "America/New_York",
+  EUR: "Europe/Paris",
+  GHS: "Africa/Accra",
+  KES: "Africa/Nairobi",
+  ZAR: "Africa/Johannesburg",
+};
+
+// Currency helpers (currencies, symbols and words live in lib/money.js)
 
 function normalizeAmountToken(token) {
   return String(token || "").replace(/,/g, "").trim();
@@ -70,17 +180,15 @@ function parseAmountAndCurrency(rawAmountToken, maybeCurrencyToken, defaultCurre
   const amtToken = normalizeAmountToken(rawAmountToken);
   if (!amtToken) return { error: "Invalid amount format." };
 
-  const firstChar = amtToken.charAt(0);
-  if (SYMBOL_TO_CODE[firstChar]) {
-    const currency = SYMBOL_TO_CODE[firstChar];
-    const amountStr = amtToken.slice(1);
-    const amount = Number(amountStr);
+  const symbol = splitCurrencySymbol(amtToken);
+  if (symbol.currency) {
+    const amount = Number(symbol.rest);
     if (!Number.isFinite(amount)) return { error: "Invalid amount format." };
-    return { amount, currency };
+    return { amount, currency: symbol.currency };
   }
 
-  const maybeCode = normalizeAmountToken(maybeCurrencyToken).toUpperCase();
-  if (maybeCode && CODE_SET.has(maybeCode)) {
+  const maybeCode = parseCurrencyCode(maybeCurrencyToken);
+  if (maybeCode) {
     const amount = Number(amtToken);
     if (!Number.isFinite(amount)) return { error: "Invalid amount format." };
     return { amount, currency: maybeCode };
@@ -91,369 +199,2464 @@ function parseAmountAndCurrency(rawAmountToken, maybeCurrencyToken, defaultCurre
   return { amount, currency: defaultCurrency || "NGN" };
 }
 
-function getOwnerProfile(from) {
-  return OWNER_PROFILES[from] || { businessName: "Your Business", defaultCurrency: "NGN" };
+// "₦" / "ngn" / "NGN" / "cedis" -> "NGN" / "GHS"; null when not a supported currency
+function parseCurrencyCode(token) {
+  return currencyOf(normalizeAmountToken(token));
 }
 
-function helpText(businessName) {
-  return (
-    `🆕 PREDICTA BUILD: NL-PARSER-V1\n\n` +
-    `Predicta (${businessName}) commands:\n` +
-    `1) sale <item> <qty> <amount>[currency]\n` +
-    `   e.g. sale rice 3 ₦45000 | sale rice 3 45 GBP | sale rice 3 £45\n` +
-    `2) expense <category> <amount>[currency]\n` +
-    `   e.g. expense fuel ₦15000 | expense ads $30 | expense rent 500 GBP\n` +
-    `3) stock <item> <qty>\n` +
-    `   e.g. stock rice 20\n` +
-    `   also: add stock <item> <qty> | remove stock <item> <qty>\n` +
-    `4) summary [today|week|month]\n` +
-    `5) advice [today|week|month]\n` +
-    `6) help\n\n` +
-    `Natural language also works:\n` +
-    `• Sold 3 bin for 400 gbp\n` +
-    `• Spent £30 on fuel\n` +
-    `• Add stock bin 10\n` +
-    `• Remove stock bin 5`
-  );
+function helpText(businessName, lang = DEFAULT_LANGUAGE) {
+  return t(lang, "help", { business: businessName, periods: PERIOD_HELP, languages: languageChoices() });
 }
 
 // ==============================
-// DB Helpers
+// Input validation (shared by WhatsApp commands and CSV import)
 // ==============================
-async function getOrCreateBusinessId(whatsappFrom, businessName, defaultCurrency) {
-  const existing = await pool.query("SELECT id FROM businesses WHERE whatsapp_from = $1 LIMIT 1", [
-    whatsappFrom,
-  ]);
-  if (existing.rows.length) return existing.rows[0].id;
+/**
+ * Tokens after "sale <item> <qty>":
+ *   [<total>[currency]] [@ <unit price>[currency]] [-<n>% | -<amount>] [to <customer>] [credit]
+ * e.g. "₦45000" | "45 gbp" | "@ 14000" | "@ 14000 -10%" | "-500" | "₦45000 to musa credit"
+ */
+function parseSaleArgs(tokens) {
+  const args = {};
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === "@" || t.startsWith("@")) {
+      args.unitPrice = t === "@" ? tokens[++i] : t.slice(1);
+      if (parseCurrencyCode(tokens[i + 1])) args.unitCurrency = tokens[++i];
+    } else if (t.toLowerCase() === "to" && tokens[i + 1]) {
+      args.customer = tokens[++i];
+    } else if (t.toLowerCase() === "credit") {
+      args.credit = true;
+    } else if (t.startsWith("-") && t.length > 1) {
+      args.discount = t.slice(1);
+    } else if (args.amount === undefined) {
+      args.amount = t;
+    } else if (args.currency === undefined) {
+      args.currency = t;
+    }
+  }
+  return args;
+}
 
-  const created = await pool.query(
-    `INSERT INTO businesses (business_name, whatsapp_from, default_currency)
-     VALUES ($1, $2, $3)
-     RETURNING id`,
-    [businessName, whatsappFrom, defaultCurrency || "NGN"]
-  );
-  return created.rows[0].id;
+/**
+ * The total is, in order of preference: the amount typed, unit price typed x qty, or the
+ * product's stored price (listPrice { amount, currency }) x qty. A discount ("10%" or an amount)
+ * comes off that total. amount is what was charged; unitPrice is before discount.
+ */
+function validateSaleInput(
+  { item, qty, amount, currency, unitPrice, unitCurrency, discount },
+  defaultCurrency,
+  listPrice = null
+) {
+  const name = unTokenizeItem(item).toLowerCase();
+  const quantity = Number(qty);
+  if (!name) return { error: "Missing item." };
+  if (!Number.isInteger(quantity) || quantity <= 0) return { error: "Qty must be a whole number above 0." };
+
+  let gross;
+  let saleCurrency;
+  let unit;
+  if (normalizeAmountToken(amount)) {
+    const parsed = parseAmountAndCurrency(amount, currency, defaultCurrency);
+    if (parsed.error) return { error: parsed.error };
+    gross = parsed.amount;
+    saleCurrency = parsed.currency;
+    unit = roundMoney(gross / quantity);
+  } else if (normalizeAmountToken(unitPrice)) {
+    const parsed = parseAmountAndCurrency(unitPrice, unitCurrency, defaultCurrency);
+    if (parsed.error) return { error: parsed.error };
+    unit = parsed.amount;
+    saleCurrency = parsed.currency;
+    gross = roundMoney(unit * quantity);
+  } else if (listPrice && listPrice.amount !== null && listPrice.amount !== undefined) {
+    unit = Number(listPrice.amount);
+    saleCurrency = listPrice.currency || defaultCurrency;
+    gross = roundMoney(unit * quantity);
+  } else {
+    return { error: `Missing amount. Add a total, or set a price with "price ${name} <amount>".` };
+  }
+  if (gross < 0) return { error: "Amount can't be negative." };
+
+  let discountAmount = 0;
+  let discountPct = null;
+  const d = normalizeAmountToken(discount);
+  if (d) {
+    if (d.endsWith("%")) {
+      discountPct = Number(d.slice(0, -1));
+      if (!Number.isFinite(discountPct) || discountPct < 0 || discountPct > 100) return { error: "Invalid discount." };
+      discountAmount = roundMoney((gross * discountPct) / 100);
+    } else {
+      const parsed = parseAmountAndCurrency(d, undefined, saleCurrency);
+      if (parsed.error || parsed.amount < 0 || parsed.amount > gross) return { error: "Invalid discount." };
+      if (parsed.currency !== saleCurrency) return { error: "Discount must be in the sale currency." };
+      discountAmount = parsed.amount;
+    }
+  }
+
+  return {
+    value: {
+      item: name,
+      quantity,
+      amount: roundMoney(gross - discountAmount),
+      currency: saleCurrency,
+      unitPrice: unit,
+      discount: discountAmount,
+      discountPct,
+    },
+  };
 }
 
-async function insertSale(businessId, item, quantity, amount, currency) {
-  await pool.query(
-    `INSERT INTO sales (business_id, item, quantity, amount, currency)
-     VALUES ($1, $2, $3, $4, $5)`,
-    [businessId, item, quantity, amount, currency]
+function validateExpenseInput({ category, amount, currency }, defaultCurrency) {
+  const name = unTokenizeItem(category).toLowerCase();
+  if (!name) return { error: "Missing category." };
+  if (!normalizeAmountToken(amount)) return { error: "Missing amount." };
+  const parsed = parseAmountAndCurrency(amount, currency, defaultCurrency);
+  if (parsed.error) return { error: parsed.error };
+  return { value: { category: name, amount: parsed.amount, currency: parsed.currency } };
+}
+
+// Stock level as typed in "stock <item> <qty>" (0 allowed)
+function validateStockInput({ item, qty }) {
+  const name = unTokenizeItem(item).toLowerCase();
+  const quantity = Number(qty);
+  if (!name) return { error: "Missing item." };
+  if (!Number.isInteger(quantity) || quantity < 0) return { error: "Qty must be a whole number (0 or more)." };
+  return { value: { item: name, quantity } };
+}
+
+// ==============================
+// DB Helpers
+// ==============================
+// Resolves any member number (owner or staff) to its business.
+async function getOwnerProfile(whatsappFrom) {
+  const r = await pool.query(
+    `SELECT b.id, b.business_name, b.default_currency, b.timezone, b.onboarding_step,
+            b.confirm_price_factor, b.confirm_max_amount, b.confirm_currency, b.confirm_new_items,
+            b.confirm_timeout_minutes, b.language, m.id AS member_id, m.role, m.can_view_reports
+     FROM business_members m
+     JOIN businesses b ON b.id = m.business_id
+     WHERE m.whatsapp_from = $1
+     LIMIT 1`,
+    [whatsappFrom]
   );
+  if (!r.rows.length) return null;
+  const b = r.rows[0];
+  return {
+    businessId: b.id,
+    businessName: b.business_name,
+    defaultCurrency: b.default_currency || "NGN",
+    timeZone: b.timezone || DEFAULT_TIMEZONE,
+    language: LANGUAGES[b.language] ? b.language : DEFAULT_LANGUAGE,
+    onboardingStep: b.onboarding_step,
+    memberId: b.member_id,
+    role: b.role,
+    canViewReports: b.role === "owner" || b.can_view_reports,
+    checks: checksFromRow(b),
+  };
 }
 
-async function insertExpense(businessId, category, amount, currency) {
-  await pool.query(
-    `INSERT INTO expenses (business_id, category, amount, currency)
-     VALUES ($1, $2, $3, $4)`,
-    [businessId, category, amount, currency]
+async function updateBusinessSettings(businessId, changes) {
+  const columns = {
+    businessName: "business_name",
+    defaultCurrency: "default_currency",
+    timeZone: "timezone",
+    language: "language",
+    onboardingStep: "onboarding_step",
+    confirmPriceFactor: "confirm_price_factor",
+    confirmMaxAmount: "confirm_max_amount",
+    confirmCurrency: "confirm_currency",
+    confirmNewItems: "confirm_new_items",
+    confirmTimeoutMinutes: "confirm_timeout_minutes",
+  };
+  const sets = [];
+  const values = [businessId];
+  for (const [key, value] of Object.entries(changes)) {
+    if (!columns[key]) continue;
+    values.push(value);
+    sets.push(`${columns[key]} = $${values.length}`);
+  }
+  if (!sets.length) return;
+  await pool.query(`UPDATE businesses SET ${sets.join(", ")} WHERE id = $1`, values);
+}
+
+// Inserts take an optional occurredAt (Date, for back-dated/imported records), an import
+// batch or media id, and a db handle so they can run inside a transaction client.
+// createdAtSql(n): $n as a UTC instant, or NOW() when null (created_at is UTC wall-clock).
+const createdAtSql = (n) => `COALESCE(($${n}::timestamptz AT TIME ZONE 'UTC'), NOW()::timestamp)`;
+
+function toIsoOrNull(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+async function insertSale(
+  {
+    businessId,
+    memberId = null,
+    item,
+    quantity,
+    amount,
+    currency,
+    unitPrice = null,
+    discount = 0,
+    unitCost = null,
+    costCurrency = null,
+    customerId = null,
+    payment = "cash",
+    occurredAt = null,
+    importBatchId = null,
+    mediaId = null,
+  },
+  db = pool
+) {
+  // The rate into the default currency is fixed when the sale is recorded
+  const { fxRate, fxCurrency } = await conversionFor(businessId, currency, occurredAt, db);
+  const r = await db.query(
+    `INSERT INTO sales (business_id, member_id, item, quantity, amount, currency, unit_price, discount,
+                        unit_cost, cost_currency, fx_rate, fx_currency, customer_id, payment, import_batch_id,
+                        media_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, ${createdAtSql(17)})
+     RETURNING id`,
+    [
+      businessId,
+      memberId,
+      item,
+      quantity,
+      amount,
+      currency,
+      unitPrice ?? (quantity ? amount / quantity : null),
+      discount || 0,
+      unitCost,
+      costCurrency,
+      fxRate,
+      fxCurrency,
+      customerId,
+      payment,
+      importBatchId,
+      mediaId,
+      toIsoOrNull(occurredAt),
+    ]
   );
+  return r.rows[0].id;
 }
 
-async function insertStockEvent(businessId, item, quantity) {
-  await pool.query(
-    `INSERT INTO stock_events (business_id, item, quantity)
-     VALUES ($1, $2, $3)`,
-    [businessId, item, quantity]
+async function insertExpense(
+  {
+    businessId,
+    memberId = null,
+    category,
+    rawCategory = null,
+    amount,
+    currency,
+    occurredAt = null,
+    importBatchId = null,
+    recurringId = null,
+    mediaId = null,
+  },
+  db = pool
+) {
+  const { fxRate, fxCurrency } = await conversionFor(businessId, currency, occurredAt, db);
+  const r = await db.query(
+    `INSERT INTO expenses (business_id, member_id, category, raw_category, amount, currency, fx_rate, fx_currency,
+                           import_batch_id, recurring_id, media_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${createdAtSql(12)})
+     RETURNING id`,
+    [
+      businessId,
+      memberId,
+      category,
+      rawCategory || category,
+      amount,
+      currency,
+      fxRate,
+      fxCurrency,
+      importBatchId,
+      recurringId,
+      mediaId,
+      toIsoOrNull(occurredAt),
+    ]
   );
+  return r.rows[0].id;
 }
 
-async function getLatestStockQty(businessId, item) {
-  const r = await pool.query(
-    `
-    SELECT quantity
-    FROM stock_events
-    WHERE business_id = $1 AND item = $2
-    ORDER BY created_at DESC
-    LIMIT 1
-    `,
-    [businessId, item]
+// Stock ledger: every change is a signed delta; the current level is SUM(delta).
+const STOCK_MOVEMENT_KINDS = new Set(["opening", "purchase", "sale", "adjustment", "writeoff"]);
+
+function lowStockThreshold() {
+  const n = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+}
+
+async function insertStockMovement(
+  {
+    businessId,
+    memberId = null,
+    item,
+    kind,
+    delta,
+    saleId = null,
+    unitCost = null,
+    costCurrency = null,
+    occurredAt = null,
+    importBatchId = null,
+    mediaId = null,
+  },
+  db = pool
+) {
+  if (!STOCK_MOVEMENT_KINDS.has(kind)) throw new Error(`Unknown stock movement kind: ${kind}`);
+  const r = await db.query(
+    `INSERT INTO stock_movements (business_id, member_id, item, kind, delta, sale_id, unit_cost, cost_currency,
+                                  import_batch_id, media_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, ${createdAtSql(11)})
+     RETURNING id`,
+    [
+      businessId,
+      memberId,
+      item,
+      kind,
+      delta,
+      saleId,
+      unitCost,
+      costCurrency,
+      importBatchId,
+      mediaId,
+      toIsoOrNull(occurredAt),
+    ]
   );
-  if (!r.rows.length) return 0;
-  const q = Number(r.rows[0].quantity);
-  return Number.isFinite(q) ? q : 0;
+  return r.rows[0].id;
 }
 
 // ==============================
-// Step 6B: Smart Insights + Advice (rule-based)
+// Products (catalogue + unit cost for COGS)
 // ==============================
-function safeNum(n) {
-  const x = Number(n);
-  return Number.isFinite(x) ? x : 0;
+// Returns the product row, creating it on first use.
+async function ensureProduct(businessId, name, db = pool) {
+  const r = await db.query(
+    `INSERT INTO products (business_id, name)
+     VALUES ($1, $2)
+     ON CONFLICT (business_id, name) DO UPDATE SET name = EXCLUDED.name
+     RETURNING *`,
+    [businessId, name]
+  );
+  return r.rows[0];
 }
 
-function computeInsightsFromSummary(summary) {
-  const tips = [];
+async function setProductCost(businessId, name, costPrice, costCurrency, db = pool) {
+  const r = await db.query(
+    `INSERT INTO products (business_id, name, cost_price, cost_currency)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (business_id, name)
+     DO UPDATE SET cost_price = EXCLUDED.cost_price, cost_currency = EXCLUDED.cost_currency, updated_at = NOW()
+     RETURNING *`,
+    [businessId, name, costPrice, costCurrency]
+  );
+  return r.rows[0];
+}
 
-  const salesArr = summary?.totals?.sales_by_currency || [];
-  const expArr = summary?.totals?.expenses_by_currency || [];
-  const topProducts = summary?.insights?.top_products_by_revenue || [];
-  const stockSnap = summary?.insights?.stock_snapshot || [];
+// Catalogue rows with their aliases
+async function setProductPrice(businessId, name, unitPrice, priceCurrency, db = pool) {
+  const r = await db.query(
+    `INSERT INTO products (business_id, name, unit_price, price_currency)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (business_id, name)
+     DO UPDATE SET unit_price = EXCLUDED.unit_price, price_currency = EXCLUDED.price_currency, updated_at = NOW()
+     RETURNING *`,
+    [businessId, name, unitPrice, priceCurrency]
+  );
+  return r.rows[0];
+}
 
-  const totalSalesAll = salesArr.reduce((acc, s) => acc + safeNum(s.total_amount), 0);
-  if (totalSalesAll <= 0) {
-    tips.push("📉 No sales recorded in this period. Try logging at least 3 sales to unlock better insights.");
-  }
+async function listProducts(businessId) {
+  const r = await pool.query(
+    `SELECT p.*, COALESCE(array_agg(a.alias ORDER BY a.alias) FILTER (WHERE a.id IS NOT NULL), '{}') AS aliases
+     FROM products p
+     LEFT JOIN product_aliases a ON a.product_id = p.id
+     WHERE p.business_id = $1
+     GROUP BY p.id
+     ORDER BY p.name`,
+    [businessId]
+  );
+  return r.rows;
+}
 
-  const totalExpAll = expArr.reduce((acc, e) => acc + safeNum(e.total_amount), 0);
-  if (totalExpAll <= 0) {
-    tips.push("🧾 No expenses recorded. Track costs (fuel, rent, ads) so profit is accurate.");
-  }
+// Canonical name for an item as typed; unknown items keep their normalized name
+async function canonicalItemName(businessId, name, db = pool) {
+  const product = await findProduct(businessId, name, db);
+  return product ? product.name : normalizeItemName(name);
+}
 
-  if (topProducts.length >= 2) {
-    const top1 = safeNum(topProducts[0].revenue);
-    const sumTop = topProducts.reduce((acc, p) => acc + safeNum(p.revenue), 0);
-    if (sumTop > 0 && top1 / sumTop >= 0.7) {
-      tips.push(`⚠️ Most revenue comes from "${topProducts[0].item}". Consider pushing 1–2 other products to reduce risk.`);
-    }
-  } else if (topProducts.length === 1) {
-    tips.push(`📌 Top product is "${topProducts[0].item}". Add more product sales for richer insights.`);
-  }
+/**
+ * Matches a typed item against the catalogue.
+ * Returns { name, known } and, for unknown items close to a known one, a `suggestion` (canonical name).
+ */
+async function resolveItem(businessId, name) {
+  const product = await findProduct(businessId, name);
+  if (product) return { name: product.name, known: true, suggestion: null };
 
-  if (stockSnap.length > 0) {
-    const s0 = stockSnap[0];
-    const qty = safeNum(s0.quantity);
-    if (qty === 0) tips.push(`🚨 Stockout risk: "${s0.item}" stock is 0. Restock soon.`);
-    if (qty >= 200) tips.push(`📦 High stock: "${s0.item}" is ${qty}. Consider a promo to increase turnover.`);
-  } else {
-    tips.push('📦 No stock updates found. Use: stock <item> <qty> (e.g. "stock rice 20").');
-  }
+  const r = await pool.query(
+    `SELECT name AS key, name AS value, 0 AS rank FROM products WHERE business_id = $1
+     UNION ALL
+     SELECT a.alias, p.name, 1 FROM product_aliases a JOIN products p ON p.id = a.product_id WHERE a.business_id = $1
+     ORDER BY rank`,
+    [businessId]
+  );
+  const best = findClosest(name, r.rows);
+  return { name: normalizeItemName(name), known: false, suggestion: best ? best.value : null };
+}
 
-  const netBy = summary?.totals?.net_by_currency || {};
-  for (const [cur, net] of Object.entries(netBy)) {
-    if (safeNum(net) < 0) tips.push(`🔻 Net is negative in ${cur}. Review expenses and pricing.`);
-  }
+// ==============================
+// Pending yes/no questions
+// ==============================
+const PENDING_ACTION_TTL_MINUTES = 15;
 
-  return tips.slice(0, 6);
+// payload.yes / payload.no are normalized commands replayed on the answer (null: nothing to do)
+async function savePendingAction(businessId, from, kind, payload, ttlMinutes = PENDING_ACTION_TTL_MINUTES) {
+  await pool.query(
+    `INSERT INTO pending_actions (business_id, whatsapp_from, kind, payload, expires_at)
+     VALUES ($1, $2, $3, $4, NOW()::timestamp + make_interval(mins => $5))
+     ON CONFLICT (whatsapp_from)
+     DO UPDATE SET business_id = EXCLUDED.business_id, kind = EXCLUDED.kind, payload = EXCLUDED.payload,
+                   expires_at = EXCLUDED.expires_at, created_at = NOW()`,
+    [businessId, from, kind, JSON.stringify(payload), ttlMinutes]
+  );
 }
 
-function formatAdviceMessage(summary) {
-  const businessName = summary?.business?.business_name || "Your Business";
-  const period = summary?.period || "period";
-  const tips = computeInsightsFromSummary(summary);
-
-  const topProducts = summary?.insights?.top_products_by_revenue || [];
-  const topLine =
-    topProducts.length > 0
-      ? `🏆 Top product: ${topProducts[0].item} (${topProducts[0].currency} ${safeNum(topProducts[0].revenue)})`
-      : "🏆 Top product: None yet";
+// Removes and returns the sender's last question (null when none); row.active is false once it expired
+async function takePendingAction(from) {
+  const r = await pool.query(
+    "DELETE FROM pending_actions WHERE whatsapp_from = $1 RETURNING *, expires_at > NOW()::timestamp AS active",
+    [from]
+  );
+  return r.rows[0] || null;
+}
 
-  return [
-    `🧠 Predicta Advice (${businessName})`,
-    `Period: ${period}`,
-    "",
-    topLine,
-    "",
-    "✅ Actionable tips:",
-    ...tips.map((t) => `• ${t}`),
-    "",
-    `Tip: try "summary week"`,
-  ].join("\n");
+// "Did you mean …?" for an item that is close to a known product; settled: questions answered so far
+async function askItemConfirmation(businessId, from, parts, typed, suggestion, lang, settled) {
+  const withItem = (name) => [parts[0], name.replace(/ /g, "_"), ...parts.slice(2)].join(" ");
+  await savePendingAction(businessId, from, "item_match", {
+    yes: withItem(suggestion),
+    no: withItem(typed),
+    settled: settling(settled, "item"),
+  });
+  return t(lang, "item_did_you_mean", { suggestion, typed });
 }
 
-function appendInsightsToSummaryText(summaryText, summaryObj) {
-  const tips = computeInsightsFromSummary(summaryObj);
-  if (!tips.length) return summaryText;
-  return `${summaryText}\n\n🧠 Insights:\n${tips.map((t) => `• ${t}`).join("\n")}`;
+/**
+ * A sale plus its stock movement. The product's current unit cost is copied onto the
+ * sale so later cost changes don't rewrite historical COGS.
+ * db: the caller's transaction client; without one the sale gets a transaction of its own.
+ */
+async function recordSale(sale, db = null) {
+  if (db) return insertSaleWithMovement(sale, db);
+  await warmRates(sale.businessId, [{ currency: sale.currency, at: sale.occurredAt }]);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const recorded = await insertSaleWithMovement(sale, client);
+    await client.query("COMMIT");
+    return recorded;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
-function adaptInternalSummaryToAdminShape(internalSummary, period) {
-  return {
-    period: String(period || "today").toLowerCase(),
-    business: internalSummary.business,
-    totals: {
-      sales_by_currency: (internalSummary.totals.salesTotals || []).map((r) => ({
-        currency: r.currency,
-        total_amount: Number(r.total_amount),
-        total_qty: Number(r.total_qty),
-      })),
-      expenses_by_currency: (internalSummary.totals.expenseTotals || []).map((r) => ({
-        currency: r.currency,
-        total_amount: Number(r.total_amount),
-      })),
-      net_by_currency: internalSummary.totals.netByCurrency || {},
-    },
-    insights: {
-      top_products_by_revenue: (internalSummary.insights.topProductsByRevenue || []).map((r) => ({
-        item: r.item,
-        currency: r.currency,
-        revenue: Number(r.revenue),
-        qty: Number(r.qty),
-      })),
-      top_expense_categories: (internalSummary.insights.topExpenseCategories || []).map((r) => ({
-        category: r.category,
-        currency: r.currency,
-        total: Number(r.total),
-      })),
-      stock_snapshot: (internalSummary.insights.stockSnapshot || []).map((r) => ({
-        item: r.item,
-        quantity: Number(r.quantity),
-        last_updated: r.created_at,
-      })),
+async function insertSaleWithMovement(
+  {
+    businessId,
+    memberId = null,
+    item,
+    quantity,
+    amount,
+    currency,
+    unitPrice = null,
+    discount = 0,
+    customerId = null,
+    payment = "cash",
+    occurredAt = null,
+    importBatchId = null,
+    mediaId = null,
+  },
+  db
+) {
+  const product = await ensureProduct(businessId, item, db);
+  const hasCost = product.cost_price !== null && product.cost_price !== undefined;
+  const saleId = await insertSale(
+    {
+      businessId,
+      memberId,
+      item,
+      quantity,
+      amount,
+      currency,
+      unitPrice,
+      discount,
+      unitCost: hasCost ? product.cost_price : null,
+      costCurrency: hasCost ? product.cost_currency : null,
+      customerId,
+      payment,
+      occurredAt,
+      importBatchId,
+      mediaId,
     },
-  };
+    db
+  );
+  await insertStockMovement(
+    { businessId, memberId, item, kind: "sale", delta: -quantity, saleId, occurredAt, importBatchId, mediaId },
+    db
+  );
+  return { saleId, product };
+}
+
+// Profit line for a sale reply, when the unit cost is known in the sale's currency
+function saleProfitLine(product, quantity, amount, currency, lang = DEFAULT_LANGUAGE) {
+  if (product.cost_price === null || product.cost_price === undefined || product.cost_currency !== currency) return "";
+  const cogs = multiplyMoney(currency, product.cost_price, quantity);
+  const profit = subtractMoney(currency, amount, cogs);
+  const margin = amount ? Math.round((profit / amount) * 1000) / 10 : 0;
+  return t(lang, "sale_profit", {
+    cost: formatMoney(currency, cogs, lang),
+    profit: formatMoney(currency, profit, lang),
+    pct: margin,
+  });
 }
 
 // ==============================
-// Step 6A: Summary engine + WhatsApp formatting
+// Customers + credit (see lib/credit.js)
 // ==============================
-function periodToInterval(period) {
-  const p = String(period || "today").toLowerCase();
-  if (p === "week" || p === "7d") return "7 days";
-  if (p === "month" || p === "30d") return "30 days";
-  return "1 day";
-}
 
-function formatMoney(currency, amount) {
-  const n = Number(amount || 0);
-  return `${currency} ${Number.isFinite(n) ? n : 0}`;
+// Customer names are typed as one token ("mama_ngozi"); name keeps the first spelling used
+function customerKey(name) {
+  return normalizeItemName(unTokenizeItem(name));
 }
 
-async function getBusinessSummary(businessId, period) {
-  const intervalSql = periodToInterval(period);
-  const sinceSql = `NOW() - INTERVAL '${intervalSql}'`;
+async function findCustomer(businessId, name, db = pool) {
+  const r = await db.query("SELECT * FROM customers WHERE business_id = $1 AND name_key = $2 LIMIT 1", [
+    businessId,
+    customerKey(name),
+  ]);
+  return r.rows[0] || null;
+}
 
-  const businessInfo = await pool.query(
-    `SELECT id, business_name, whatsapp_from, default_currency
-     FROM businesses
-     WHERE id = $1
-     LIMIT 1`,
-    [businessId]
+async function ensureCustomer(businessId, name, db = pool) {
+  const r = await db.query(
+    `INSERT INTO customers (business_id, name, name_key)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (business_id, name_key) DO UPDATE SET name = customers.name
+     RETURNING *`,
+    [businessId, unTokenizeItem(name), customerKey(name)]
   );
+  return r.rows[0];
+}
 
-  const salesTotals = await pool.query(
-    `
-    SELECT currency, COALESCE(SUM(amount),0) AS total_amount, COALESCE(SUM(quantity),0) AS total_qty
-    FROM sales
-    WHERE business_id = $1 AND created_at >= ${sinceSql}
-    GROUP BY currency
-    ORDER BY total_amount DESC
-    `,
-    [businessId]
-  );
+// { name, customer, suggestion }: customer is null when unknown; suggestion is a close existing name
+async function resolveCustomer(businessId, token) {
+  const name = unTokenizeItem(token);
+  const customer = await findCustomer(businessId, name);
+  if (customer) return { name: customer.name, customer, suggestion: null };
 
-  const expenseTotals = await pool.query(
-    `
-    SELECT currency, COALESCE(SUM(amount),0) AS total_amount
-    FROM expenses
-    WHERE business_id = $1 AND created_at >= ${sinceSql}
-    GROUP BY currency
-    ORDER BY total_amount DESC
-    `,
-    [businessId]
+  const r = await pool.query("SELECT name_key AS key, name AS value FROM customers WHERE business_id = $1", [
+    businessId,
+  ]);
+  const best = findClosest(name, r.rows);
+  return { name, customer: null, suggestion: best ? best.value : null };
+}
+
+// parts[index] is the customer token; NO runs `noCommand`, or keeps the typed name
+async function askCustomerConfirmation(businessId, from, parts, index, typed, suggestion, settled, noCommand = null) {
+  const withCustomer = (name) => parts.map((p, i) => (i === index ? name.replace(/ /g, "_") : p)).join(" ");
+  await savePendingAction(businessId, from, "customer_match", {
+    yes: withCustomer(suggestion),
+    no: noCommand || withCustomer(typed),
+    settled: settling(settled, "customer"),
+  });
+  return noCommand
+    ? `🤔 Did you mean ${suggestion}? Reply YES to use them, or NO to see your customers.`
+    : `🤔 Did you mean ${suggestion}? Reply YES to use them, or NO to add "${typed}" as a new customer.`;
+}
+
+async function recordCustomerPayment(
+  { businessId, memberId = null, customerId, amount, currency, occurredAt = null, mediaId = null },
+  db = pool
+) {
+  const r = await db.query(
+    `INSERT INTO customer_payments (business_id, member_id, customer_id, amount, currency, media_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, ${createdAtSql(7)})
+     RETURNING id`,
+    [businessId, memberId, customerId, amount, currency, mediaId, toIsoOrNull(occurredAt)]
   );
+  return r.rows[0].id;
+}
 
-  const topProductsByRevenue = await pool.query(
+// Credit sales and repayments, oldest first (one customer, or all)
+async function getLedgerRows(businessId, customerId = null) {
+  const r = await pool.query(
     `
-    SELECT item, currency, COALESCE(SUM(amount),0) AS revenue, COALESCE(SUM(quantity),0) AS qty
-    FROM sales
-    WHERE business_id = $1 AND created_at >= ${sinceSql}
-    GROUP BY item, currency
-    ORDER BY revenue DESC
-    LIMIT 3
+    SELECT s.id, s.customer_id, c.name, s.currency, 'credit' AS kind, s.amount, s.item, s.quantity,
+           (s.created_at AT TIME ZONE 'UTC') AS created_at
+    FROM sales s
+    JOIN customers c ON c.id = s.customer_id
+    WHERE s.business_id = $1 AND s.payment = 'credit' AND ($2::int IS NULL OR s.customer_id = $2)
+    UNION ALL
+    SELECT p.id, p.customer_id, c.name, p.currency, 'payment', p.amount, NULL, NULL,
+           (p.created_at AT TIME ZONE 'UTC')
+    FROM customer_payments p
+    JOIN customers c ON c.id = p.customer_id
+    WHERE p.business_id = $1 AND ($2::int IS NULL OR p.customer_id = $2)
+    ORDER BY created_at, id
     `,
-    [businessId]
+    [businessId, customerId]
   );
+  return r.rows;
+}
 
-  const topExpenseCategories = await pool.query(
+async function getDebts(businessId, now = new Date()) {
+  return summarizeDebts(await getLedgerRows(businessId), now);
+}
+
+// Balance per currency for one customer: [{ currency, balance, days }]
+async function getCustomerBalances(businessId, customerId, now = new Date()) {
+  const rows = await getLedgerRows(businessId, customerId);
+  const currencies = [...new Set(rows.map((r) => r.currency))];
+  return currencies.map((currency) => ({
+    currency,
+    ...outstanding(
+      rows.filter((r) => r.currency === currency),
+      now
+    ),
+  }));
+}
+
+function describeBalance(name, balances, lang = DEFAULT_LANGUAGE) {
+  const owing = balances.filter((b) => b.balance !== 0);
+  if (!owing.length) return t(lang, "balance_clear", { name });
+  return owing
+    .map((b) =>
+      b.balance > 0
+        ? t(lang, "balance_owes", { name, amount: formatMoney(b.currency, b.balance, lang) })
+        : t(lang, "balance_credit", { name, amount: formatMoney(b.currency, -b.balance, lang) })
+    )
+    .join("\n");
+}
+
+function describeDebt(d, lang = DEFAULT_LANGUAGE) {
+  const line = t(lang, "debt_line", { name: d.name, amount: formatMoney(d.currency, d.balance, lang), days: d.days });
+  return `${line}${isOverdue(d) ? " ⏳" : ""}`;
+}
+
+// tracked = the owner has logged stock for this item (not just sales),
+// so a low/negative level is worth warning about.
+async function getStockLevel(businessId, item, db = pool) {
+  const r = await db.query(
     `
-    SELECT category, currency, COALESCE(SUM(amount),0) AS total
-    FROM expenses
-    WHERE business_id = $1 AND created_at >= ${sinceSql}
-    GROUP BY category, currency
-    ORDER BY total DESC
-    LIMIT 3
+    SELECT COALESCE(SUM(delta),0) AS quantity, COALESCE(BOOL_OR(kind <> 'sale'), false) AS tracked
+    FROM stock_movements
+    WHERE business_id = $1 AND item = $2
     `,
-    [businessId]
+    [businessId, item]
   );
+  const q = Number(r.rows[0].quantity);
+  return { quantity: Number.isFinite(q) ? q : 0, tracked: r.rows[0].tracked };
+}
 
-  const stockSnapshot = await pool.query(
+async function getStockSnapshot(businessId) {
+  const r = await pool.query(
     `
-    SELECT DISTINCT ON (item)
-      item, quantity, created_at
-    FROM stock_events
-    WHERE business_id = $1
-    ORDER BY item, created_at DESC
+    SELECT sm.item, COALESCE(SUM(sm.delta),0) AS quantity, MAX(sm.created_at) AS created_at,
+           MAX(p.reorder_level) AS reorder_level, BOOL_OR(sm.kind <> 'sale') AS tracked
+    FROM stock_movements sm
+    LEFT JOIN products p ON p.business_id = sm.business_id AND p.name = sm.item
+    WHERE sm.business_id = $1
+    GROUP BY sm.item
+    ORDER BY sm.item
     `,
     [businessId]
   );
+  return r.rows;
+}
 
-  const salesMap = {};
-  for (const r of salesTotals.rows) salesMap[r.currency] = Number(r.total_amount);
+// The item's own reorder level, else LOW_STOCK_THRESHOLD
+function reorderLevelOf(product) {
+  const n = product ? product.reorder_level : null;
+  return n === null || n === undefined ? lowStockThreshold() : Number(n);
+}
 
-  const expMap = {};
-  for (const r of expenseTotals.rows) expMap[r.currency] = Number(r.total_amount);
+function stockWarning(item, level, reorderLevel = lowStockThreshold(), lang = DEFAULT_LANGUAGE) {
+  if (!level.tracked) return "";
+  if (level.quantity < 0) return t(lang, "stock_negative", { item, qty: level.quantity });
+  if (level.quantity <= reorderLevel) return t(lang, "stock_low", { item, qty: level.quantity });
+  return "";
+}
 
-  const currencies = new Set([...Object.keys(salesMap), ...Object.keys(expMap)]);
-  const netByCurrency = {};
-  for (const c of currencies) netByCurrency[c] = (salesMap[c] || 0) - (expMap[c] || 0);
+// ==============================
+// Reorder levels + low-stock alerts
+// ==============================
+const SALES_VELOCITY_DAYS = 14;
 
-  return {
-    intervalSql,
-    business: businessInfo.rows[0] || null,
-    totals: { salesTotals: salesTotals.rows, expenseTotals: expenseTotals.rows, netByCurrency },
-    insights: {
-      topProductsByRevenue: topProductsByRevenue.rows,
-      topExpenseCategories: topExpenseCategories.rows,
-      stockSnapshot: stockSnapshot.rows,
-    },
-  };
+// Average units sold per day over the last SALES_VELOCITY_DAYS days, per item
+async function getSalesVelocity(businessId, items = null, now = new Date()) {
+  const since = new Date(now.getTime() - SALES_VELOCITY_DAYS * 24 * 60 * 60 * 1000);
+  const r = await pool.query(
+    `SELECT item, COALESCE(SUM(quantity),0) AS qty
+     FROM sales
+     WHERE business_id = $1 AND created_at >= ($2::timestamptz AT TIME ZONE 'UTC')
+       AND ($3::text[] IS NULL OR item = ANY($3))
+     GROUP BY item`,
+    [businessId, since.toISOString(), items]
+  );
+  const velocity = {};
+  for (const row of r.rows) velocity[row.item] = Number(row.qty) / SALES_VELOCITY_DAYS;
+  return velocity;
 }
 
-function buildWhatsAppSummaryText(summary, period) {
-  const businessName = summary.business?.business_name || "Your Business";
-  const p = String(period || "today").toLowerCase();
-
-  const salesLines =
-    summary.totals.salesTotals.length > 0
-      ? summary.totals.salesTotals
-          .map((r) => `• ${formatMoney(r.currency, r.total_amount)} (qty: ${Number(r.total_qty)})`)
-          .join("\n")
-      : "• None";
+// Whole days of stock left at the current selling rate; null when it isn't selling
+function daysUntilStockout(quantity, perDay) {
+  if (!perDay || perDay <= 0) return null;
+  return Math.max(0, Math.floor(quantity / perDay));
+}
 
-  const expenseLines =
-    summary.totals.expenseTotals.length > 0
-      ? summary.totals.expenseTotals.map((r) => `• ${formatMoney(r.currency, r.total_amount)}`).join("\n")
-      : "• None";
+function describeStockout(quantity, perDay, lang = DEFAULT_LANGUAGE) {
+  const days = daysUntilStockout(quantity, perDay);
+  if (days === null) return t(lang, "stockout_no_sales");
+  if (days === 0) return t(lang, "stockout_today");
+  return t(lang, "stockout_days", { days, rate: Math.round(perDay * 10) / 10 });
+}
 
-  const netLines =
+/**
+ * Call after every stock change. Returns an alert the first time the item is at or below its
+ * reorder level; once stock is back above the level the item can alert again.
+ */
+async function checkReorderLevel(businessId, item, level, lang = DEFAULT_LANGUAGE) {
+  const product = await findProduct(businessId, item);
+  if (!product || product.reorder_level === null || !level.tracked) return null;
+  if (level.quantity > Number(product.reorder_level)) {
+    if (product.low_stock_alerted_at) {
+      await pool.query("UPDATE products SET low_stock_alerted_at = NULL WHERE id = $1", [product.id]);
+    }
+    return null;
+  }
+
+  const claim = await pool.query(
+    "UPDATE products SET low_stock_alerted_at = NOW() WHERE id = $1 AND low_stock_alerted_at IS NULL RETURNING id",
+    [product.id]
+  );
+  if (!claim.rows.length) return null;
+
+  const velocity = await getSalesVelocity(businessId, [product.name]);
+  return t(lang, "reorder_alert", {
+    item: product.name,
+    qty: level.quantity,
+    level: product.reorder_level,
+    stockout: describeStockout(level.quantity, velocity[product.name], lang),
+  });
+}
+
+// Sends a message to the business's owners other than `exceptFrom` (best effort)
+async function notifyOwners(businessId, exceptFrom, body) {
+  const r = await pool.query(
+    "SELECT whatsapp_from FROM business_members WHERE business_id = $1 AND role = 'owner' AND whatsapp_from <> $2",
+    [businessId, exceptFrom]
+  );
+  for (const owner of r.rows) {
+    try {
+      await messenger.send(owner.whatsapp_from, body);
+    } catch (err) {
+      console.error("Owner notification error:", err.message);
+    }
+  }
+  return r.rows.length;
+}
+
+async function setReorderLevel(businessId, name, reorderLevel) {
+  await ensureProduct(businessId, name);
+  const r = await pool.query(
+    `UPDATE products SET reorder_level = $3, low_stock_alerted_at = NULL, updated_at = NOW()
+     WHERE business_id = $1 AND name = $2
+     RETURNING *`,
+    [businessId, name, reorderLevel]
+  );
+  return r.rows[0];
+}
+
+// Owners get reorder alerts in the reply when they made the change, by message otherwise
+async function deliverReorderAlert(businessId, from, isOwner, alert) {
+  if (!alert) return "";
+  await notifyOwners(businessId, from, alert);
+  return isOwner ? alert : "";
+}
+
+// Tracked items at or below their reorder level, lowest cover first
+async function getLowStockReport(businessId) {
+  const snapshot = await getStockSnapshot(businessId);
+  const low = snapshot
+    .filter((r) => r.tracked)
+    .map((r) => ({ item: r.item, quantity: Number(r.quantity), reorder_level: reorderLevelOf(r) }))
+    .filter((r) => r.quantity <= r.reorder_level);
+  const velocity = low.length ? await getSalesVelocity(businessId, low.map((r) => r.item)) : {};
+  return low
+    .map((r) => ({
+      ...r,
+      per_day: Math.round((velocity[r.item] || 0) * 100) / 100,
+      days_left: daysUntilStockout(r.quantity, velocity[r.item]),
+    }))
+    .sort((a, b) => (a.days_left ?? Infinity) - (b.days_left ?? Infinity) || a.quantity - b.quantity);
+}
+
+// ==============================
+// Business members (owner + staff numbers)
+// ==============================
+// "+234 803 123 4567" / "whatsapp:+2348031234567" -> "whatsapp:+2348031234567"
+function normalizeWhatsAppNumber(raw) {
+  const digits = String(raw || "")
+    .replace(/^whatsapp:/i, "")
+    .replace(/[\s\-().]/g, "");
+  if (!/^\+\d{7,15}$/.test(digits)) return null;
+  return `whatsapp:${digits}`;
+}
+
+async function listMembers(businessId) {
+  const r = await pool.query(
+    `SELECT id, whatsapp_from, role, can_view_reports, created_at
+     FROM business_members
+     WHERE business_id = $1
+     ORDER BY role, id`,
+    [businessId]
+  );
+  return r.rows;
+}
+
+async function getMemberByNumber(whatsappFrom) {
+  const r = await pool.query("SELECT * FROM business_members WHERE whatsapp_from = $1 LIMIT 1", [whatsappFrom]);
+  return r.rows[0] || null;
+}
+
+async function addStaffMember(businessId, whatsappFrom, canViewReports, invitedBy) {
+  const r = await pool.query(
+    `INSERT INTO business_members (business_id, whatsapp_from, role, can_view_reports, invited_by)
+     VALUES ($1, $2, 'staff', $3, $4)
+     RETURNING id`,
+    [businessId, whatsappFrom, canViewReports, invitedBy]
+  );
+  return r.rows[0].id;
+}
+
+function memberLabel(m) {
+  const number = String(m.whatsapp_from || "").replace(/^whatsapp:/, "");
+  if (m.role === "owner") return `${number} (owner)`;
+  return `${number} (staff${m.can_view_reports ? ", reports" : ""})`;
+}
+
+// ==============================
+// Record corrections (undo / edit last / delete)
+// ==============================
+// One row shape for all record tables so undo/edit can treat them alike.
+// label = item (sale, stock), category (expense) or customer (payment); quantity = signed delta for stock.
+// Sale-driven stock movements are left out: they follow their sale (ON DELETE CASCADE).
+const RECORD_SOURCES_SQL = `
+  SELECT 'sale' AS type, id, business_id, member_id, item AS label, quantity, amount, currency, NULL AS kind, created_at
+  FROM sales
+  UNION ALL
+  SELECT 'expense' AS type, id, business_id, member_id, category AS label, NULL, amount, currency, NULL, created_at
+  FROM expenses
+  UNION ALL
+  SELECT 'stock' AS type, id, business_id, member_id, item AS label, delta, NULL, NULL, kind, created_at
+  FROM stock_movements
+  WHERE kind <> 'sale'
+  UNION ALL
+  SELECT 'payment' AS type, p.id, p.business_id, p.member_id, c.name AS label, NULL, p.amount, p.currency, NULL,
+         p.created_at
+  FROM customer_payments p
+  JOIN customers c ON c.id = p.customer_id
+`;
+
+const RECORD_TABLES = { sale: "sales", expense: "expenses", stock: "stock_movements", payment: "customer_payments" };
+// Record types that move stock (undo/delete report the new level)
+const STOCK_RECORD_TYPES = new Set(["sale", "stock"]);
+
+// Columns the owner may amend per record type (field name -> column); rawCategory goes with a category edit
+const EDITABLE_FIELDS = {
+  sale: { item: "item", qty: "quantity", amount: "amount", currency: "currency" },
+  expense: { category: "category", rawCategory: "raw_category", amount: "amount", currency: "currency" },
+  stock: { item: "item", qty: "delta" },
+  payment: { amount: "amount", currency: "currency" },
+};
+
+// Most recent record created by this member (undo/edit only touch your own entries).
+// Owners also see records from before members existed (member_id NULL).
+async function getLastRecord(businessId, memberId, isOwner) {
+  const r = await pool.query(
+    `
+    SELECT * FROM (${RECORD_SOURCES_SQL}) rec
+    WHERE business_id = $1 AND (member_id = $2 OR ($3 AND member_id IS NULL))
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+    `,
+    [businessId, memberId, Boolean(isOwner)]
+  );
+  return r.rows[0] || null;
+}
+
+async function getRecord(businessId, type, id) {
+  const r = await pool.query(
+    `
+    SELECT * FROM (${RECORD_SOURCES_SQL}) rec
+    WHERE business_id = $1 AND type = $2 AND id = $3
+    LIMIT 1
+    `,
+    [businessId, type, id]
+  );
+  return r.rows[0] || null;
+}
+
+async function deleteRecord(businessId, type, id) {
+  const table = RECORD_TABLES[type];
+  if (!table) return false;
+  const r = await pool.query(`DELETE FROM ${table} WHERE business_id = $1 AND id = $2`, [businessId, id]);
+  return r.rowCount > 0;
+}
+
+async function updateRecord(businessId, type, id, changes) {
+  const table = RECORD_TABLES[type];
+  const allowed = EDITABLE_FIELDS[type] || {};
+  const sets = [];
+  const values = [businessId, id];
+  for (const [field, value] of Object.entries(changes)) {
+    const column = allowed[field];
+    if (!column) continue;
+    values.push(value);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (!table || !sets.length) return false;
+  const r = await pool.query(`UPDATE ${table} SET ${sets.join(", ")} WHERE business_id = $1 AND id = $2`, values);
+
+  // A new currency needs a new conversion rate.
+  if ((table === "sales" || table === "expenses") && r.rowCount > 0 && changes.currency !== undefined) {
+    await pool.query(`UPDATE ${table} SET fx_rate = NULL WHERE business_id = $1 AND id = $2`, [businessId, id]);
+    await fillMissingRates(businessId);
+  }
+
+  // unit_price is before discount, so it follows amount / qty edits.
+  if (type === "sale" && r.rowCount > 0 && (changes.qty !== undefined || changes.amount !== undefined)) {
+    await pool.query(
+      `UPDATE sales SET unit_price = (amount + discount) / NULLIF(quantity, 0) WHERE business_id = $1 AND id = $2`,
+      [businessId, id]
+    );
+  }
+
+  // Keep the sale's stock movement in step with the sale itself.
+  if (type === "sale" && r.rowCount > 0 && (changes.qty !== undefined || changes.item !== undefined)) {
+    await pool.query(
+      `UPDATE stock_movements sm
+       SET delta = -s.quantity, item = s.item
+       FROM sales s
+       WHERE sm.sale_id = s.id AND s.id = $1 AND s.business_id = $2`,
+      [id, businessId]
+    );
+  }
+  return r.rowCount > 0;
+}
+
+function describeRecord(rec, lang = DEFAULT_LANGUAGE) {
+  if (!rec) return "";
+  const amount = rec.type === "stock" ? null : formatMoney(rec.currency, rec.amount, lang);
+  if (rec.type === "sale") {
+    return t(lang, "record_sale", { id: rec.id, item: rec.label, qty: Number(rec.quantity), amount });
+  }
+  if (rec.type === "expense") return t(lang, "record_expense", { id: rec.id, category: rec.label, amount });
+  if (rec.type === "payment") return t(lang, "record_payment", { id: rec.id, customer: rec.label, amount });
+  const delta = Number(rec.quantity);
+  const kind = t(lang, `stock_kind_${rec.kind}`);
+  return t(lang, "record_stock", { id: rec.id, item: rec.label, delta: `${delta >= 0 ? "+" : ""}${delta}`, kind });
+}
+
+/**
+ * Parse the tail of "edit last ..." into column changes for the given record.
+ * Accepts: "<amount>[currency]" (qty for stock), "amount <amount>[currency]",
+ * "qty <n>", "item <name>", "category <name>".
+ */
+function parseEditChanges(rec, args, defaultCurrency) {
+  const [first, ...rest] = args;
+  const field = String(first || "").toLowerCase();
+
+  if (!field) return { error: "Tell me what to change, e.g. \"edit last 45000\" or \"edit last qty 2\"." };
+
+  if (field === "item" || field === "category") {
+    const name = unTokenizeItem(rest.join("_")).toLowerCase();
+    if (!name) return { error: `Missing new ${field}.` };
+    if (!EDITABLE_FIELDS[rec.type][field]) return { error: `A ${rec.type} has no ${field}.` };
+    return { changes: { [field]: name } };
+  }
+
+  if (field === "qty" || (rec.type === "stock" && field !== "amount")) {
+    const qty = Number(field === "qty" ? rest[0] : first);
+    if (!EDITABLE_FIELDS[rec.type].qty) return { error: `A ${rec.type} has no qty.` };
+    if (!Number.isFinite(qty) || qty < 0 || (rec.type === "sale" && qty === 0)) return { error: "Invalid qty." };
+    // Stock entries are deltas: keep the direction (added vs removed) of the original entry.
+    if (rec.type === "stock" && Number(rec.quantity) < 0) return { changes: { qty: -qty } };
+    return { changes: { qty } };
+  }
+
+  if (!EDITABLE_FIELDS[rec.type].amount) return { error: `A ${rec.type} has no amount.` };
+  const amountArgs = field === "amount" ? rest : args;
+  if (!amountArgs[0]) return { error: "Missing new amount." };
+  // Keep the record's currency unless the owner names a new one.
+  const parsed = parseAmountAndCurrency(amountArgs[0], amountArgs[1], rec.currency || defaultCurrency);
+  if (parsed.error) return { error: parsed.error };
+  return { changes: { amount: parsed.amount, currency: parsed.currency } };
+}
+
+// ==============================
+// Onboarding (unknown numbers): name -> currency -> confirm -> complete
+// ==============================
+const CURRENCY_PROMPT =
+  `Which currency do you mostly trade in? Reply one of: ${CURRENCY_CODES.join(", ")} ` +
+  `(or ${Object.values(CURRENCIES)
+    .map((c) => c.symbol)
+    .join(" ")})`;
+
+async function handleOnboardingMessage(from, profile, text) {
+  const answer = String(text || "").trim();
+
+  if (!profile) {
+    await pool.query(
+      `WITH b AS (
+         INSERT INTO businesses (business_name, whatsapp_from, default_currency, onboarding_step)
+         VALUES ($1, $2, $3, 'name')
+         ON CONFLICT (whatsapp_from) DO NOTHING
+         RETURNING id, whatsapp_from
+       )
+       INSERT INTO business_members (business_id, whatsapp_from, role, can_view_reports)
+       SELECT id, whatsapp_from, 'owner', true FROM b`,
+      ["New business", from, "NGN"]
+    );
+    return `👋 Welcome to Predicta!\nI help you track sales, expenses and stock over WhatsApp.\n\nWhat is your business called?`;
+  }
+
+  const { businessId, businessName, defaultCurrency, onboardingStep } = profile;
+
+  if (onboardingStep === "name") {
+    const name = answer.replace(/\s+/g, " ").slice(0, 80);
+    if (!name) return "What is your business called?";
+    await updateBusinessSettings(businessId, { businessName: name, onboardingStep: "currency" });
+    return `Great — ${name}.\n${CURRENCY_PROMPT}`;
+  }
+
+  if (onboardingStep === "currency") {
+    const code = parseCurrencyCode(answer);
+    if (!code) return `Sorry, I don’t know "${answer}".\n${CURRENCY_PROMPT}`;
+    await updateBusinessSettings(businessId, {
+      defaultCurrency: code,
+      timeZone: CURRENCY_DEFAULT_TIMEZONE[code] || DEFAULT_TIMEZONE,
+      onboardingStep: "confirm",
+    });
+    return `Please confirm:\nBusiness: ${businessName}\nCurrency: ${code}\n\nReply YES to finish or NO to start again.`;
+  }
+
+  // onboardingStep === "confirm"
+  const yesNo = answer.toLowerCase();
+  if (yesNo === "yes" || yesNo === "y") {
+    await updateBusinessSettings(businessId, { onboardingStep: "complete" });
+    return `🎉 You’re all set, ${businessName} (${defaultCurrency}).\n\n${helpText(businessName)}`;
+  }
+  if (yesNo === "no" || yesNo === "n") {
+    await updateBusinessSettings(businessId, { onboardingStep: "name" });
+    return "No problem — let’s start again. What is your business called?";
+  }
+  return `Reply YES to confirm ${businessName} (${defaultCurrency}) or NO to start again.`;
+}
+
+// ==============================
+// Step 6B: Smart Insights + Advice (rule-based)
+// ==============================
+function safeNum(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function computeInsightsFromSummary(summary) {
+  const tips = [];
+  const lang = summary?.business?.language;
+  const money = (currency, amount) => formatMoney(currency, amount, lang);
+
+  const salesArr = summary?.totals?.sales_by_currency || [];
+  const expArr = summary?.totals?.expenses_by_currency || [];
+  const topProducts = summary?.insights?.top_products_by_revenue || [];
+  const stockSnap = summary?.insights?.stock_snapshot || [];
+  const belowCost = summary?.insights?.below_cost || [];
+  const restock = summary?.insights?.restock_suggestions || [];
+  const budgets = summary?.insights?.budgets || [];
+  const debts = summary?.insights?.outstanding_debts || [];
+
+  // Selling below cost outranks every other tip
+  for (const p of belowCost.slice(0, 2)) {
+    tips.push(
+      t(lang, "tip_below_cost", { item: p.item, revenue: money(p.currency, p.revenue), cost: money(p.currency, p.cost) })
+    );
+  }
+
+  const oldDebts = debts.filter((d) => isOverdue(d)).sort((a, b) => b.days - a.days);
+  if (oldDebts.length) {
+    const d = oldDebts[0];
+    tips.push(
+      t(lang, "tip_old_debts", {
+        count: oldDebts.length,
+        days: DEBT_OVERDUE_DAYS,
+        customer: d.customer,
+        amount: money(d.currency, d.balance),
+        owedDays: d.days,
+      })
+    );
+  }
+
+  const over = budgets.filter((b) => b.over).sort((a, b) => b.used_pct - a.used_pct);
+  if (over.length) {
+    const list = over
+      .slice(0, 3)
+      .map((b) => {
+        const used = t(lang, "budget_used", { spent: money(b.currency, b.spent), budget: money(b.currency, b.budget) });
+        return `${b.category} (${used})`;
+      })
+      .join(", ");
+    tips.push(t(lang, "tip_over_budget", { list }));
+  } else {
+    const near = budgets.filter((b) => safeNum(b.used_pct) >= 90).sort((a, b) => b.used_pct - a.used_pct)[0];
+    if (near) {
+      const left = money(near.currency, near.remaining);
+      tips.push(t(lang, "tip_near_budget", { category: near.category, pct: near.used_pct, left }));
+    }
+  }
+
+  // Amounts in different currencies are never added together; see totals.converted for that
+  if (!salesArr.some((s) => safeNum(s.total_amount) > 0)) {
+    tips.push(t(lang, "tip_no_sales"));
+  }
+
+  if (!expArr.some((e) => safeNum(e.total_amount) > 0)) {
+    tips.push(t(lang, "tip_no_expenses"));
+  }
+
+  // Trend rules (previous equivalent window)
+  const comparison = summary?.comparison;
+  if (comparison) {
+    for (const r of comparison.sales_by_currency) {
+      if (r.previous <= 0) continue;
+      if (r.change_pct <= -20) {
+        tips.push(t(lang, "tip_sales_down", { currency: r.currency, pct: Math.abs(r.change_pct) }));
+      } else if (r.change_pct >= 20) {
+        tips.push(t(lang, "tip_sales_up", { currency: r.currency, pct: r.change_pct }));
+      }
+    }
+
+    for (const e of comparison.expenses_by_currency) {
+      const sales = comparison.sales_by_currency.find((r) => r.currency === e.currency);
+      const salesPct = sales && sales.previous > 0 ? sales.change_pct : 0;
+      if (e.previous > 0 && e.change_pct >= 25 && e.change_pct > salesPct) {
+        tips.push(t(lang, "tip_expenses_grew", { currency: e.currency, pct: e.change_pct }));
+      }
+    }
+
+    const faller = comparison.products.find((p) => p.previous > 0 && p.change_pct <= -30);
+    if (faller) {
+      tips.push(t(lang, "tip_product_down", { item: faller.item, pct: Math.abs(faller.change_pct) }));
+    }
+  }
+
+  if (topProducts.length >= 2) {
+    const top1 = safeNum(topProducts[0].revenue);
+    const sumTop = topProducts.reduce((acc, p) => acc + safeNum(p.revenue), 0);
+    if (sumTop > 0 && top1 / sumTop >= 0.7) {
+      tips.push(t(lang, "tip_concentration", { item: topProducts[0].item }));
+    }
+  } else if (topProducts.length === 1) {
+    tips.push(t(lang, "tip_top_product", { item: topProducts[0].item }));
+  }
+
+  if (stockSnap.length > 0) {
+    // Every tracked item against its own reorder level (LOW_STOCK_THRESHOLD when unset)
+    const tracked = stockSnap.filter((s) => s.tracked);
+    const low = tracked.filter((s) => safeNum(s.quantity) <= safeNum(s.reorder_level));
+    if (low.length) {
+      const list = low.slice(0, 3).map((s) => `${s.item} (${safeNum(s.quantity)})`).join(", ");
+      tips.push(t(lang, "tip_low_stock", { count: low.length, list }));
+    }
+    const high = tracked
+      .filter((s) => safeNum(s.quantity) >= 200)
+      .sort((a, b) => safeNum(b.quantity) - safeNum(a.quantity));
+    if (high.length) {
+      tips.push(t(lang, "tip_high_stock", { item: high[0].item, qty: safeNum(high[0].quantity) }));
+    }
+  } else {
+    tips.push(t(lang, "tip_no_stock"));
+  }
+
+  // Forecast-driven: the item most short of next week's expected demand
+  if (restock.length) {
+    const r = [...restock].sort((a, b) => b.restock_qty - a.restock_qty)[0];
+    tips.push(
+      t(lang, "tip_restock", { item: r.item, units: Math.round(r.forecast_units), stock: r.stock, qty: r.restock_qty })
+    );
+  }
+
+  // With several currencies, judge net on the converted total when every entry has a rate
+  const netBy = summary?.totals?.net_by_currency || {};
+  const converted = summary?.totals?.converted;
+  const fullyConverted = converted && !converted.unconverted.sales && !converted.unconverted.expenses;
+  if (Object.keys(netBy).length > 1 && fullyConverted) {
+    if (converted.net < 0) {
+      tips.push(t(lang, "tip_net_negative_all", { amount: money(converted.currency, converted.net) }));
+    }
+  } else {
+    for (const [cur, net] of Object.entries(netBy)) {
+      if (safeNum(net) < 0) tips.push(t(lang, "tip_net_negative", { currency: cur }));
+    }
+  }
+  if (converted && (converted.unconverted.sales || converted.unconverted.expenses)) {
+    tips.push(t(lang, "tip_no_rate", { currency: converted.currency }));
+  }
+
+  return tips.slice(0, 6);
+}
+
+function formatAdviceMessage(summary) {
+  const lang = summary?.business?.language;
+  const businessName = summary?.business?.business_name || t(lang, "business_default");
+  const period = summary?.period || "period";
+  const tips = computeInsightsFromSummary(summary);
+
+  const topProducts = summary?.insights?.top_products_by_revenue || [];
+  const topLine =
+    topProducts.length > 0
+      ? t(lang, "top_product", {
+          item: topProducts[0].item,
+          amount: formatMoney(topProducts[0].currency, topProducts[0].revenue, lang),
+        })
+      : t(lang, "top_product_none");
+
+  const headline = comparisonHeadline(summary?.comparison, lang);
+
+  return [
+    t(lang, "advice_title", { business: businessName }),
+    t(lang, "period", { label: period }),
+    ...(headline ? [`📊 ${headline}`] : []),
+    "",
+    topLine,
+    "",
+    t(lang, "actionable_tips"),
+    ...tips.map((tip) => `• ${tip}`),
+    "",
+    t(lang, "advice_tip"),
+  ].join("\n");
+}
+
+function appendInsightsToSummaryText(summaryText, summaryObj) {
+  const tips = computeInsightsFromSummary(summaryObj);
+  if (!tips.length) return summaryText;
+  const title = t(summaryObj?.business?.language, "insights");
+  return `${summaryText}\n\n${title}\n${tips.map((tip) => `• ${tip}`).join("\n")}`;
+}
+
+// cost / gross_profit / margin_pct are null when some of the units sold have no known cost
+function profitFields(revenue, cost, uncostedQty, currency) {
+  if (safeNum(uncostedQty) > 0) {
+    return { cost: null, gross_profit: null, margin_pct: null, uncosted_qty: safeNum(uncostedQty) };
+  }
+  const gross = subtractMoney(currency, revenue || 0, cost);
+  const margin = safeNum(revenue) ? Math.round((gross / safeNum(revenue)) * 1000) / 10 : null;
+  return { cost: toAmount(cost, currency), gross_profit: gross, margin_pct: margin, uncosted_qty: 0 };
+}
+
+function adaptInternalSummaryToAdminShape(internalSummary) {
+  const w = internalSummary.window;
+  return {
+    period: w.label,
+    window: {
+      label: w.label,
+      from: w.fromDate,
+      to: w.toDate,
+      timezone: w.timeZone,
+      start: w.start.toISOString(),
+      end: w.end.toISOString(),
+    },
+    business: internalSummary.business,
+    comparison: internalSummary.comparison || null,
+    totals: {
+      sales_by_currency: (internalSummary.totals.salesTotals || []).map((r) => ({
+        currency: r.currency,
+        total_amount: toAmount(r.total_amount, r.currency),
+        total_qty: Number(r.total_qty),
+        cash_amount: subtractMoney(r.currency, r.total_amount, r.credit_amount),
+        credit_amount: toAmount(r.credit_amount, r.currency),
+        ...profitFields(r.total_amount, r.cogs, r.uncosted_qty, r.currency),
+      })),
+      expenses_by_currency: (internalSummary.totals.expenseTotals || []).map((r) => ({
+        currency: r.currency,
+        total_amount: toAmount(r.total_amount, r.currency),
+        auto_amount: toAmount(r.auto_amount, r.currency),
+      })),
+      net_by_currency: internalSummary.totals.netByCurrency || {},
+      repayments_by_currency: (internalSummary.totals.repayments || []).map((r) => ({
+        currency: r.currency,
+        total_amount: toAmount(r.total_amount, r.currency),
+      })),
+      cash_received_by_currency: internalSummary.totals.cashReceivedByCurrency || {},
+      converted: internalSummary.totals.converted || null,
+    },
+    insights: {
+      top_products_by_revenue: (internalSummary.insights.topProductsByRevenue || []).map((r) => ({
+        item: r.item,
+        currency: r.currency,
+        revenue: toAmount(r.revenue, r.currency),
+        qty: Number(r.qty),
+        ...profitFields(r.revenue, r.cost, r.uncosted_qty, r.currency),
+      })),
+      below_cost: (internalSummary.insights.belowCost || []).map((r) => ({
+        item: r.item,
+        currency: r.currency,
+        revenue: toAmount(r.revenue, r.currency),
+        qty: Number(r.qty),
+        cost: toAmount(r.cost, r.currency),
+        loss: subtractMoney(r.currency, r.cost, r.revenue),
+      })),
+      top_products_by_qty: (internalSummary.insights.topProductsByQty || []).map((r) => ({
+        item: r.item,
+        qty: Number(r.qty),
+      })),
+      top_expense_categories: (internalSummary.insights.topExpenseCategories || []).map((r) => ({
+        category: r.category,
+        currency: r.currency,
+        total: toAmount(r.total, r.currency),
+        auto_amount: toAmount(r.auto_amount, r.currency),
+      })),
+      restock_suggestions: (internalSummary.insights.restock || []).map((r) => ({
+        item: r.item,
+        forecast_units: r.units,
+        forecast_high: r.high,
+        stock: r.stock,
+        restock_qty: r.restock_qty,
+      })),
+      budgets: internalSummary.insights.budgets || [],
+      outstanding_debts: (internalSummary.insights.debts || []).map((d) => ({
+        customer: d.name,
+        currency: d.currency,
+        balance: d.balance,
+        owing_since: d.since ? d.since.toISOString() : null,
+        days: d.days,
+      })),
+      stock_snapshot: (internalSummary.insights.stockSnapshot || []).map((r) => ({
+        item: r.item,
+        quantity: Number(r.quantity),
+        reorder_level: reorderLevelOf(r),
+        tracked: Boolean(r.tracked),
+        last_updated: r.created_at,
+      })),
+    },
+  };
+}
+
+// ==============================
+// Step 6A: Summary engine + WhatsApp formatting
+// ==============================
+// Grouped per the reply language: "NGN 45,000" | "45 000 NGN"
+function formatMoney(currency, amount, lang = DEFAULT_LANGUAGE) {
+  return formatCurrencyAmount(lang, currency, amount);
+}
+
+// created_at columns are TIMESTAMP (no zone) filled by NOW() on a UTC database,
+// so window bounds ($2 start, $3 end) are compared as UTC wall-clock times.
+const WINDOW_SQL = `created_at >= ($2::timestamptz AT TIME ZONE 'UTC') AND created_at < ($3::timestamptz AT TIME ZONE 'UTC')`;
+
+function windowParams(businessId, window) {
+  return [businessId, window.start.toISOString(), window.end.toISOString()];
+}
+
+// A sale counts towards COGS only when its cost snapshot is in the sale's currency
+const COSTED_SQL = "unit_cost IS NOT NULL AND cost_currency = currency";
+const COGS_SQL = `COALESCE(SUM(quantity * unit_cost) FILTER (WHERE ${COSTED_SQL}),0)`;
+// Expenses booked by a recurring template rather than typed in
+const AUTO_AMOUNT_SQL = "COALESCE(SUM(amount) FILTER (WHERE recurring_id IS NOT NULL),0)";
+const UNCOSTED_QTY_SQL =
+  "COALESCE(SUM(quantity) FILTER (WHERE unit_cost IS NULL OR cost_currency IS DISTINCT FROM currency),0)";
+
+/**
+ * Summary for one business over a period spec from parsePeriod().
+ * limit = rows in each "top" list (WhatsApp shows 3, admin 5).
+ */
+async function getBusinessSummary(businessId, periodSpec, { limit = 3, now = new Date() } = {}) {
+  const businessInfo = await pool.query(
+    `SELECT id, business_name, whatsapp_from, default_currency, timezone, language, created_at
+     FROM businesses
+     WHERE id = $1
+     LIMIT 1`,
+    [businessId]
+  );
+  const business = businessInfo.rows[0] || null;
+  const window = resolvePeriod(periodSpec, business?.timezone || DEFAULT_TIMEZONE, now);
+  const params = windowParams(businessId, window);
+
+  const salesTotals = await pool.query(
+    `
+    SELECT currency, COALESCE(SUM(amount),0) AS total_amount, COALESCE(SUM(quantity),0) AS total_qty,
+           ${COGS_SQL} AS cogs, ${UNCOSTED_QTY_SQL} AS uncosted_qty,
+           COALESCE(SUM(amount) FILTER (WHERE payment = 'credit'),0) AS credit_amount
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY currency
+    ORDER BY total_amount DESC
+    `,
+    params
+  );
+
+  const expenseTotals = await pool.query(
+    `
+    SELECT currency, COALESCE(SUM(amount),0) AS total_amount, ${AUTO_AMOUNT_SQL} AS auto_amount
+    FROM expenses
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY currency
+    ORDER BY total_amount DESC
+    `,
+    params
+  );
+
+  const topProductsByRevenue = await pool.query(
+    `
+    SELECT item, currency, COALESCE(SUM(amount),0) AS revenue, COALESCE(SUM(quantity),0) AS qty,
+           ${COGS_SQL} AS cost, ${UNCOSTED_QTY_SQL} AS uncosted_qty
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY item, currency
+    ORDER BY revenue DESC
+    LIMIT ${Number(limit)}
+    `,
+    params
+  );
+
+  // Every product whose costed sales earned less than they cost, not just the top ones
+  const belowCost = await pool.query(
+    `
+    SELECT item, currency, COALESCE(SUM(amount),0) AS revenue, COALESCE(SUM(quantity),0) AS qty,
+           ${COGS_SQL} AS cost
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL} AND ${COSTED_SQL}
+    GROUP BY item, currency
+    HAVING SUM(amount) < SUM(quantity * unit_cost)
+    ORDER BY SUM(quantity * unit_cost) - SUM(amount) DESC
+    `,
+    params
+  );
+
+  const topProductsByQty = await pool.query(
+    `
+    SELECT item, COALESCE(SUM(quantity),0) AS qty
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY item
+    ORDER BY qty DESC
+    LIMIT ${Number(limit)}
+    `,
+    params
+  );
+
+  const topExpenseCategories = await pool.query(
+    `
+    SELECT category, currency, COALESCE(SUM(amount),0) AS total, ${AUTO_AMOUNT_SQL} AS auto_amount
+    FROM expenses
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY category, currency
+    ORDER BY total DESC
+    LIMIT ${Number(limit)}
+    `,
+    params
+  );
+
+  const repayments = await pool.query(
+    `
+    SELECT currency, COALESCE(SUM(amount),0) AS total_amount
+    FROM customer_payments
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY currency
+    `,
+    params
+  );
+
+  const converted = business ? await getConvertedTotals(businessId, window, business.default_currency) : null;
+  // Stock on hand and what to restock are about today: a past period doesn't show them
+  const current = isCurrentPeriod(window, now);
+  const stockSnapshot = current ? await getStockSnapshot(businessId) : null;
+  const restock = current ? (await getForecast(businessId, "week", now)).items.filter((f) => f.restock_qty > 0) : [];
+  // Budgets are monthly, so they are always this month's position whatever the period
+  const budgets = await getBudgetStatus(businessId, { now });
+
+  const salesMap = {};
+  const cogsMap = {};
+  const grossProfitByCurrency = {};
+  for (const r of salesTotals.rows) {
+    salesMap[r.currency] = toAmount(r.total_amount, r.currency);
+    cogsMap[r.currency] = toAmount(r.cogs, r.currency);
+    grossProfitByCurrency[r.currency] = subtractMoney(r.currency, r.total_amount, r.cogs);
+  }
+
+  const expMap = {};
+  for (const r of expenseTotals.rows) expMap[r.currency] = toAmount(r.total_amount, r.currency);
+
+  // Cash received = sales paid on the spot + customers paying off credit
+  const cashReceivedByCurrency = {};
+  for (const r of salesTotals.rows) {
+    cashReceivedByCurrency[r.currency] = subtractMoney(r.currency, r.total_amount, r.credit_amount);
+  }
+  for (const r of repayments.rows) {
+    cashReceivedByCurrency[r.currency] = addMoney(r.currency, cashReceivedByCurrency[r.currency], r.total_amount);
+  }
+
+  const net = netByCurrency(salesMap, cogsMap, expMap);
+
+  const comparison = await getPeriodComparison(
+    businessId,
+    window,
+    previousPeriod(window, now),
+    { sales: salesMap, expenses: expMap, net },
+    limit
+  );
+
+  return {
+    window,
+    business,
+    comparison,
+    totals: {
+      salesTotals: salesTotals.rows,
+      expenseTotals: expenseTotals.rows,
+      grossProfitByCurrency,
+      netByCurrency: net,
+      repayments: repayments.rows,
+      cashReceivedByCurrency,
+      converted,
+    },
+    insights: {
+      topProductsByRevenue: topProductsByRevenue.rows,
+      belowCost: belowCost.rows,
+      topProductsByQty: topProductsByQty.rows,
+      topExpenseCategories: topExpenseCategories.rows,
+      stockSnapshot,
+      restock,
+      budgets,
+      debts: await getDebts(businessId, now),
+    },
+  };
+}
+
+/**
+ * Everything in the business's default currency, using the rate stored on each sale/expense.
+ * Entries without a rate are left out and counted in `unconverted`.
+ */
+async function getConvertedTotals(businessId, window, currency) {
+  const r = await pool.query(
+    `
+    SELECT 'sales' AS kind,
+           COALESCE(SUM(amount * fx_rate) FILTER (WHERE fx_currency = $4 AND fx_rate IS NOT NULL),0) AS total,
+           COALESCE(SUM(quantity * unit_cost * fx_rate)
+             FILTER (WHERE fx_currency = $4 AND fx_rate IS NOT NULL AND ${COSTED_SQL}),0) AS cogs,
+           COUNT(*) FILTER (WHERE fx_currency IS DISTINCT FROM $4 OR fx_rate IS NULL) AS unconverted
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    UNION ALL
+    SELECT 'expenses',
+           COALESCE(SUM(amount * fx_rate) FILTER (WHERE fx_currency = $4 AND fx_rate IS NOT NULL),0),
+           0,
+           COUNT(*) FILTER (WHERE fx_currency IS DISTINCT FROM $4 OR fx_rate IS NULL)
+    FROM expenses
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    `,
+    [...windowParams(businessId, window), currency]
+  );
+  const sales = r.rows.find((x) => x.kind === "sales");
+  const expenses = r.rows.find((x) => x.kind === "expenses");
+  const round = (n) => Math.round(Number(n) * 100) / 100;
+  const grossProfit = round(sales.total - sales.cogs);
+  return {
+    currency,
+    sales: round(sales.total),
+    cogs: round(sales.cogs),
+    gross_profit: grossProfit,
+    expenses: round(expenses.total),
+    net: round(grossProfit - expenses.total),
+    unconverted: { sales: Number(sales.unconverted), expenses: Number(expenses.unconverted) },
+  };
+}
+
+// ==============================
+// Period-over-period comparison
+// ==============================
+// % change rounded to 1 decimal; null when there is nothing to compare against
+function pctChange(current, previous) {
+  if (!previous) return current ? null : 0;
+  return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+}
+
+function compareMaps(currentMap, previousMap) {
+  const keys = new Set([...Object.keys(currentMap), ...Object.keys(previousMap)]);
+  return [...keys].map((currency) => {
+    const current = currentMap[currency] || 0;
+    const previous = previousMap[currency] || 0;
+    const change = subtractMoney(currency, current, previous);
+    return { currency, current, previous, change, change_pct: pctChange(current, previous) };
+  });
+}
+
+async function getRevenueByItem(businessId, window) {
+  const r = await pool.query(
+    `
+    SELECT item, currency, COALESCE(SUM(amount),0) AS revenue
+    FROM sales
+    WHERE business_id = $1 AND ${WINDOW_SQL}
+    GROUP BY item, currency
+    `,
+    windowParams(businessId, window)
+  );
+  return r.rows;
+}
+
+async function getPeriodComparison(businessId, window, prevWindow, current, limit) {
+  const params = windowParams(businessId, prevWindow);
+  const prevSales = await pool.query(
+    `SELECT currency, COALESCE(SUM(amount),0) AS total, ${COGS_SQL} AS cogs FROM sales WHERE business_id = $1 AND ${WINDOW_SQL} GROUP BY currency`,
+    params
+  );
+  const prevExpenses = await pool.query(
+    `SELECT currency, COALESCE(SUM(amount),0) AS total FROM expenses WHERE business_id = $1 AND ${WINDOW_SQL} GROUP BY currency`,
+    params
+  );
+
+  const previous = { sales: {}, expenses: {}, net: {} };
+  const previousCogs = {};
+  for (const r of prevSales.rows) {
+    previous.sales[r.currency] = toAmount(r.total, r.currency);
+    previousCogs[r.currency] = toAmount(r.cogs, r.currency);
+  }
+  for (const r of prevExpenses.rows) previous.expenses[r.currency] = toAmount(r.total, r.currency);
+  previous.net = netByCurrency(previous.sales, previousCogs, previous.expenses);
+
+  // Per product: every item sold in either window, biggest movers first
+  const productMap = new Map();
+  const productKey = (r) => `${r.item}\u0000${r.currency}`;
+  for (const r of await getRevenueByItem(businessId, window)) {
+    const current = toAmount(r.revenue, r.currency);
+    productMap.set(productKey(r), { item: r.item, currency: r.currency, current, previous: 0 });
+  }
+  for (const r of await getRevenueByItem(businessId, prevWindow)) {
+    const key = productKey(r);
+    if (!productMap.has(key)) productMap.set(key, { item: r.item, currency: r.currency, current: 0, previous: 0 });
+    productMap.get(key).previous = toAmount(r.revenue, r.currency);
+  }
+  const products = [...productMap.values()]
+    .map((p) => ({
+      ...p,
+      change: subtractMoney(p.currency, p.current, p.previous),
+      change_pct: pctChange(p.current, p.previous),
+    }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, limit);
+
+  return {
+    previous_window: {
+      label: prevWindow.label,
+      from: prevWindow.fromDate,
+      to: prevWindow.toDate,
+      start: prevWindow.start.toISOString(),
+      end: prevWindow.end.toISOString(),
+    },
+    sales_by_currency: compareMaps(current.sales, previous.sales),
+    expenses_by_currency: compareMaps(current.expenses, previous.expenses),
+    net_by_currency: compareMaps(current.net, previous.net),
+    products,
+  };
+}
+
+function describeChangePct(pct, lang) {
+  if (pct === null) return t(lang, "change_new");
+  if (pct === 0) return t(lang, "change_flat");
+  return t(lang, pct > 0 ? "change_up" : "change_down", { pct: Math.abs(pct) });
+}
+
+// e.g. "Sales up 18% vs 2026-10-12 to 2026-10-18, rice down 40%"
+function comparisonHeadline(comparison, lang) {
+  if (!comparison) return "";
+  const sales = comparison.sales_by_currency.filter((r) => r.previous > 0 || r.current > 0);
+  if (!sales.length) return "";
+  const main = [...sales].sort((a, b) => b.current - a.current)[0];
+  const currency = sales.length > 1 ? ` (${main.currency})` : "";
+  const parts = [`${t(lang, "label_sales")} ${describeChangePct(main.change_pct, lang)}${currency}`];
+  const mover = comparison.products.find((p) => p.previous > 0 && p.change_pct !== 0);
+  if (mover) parts.push(`${mover.item} ${describeChangePct(mover.change_pct, lang)}`);
+  return (
+    t(lang, "headline", { main: parts[0], label: comparison.previous_window.label }) + (parts[1] ? `, ${parts[1]}` : "")
+  );
+}
+
+function buildComparisonLines(comparison, lang) {
+  const line = (label, r) =>
+    `• ${label}: ${describeChangePct(r.change_pct, lang)} (${formatMoney(r.currency, r.previous, lang)} → ${formatMoney(r.currency, r.current, lang)})`;
+  const lines = [
+    ...comparison.sales_by_currency.map((r) => line(`${t(lang, "label_sales")} ${r.currency}`, r)),
+    ...comparison.expenses_by_currency.map((r) => line(`${t(lang, "label_expenses")} ${r.currency}`, r)),
+    ...comparison.net_by_currency.map((r) => line(`${t(lang, "label_net")} ${r.currency}`, r)),
+    ...comparison.products.filter((p) => p.change !== 0).map((p) => line(p.item, p)),
+  ];
+  return lines.length ? lines.join("\n") : `• ${t(lang, "no_activity")}`;
+}
+
+// Sales/expense totals per member who recorded them (member null = recorded before members existed)
+async function getTotalsByMember(businessId, window) {
+  const r = await pool.query(
+    `
+    SELECT x.member_id, m.whatsapp_from, m.role, x.kind, x.currency,
+           COALESCE(SUM(x.amount),0) AS total_amount, COALESCE(SUM(x.qty),0) AS total_qty, COUNT(*) AS entries
+    FROM (
+      SELECT member_id, 'sales' AS kind, currency, amount, quantity AS qty
+      FROM sales WHERE business_id = $1 AND ${WINDOW_SQL}
+      UNION ALL
+      SELECT member_id, 'expenses' AS kind, currency, amount, NULL
+      FROM expenses WHERE business_id = $1 AND ${WINDOW_SQL}
+    ) x
+    LEFT JOIN business_members m ON m.id = x.member_id
+    GROUP BY x.member_id, m.whatsapp_from, m.role, x.kind, x.currency
+    ORDER BY x.member_id NULLS LAST, x.kind, total_amount DESC
+    `,
+    windowParams(businessId, window)
+  );
+
+  const byMember = new Map();
+  for (const row of r.rows) {
+    const key = row.member_id === null ? "unattributed" : row.member_id;
+    if (!byMember.has(key)) {
+      byMember.set(key, {
+        member_id: row.member_id,
+        whatsapp_from: row.whatsapp_from || null,
+        role: row.role || null,
+        sales_by_currency: [],
+        expenses_by_currency: [],
+      });
+    }
+    const entry = byMember.get(key);
+    if (row.kind === "sales") {
+      entry.sales_by_currency.push({
+        currency: row.currency,
+        total_amount: toAmount(row.total_amount, row.currency),
+        total_qty: Number(row.total_qty),
+        entries: Number(row.entries),
+      });
+    } else {
+      entry.expenses_by_currency.push({
+        currency: row.currency,
+        total_amount: toAmount(row.total_amount, row.currency),
+        entries: Number(row.entries),
+      });
+    }
+  }
+  return [...byMember.values()];
+}
+
+// "🔁 auto" when everything came from recurring expenses, else how much of it did
+function autoNote(currency, auto, total, lang) {
+  if (!(Number(auto) > 0)) return "";
+  return Number(auto) >= Number(total)
+    ? t(lang, "auto_all")
+    : t(lang, "auto_part", { amount: formatMoney(currency, auto, lang) });
+}
+
+function buildWhatsAppSummaryText(summary) {
+  const lang = summary.business?.language;
+  const money = (currency, amount) => formatMoney(currency, amount, lang);
+  const auto = (r, total) => autoNote(r.currency, r.auto_amount, total, lang);
+  const none = `• ${t(lang, "none")}`;
+  const businessName = summary.business?.business_name || t(lang, "business_default");
+  const headline = comparisonHeadline(summary.comparison, lang);
+
+  const salesLines =
+    summary.totals.salesTotals.length > 0
+      ? summary.totals.salesTotals
+          .map((r) => `• ${money(r.currency, r.total_amount)} ${t(lang, "qty", { qty: Number(r.total_qty) })}`)
+          .join("\n")
+      : none;
+
+  const expenseLines =
+    summary.totals.expenseTotals.length > 0
+      ? summary.totals.expenseTotals
+          .map((r) => `• ${money(r.currency, r.total_amount)}${auto(r, r.total_amount)}`)
+          .join("\n")
+      : none;
+
+  const grossLines = summary.totals.salesTotals
+    .filter((r) => Number(r.cogs) > 0)
+    .map((r) => {
+      const gross = subtractMoney(r.currency, r.total_amount, r.cogs);
+      const note = Number(r.uncosted_qty) > 0 ? t(lang, "units_without_cost", { qty: Number(r.uncosted_qty) }) : "";
+      return `• ${t(lang, "cogs_line", { cogs: money(r.currency, r.cogs), gross: money(r.currency, gross) })}${note}`;
+    })
+    .join("\n");
+
+  // Only when something was sold on credit or paid back
+  const repaid = {};
+  for (const r of summary.totals.repayments || []) repaid[r.currency] = toAmount(r.total_amount, r.currency);
+  const cashLines = summary.totals.salesTotals
+    .map((r) => r.currency)
+    .concat(Object.keys(repaid).filter((c) => !summary.totals.salesTotals.some((r) => r.currency === c)))
+    .map((c) => {
+      const row = summary.totals.salesTotals.find((r) => r.currency === c);
+      const credit = row ? toAmount(row.credit_amount, c) : 0;
+      if (!credit && !repaid[c]) return "";
+      return (
+        `• ${t(lang, "received", { amount: money(c, summary.totals.cashReceivedByCurrency[c]) })}` +
+        (repaid[c] ? t(lang, "incl_repaid", { amount: money(c, repaid[c]) }) : "") +
+        (credit ? t(lang, "on_credit_amount", { amount: money(c, credit) }) : "")
+      );
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  const owed = {};
+  for (const d of summary.insights.debts || []) owed[d.currency] = addMoney(d.currency, owed[d.currency], d.balance);
+  const debtCount = new Set((summary.insights.debts || []).map((d) => d.customer_id)).size;
+  const owedAmounts = Object.entries(owed)
+    .map(([c, v]) => money(c, v))
+    .join(" + ");
+  const owedLine = debtCount ? `${t(lang, "owed_now", { amounts: owedAmounts, count: debtCount })}\n\n` : "";
+
+  const netLines =
     Object.keys(summary.totals.netByCurrency).length > 0
-      ? Object.entries(summary.totals.netByCurrency).map(([c, v]) => `• ${formatMoney(c, v)}`).join("\n")
+      ? Object.entries(summary.totals.netByCurrency).map(([c, v]) => `• ${money(c, v)}`).join("\n")
       : "• 0";
 
-  const topSales =
-    summary.insights.topProductsByRevenue.length > 0
-      ? summary.insights.topProductsByRevenue
-          .map((r) => `• ${r.item}: ${formatMoney(r.currency, r.revenue)} (qty: ${Number(r.qty)})`)
-          .join("\n")
-      : "• None";
+  // Only worth showing when more than the default currency is involved
+  const conv = summary.totals.converted;
+  const foreign = [...summary.totals.salesTotals, ...summary.totals.expenseTotals].some(
+    (r) => conv && r.currency !== conv.currency
+  );
+  const unconverted = conv ? conv.unconverted.sales + conv.unconverted.expenses : 0;
+  const convertedBlock = foreign
+    ? `${t(lang, "all_in", { currency: conv.currency })}\n` +
+      `• ${t(lang, "label_sales")} ${money(conv.currency, conv.sales)}\n` +
+      `• ${t(lang, "label_expenses")} ${money(conv.currency, conv.expenses)}\n` +
+      `• ${t(lang, "label_net")} ${money(conv.currency, conv.net)}` +
+      (unconverted ? `\n• ${t(lang, "no_rate_entries", { count: unconverted })}` : "") +
+      `\n\n`
+    : "";
+
+  const topSales =
+    summary.insights.topProductsByRevenue.length > 0
+      ? summary.insights.topProductsByRevenue
+          .map((r) => {
+            const line = `• ${r.item}: ${money(r.currency, r.revenue)} ${t(lang, "qty", { qty: Number(r.qty) })}`;
+            const p = profitFields(r.revenue, r.cost, r.uncosted_qty, r.currency);
+            if (p.gross_profit === null) return line;
+            const margin = p.margin_pct === null ? "" : t(lang, "margin", { pct: p.margin_pct });
+            const costProfit = t(lang, "cost_profit", {
+              cost: money(r.currency, p.cost),
+              profit: money(r.currency, p.gross_profit),
+            });
+            return `${line}\n   ${costProfit}${margin}`;
+          })
+          .join("\n")
+      : none;
+
+  const topExpenses =
+    summary.insights.topExpenseCategories.length > 0
+      ? summary.insights.topExpenseCategories
+          .map((r) => `• ${r.category}: ${money(r.currency, r.total)}${auto(r, r.total)}`)
+          .join("\n")
+      : none;
+
+  const budgetLines = (summary.insights.budgets || []).map((b) => `• ${describeBudget(b, lang)}`).join("\n");
+
+  // No stock section for a past period (stockSnapshot is null)
+  const stockSnapshot = summary.insights.stockSnapshot;
+  let stockPreview = null;
+  if (stockSnapshot) {
+    stockPreview = stockSnapshot.length
+      ? stockSnapshot.slice(0, 5).map((r) => `• ${r.item}: ${Number(r.quantity)}`).join("\n")
+      : none;
+  }
+
+  return (
+    `${t(lang, "summary_title", { business: businessName })}\n` +
+    `${t(lang, "period", { label: summary.window.label })}\n` +
+    (headline ? `${headline}\n` : "") +
+    `\n` +
+    `${t(lang, "summary_sales")}\n${salesLines}\n\n` +
+    (cashLines ? `${t(lang, "cash_vs_credit")}\n${cashLines}\n\n` : "") +
+    owedLine +
+    (grossLines ? `${t(lang, "cost_of_goods")}\n${grossLines}\n\n` : "") +
+    `${t(lang, "summary_expenses")}\n${expenseLines}\n\n` +
+    `${t(lang, "summary_net")}\n${netLines}\n\n` +
+    convertedBlock +
+    `${t(lang, "top_sales")}\n${topSales}\n\n` +
+    `${t(lang, "top_expenses")}\n${topExpenses}\n\n` +
+    (budgetLines ? `${t(lang, "budgets_month")}\n${budgetLines}\n\n` : "") +
+    (stockPreview ? `${t(lang, "stock_latest")}\n${stockPreview}\n\n` : "") +
+    `${t(lang, "versus", { label: summary.comparison.previous_window.label })}\n` +
+    `${buildComparisonLines(summary.comparison, lang)}\n\n` +
+    t(lang, "summary_tip")
+  );
+}
+
+// ==============================
+// Exports (CSV / XLSX)
+// ==============================
+const EXPORT_LINK_TTL_HOURS = Number(process.env.EXPORT_LINK_TTL_HOURS) || 24;
+const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+async function getBusinessTimeZone(businessId) {
+  const r = await pool.query("SELECT timezone FROM businesses WHERE id = $1 LIMIT 1", [businessId]);
+  return r.rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+function exportFileName(businessName, window, ext) {
+  const slug = String(businessName || "business")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `predicta-${slug || "business"}-${window.fromDate}_${window.toDate}.${ext}`;
+}
+
+// Builds an XLSX of all datasets, stores it and returns a time-limited download path
+async function createExportLink(businessId, businessName, window) {
+  const content = await buildXlsxBuffer(Object.keys(DATASETS), businessId, window);
+  const token = crypto.randomBytes(24).toString("base64url");
+  const fileName = exportFileName(businessName, window, "xlsx");
+
+  await pool.query("DELETE FROM export_files WHERE expires_at < NOW()");
+  await pool.query(
+    `INSERT INTO export_files (token, business_id, file_name, content_type, content, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))`,
+    [token, businessId, fileName, XLSX_CONTENT_TYPE, content, EXPORT_LINK_TTL_HOURS]
+  );
+  return { path: `/exports/${token}`, fileName };
+}
+
+// ==============================
+// Bulk CSV import (sales / expenses / opening stock)
+// ==============================
+// Rows are checked with the same validators as the WhatsApp commands, and a real
+// import is all-or-nothing: any invalid row means nothing is inserted.
+const IMPORT_TYPES = {
+  sales: { required: ["item", "quantity", "amount"], optional: ["date", "currency"] },
+  expenses: { required: ["category", "amount"], optional: ["date", "currency"] },
+  stock: { required: ["item", "quantity"], optional: ["date"] },
+};
+const IMPORT_HEADER_ALIASES = { qty: "quantity", total: "amount", product: "item", time: "date", created_at: "date" };
+const MAX_IMPORT_ROWS = 5000;
+
+function validateImportCsv(type, csvText, { defaultCurrency, timeZone }) {
+  const spec = IMPORT_TYPES[type];
+  const [header, ...rows] = parseCsv(csvText);
+  if (!header) return { records: [], errors: [{ row: null, errors: ["CSV is empty."] }], total: 0 };
+
+  const columns = header.map((h) => {
+    const key = String(h).trim().toLowerCase().replace(/\s+/g, "_");
+    return IMPORT_HEADER_ALIASES[key] || key;
+  });
+  const missing = spec.required.filter((c) => !columns.includes(c));
+  if (missing.length) {
+    const expected = [...spec.required, ...spec.optional].join(", ");
+    const message = `Missing column(s): ${missing.join(", ")}. Expected: ${expected}`;
+    return { records: [], errors: [{ row: header.line, errors: [message] }], total: rows.length };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    const message = `Too many rows (max ${MAX_IMPORT_ROWS}). Split the file.`;
+    return { records: [], errors: [{ row: null, errors: [message] }], total: rows.length };
+  }
+
+  const records = [];
+  const errors = [];
+  for (const row of rows) {
+    const cell = {};
+    columns.forEach((c, i) => (cell[c] = String(row[i] ?? "").trim()));
+    const rowErrors = [];
+
+    let occurredAt = null;
+    if (cell.date) {
+      occurredAt = localDateTimeToUtc(cell.date, timeZone);
+      if (!occurredAt) rowErrors.push(`Invalid date "${cell.date}" (use YYYY-MM-DD or YYYY-MM-DD HH:MM).`);
+      else if (occurredAt > new Date()) rowErrors.push(`Date "${cell.date}" is in the future.`);
+    }
+    // an unknown code would otherwise fall back to the default currency
+    if (type !== "stock" && cell.currency && !parseCurrencyCode(cell.currency)) {
+      rowErrors.push(`Unknown currency "${cell.currency}" (use ${CURRENCY_CODES.join(", ")}).`);
+    }
+
+    // CSV cells may contain spaces ("rice bag"); the validators expect command tokens
+    const token = (v) => String(v || "").replace(/\s+/g, "_");
+    let parsed;
+    if (type === "sales") {
+      parsed = validateSaleInput(
+        { item: token(cell.item), qty: cell.quantity, amount: cell.amount, currency: cell.currency },
+        defaultCurrency
+      );
+    } else if (type === "expenses") {
+      parsed = validateExpenseInput(
+        { category: token(cell.category), amount: cell.amount, currency: cell.currency },
+        defaultCurrency
+      );
+    } else {
+      parsed = validateStockInput({ item: token(cell.item), qty: cell.quantity });
+    }
+    if (parsed.error) rowErrors.push(parsed.error);
+
+    if (rowErrors.length) errors.push({ row: row.line, errors: rowErrors });
+    else records.push({ row: row.line, ...parsed.value, occurredAt });
+  }
+  return { records, errors, total: rows.length };
+}
+
+async function runImport(businessId, type, records) {
+  if (type !== "stock") {
+    await warmRates(businessId, records.map((rec) => ({ currency: rec.currency, at: rec.occurredAt })));
+  }
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+    const batch = await db.query(
+      "INSERT INTO import_batches (business_id, type, row_count) VALUES ($1, $2, $3) RETURNING id",
+      [businessId, type, records.length]
+    );
+    const importBatchId = batch.rows[0].id;
+
+    for (const rec of records) {
+      const common = { businessId, importBatchId, occurredAt: rec.occurredAt };
+      if (rec.item) rec.item = await canonicalItemName(businessId, rec.item, db);
+      if (type === "sales") {
+        await recordSale({ ...common, ...rec }, db);
+      } else if (type === "expenses") {
+        await insertExpense({ ...common, ...rec, ...(await categorizeExpense(businessId, rec.category, db)) }, db);
+      } else {
+        await ensureProduct(businessId, rec.item, db);
+        await insertStockMovement({ ...common, item: rec.item, kind: "opening", delta: rec.quantity }, db);
+      }
+    }
+
+    await db.query("COMMIT");
+    return importBatchId;
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    db.release();
+  }
+}
+
+// Deletes every row of an import batch (sale stock movements follow their sales)
+async function rollbackImport(businessId, batchId) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+    const batch = await db.query(
+      "SELECT id, rolled_back_at FROM import_batches WHERE id = $1 AND business_id = $2 FOR UPDATE",
+      [batchId, businessId]
+    );
+    if (!batch.rows.length || batch.rows[0].rolled_back_at) {
+      await db.query("ROLLBACK");
+      return null;
+    }
+
+    const removed = {};
+    for (const table of ["sales", "expenses", "stock_movements"]) {
+      const r = await db.query(`DELETE FROM ${table} WHERE business_id = $1 AND import_batch_id = $2`, [
+        businessId,
+        batchId,
+      ]);
+      removed[table] = r.rowCount;
+    }
+    await db.query("UPDATE import_batches SET rolled_back_at = NOW() WHERE id = $1", [batchId]);
+    await db.query("COMMIT");
+    return removed;
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    db.release();
+  }
+}
+
+// ==============================
+// Expense categories + monthly budgets (see lib/expenseCategories.js)
+// ==============================
+async function getCategorySynonyms(businessId, db = pool) {
+  const r = await db.query("SELECT synonym, category FROM category_synonyms WHERE business_id = $1", [businessId]);
+  return new Map(r.rows.map((row) => [row.synonym, row.category]));
+}
+
+// { category, rawCategory } for what was typed
+async function categorizeExpense(businessId, text, db = pool) {
+  const rawCategory = normalizeItemName(text);
+  return { category: mapCategory(rawCategory, await getCategorySynonyms(businessId, db)), rawCategory };
+}
+
+// Teaches a business word; past expenses typed with that word move to the category too
+async function addCategorySynonym(businessId, synonym, category) {
+  const word = normalizeItemName(synonym);
+  const target = mapCategory(category, await getCategorySynonyms(businessId));
+  await pool.query(
+    `INSERT INTO category_synonyms (business_id, synonym, category)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (business_id, synonym) DO UPDATE SET category = EXCLUDED.category`,
+    [businessId, word, target]
+  );
+  const moved = await pool.query(
+    "UPDATE expenses SET category = $3 WHERE business_id = $1 AND raw_category = $2 AND category <> $3",
+    [businessId, word, target]
+  );
+  return { synonym: word, category: target, moved: moved.rowCount };
+}
+
+async function setBudget(businessId, category, amount, currency) {
+  const r = await pool.query(
+    `INSERT INTO expense_budgets (business_id, category, amount, currency)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (business_id, category)
+     DO UPDATE SET amount = EXCLUDED.amount, currency = EXCLUDED.currency, updated_at = NOW()
+     RETURNING *`,
+    [businessId, category, amount, currency]
+  );
+  return r.rows[0];
+}
+
+async function removeBudget(businessId, category) {
+  const r = await pool.query("DELETE FROM expense_budgets WHERE business_id = $1 AND category = $2", [
+    businessId,
+    category,
+  ]);
+  return r.rowCount > 0;
+}
+
+/**
+ * Budget use for the current calendar month (business timezone). Spending in another
+ * currency counts through its stored conversion rate when that converts into the budget currency.
+ */
+async function getBudgetStatus(businessId, { category = null, now = new Date() } = {}) {
+  const timeZone = await getBusinessTimeZone(businessId);
+  const month = resolvePeriod(parsePeriod("month"), timeZone, now);
+  const r = await pool.query(
+    `SELECT b.category, b.amount AS budget, b.currency,
+            COALESCE(SUM(CASE WHEN e.currency = b.currency THEN e.amount
+                              WHEN e.fx_currency = b.currency THEN e.amount * e.fx_rate END), 0) AS spent
+     FROM expense_budgets b
+     LEFT JOIN expenses e
+       ON e.business_id = b.business_id AND e.category = b.category
+      AND e.created_at >= ($2::timestamptz AT TIME ZONE 'UTC') AND e.created_at < ($3::timestamptz AT TIME ZONE 'UTC')
+     WHERE b.business_id = $1 AND ($4::text IS NULL OR b.category = $4)
+     GROUP BY b.category, b.amount, b.currency
+     ORDER BY b.category`,
+    [...windowParams(businessId, month), category]
+  );
+  return r.rows.map((row) => {
+    const budget = toAmount(row.budget, row.currency);
+    const spent = toAmount(row.spent, row.currency);
+    return {
+      category: row.category,
+      currency: row.currency,
+      budget,
+      spent,
+      remaining: subtractMoney(row.currency, budget, spent),
+      used_pct: budget > 0 ? Math.round((spent / budget) * 1000) / 10 : null,
+      over: spent > budget,
+      month: month.fromDate.slice(0, 7),
+    };
+  });
+}
+
+function describeBudget(b, lang = DEFAULT_LANGUAGE) {
+  const money = (amount) => formatMoney(b.currency, amount, lang);
+  const used = t(lang, "budget_used", { spent: money(b.spent), budget: money(b.budget) });
+  if (b.over) return t(lang, "budget_over", { category: b.category, used, over: money(-b.remaining) });
+  return t(lang, "budget_left", { category: b.category, used, pct: b.used_pct ?? 0, left: money(b.remaining) });
+}
+
+// ==============================
+// Forecasting (see lib/forecast.js)
+// ==============================
+const FORECAST_HISTORY_DAYS = 84;
+const FORECAST_HORIZONS = { week: 7, month: 30 };
+
+// Own keys only: "constructor" or "__proto__" are not horizons
+function isForecastHorizon(name) {
+  return Object.hasOwn(FORECAST_HORIZONS, name);
+}
+
+/**
+ * Next `horizon` local days from tomorrow, over daily sales history from the previous
+ * FORECAST_HISTORY_DAYS full days. Each series starts at its first sale so new products
+ * and currencies aren't dragged down by empty weeks before they existed.
+ */
+async function getForecast(businessId, horizonName = "week", now = new Date()) {
+  if (!isForecastHorizon(horizonName)) horizonName = "week";
+  const horizon = FORECAST_HORIZONS[horizonName];
+  const timeZone = await getBusinessTimeZone(businessId);
+  const local = zonedParts(now, timeZone);
+  const today = { y: local.y, m: local.m, d: local.d };
+
+  const historyDates = [];
+  for (let i = FORECAST_HISTORY_DAYS; i >= 1; i--) historyDates.push(formatDate(addDays(today, -i)));
+  const futureDates = [];
+  for (let i = 1; i <= horizon; i++) futureDates.push(formatDate(addDays(today, i)));
+
+  const r = await pool.query(
+    `SELECT to_char((created_at AT TIME ZONE 'UTC') AT TIME ZONE $4, 'YYYY-MM-DD') AS day,
+            item, currency, SUM(quantity) AS qty, SUM(amount) AS revenue
+     FROM sales
+     WHERE business_id = $1
+       AND created_at >= ($2::timestamptz AT TIME ZONE 'UTC') AND created_at < ($3::timestamptz AT TIME ZONE 'UTC')
+     GROUP BY day, item, currency`,
+    [
+      businessId,
+      startOfLocalDay(addDays(today, -FORECAST_HISTORY_DAYS), timeZone).toISOString(),
+      startOfLocalDay(today, timeZone).toISOString(),
+      timeZone,
+    ]
+  );
+
+  // key -> { date -> value }
+  const byCurrency = new Map();
+  const byItem = new Map();
+  const add = (map, key, day, value) => {
+    if (!map.has(key)) map.set(key, {});
+    const days = map.get(key);
+    days[day] = (days[day] || 0) + value;
+  };
+  for (const row of r.rows) {
+    add(byCurrency, row.currency, row.day, Number(row.revenue));
+    add(byItem, row.item, row.day, Number(row.qty));
+  }
+  const series = (days) => {
+    const first = historyDates.findIndex((d) => days[d] !== undefined);
+    return historyDates.slice(first).map((date) => ({ date, value: days[date] || 0 }));
+  };
+
+  const revenue = [...byCurrency.entries()]
+    .map(([currency, days]) => ({ currency, ...forecastSeries(series(days), futureDates) }))
+    .sort((a, b) => b.total - a.total);
+
+  const stock = new Map((await getStockSnapshot(businessId)).map((s) => [s.item, s]));
+  const items = [...byItem.entries()]
+    .map(([item, days]) => {
+      const f = forecastSeries(series(days), futureDates);
+      const s = stock.get(item);
+      const inStock = s && s.tracked ? Number(s.quantity) : null;
+      // Enough to cover the top of the range, where stock is tracked
+      const restockQty = inStock === null ? null : Math.max(0, Math.ceil(f.high - inStock));
+      return {
+        item,
+        units: f.total,
+        low: f.low,
+        high: f.high,
+        confidence: f.confidence,
+        days_of_history: f.days_of_history,
+        stock: inStock,
+        restock_qty: restockQty,
+        daily: f.daily,
+      };
+    })
+    .sort((a, b) => b.units - a.units);
+
+  return {
+    horizon: horizonName,
+    from: futureDates[0],
+    to: futureDates[futureDates.length - 1],
+    timezone: timeZone,
+    revenue,
+    items,
+  };
+}
+
+function formatForecastMessage(forecast, businessName, lang = DEFAULT_LANGUAGE) {
+  const money = (f, amount) => formatMoney(f.currency, amount, lang);
+  const range = (f) => `${Math.round(f.low)}–${Math.round(f.high)}`;
+  const revenueLines = forecast.revenue.length
+    ? forecast.revenue.map((f) => {
+        const spread = `${money(f, f.low)}–${money(f, f.high)}`;
+        return `• ${t(lang, "forecast_range", { amount: money(f, f.total), range: spread })}`;
+      })
+    : [`• ${t(lang, "forecast_no_history")}`];
+  const itemLines = forecast.items
+    .slice(0, 5)
+    .map((f) => `• ${f.item}: ~${Math.round(f.units)} (${range(f)})`);
+  const restock = forecast.items.filter((f) => f.restock_qty > 0);
+  const restockLines = restock
+    .slice(0, 5)
+    .map((f) => `• ${t(lang, "forecast_order", { item: f.item, qty: f.restock_qty, stock: f.stock })}`);
+  const confidence = forecast.revenue[0]?.confidence;
+  const days = Math.max(0, ...forecast.revenue.map((f) => f.days_of_history));
+
+  return [
+    t(lang, "forecast_title", { business: businessName }),
+    t(lang, "forecast_next", { days: FORECAST_HORIZONS[forecast.horizon], from: forecast.from, to: forecast.to }),
+    "",
+    t(lang, "forecast_sales"),
+    ...revenueLines,
+    ...(itemLines.length ? ["", t(lang, "forecast_demand"), ...itemLines] : []),
+    ...(restockLines.length ? ["", t(lang, "forecast_restock"), ...restockLines] : []),
+    "",
+    days
+      ? t(lang, "forecast_based_on", { days, confidence: t(lang, `confidence_${confidence}`) })
+      : t(lang, "forecast_log_daily"),
+  ].join("\n");
+}
+
+// ==============================
+// Scheduled summaries (see lib/reminders.js)
+// ==============================
+async function listReminders(businessId) {
+  const r = await pool.query(
+    "SELECT * FROM reminders WHERE business_id = $1 AND enabled ORDER BY frequency",
+    [businessId]
+  );
+  return r.rows;
+}
+
+async function setReminder(businessId, { frequency, weekday, hour, minute }) {
+  const r = await pool.query(
+    `INSERT INTO reminders (business_id, frequency, weekday, hour, minute, enabled)
+     VALUES ($1, $2, $3, $4, $5, TRUE)
+     ON CONFLICT (business_id, frequency)
+     DO UPDATE SET weekday = EXCLUDED.weekday, hour = EXCLUDED.hour, minute = EXCLUDED.minute,
+                   enabled = TRUE, updated_at = NOW()
+     RETURNING *`,
+    [businessId, frequency, weekday, hour, minute]
+  );
+  return r.rows[0];
+}
+
+// frequency: "daily" | "weekly", or null for both
+async function disableReminders(businessId, frequency = null) {
+  const r = await pool.query(
+    `UPDATE reminders SET enabled = FALSE, updated_at = NOW()
+     WHERE business_id = $1 AND enabled AND ($2::text IS NULL OR frequency = $2)`,
+    [businessId, frequency]
+  );
+  return r.rowCount;
+}
+
+// Daily: today so far; weekly: the last 7 days. Summary and advice go as two messages.
+async function buildReminderMessages(reminder, now = new Date()) {
+  const periodSpec = parsePeriod(reminder.frequency === "weekly" ? "7d" : "today");
+  const internalSummary = await getBusinessSummary(reminder.business_id, periodSpec, { now });
+  const adminShapeSummary = adaptInternalSummaryToAdminShape(internalSummary);
+  return [
+    appendInsightsToSummaryText(buildWhatsAppSummaryText(internalSummary), adminShapeSummary),
+    formatAdviceMessage(adminShapeSummary),
+  ];
+}
+
+// ==============================
+// Recurring expenses (see lib/recurring.js)
+// ==============================
+async function createRecurringExpense(businessId, memberId, spec, timeZone, now = new Date()) {
+  const today = zonedParts(now, timeZone);
+  const template = withDefaultDay(spec, today);
+  const nextDue = formatDate(nextDueFrom(template, today));
+  const r = await pool.query(
+    `INSERT INTO recurring_expenses (business_id, member_id, category, raw_category, amount, currency,
+                                     frequency, day, next_due)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::date)
+     RETURNING *, to_char(next_due, 'YYYY-MM-DD') AS next_due`,
+    [
+      businessId,
+      memberId,
+      template.category,
+      template.rawCategory,
+      template.amount,
+      template.currency,
+      template.frequency,
+      template.day,
+      nextDue,
+    ]
+  );
+  return r.rows[0];
+}
+
+async function listRecurringExpenses(businessId) {
+  const r = await pool.query(
+    `SELECT *, to_char(next_due, 'YYYY-MM-DD') AS next_due
+     FROM recurring_expenses
+     WHERE business_id = $1 AND status <> 'cancelled'
+     ORDER BY id`,
+    [businessId]
+  );
+  return r.rows;
+}
+
+/**
+ * pause | resume | cancel. Resuming starts from the next occurrence from today, so the
+ * paused stretch is not booked on catch-up. Returns { template } or { error }.
+ */
+async function setRecurringStatus(businessId, id, action, timeZone, now = new Date()) {
+  const r = await pool.query(
+    "SELECT * FROM recurring_expenses WHERE id = $1 AND business_id = $2 AND status <> 'cancelled'",
+    [id, businessId]
+  );
+  const template = r.rows[0];
+  if (!template) return { error: `No recurring expense #${id}.` };
+
+  const status = { pause: "paused", resume: "active", cancel: "cancelled" }[action];
+  if (template.status === status) return { error: `#${id} is already ${status}.` };
+
+  const nextDue = action === "resume" ? formatDate(nextDueFrom(template, zonedParts(now, timeZone))) : null;
+  const u = await pool.query(
+    `UPDATE recurring_expenses
+     SET status = $2, next_due = COALESCE($3::date, next_due), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *, to_char(next_due, 'YYYY-MM-DD') AS next_due`,
+    [id, status, nextDue]
+  );
+  return { template: u.rows[0] };
+}
+
+function describeRecurringExpense(t) {
+  return `#${t.id} ${t.category} ${formatMoney(t.currency, t.amount)} ${describeSchedule(t)}`;
+}
 
-  const topExpenses =
-    summary.insights.topExpenseCategories.length > 0
-      ? summary.insights.topExpenseCategories
-          .map((r) => `• ${r.category}: ${formatMoney(r.currency, r.total)}`)
-          .join("\n")
-      : "• None";
+const recurringOccurredAt = (template, dueDate) => startOfLocalDay(parseDate(dueDate), template.timezone);
 
-  const stockPreview =
-    summary.insights.stockSnapshot.length > 0
-      ? summary.insights.stockSnapshot.slice(0, 5).map((r) => `• ${r.item}: ${Number(r.quantity)}`).join("\n")
-      : "• None";
+// Before the job's transaction: exchange rates for the dates about to be booked
+async function prepareRecurringExpenses(template, dueDates) {
+  const entries = dueDates.map((d) => ({ currency: template.currency, at: recurringOccurredAt(template, d) }));
+  await warmRates(template.business_id, entries);
+}
 
-  return (
-    `📊 Predicta Summary (${businessName})\n` +
-    `Period: ${p} (last ${summary.intervalSql})\n\n` +
-    `💰 Sales:\n${salesLines}\n\n` +
-    `💸 Expenses:\n${expenseLines}\n\n` +
-    `📈 Net:\n${netLines}\n\n` +
-    `🏆 Top sales:\n${topSales}\n\n` +
-    `🧾 Top expenses:\n${topExpenses}\n\n` +
-    `📦 Stock (latest):\n${stockPreview}\n\n` +
-    `Tip: send "summary week" or "advice week"`
+// Books one occurrence at local midnight of its due date (inside the job's transaction)
+async function recordRecurringExpense(template, dueDate, db) {
+  return insertExpense(
+    {
+      businessId: template.business_id,
+      memberId: template.member_id,
+      category: template.category,
+      rawCategory: template.raw_category,
+      amount: toAmount(template.amount, template.currency),
+      currency: template.currency,
+      occurredAt: recurringOccurredAt(template, dueDate),
+      recurringId: template.id,
+    },
+    db
   );
 }
 
+const scheduler = createScheduler({
+  intervalMs: (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000,
+  jobs: [
+    createReminderJob({
+      db: pool,
+      messenger,
+      buildMessages: buildReminderMessages,
+      defaultTimeZone: DEFAULT_TIMEZONE,
+    }),
+    createRecurringExpenseJob({
+      db: pool,
+      prepare: prepareRecurringExpenses,
+      recordExpense: recordRecurringExpense,
+      defaultTimeZone: DEFAULT_TIMEZONE,
+    }),
+    { name: "media_expiry", run: () => expireMediaIngestions() },
+  ],
+});
+
 // ==============================
 // Middleware: API key guard (for admin + outbound)
 // ==============================
@@ -466,76 +2669,603 @@ function requireApiKey(req, res, next) {
 }
 
 // ==============================
-// Natural language parser (A/B/C)
+// Entry confirmations (see lib/entryChecks.js)
 // ==============================
-function normalizeIncomingNL(raw) {
-  const s = String(raw || "").trim().replace(/\s+/g, " ");
-  const lower = s.toLowerCase();
+const HISTORY_LIMIT = 20;
+
+// Whether an amount carried its own currency ("£45", "45 GBP") rather than getting the default
+function currencyTyped(amountToken, currencyToken) {
+  return Boolean(splitCurrencySymbol(normalizeAmountToken(amountToken)).currency || parseCurrencyCode(currencyToken));
+}
 
-  // Summary/advice
-  if (lower.startsWith("summary")) return s;
-  if (lower.startsWith("advice")) return s;
-  if (lower === "help") return "help";
+// Only needed (and only looked up) when the business has a limit set
+async function amountForLimit(businessId, checks, amount, currency, defaultCurrency) {
+  if (checks.maxAmount === null) return null;
+  const rate = await getRate(businessId, currency, defaultCurrency);
+  return rate === null ? null : roundMoney(amount * rate);
+}
 
-  // Sold 3 bin for 400 gbp
-  // Sold 3 bin for £400
-  {
-    const m = s.match(/^sold\s+(\d+)\s+(.+?)\s+for\s+(.+)$/i);
-    if (m) {
-      const qty = m[1];
-      const item = m[2].trim().replace(/\s+/g, "_"); // keep 1 token
-      const rest = m[3].trim();
-      const parts = rest.split(" ");
-      // rest may be "£400" or "400 gbp"
-      const amountToken = parts[0];
-      const currencyToken = parts[1];
-      return `sale ${item} ${qty} ${amountToken}${currencyToken ? " " + currencyToken : ""}`;
+/**
+ * Concerns for a validated sale (validateSaleInput value). product is the catalogue row or
+ * null for a new item; typed is false when the currency came from the default.
+ */
+async function saleConcerns(businessId, sale, { product, typed, checks, defaultCurrency }) {
+  const past = await pool.query(
+    `SELECT COALESCE(unit_price, amount / quantity) AS amount, currency
+     FROM sales
+     WHERE business_id = $1 AND item = $2 AND quantity > 0
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${HISTORY_LIMIT}`,
+    [businessId, sale.item]
+  );
+  const listPrice = product ? { amount: product.unit_price, currency: product.price_currency } : null;
+  return entryConcerns(
+    { compared: sale.unitPrice, currency: sale.currency, currencyTyped: typed, newItem: !product },
+    usualAmount(listPrice, past.rows),
+    checks,
+    await amountForLimit(businessId, checks, sale.amount, sale.currency, defaultCurrency)
+  );
+}
+
+async function expenseConcerns(businessId, expense, { typed, checks, defaultCurrency }) {
+  const past = await pool.query(
+    `SELECT amount, currency
+     FROM expenses
+     WHERE business_id = $1 AND category = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${HISTORY_LIMIT}`,
+    [businessId, expense.category]
+  );
+  return entryConcerns(
+    { compared: expense.amount, currency: expense.currency, currencyTyped: typed, newItem: false },
+    usualAmount(null, past.rows),
+    checks,
+    await amountForLimit(businessId, checks, expense.amount, expense.currency, defaultCurrency)
+  );
+}
+
+function describeChecks(checks, defaultCurrency) {
+  const on = [
+    checks.priceFactor ? `amounts over ${checks.priceFactor}x or under 1/${checks.priceFactor} of usual` : null,
+    checks.maxAmount !== null ? `totals above ${formatMoney(defaultCurrency, checks.maxAmount)}` : null,
+    checks.currency ? "a defaulted currency you don't usually use" : null,
+    checks.newItems ? "new items" : null,
+  ].filter(Boolean);
+  return `${on.length ? on.join(", ") : "never"} (answer within ${checks.timeoutMinutes} min)`;
+}
+
+function describeConcern(c, { item, defaultCurrency, lang }) {
+  if (c.check === "new_item") return t(lang, "concern_new_item", { item });
+  if (c.check === "currency") return t(lang, "concern_currency", { currency: defaultCurrency, usual: c.usual });
+  if (c.check === "price") {
+    return t(lang, item ? "concern_price" : "concern_amount", { amount: formatMoney(c.currency, c.usual, lang) });
+  }
+  return t(lang, "concern_limit", { limit: formatMoney(defaultCurrency, c.limit, lang) });
+}
+
+const describeSaleEntry = (sale, lang) =>
+  t(lang, "entry_sale", { item: sale.item, qty: sale.quantity, amount: formatMoney(sale.currency, sale.amount, lang) });
+const describeExpenseEntry = (expense, lang) =>
+  t(lang, "entry_expense", { category: expense.category, amount: formatMoney(expense.currency, expense.amount, lang) });
+
+/**
+ * Holds `command` until the sender answers. entries: [{ label, reasons }] for the entries
+ * that need a look, out of `total` in the message; YES replays the command as confirmed, NO drops it.
+ * date / occurredAt: what the message resolved to when sent (a dated message's local date and time),
+ * kept so a late YES doesn't work "yesterday" out again. settled: the questions answered before this one.
+ */
+async function askEntryConfirmation(
+  businessId,
+  from,
+  checks,
+  command,
+  entries,
+  { total = entries.length, lang, date = null, occurredAt = null, settled = [] } = {}
+) {
+  const payload = {
+    yes: command,
+    no: null,
+    date,
+    occurredAt: (occurredAt || new Date()).toISOString(),
+    settled: settling(settled, "concerns"),
+  };
+  await savePendingAction(businessId, from, "confirm_entry", payload, checks.timeoutMinutes);
+  const expiry = t(lang, "reply_yes_no", { minutes: checks.timeoutMinutes });
+  if (total === 1) {
+    const reasons = entries[0].reasons.map((r) => `• ${r}`).join("\n");
+    return `${t(lang, "confirm_one", { label: entries[0].label })}\n${reasons}\n${expiry}`;
+  }
+  return (
+    `${t(lang, "confirm_many", { total })}\n` +
+    entries.map((e) => `• ${e.label}: ${e.reasons.join("; ")}`).join("\n") +
+    `\n${expiry}`
+  );
+}
+
+// ==============================
+// Natural language (see lib/nlParser.js)
+// ==============================
+// Splits `total` in proportion to `weights` (equal shares when they add up to 0); the last share takes the rounding
+function splitAmount(total, weights) {
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  const shares = weights.map((w) => roundMoney((total * (sum > 0 ? w : 1)) / (sum > 0 ? sum : weights.length)));
+  shares[shares.length - 1] = roundMoney(total - shares.slice(0, -1).reduce((acc, s) => acc + s, 0));
+  return shares;
+}
+
+// Line items with their catalogue product; a shared total is split by saved price x qty when
+// every item has one in the same currency, else by qty.
+async function resolveLineItems(businessId, entry, priceOf) {
+  const lines = [];
+  for (const line of entry.items) {
+    const product = await findProduct(businessId, line.item);
+    lines.push({ ...line, item: product ? product.name : normalizeItemName(line.item), product });
+  }
+  if (!entry.total) return lines;
+
+  const priced = lines.map((l) => (l.product ? priceOf(l.product) : null));
+  const currencies = new Set(priced.map((p) => p && p.currency));
+  const byPrice = priced.every((p) => p && p.amount !== null) && currencies.size === 1;
+  const weights = lines.map((l, i) => (byPrice ? Number(priced[i].amount) * l.qty : l.qty));
+  const shares = splitAmount(entry.total.amount, weights);
+  return lines.map((l, i) => ({ ...l, price: { kind: "total", amount: shares[i], currency: entry.total.currency } }));
+}
+
+const priceArgs = (price) =>
+  !price
+    ? {}
+    : price.kind === "unit"
+      ? { unitPrice: String(price.amount), unitCurrency: price.currency }
+      : { amount: String(price.amount), currency: price.currency };
+
+// Validated sales for one sale entry: [{ sale, product, typed }] (typed: the currency was given)
+async function prepareParsedSale(entry, { businessId, defaultCurrency }, out) {
+  const lines = await resolveLineItems(businessId, entry, (p) => ({ amount: p.unit_price, currency: p.price_currency }));
+  const listPriceOf = (l) => (l.product ? { amount: l.product.unit_price, currency: l.product.price_currency } : null);
+
+  // A fixed discount is shared across the items by value; a percentage applies to each
+  let discounts = lines.map(() => entry.discount);
+  if (entry.discount && !entry.discount.endsWith("%") && lines.length > 1) {
+    const gross = lines.map((l) => {
+      const v = validateSaleInput({ item: l.item, qty: l.qty, ...priceArgs(l.price) }, defaultCurrency, listPriceOf(l));
+      return v.error ? 0 : v.value.amount;
+    });
+    discounts = splitAmount(Number(entry.discount), gross).map(String);
+  }
+
+  const sales = [];
+  for (const [i, line] of lines.entries()) {
+    const parsed = validateSaleInput(
+      { item: line.item, qty: line.qty, ...priceArgs(line.price), discount: discounts[i] },
+      defaultCurrency,
+      listPriceOf(line)
+    );
+    if (parsed.error) out.problems.push(`${line.item}: ${parsed.error}`);
+    else sales.push({ sale: parsed.value, product: line.product, typed: !line.price || Boolean(line.price.currency) });
+  }
+  return sales;
+}
+
+async function recordParsedSale(entry, ctx, occurredAt, out) {
+  const { businessId, memberId, from, isOwner, mediaId, db, language: lang } = ctx;
+  if (entry.credit && !entry.customer) {
+    out.problems.push(t(lang, "batch_credit_buyer"));
+    return;
+  }
+  const sales = await prepareParsedSale(entry, ctx, out);
+  const customer = entry.customer && sales.length ? await ensureCustomer(businessId, entry.customer, db) : null;
+
+  for (const { sale, product: known } of sales) {
+    const { saleId, product } = await recordSale(
+      {
+        businessId,
+        memberId,
+        ...sale,
+        customerId: customer ? customer.id : null,
+        payment: entry.credit ? "credit" : "cash",
+        occurredAt,
+        mediaId,
+      },
+      db
+    );
+    const amount = formatMoney(sale.currency, sale.amount, lang);
+    out.lines.push(
+      t(lang, "batch_sale", { id: saleId, item: sale.item, qty: sale.quantity, amount }) +
+        (known ? "" : t(lang, "batch_new_item"))
+    );
+
+    out.after.push(async () => {
+      const level = await getStockLevel(businessId, sale.item);
+      const alert = await checkReorderLevel(businessId, sale.item, level, lang);
+      const alertText = await deliverReorderAlert(businessId, from, isOwner, alert);
+      const warning = alertText || stockWarning(sale.item, level, reorderLevelOf(product), lang);
+      if (warning) out.warnings.push(warning);
+    });
+  }
+
+  if (customer && entry.credit) {
+    out.after.push(async () => {
+      const balances = await getCustomerBalances(businessId, customer.id);
+      out.warnings.push(`💳 ${describeBalance(customer.name, balances, lang)}`);
+    });
+  }
+}
+
+// The validated, categorized expense for one expense entry, or null
+async function prepareParsedExpense(entry, { businessId, defaultCurrency }, out) {
+  const parsed = validateExpenseInput(
+    { category: entry.category, amount: String(entry.amount), currency: entry.currency },
+    defaultCurrency
+  );
+  if (parsed.error) {
+    out.problems.push(`${entry.category}: ${parsed.error}`);
+    return null;
+  }
+  return { ...parsed.value, ...(await categorizeExpense(businessId, parsed.value.category)) };
+}
+
+async function recordParsedExpense(entry, ctx, occurredAt, out) {
+  const { businessId, memberId, mediaId, db, language: lang } = ctx;
+  const expense = await prepareParsedExpense(entry, ctx, out);
+  if (!expense) return;
+  const expenseId = await insertExpense({ businessId, memberId, ...expense, occurredAt, mediaId }, db);
+  const amount = formatMoney(expense.currency, expense.amount, lang);
+  out.lines.push(t(lang, "batch_expense", { id: expenseId, category: expense.category, amount }));
+
+  out.after.push(async () => {
+    const [budget] = await getBudgetStatus(businessId, { category: expense.category });
+    if (budget && budget.over) out.warnings.push(`🎯 ${describeBudget(budget, lang)}`);
+  });
+}
+
+// Stock in for every item, at its unit cost when the price is known. No expense is logged: the cost
+// reaches net as COGS when the stock sells (see lib/profit.js)
+async function recordParsedPurchase(entry, ctx, occurredAt, out) {
+  const { businessId, memberId, defaultCurrency, mediaId, db, language: lang } = ctx;
+  const lines = await resolveLineItems(businessId, entry, (p) => ({ amount: p.cost_price, currency: p.cost_currency }));
+
+  for (const line of lines) {
+    if (!Number.isInteger(line.qty) || line.qty <= 0) {
+      out.problems.push(`${line.item}: Qty must be a whole number above 0.`);
+      continue;
     }
+    const cost = purchaseUnitCost(line.price, line.qty, defaultCurrency);
+    if (cost) await setProductCost(businessId, line.item, cost.amount, cost.currency, db);
+    else await ensureProduct(businessId, line.item, db);
+    const stockId = await insertStockMovement(
+      {
+        businessId,
+        memberId,
+        item: line.item,
+        kind: "purchase",
+        delta: line.qty,
+        unitCost: cost ? cost.amount : null,
+        costCurrency: cost ? cost.currency : null,
+        occurredAt,
+        mediaId,
+      },
+      db
+    );
+    const level = await getStockLevel(businessId, line.item, db);
+    out.after.push(() => checkReorderLevel(businessId, line.item, level, lang));
+    out.lines.push(
+      t(lang, "batch_stock", {
+        id: stockId,
+        item: line.item,
+        delta: `+${line.qty}`,
+        cost: cost ? t(lang, "entry_each", { amount: formatMoney(cost.currency, cost.amount, lang) }) : "",
+        qty: level.quantity,
+      })
+    );
+    if (!cost) out.warnings.push(t(lang, "batch_no_cost", { item: line.item }));
+  }
+}
+
+async function recordParsedStock(entry, ctx, occurredAt, out) {
+  const { businessId, memberId, defaultCurrency, mediaId, db, language: lang } = ctx;
+  const item = await canonicalItemName(businessId, entry.item, db);
+  if (!Number.isInteger(entry.qty) || entry.qty <= 0) {
+    out.problems.push(`${item}: Qty must be a whole number above 0.`);
+    return;
   }
+  const cost = entry.cost ? { amount: entry.cost.amount, currency: entry.cost.currency || defaultCurrency } : null;
+  if (cost) await setProductCost(businessId, item, cost.amount, cost.currency, db);
+  else await ensureProduct(businessId, item, db);
+
+  const kind = { add: "purchase", remove: "adjustment", writeoff: "writeoff" }[entry.action];
+  const delta = entry.action === "add" ? entry.qty : -entry.qty;
+  const stockId = await insertStockMovement(
+    {
+      businessId,
+      memberId,
+      item,
+      kind,
+      delta,
+      unitCost: cost ? cost.amount : null,
+      costCurrency: cost ? cost.currency : null,
+      occurredAt,
+      mediaId,
+    },
+    db
+  );
+  const level = await getStockLevel(businessId, item, db);
+  out.after.push(() => checkReorderLevel(businessId, item, level, lang));
+  const change = `${delta > 0 ? "+" : ""}${delta}`;
+  out.lines.push(t(lang, "batch_stock", { id: stockId, item, delta: change, cost: "", qty: level.quantity }));
+}
 
-  // Spent £30 on fuel
-  // Spent 30 gbp on fuel
-  // Spent $30 ads
-  {
-    const m = s.match(/^spent\s+(.+?)\s+on\s+(.+)$/i);
-    if (m) {
-      const amountPart = m[1].trim();
-      const category = m[2].trim().replace(/\s+/g, "_");
-      const parts = amountPart.split(" ");
-      const amountToken = parts[0];
-      const currencyToken = parts[1];
-      return `expense ${category} ${amountToken}${currencyToken ? " " + currencyToken : ""}`;
+async function recordParsedPayment(entry, ctx, occurredAt, out) {
+  const { businessId, memberId, defaultCurrency, mediaId, db, language: lang } = ctx;
+  const match = await resolveCustomer(businessId, entry.customer);
+  if (!match.customer) {
+    out.problems.push(
+      t(lang, "customer_unknown", { name: match.name }) +
+        (match.suggestion ? ` ${t(lang, "customer_did_you_mean", { suggestion: match.suggestion })}` : "")
+    );
+    return;
+  }
+  const currency = entry.currency || defaultCurrency;
+  const paymentId = await recordCustomerPayment(
+    { businessId, memberId, customerId: match.customer.id, amount: entry.amount, currency, occurredAt, mediaId },
+    db
+  );
+  const amount = formatMoney(currency, entry.amount, lang);
+  out.lines.push(t(lang, "batch_payment", { id: paymentId, customer: match.customer.name, amount }));
+  out.after.push(async () => {
+    const balances = await getCustomerBalances(businessId, match.customer.id);
+    out.warnings.push(`💳 ${describeBalance(match.customer.name, balances, lang)}`);
+  });
+}
+
+const PARSED_ENTRY_RECORDERS = {
+  sale: recordParsedSale,
+  expense: recordParsedExpense,
+  purchase: recordParsedPurchase,
+  stock: recordParsedStock,
+  payment: recordParsedPayment,
+};
+
+// Sales and expenses in the message that need a look: [{ label, reasons }]
+async function parsedMessageConcerns(parsed, ctx) {
+  const { businessId, checks, defaultCurrency, language: lang } = ctx;
+  const ignored = { problems: [] };
+  const flagged = [];
+  for (const entry of parsed.entries) {
+    if (entry.type === "sale") {
+      for (const { sale, product, typed } of await prepareParsedSale(entry, ctx, ignored)) {
+        const concerns = await saleConcerns(businessId, sale, { product, typed, checks, defaultCurrency });
+        const reasons = concerns.map((c) => describeConcern(c, { item: sale.item, defaultCurrency, lang }));
+        if (reasons.length) flagged.push({ label: describeSaleEntry(sale, lang), reasons });
+      }
+    } else if (entry.type === "expense") {
+      const expense = await prepareParsedExpense(entry, ctx, ignored);
+      const concerns = expense
+        ? await expenseConcerns(businessId, expense, { typed: Boolean(entry.currency), checks, defaultCurrency })
+        : [];
+      const reasons = concerns.map((c) => describeConcern(c, { defaultCurrency, lang }));
+      if (reasons.length) flagged.push({ label: describeExpenseEntry(expense, lang), reasons });
     }
   }
+  return flagged;
+}
 
-  // Add stock bin 10
-  {
-    const m = s.match(/^add\s+stock\s+(.+?)\s+(\d+)$/i);
-    if (m) {
-      const item = m[1].trim().replace(/\s+/g, "_");
-      const qty = m[2];
-      return `stockadd ${item} ${qty}`;
+// Currencies typed in a parsed message (exchange rates to fetch before its transaction)
+function parsedCurrencies(parsed) {
+  const found = new Set();
+  for (const e of parsed.entries) {
+    const typed = [e.currency, e.total && e.total.currency, e.cost && e.cost.currency];
+    for (const item of e.items || []) typed.push(item.price && item.price.currency);
+    for (const c of typed) if (c) found.add(c);
+  }
+  return [...found];
+}
+
+/**
+ * Records a message the single commands can't take as is (several line items, a past date,
+ * a purchase) and returns the reply. Unless `confirmed` settles them, suspicious entries first get a
+ * YES/NO question that replays `text`.
+ * ctx: { businessId, memberId, from, isOwner, defaultCurrency, checks, confirmed, text, language }.
+ */
+async function recordParsedMessage(parsed, ctx) {
+  if (!ctx.confirmed.has("concerns")) {
+    const flagged = await parsedMessageConcerns(parsed, ctx);
+    if (flagged.length) {
+      const total = parsed.entries.reduce((acc, e) => acc + (e.items ? e.items.length : 1), 0);
+      const options = {
+        total,
+        lang: ctx.language,
+        date: parsed.date,
+        occurredAt: parsed.occurredAt,
+        settled: ctx.confirmed,
+      };
+      return askEntryConfirmation(ctx.businessId, ctx.from, ctx.checks, ctx.text, flagged, options);
     }
   }
 
-  // Remove stock bin 5
-  {
-    const m = s.match(/^remove\s+stock\s+(.+?)\s+(\d+)$/i);
-    if (m) {
-      const item = m[1].trim().replace(/\s+/g, "_");
-      const qty = m[2];
-      return `stockremove ${item} ${qty}`;
+  // All entries or none. Alerts and balance/budget warnings (out.after) run once committed.
+  const out = { lines: [], problems: [], warnings: [], after: [] };
+  const currencies = parsedCurrencies(parsed);
+  await warmRates(ctx.businessId, currencies.map((currency) => ({ currency, at: parsed.occurredAt })));
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+    for (const entry of parsed.entries) {
+      await PARSED_ENTRY_RECORDERS[entry.type](entry, { ...ctx, db }, parsed.occurredAt, out);
     }
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    db.release();
   }
+  for (const followUp of out.after) await followUp();
 
-  // If user types: "stock bin 400" / "sale bin 3 £400" etc, keep it.
-  return s;
+  const lang = ctx.language;
+  const count = out.lines.length;
+  const header = count ? t(lang, "batch_recorded", { count, date: parsed.date }) : t(lang, "batch_nothing");
+  const problems = out.problems.map((p) => `• ${p}`).join("\n");
+  return (
+    `${header}\n` +
+    out.lines.map((l) => `• ${l}`).join("\n") +
+    (out.problems.length ? `\n\n${t(lang, "batch_problems")}\n${problems}` : "") +
+    (out.warnings.length ? `\n\n${out.warnings.join("\n")}` : "") +
+    (count ? `\n\n${t(lang, "batch_mistake")}` : "")
+  );
 }
 
 function unTokenizeItem(token) {
   return String(token || "").replace(/_/g, " ").trim();
 }
 
+// ==============================
+// Voice notes + receipt photos (see lib/mediaIngest.js)
+// ==============================
+async function insertMediaIngestion({ businessId, memberId, from, messageSid, media, caption, result, status }) {
+  const r = await pool.query(
+    `INSERT INTO media_ingestions (business_id, member_id, whatsapp_from, message_sid, kind, media_url, content_type,
+                                   caption, adapter, extracted_text, message_text, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING id`,
+    [
+      businessId,
+      memberId,
+      from,
+      messageSid || null,
+      result.kind,
+      media.url,
+      media.contentType || null,
+      caption || null,
+      result.adapter || null,
+      result.text || null,
+      result.message || null,
+      status,
+      result.error || null,
+    ]
+  );
+  return r.rows[0].id;
+}
+
+// pending -> recorded | failed (YES, but nothing was recorded) | rejected | expired, once;
+// an answer still settles a row the expiry job got to while it was being replayed
+async function resolveMediaIngestion(mediaId, status, error = null) {
+  await pool.query(
+    `UPDATE media_ingestions SET status = $2, error = COALESCE($3, error), resolved_at = NOW()
+     WHERE id = $1 AND (status = 'pending' OR (status = 'expired' AND $2 <> 'expired'))`,
+    [mediaId, status, error]
+  );
+}
+
+async function hasMediaRecords(mediaId) {
+  const r = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM sales WHERE media_id = $1)
+         OR EXISTS (SELECT 1 FROM expenses WHERE media_id = $1)
+         OR EXISTS (SELECT 1 FROM stock_movements WHERE media_id = $1)
+         OR EXISTS (SELECT 1 FROM customer_payments WHERE media_id = $1) AS found`,
+    [mediaId]
+  );
+  return r.rows[0].found;
+}
+
+// Scheduler job: pending rows whose question is gone (timed out, passed over or replaced) -> expired
+async function expireMediaIngestions() {
+  const r = await pool.query(
+    `UPDATE media_ingestions m
+     SET status = 'expired', resolved_at = NOW()
+     WHERE m.status = 'pending' AND m.created_at < NOW() - INTERVAL '1 minute'
+       AND NOT EXISTS (
+         SELECT 1 FROM pending_actions p
+         WHERE p.kind = 'confirm_media' AND p.payload->>'mediaId' = m.id::text AND p.expires_at > NOW()::timestamp
+       )`
+  );
+  return { expired: r.rowCount };
+}
+
+// One line per entry of a parsed message, for the confirmation question
+function describeParsedEntries(parsed, defaultCurrency, lang = DEFAULT_LANGUAGE) {
+  const money = (p) => formatMoney(p.currency || defaultCurrency, p.amount, lang);
+  const priceFor = (p) => (p ? t(lang, "entry_for", { amount: money(p) }) : "");
+  const lines = [];
+  for (const e of parsed.entries) {
+    if (e.type === "sale") {
+      for (const i of e.items) {
+        const unit = i.price && i.price.kind === "unit";
+        const price = unit ? t(lang, "entry_each", { amount: money(i.price) }) : priceFor(i.price);
+        lines.push(t(lang, "entry_sale_item", { item: i.item, qty: i.qty }) + price);
+      }
+      const discount = e.discount && (e.discount.endsWith("%") ? e.discount : money({ amount: e.discount }));
+      const extras = [
+        e.total ? t(lang, "entry_total", { amount: money(e.total) }) : null,
+        discount ? t(lang, "entry_less", { amount: discount }) : null,
+        e.customer ? t(lang, e.credit ? "entry_to_credit" : "entry_to", { customer: e.customer }) : null,
+      ].filter(Boolean);
+      if (extras.length) lines[lines.length - 1] += ` (${extras.join(", ")})`;
+    } else if (e.type === "expense") {
+      lines.push(t(lang, "entry_expense", { category: e.category, amount: money(e) }));
+    } else if (e.type === "purchase") {
+      const items = e.items.map((i) => `${i.item} ×${i.qty}${priceFor(i.price)}`);
+      lines.push(t(lang, "entry_purchase", { items: items.join(", ") }) + priceFor(e.total));
+    } else if (e.type === "payment") {
+      lines.push(t(lang, "entry_payment", { customer: e.customer, amount: money(e) }));
+    } else if (e.type === "stock") {
+      lines.push(t(lang, `entry_stock_${e.action}`, { item: e.item, qty: e.qty }));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Reads a voice note or photo, runs the text through the parser and asks before recording:
+ * YES replays the text with the ingestion id so the records point back to it.
+ */
+async function ingestMedia(media, ctx) {
+  const { businessId, memberId, from, messageSid, caption, timeZone, defaultCurrency, checks, language } = ctx;
+  const parse = (text) => parseMessage(text, { timeZone, language });
+  const result = await extractMediaText(media, { parse });
+  const store = (status) =>
+    insertMediaIngestion({ businessId, memberId, from, messageSid, media, caption, result, status });
+
+  if (!result.kind) return t(language, "media_unsupported");
+  if (result.error === "no_adapter") return t(language, `media_no_adapter_${result.kind}`);
+  if (result.error) {
+    console.error("Media ingestion error:", result.error);
+    await store("failed");
+    return t(language, `media_failed_${result.kind}`);
+  }
+
+  const parsed = parse(result.message);
+  const heard = t(language, `media_heard_${result.kind}`);
+  if (!parsed) {
+    await store("unparsed");
+    return `${heard}: "${result.text.replace(/\s+/g, " ").slice(0, 300)}"\n${t(language, "media_unparsed")}`;
+  }
+
+  const mediaId = await store("pending");
+  await savePendingAction(
+    businessId,
+    from,
+    "confirm_media",
+    {
+      yes: result.message,
+      no: null,
+      mediaId,
+      date: parsed.date,
+      occurredAt: (parsed.occurredAt || new Date()).toISOString(),
+      // The entries were shown in full, so YES records them as heard
+      settled: QUESTIONS,
+    },
+    checks.timeoutMinutes
+  );
+  return (
+    `${result.kind === "audio" ? "🎙️" : "🧾"} ${heard}: "${result.message}"\n` +
+    `${t(language, "media_record", { date: parsed.date })}\n` +
+    describeParsedEntries(parsed, defaultCurrency, language)
+      .map((l) => `• ${l}`)
+      .join("\n") +
+    `\n${t(language, "reply_yes_no", { minutes: checks.timeoutMinutes })}`
+  );
+}
+
 // ==============================
 // Routes
 // ==============================
@@ -556,7 +3286,7 @@ app.get("/webhook", (req, res) => {
 });
 
 // Basic inbound (optional legacy route)
-app.post("/webhook", async (req, res) => {
+app.post("/webhook", requireTwilioSignature, async (req, res) => {
   try {
     console.log("Incoming webhook payload:");
     console.log(JSON.stringify(req.body, null, 2));
@@ -631,192 +3361,1023 @@ app.post("/send-whatsapp", requireApiKey, async (req, res) => {
 
 // Inbound: Twilio WhatsApp webhook (TwiML)
 // IMPORTANT: Always return TwiML, even on errors
-app.post("/twilio/whatsapp", async (req, res) => {
+// Requests without a valid X-Twilio-Signature are rejected with 403 before this runs.
+app.post("/twilio/whatsapp", requireTwilioSignature, async (req, res) => {
   const twiml = new twilio.twiml.MessagingResponse();
 
   try {
     const from = req.body.From; // "whatsapp:+..."
     const incomingRaw = (req.body.Body || "").trim();
+    const media = mediaFromWebhook(req.body); // voice notes / photos; Body is then the caption
 
-    if (!from || !incomingRaw) {
+    if (!from || (!incomingRaw && !media.length)) {
       twiml.message("Predicta: I received an empty message. Type 'help' for commands.");
       return res.type("text/xml").status(200).send(twiml.toString());
     }
 
-    const { businessName, defaultCurrency } = getOwnerProfile(from);
-    const businessId = await getOrCreateBusinessId(from, businessName, defaultCurrency);
+    const profile = await getOwnerProfile(from);
+
+    if ((!profile || profile.onboardingStep !== "complete") && !incomingRaw) {
+      twiml.message("Predicta: please reply with text to finish setting up your business.");
+      return res.type("text/xml").status(200).send(twiml.toString());
+    }
 
-    console.log("Inbound WhatsApp:", { from, incomingRaw, businessId });
+    if (!profile || profile.onboardingStep !== "complete") {
+      const onboardingReply = await handleOnboardingMessage(from, profile, incomingRaw);
+      console.log("Onboarding ->", { from, step: profile?.onboardingStep || "new", reply: onboardingReply });
+      twiml.message(onboardingReply);
+      return res.type("text/xml").status(200).send(twiml.toString());
+    }
 
-    // Natural language normalization
-    const normalized = normalizeIncomingNL(incomingRaw);
-    const incoming = normalized.replace(/\s+/g, " ");
+    const { businessId, businessName, defaultCurrency, timeZone, language, memberId, role, canViewReports, checks } =
+      profile;
+    const isOwner = role === "owner";
+
+    console.log("Inbound WhatsApp:", { from, incomingRaw, media: media.length, businessId, memberId, role });
+
+    // A yes/no answer replays the message saved with the question (nothing when it is null);
+    // any other message drops the question
+    const asked = await takePendingAction(from);
+    const pending = asked && asked.active ? asked : null;
+    const expired = Boolean(asked && !asked.active && parseAnswer(incomingRaw));
+    const answer = pending ? parseAnswer(incomingRaw) : null;
+    if (asked && asked.payload.mediaId && !answer) await resolveMediaIngestion(asked.payload.mediaId, "expired");
+    // The questions the answer settles (lib/entryChecks.js): a YES to the item still checks the amount
+    const confirmed = answer ? settledQuestions(pending.payload) : new Set();
+    const text = answer ? pending.payload[answer] || "" : incomingRaw;
+    // Set when the answer is about a voice note / photo: its records point back to it
+    const mediaId = answer ? pending.payload.mediaId || null : null;
+    // A confirmed message keeps the date it was resolved to when first sent ("yesterday" then),
+    // and its records the time it was sent, however late the answer comes
+    const replay = answer && pending.payload.occurredAt ? pending.payload : null;
+    const occurredAt = replay ? new Date(replay.occurredAt) : null;
+
+    // Natural language: a simple message becomes its command; anything richer (several items,
+    // a past date, a purchase) is recorded as a batch below. Command words may be localized ("aide").
+    const parsedText = parseMessage(text, { timeZone, language });
+    const nl = parsedText && replay ? { ...parsedText, date: replay.date || null, occurredAt } : parsedText;
+    const nlCommand = toCommand(nl);
+    const batch = nl && !nlCommand ? nl : null;
+    const incoming = (nlCommand || text).replace(/\s+/g, " ");
     const parts = incoming.split(" ");
-    const cmd = (parts[0] || "").toLowerCase();
+    const cmd = commandFor((parts[0] || "").toLowerCase());
 
     let reply = "";
 
-    if (cmd === "help") {
-      reply = helpText(businessName);
+    const REPORT_COMMANDS = new Set(["summary", "advice", "export", "forecast", "debts"]);
+    const OWNER_COMMANDS = new Set([
+      "settings",
+      "invite",
+      "members",
+      "grant",
+      "revoke",
+      "remove",
+      "alias",
+      "rate",
+      "remind",
+      "category",
+      "recurring",
+      "language",
+    ]);
+
+    if (media.length && !answer) {
+      reply = await ingestMedia(media[0], {
+        businessId,
+        memberId,
+        from,
+        messageSid: req.body.MessageSid,
+        caption: incomingRaw,
+        timeZone,
+        defaultCurrency,
+        checks,
+        language,
+      });
+
+    } else if (expired) {
+      reply = t(language, "expired");
+
+    } else if (answer && !text) {
+      reply = t(language, "not_recorded");
+
+    } else if (REPORT_COMMANDS.has(cmd) && !canViewReports) {
+      reply = t(language, "reports_locked", { business: businessName, cmd });
+
+    } else if (OWNER_COMMANDS.has(cmd) && !isOwner) {
+      reply = t(language, "owner_only", { business: businessName, cmd });
+
+    } else if (batch) {
+      reply = await recordParsedMessage(batch, {
+        businessId,
+        memberId,
+        from,
+        isOwner,
+        defaultCurrency,
+        checks,
+        confirmed,
+        text,
+        mediaId,
+        language,
+      });
+
+    } else if (cmd === "help") {
+      reply = helpText(businessName, language);
+
+    } else if (cmd === "language") {
+      // language               (current setting)
+      // language <name|code>   (replies, YES/NO words and phrasings the parser reads)
+      const arg = parts.slice(1).join(" ");
+      const chosen = arg ? parseLanguage(arg) : null;
+      if (!arg) {
+        reply = t(language, "language_current", { name: LANGUAGES[language].name, choices: languageChoices() });
+      } else if (!chosen) {
+        reply = t(language, "language_unknown", { choices: languageChoices() });
+      } else {
+        await updateBusinessSettings(businessId, { language: chosen });
+        reply = t(chosen, "language_set", { name: LANGUAGES[chosen].name });
+      }
+
+    } else if (cmd === "summary" || cmd === "advice") {
+      // summary [period] | advice [period]  (see lib/periods.js for the grammar)
+      const periodSpec = parsePeriod(parts.slice(1).join(" "));
+      if (periodSpec.error) {
+        reply = t(language, "error_example", {
+          error: periodSpec.error,
+          example: `${cmd} last week | ${cmd} 2026-09-01 to 2026-09-30`,
+        });
+      } else {
+        const internalSummary = await getBusinessSummary(businessId, periodSpec);
+        const adminShapeSummary = adaptInternalSummaryToAdminShape(internalSummary);
+        reply =
+          cmd === "summary"
+            ? appendInsightsToSummaryText(buildWhatsAppSummaryText(internalSummary), adminShapeSummary)
+            : formatAdviceMessage(adminShapeSummary);
+      }
 
-    } else if (cmd === "summary") {
-      const period = (parts[1] || "today").toLowerCase();
-      const internalSummary = await getBusinessSummary(businessId, period);
-      const summaryText = buildWhatsAppSummaryText(internalSummary, period);
-      const adminShapeSummary = adaptInternalSummaryToAdminShape(internalSummary, period);
-      reply = appendInsightsToSummaryText(summaryText, adminShapeSummary);
+    } else if (cmd === "forecast") {
+      // forecast [week|month]
+      const horizon = (parts[1] || "week").toLowerCase();
+      if (!isForecastHorizon(horizon)) {
+        reply = t(language, "usage", { usage: "forecast [week|month]", example: "forecast week" });
+      } else {
+        reply = formatForecastMessage(await getForecast(businessId, horizon), businessName, language);
+      }
 
-    } else if (cmd === "advice") {
-      const period = (parts[1] || "today").toLowerCase();
-      const internalSummary = await getBusinessSummary(businessId, period);
-      const adminShapeSummary = adaptInternalSummaryToAdminShape(internalSummary, period);
-      reply = formatAdviceMessage(adminShapeSummary);
+    } else if (cmd === "export") {
+      // export [period]  (default: this month) -> link to an XLSX with sales, expenses and stock
+      const periodSpec = parsePeriod(parts.slice(1).join(" ") || "month");
+      if (periodSpec.error) {
+        reply = t(language, "error_example", { error: periodSpec.error, example: "export month | export last month" });
+      } else {
+        const window = resolvePeriod(periodSpec, timeZone);
+        const link = await createExportLink(businessId, businessName, window);
+        reply = t(language, "export_ready", {
+          label: window.label,
+          url: `${publicBaseUrl(req)}${link.path}`,
+          file: link.fileName,
+          hours: EXPORT_LINK_TTL_HOURS,
+        });
+      }
 
     } else if (cmd === "sale") {
+      // sale <item> <qty> [<total>[currency]] [@ <unit price>[currency]] [-<n>% | -<amount>]
+      //      [to <customer>] [credit]
+      const [, itemToken, qtyStr, ...rest] = parts;
+      const match = itemToken && qtyStr ? await resolveItem(businessId, itemToken) : null;
+      const saleArgs = parseSaleArgs(rest);
+      const buyer = saleArgs.customer ? await resolveCustomer(businessId, saleArgs.customer) : null;
+
+      if (!match) {
+        reply = t(language, "sale_usage");
+      } else if (saleArgs.credit && !buyer) {
+        reply = t(language, "error_example", {
+          error: t(language, "credit_buyer_missing"),
+          example: "sale rice 3 to musa credit | sold 3 rice to Musa on credit",
+        });
+      } else if (!match.known && match.suggestion && !confirmed.has("item")) {
+        reply = await askItemConfirmation(businessId, from, parts, match.name, match.suggestion, language, confirmed);
+      } else if (buyer && !buyer.customer && buyer.suggestion && !confirmed.has("customer")) {
+        const index = parts.findIndex((p, i) => i > 2 && p.toLowerCase() === "to") + 1;
+        reply = await askCustomerConfirmation(businessId, from, parts, index, buyer.name, buyer.suggestion, confirmed);
+      } else {
+        const product = match.known ? await findProduct(businessId, match.name) : null;
+        const listPrice = product ? { amount: product.unit_price, currency: product.price_currency } : null;
+        const parsed = validateSaleInput({ item: match.name, qty: qtyStr, ...saleArgs }, defaultCurrency, listPrice);
+        const typed =
+          saleArgs.amount !== undefined
+            ? currencyTyped(saleArgs.amount, saleArgs.currency)
+            : saleArgs.unitPrice === undefined || currencyTyped(saleArgs.unitPrice, saleArgs.unitCurrency);
+        const concerns =
+          parsed.error || confirmed.has("concerns")
+            ? []
+            : await saleConcerns(businessId, parsed.value, { product, typed, checks, defaultCurrency });
+        if (parsed.error) {
+          reply = t(language, "sale_not_recorded", { error: parsed.error });
+        } else if (concerns.length) {
+          const reasons = concerns.map((c) =>
+            describeConcern(c, { item: parsed.value.item, defaultCurrency, lang: language })
+          );
+          reply = await askEntryConfirmation(
+            businessId,
+            from,
+            checks,
+            incoming,
+            [{ label: describeSaleEntry(parsed.value, language), reasons }],
+            { lang: language, settled: confirmed }
+          );
+        } else {
+          const customer = buyer ? buyer.customer || (await ensureCustomer(businessId, buyer.name)) : null;
+          const event = {
+            type: "sale",
+            owner: from,
+            businessName,
+            businessId,
+            ...parsed.value,
+            customerId: customer ? customer.id : null,
+            payment: saleArgs.credit ? "credit" : "cash",
+            timestamp: new Date().toISOString(),
+            raw: incomingRaw,
+          };
+          EVENTS.push(event);
+          const { saleId, product: saved } = await recordSale({ businessId, memberId, ...event, mediaId, occurredAt });
+          const money = (currency, amount) => formatMoney(currency, amount, language);
+          const customerLine = customer
+            ? `${t(language, "label_customer")}: ${customer.name}` +
+              `${event.payment === "credit" ? ` (${t(language, "on_credit")})` : ""}\n`
+            : "";
+          const balanceText =
+            event.payment === "credit"
+              ? `\n\n💳 ${describeBalance(customer.name, await getCustomerBalances(businessId, customer.id), language)}`
+              : "";
+          const level = await getStockLevel(businessId, event.item);
+          const alert = await checkReorderLevel(businessId, event.item, level, language);
+          const alertText = await deliverReorderAlert(businessId, from, isOwner, alert);
+          const warning = alertText || stockWarning(event.item, level, reorderLevelOf(saved), language);
+          const profitLine = saleProfitLine(saved, event.quantity, event.amount, event.currency, language);
+          const discountLine = event.discount
+            ? `${t(language, "label_discount")}: ${event.discountPct !== null ? `${event.discountPct}% ` : ""}` +
+              `(-${money(event.currency, event.discount)})\n`
+            : "";
+
+          reply =
+            `${t(language, "sale_recorded", { id: saleId })}\n` +
+            `${t(language, "label_item")}: ${event.item}\n` +
+            `${t(language, "label_unit_price")}: ${money(event.currency, event.unitPrice)}\n` +
+            `${t(language, "label_qty")}: ${event.quantity}\n` +
+            discountLine +
+            `${t(language, "label_total")}: ${money(event.currency, event.amount)}\n` +
+            customerLine +
+            (profitLine ? `${profitLine}\n` : "") +
+            (level.tracked ? `${t(language, "label_stock_left")}: ${level.quantity}\n` : "") +
+            `${t(language, "label_time")}: ${event.timestamp}` +
+            balanceText +
+            (warning ? `\n\n${warning}` : "");
+        }
+      }
+
+    } else if (cmd === "expense") {
+      const [, categoryToken, amountToken, currencyToken] = parts;
+
+      if (!categoryToken || !amountToken) {
+        reply = t(language, "usage", {
+          usage: "expense <category> <amount>[currency]",
+          example: "expense fuel ₦15000",
+        });
+      } else {
+        const parsed = validateExpenseInput(
+          { category: categoryToken, amount: amountToken, currency: currencyToken },
+          defaultCurrency
+        );
+        const expense = parsed.error
+          ? null
+          : { ...parsed.value, ...(await categorizeExpense(businessId, parsed.value.category)) };
+        const concerns =
+          !expense || confirmed.has("concerns")
+            ? []
+            : await expenseConcerns(businessId, expense, {
+                typed: currencyTyped(amountToken, currencyToken),
+                checks,
+                defaultCurrency,
+              });
+        if (parsed.error) {
+          reply = t(language, "expense_not_recorded", { error: parsed.error });
+        } else if (concerns.length) {
+          const reasons = concerns.map((c) => describeConcern(c, { defaultCurrency, lang: language }));
+          reply = await askEntryConfirmation(
+            businessId,
+            from,
+            checks,
+            incoming,
+            [{ label: describeExpenseEntry(expense, language), reasons }],
+            { lang: language, settled: confirmed }
+          );
+        } else {
+          const event = {
+            type: "expense",
+            owner: from,
+            businessName,
+            businessId,
+            ...expense,
+            timestamp: new Date().toISOString(),
+            raw: incomingRaw,
+          };
+          EVENTS.push(event);
+          const expenseId = await insertExpense({ businessId, memberId, ...event, mediaId, occurredAt });
+          const [budget] = await getBudgetStatus(businessId, { category: event.category });
+
+          reply =
+            `${t(language, "expense_recorded", { id: expenseId })}\n` +
+            `${t(language, "label_category")}: ${event.category}` +
+            (event.rawCategory !== event.category ? ` ${t(language, "from_raw", { raw: event.rawCategory })}` : "") +
+            `\n` +
+            `${t(language, "label_amount")}: ${formatMoney(event.currency, event.amount, language)}\n` +
+            `${t(language, "label_time")}: ${event.timestamp}` +
+            (budget ? `\n\n${t(language, "budget_this_month", { budget: describeBudget(budget, language) })}` : "");
+        }
+      }
+
+    } else if (cmd === "paid") {
+      // paid <customer> <amount>[currency]   (a customer paying back what they owe)
+      const [, customerToken, amountToken, currencyToken] = parts;
+      const match = customerToken && amountToken ? await resolveCustomer(businessId, customerToken) : null;
+      const parsed = match ? parseAmountAndCurrency(amountToken, currencyToken, defaultCurrency) : null;
+
+      if (!match || parsed.error || !(parsed.amount > 0)) {
+        reply = t(language, "usage", {
+          usage: "paid <customer> <amount>[currency]",
+          example: "paid musa ₦20000 | Musa paid ₦20000",
+        });
+      } else if (!match.customer && match.suggestion && !confirmed.has("customer")) {
+        const { name, suggestion } = match;
+        reply = await askCustomerConfirmation(businessId, from, parts, 1, name, suggestion, confirmed, "customers");
+      } else if (!match.customer) {
+        reply =
+          `${t(language, "customer_unknown", { name: match.name })}\n` +
+          t(language, "customer_unknown_hint", { name: match.name });
+      } else {
+        const paymentId = await recordCustomerPayment({
+          businessId,
+          memberId,
+          customerId: match.customer.id,
+          amount: parsed.amount,
+          currency: parsed.currency,
+          mediaId,
+        });
+        const balances = await getCustomerBalances(businessId, match.customer.id);
+        reply =
+          `${t(language, "payment_recorded", { id: paymentId })}\n` +
+          `${t(language, "label_from")}: ${match.customer.name}\n` +
+          `${t(language, "label_amount")}: ${formatMoney(parsed.currency, parsed.amount, language)}\n\n` +
+          `💳 ${describeBalance(match.customer.name, balances, language)}`;
+      }
+
+    } else if (cmd === "debts") {
+      // debts  (who owes what, and for how long)
+      const debts = await getDebts(businessId);
+      if (!debts.length) {
+        reply = t(language, "debts_none", { business: businessName });
+      } else {
+        const totals = {};
+        for (const d of debts) totals[d.currency] = addMoney(d.currency, totals[d.currency], d.balance);
+        const overdue = debts.filter((d) => isOverdue(d)).length;
+        const amounts = Object.entries(totals).map(([c, v]) => formatMoney(c, v, language));
+        reply =
+          `${t(language, "debts_title", { business: businessName })}\n` +
+          `${debts.slice(0, 15).map((d) => `• ${describeDebt(d, language)}`).join("\n")}\n\n` +
+          t(language, "debts_total", { amounts: amounts.join(" + ") }) +
+          (overdue ? `\n${t(language, "debts_overdue", { count: overdue, days: DEBT_OVERDUE_DAYS })}` : "") +
+          `\n\n${t(language, "debts_tip")}`;
+      }
+
+    } else if (cmd === "customers") {
+      const r = await pool.query("SELECT id, name FROM customers WHERE business_id = $1 ORDER BY name_key", [
+        businessId,
+      ]);
+      const debts = await getDebts(businessId);
+      const lines = r.rows.slice(0, 30).map((c) => {
+        const owed = debts.filter((d) => d.customer_id === c.id);
+        const balance = owed.map((d) => formatMoney(d.currency, d.balance, language)).join(" + ");
+        return `• ${balance ? t(language, "customer_owes", { name: c.name, amount: balance }) : c.name}`;
+      });
+      reply = r.rows.length
+        ? `${t(language, "customers_title", { count: r.rows.length })}\n${lines.join("\n")}\n\n` +
+          t(language, "customers_tip")
+        : t(language, "customers_none");
+
+    } else if (cmd === "customer") {
+      // customer <name>  (credit sales and payments with the running balance)
+      const match = parts[1] ? await resolveCustomer(businessId, parts.slice(1).join("_")) : null;
+      if (!match) {
+        reply = t(language, "usage", { usage: "customer <name>", example: "customer musa" });
+      } else if (!match.customer) {
+        reply =
+          t(language, "customer_unknown", { name: match.name }) +
+          (match.suggestion ? ` ${t(language, "customer_did_you_mean", { suggestion: match.suggestion })}` : "");
+      } else {
+        const c = match.customer;
+        const entries = runningBalances(await getLedgerRows(businessId, c.id));
+        const lines = entries.slice(-10).map((e) => {
+          const date = formatDate(zonedParts(new Date(e.created_at), timeZone));
+          const amount = formatMoney(e.currency, e.amount, language);
+          const what =
+            e.kind === "credit"
+              ? t(language, "ledger_credit", { item: e.item, qty: Number(e.quantity), amount })
+              : t(language, "ledger_paid", { amount });
+          return `• ${date} ${what} → ${formatMoney(e.currency, e.balance, language)}`;
+        });
+        reply =
+          `👤 ${c.name}\n` +
+          `${lines.length ? lines.join("\n") : t(language, "ledger_none")}\n\n` +
+          `💳 ${describeBalance(c.name, await getCustomerBalances(businessId, c.id), language)}`;
+      }
+
+    } else if (cmd === "stock") {
+      // stock                (low-stock report)
+      // stock <item> <qty>  (SET: opening balance, or an adjustment to reach qty)
+      const parsed = validateStockInput({ item: parts[1], qty: parts[2] });
+      const match = parsed.error ? null : await resolveItem(businessId, parsed.value.item);
+
+      if (!parts[1]) {
+        const low = await getLowStockReport(businessId);
+        const lines = low.map((r) =>
+          t(language, "low_stock_line", {
+            item: r.item,
+            qty: r.quantity,
+            level: r.reorder_level,
+            stockout: describeStockout(r.quantity, r.per_day, language),
+          })
+        );
+        reply = low.length
+          ? `${t(language, "low_stock_title")}\n${lines.map((line) => `• ${line}`).join("\n")}`
+          : t(language, "low_stock_none");
+      } else if (parsed.error) {
+        reply = t(language, "usage", { usage: "stock <item> <qty>", example: "stock rice 20" });
+      } else if (!match.known && match.suggestion && !confirmed.has("item")) {
+        reply = await askItemConfirmation(businessId, from, parts, match.name, match.suggestion, language, confirmed);
+      } else {
+        const { quantity: qty } = parsed.value;
+        const item = match.name;
+        await ensureProduct(businessId, item);
+        const current = await getStockLevel(businessId, item);
+        const kind = current.tracked ? "adjustment" : "opening";
+        const stockId = await insertStockMovement({
+          businessId,
+          memberId,
+          item,
+          kind,
+          delta: qty - current.quantity,
+          mediaId,
+        });
+        const alert = await checkReorderLevel(businessId, item, { quantity: qty, tracked: true }, language);
+        const alertText = await deliverReorderAlert(businessId, from, isOwner, alert);
+        reply =
+          `${t(language, "stock_set", { id: stockId })}\n` +
+          `${t(language, "label_item")}: ${item}\n` +
+          `${t(language, "label_qty")}: ${qty}\n` +
+          `${t(language, "label_time")}: ${new Date().toISOString()}` +
+          (alertText ? `\n\n${alertText}` : "");
+      }
+
+    } else if (cmd === "stockadd" || cmd === "stockremove" || cmd === "writeoff") {
+      // add stock <item> <qty> [@ <unit cost>[currency]]  (purchase, INCREMENT)
+      // remove stock <item> <qty>  (adjustment, DECREMENT)
+      // writeoff <item> <qty>      (damaged/expired, DECREMENT)
       const itemToken = parts[1];
       const qtyStr = parts[2];
-      const amountToken = parts[3];
-      const currencyToken = parts[4];
-      const qty = Number(qtyStr);
-      const item = unTokenizeItem(itemToken).toLowerCase();
+      const delta = Number(qtyStr);
+      const match = itemToken ? await resolveItem(businessId, itemToken) : null;
+      const item = match ? match.name : "";
+      const costToken = cmd === "stockadd" ? parts[3] : undefined;
+      const cost = costToken ? parseAmountAndCurrency(costToken, parts[4], defaultCurrency) : null;
+      const usage = {
+        stockadd: { usage: "add stock <item> <qty> [@ <unit cost>]", example: "add stock rice 10 @ ₦12000" },
+        stockremove: { usage: "remove stock <item> <qty>", example: "remove stock rice 5" },
+        writeoff: { usage: "writeoff <item> <qty>", example: "writeoff rice 2" },
+      }[cmd];
+
+      if (!itemToken || !Number.isInteger(delta) || delta <= 0) {
+        reply = t(language, "usage", usage);
+      } else if (cost && (cost.error || cost.amount < 0)) {
+        reply = t(language, "stock_not_updated", { error: cost.error || t(language, "invalid_unit_cost") });
+      } else if (!match.known && match.suggestion && !confirmed.has("item")) {
+        reply = await askItemConfirmation(businessId, from, parts, item, match.suggestion, language, confirmed);
+      } else {
+        const kind = { stockadd: "purchase", stockremove: "adjustment", writeoff: "writeoff" }[cmd];
+        const signed = cmd === "stockadd" ? delta : -delta;
+        // The latest purchase price becomes the product's unit cost
+        if (cost) await setProductCost(businessId, item, cost.amount, cost.currency);
+        else await ensureProduct(businessId, item);
+        const stockId = await insertStockMovement({
+          businessId,
+          memberId,
+          item,
+          kind,
+          delta: signed,
+          unitCost: cost ? cost.amount : null,
+          costCurrency: cost ? cost.currency : null,
+          mediaId,
+        });
+        const level = await getStockLevel(businessId, item);
+        const alert = await checkReorderLevel(businessId, item, level, language);
+        const alertText = await deliverReorderAlert(businessId, from, isOwner, alert);
+        const product = await findProduct(businessId, item);
+        const warning =
+          alertText || (cmd === "stockadd" ? "" : stockWarning(item, level, reorderLevelOf(product), language));
+        const header = { stockadd: "stock_added", stockremove: "stock_removed", writeoff: "stock_written_off" }[cmd];
+
+        reply =
+          `${t(language, header, { id: stockId })}\n` +
+          `${t(language, "label_item")}: ${item}\n` +
+          `${t(language, cmd === "stockadd" ? "label_added" : "label_removed")}: ${delta}\n` +
+          (cost ? `${t(language, "label_unit_cost")}: ${formatMoney(cost.currency, cost.amount, language)}\n` : "") +
+          `${t(language, "label_new_stock")}: ${level.quantity}\n` +
+          `${t(language, "label_time")}: ${new Date().toISOString()}` +
+          (warning ? `\n\n${warning}` : "");
+      }
+
+    } else if (cmd === "reorder") {
+      // reorder                 (list reorder levels)
+      // reorder <item> <qty>    (alert when stock falls to qty)
+      // reorder <item> off
+      const [, itemToken, levelToken] = parts;
+      const off = String(levelToken || "").toLowerCase() === "off";
+      const reorderLevel = Number(levelToken);
+
+      if (!itemToken) {
+        const levels = (await listProducts(businessId)).filter((p) => p.reorder_level !== null);
+        const lines = levels.map((p) => `• ${p.name}: ${p.reorder_level}`);
+        reply = levels.length
+          ? `${t(language, "reorder_title")}\n${lines.join("\n")}\n` +
+            t(language, "reorder_others", { level: lowStockThreshold() })
+          : t(language, "reorder_none");
+      } else if (!off && (!Number.isInteger(reorderLevel) || reorderLevel < 0)) {
+        reply = t(language, "usage", { usage: "reorder <item> <qty> | reorder <item> off", example: "reorder rice 5" });
+      } else {
+        const item = await canonicalItemName(businessId, itemToken);
+        await setReorderLevel(businessId, item, off ? null : reorderLevel);
+        if (off) {
+          reply = t(language, "reorder_removed", { item });
+        } else {
+          const level = await getStockLevel(businessId, item);
+          const alert = await checkReorderLevel(businessId, item, level, language);
+          reply =
+            t(language, "reorder_set", { item, level: reorderLevel }) +
+            (level.tracked ? `\n${t(language, "stock_now", { qty: level.quantity })}` : "") +
+            (alert ? `\n\n${alert}` : "");
+        }
+      }
+
+    } else if (cmd === "price") {
+      // price                           (list selling prices)
+      // price <item> <amount>[currency]  (default unit price, so "sale rice 3" needs no amount)
+      const [, itemToken, amountToken, currencyToken] = parts;
+
+      if (!itemToken) {
+        const priced = (await listProducts(businessId)).filter((p) => p.unit_price !== null);
+        const lines = priced.map((p) => `• ${p.name}: ${formatMoney(p.price_currency, p.unit_price, language)}`);
+        reply = priced.length ? `${t(language, "prices_title")}\n${lines.join("\n")}` : t(language, "prices_none");
+      } else {
+        const item = await canonicalItemName(businessId, itemToken);
+        const parsed = amountToken ? parseAmountAndCurrency(amountToken, currencyToken, defaultCurrency) : null;
+        if (!parsed || parsed.error || parsed.amount < 0) {
+          reply = t(language, "usage", { usage: "price <item> <amount>[currency]", example: "price rice ₦15000" });
+        } else {
+          await setProductPrice(businessId, item, parsed.amount, parsed.currency);
+          reply = t(language, "price_set", { item, amount: formatMoney(parsed.currency, parsed.amount, language) });
+        }
+      }
+
+    } else if (cmd === "cost") {
+      // cost                         (list unit costs)
+      // cost <item> <amount>[currency]  (set unit cost used for COGS / margin)
+      const [, itemToken, amountToken, currencyToken] = parts;
+
+      if (!itemToken) {
+        const costed = (await listProducts(businessId)).filter((p) => p.cost_price !== null);
+        const lines = costed.map((p) => `• ${p.name}: ${formatMoney(p.cost_currency, p.cost_price, language)}`);
+        reply = costed.length ? `${t(language, "costs_title")}\n${lines.join("\n")}` : t(language, "costs_none");
+      } else {
+        const item = await canonicalItemName(businessId, itemToken);
+        const parsed = amountToken ? parseAmountAndCurrency(amountToken, currencyToken, defaultCurrency) : null;
+        if (!parsed || parsed.error || parsed.amount < 0) {
+          reply = t(language, "usage", { usage: "cost <item> <amount>[currency]", example: "cost rice ₦12000" });
+        } else {
+          await setProductCost(businessId, item, parsed.amount, parsed.currency);
+          reply = t(language, "cost_set", { item, amount: formatMoney(parsed.currency, parsed.amount, language) });
+        }
+      }
+
+    } else if (cmd === "products") {
+      const products = await listProducts(businessId);
+      const lines = products.map((p) => {
+        const aliases = p.aliases.length ? ` ${t(language, "product_aliases", { aliases: p.aliases.join(", ") })}` : "";
+        return `• ${p.name}${aliases}`;
+      });
+      reply = products.length
+        ? `${t(language, "products_title")}\n${lines.join("\n")}\n\n${t(language, "products_tip")}`
+        : t(language, "products_none");
+
+    } else if (cmd === "alias") {
+      // alias <nickname> = <product>   e.g. "alias rce = rice bag"
+      const [aliasText, productText] = incoming.slice("alias".length).split("=");
+      const product = productText ? await findProduct(businessId, productText) : null;
+
+      if (!aliasText || !aliasText.trim() || !productText) {
+        reply = t(language, "usage", { usage: "alias <nickname> = <product>", example: "alias rce = rice bag" });
+      } else if (!product) {
+        reply = t(language, "product_unknown", { item: normalizeItemName(productText) });
+      } else {
+        const added = await addProductAlias(businessId, product.id, aliasText);
+        reply = added.error
+          ? t(language, "alias_not_added", { error: added.error })
+          : t(language, "alias_added", { alias: added.alias, product: product.name });
+      }
+
+    } else if (cmd === "categories") {
+      const own = await getCategorySynonyms(businessId);
+      const ownLines = [...own.entries()].map(([word, category]) => `• ${word} → ${category}`);
+      reply =
+        `${t(language, "categories_title")}\n${Object.keys(CATEGORIES).join(", ")}\n` +
+        (ownLines.length ? `\n${t(language, "categories_own")}\n${ownLines.join("\n")}\n` : "") +
+        `\n${t(language, "categories_tip")}`;
+
+    } else if (cmd === "category") {
+      // category <word> = <category>   e.g. category gen = fuel
+      const [synonym, category] = parts
+        .slice(1)
+        .join(" ")
+        .split("=")
+        .map((x) => x.trim());
+      if (!synonym || !category) {
+        reply = t(language, "usage", { usage: "category <word> = <category>", example: "category gen = fuel" });
+      } else {
+        const saved = await addCategorySynonym(businessId, synonym, category);
+        reply =
+          t(language, "category_added", { synonym: saved.synonym, category: saved.category }) +
+          (saved.moved ? `\n${t(language, "category_moved", { count: saved.moved, category: saved.category })}` : "");
+      }
+
+    } else if (cmd === "budget") {
+      // budget                              (this month's budgets)
+      // budget <category> <amount>[currency] | budget <category> off   (category: words or "quoted")
+      const budgetArgs = parseBudgetArgs(parts.slice(1));
+
+      if (!parts[1]) {
+        const budgets = await getBudgetStatus(businessId);
+        reply = budgets.length
+          ? `${t(language, "budgets_title")}\n${budgets.map((b) => `• ${describeBudget(b, language)}`).join("\n")}`
+          : t(language, "budgets_none", { amount: formatMoney(defaultCurrency, 50000, language) });
+      } else if (!isOwner) {
+        reply = t(language, "budget_owner_only", { business: businessName });
+      } else {
+        const { category } = budgetArgs.error ? {} : await categorizeExpense(businessId, budgetArgs.category);
+        const parsed = budgetArgs.amount
+          ? parseAmountAndCurrency(budgetArgs.amount, budgetArgs.currency, defaultCurrency)
+          : null;
+        if (budgetArgs.off) {
+          reply = t(language, (await removeBudget(businessId, category)) ? "budget_removed" : "budget_missing", {
+            category,
+          });
+        } else if (!parsed || parsed.error || parsed.amount <= 0) {
+          reply = t(language, "usage", {
+            usage: "budget <category> <amount>[currency] | budget <category> off",
+            example: "budget fuel ₦50000",
+          });
+        } else {
+          await setBudget(businessId, category, parsed.amount, parsed.currency);
+          const [status] = await getBudgetStatus(businessId, { category });
+          reply = t(language, "budget_set", { budget: describeBudget(status, language) });
+        }
+      }
 
-      if (!itemToken || !Number.isFinite(qty) || qty <= 0 || !amountToken) {
-        reply = `Usage: sale <item> <qty> <amount>[currency]\nExample: sale rice 3 ₦45000`;
+    } else if (cmd === "recurring") {
+      // recurring                                         (list)
+      // recurring <category> <amount>[currency] <daily|weekly|monthly> [on <day>]
+      // recurring pause|resume|cancel <id>
+      const action = (parts[1] || "").toLowerCase();
+
+      if (!parts[1]) {
+        const templates = await listRecurringExpenses(businessId);
+        const lines = templates.map((r) => {
+          const state = r.status === "paused" ? t(language, "recurring_paused_tag") : null;
+          return `• ${describeRecurringExpense(r)}${state || t(language, "recurring_next", { date: r.next_due })}`;
+        });
+        reply = templates.length
+          ? `${t(language, "recurring_title")}\n${lines.join("\n")}\n\n${t(language, "recurring_tip")}`
+          : t(language, "recurring_none", { amount: formatMoney(defaultCurrency, 50000, language) });
+      } else if (["pause", "resume", "cancel"].includes(action)) {
+        const id = Number(String(parts[2] || "").replace(/^#/, ""));
+        const result = Number.isInteger(id) && id > 0
+          ? await setRecurringStatus(businessId, id, action, timeZone)
+          : { error: t(language, "usage", { usage: `recurring ${action} <id>`, example: `recurring ${action} 3` }) };
+        if (result.error) {
+          reply = result.error;
+        } else {
+          const template = result.template;
+          const done = { resume: "recurring_resumed", pause: "recurring_paused", cancel: "recurring_cancelled" };
+          reply = t(language, done[action], { expense: describeRecurringExpense(template), date: template.next_due });
+        }
       } else {
-        const parsed = parseAmountAndCurrency(amountToken, currencyToken, defaultCurrency);
-        if (parsed.error) {
-          reply = `Sale not recorded: ${parsed.error}`;
+        const spec = parseRecurringArgs(parts.slice(1));
+        const parsed = spec.error ? null : validateExpenseInput(spec, defaultCurrency);
+        if (spec.error || parsed.error) {
+          reply =
+            `${spec.error ? t(language, `recurring_error_${spec.error}`, spec) : parsed.error}\n` +
+            t(language, "usage", {
+              usage: "recurring <category> <amount> <daily|weekly|monthly> [on <day>]",
+              example: "recurring rent 500 GBP monthly on 1st | recurring salaries ₦80000 weekly on friday",
+            });
         } else {
-          const event = {
-            type: "sale",
-            owner: from,
-            businessName,
+          const category = await categorizeExpense(businessId, parsed.value.category);
+          const template = await createRecurringExpense(
             businessId,
-            item,
-            quantity: qty,
-            amount: parsed.amount,
-            currency: parsed.currency,
-            timestamp: new Date().toISOString(),
-            raw: incomingRaw,
-          };
-          EVENTS.push(event);
-          await insertSale(businessId, event.item, event.quantity, event.amount, event.currency);
-
-          reply =
-            `✅ Sale recorded\n` +
-            `Item: ${event.item}\n` +
-            `Qty: ${event.quantity}\n` +
-            `Total: ${event.currency} ${event.amount}\n` +
-            `Time: ${event.timestamp}`;
+            memberId,
+            { ...spec, ...parsed.value, ...category },
+            timeZone
+          );
+          reply = t(language, "recurring_set", {
+            id: template.id,
+            expense:
+              `${template.category} ${formatMoney(template.currency, template.amount, language)} ` +
+              describeSchedule(template),
+            date: template.next_due,
+          });
         }
       }
 
-    } else if (cmd === "expense") {
-      const categoryToken = parts[1];
-      const amountToken = parts[2];
-      const currencyToken = parts[3];
-      const category = unTokenizeItem(categoryToken).toLowerCase();
-
-      if (!categoryToken || !amountToken) {
-        reply = `Usage: expense <category> <amount>[currency]\nExample: expense fuel ₦15000`;
+    } else if (cmd === "rate") {
+      // rate                                   (list exchange rates)
+      // rate <from> <to> <rate> [YYYY-MM-DD]   e.g. rate USD NGN 1550  (1 USD = 1550 NGN)
+      const base = parseCurrencyCode(parts[1]);
+      const quote = parseCurrencyCode(parts[2]);
+      const rate = Number(normalizeAmountToken(parts[3]));
+      const validFrom = parts[4] ? localDateTimeToUtc(parts[4], timeZone) : null;
+
+      if (!parts[1]) {
+        const rates = await listRates(businessId);
+        const lines = rates.map((r) => `• 1 ${r.base} = ${Number(r.rate)} ${r.quote} (${r.source})`);
+        reply = rates.length
+          ? `${t(language, "rates_title")}\n${lines.join("\n")}`
+          : t(language, "rates_none", { currency: defaultCurrency });
+      } else if (!base || !quote || base === quote || !Number.isFinite(rate) || rate <= 0 || (parts[4] && !validFrom)) {
+        reply = t(language, "usage", {
+          usage: "rate <from> <to> <rate> [YYYY-MM-DD]",
+          example: "rate USD NGN 1550 | rate GBP NGN 2000 2026-09-01",
+        });
       } else {
-        const parsed = parseAmountAndCurrency(amountToken, currencyToken, defaultCurrency);
-        if (parsed.error) {
-          reply = `Expense not recorded: ${parsed.error}`;
-        } else {
-          const event = {
-            type: "expense",
-            owner: from,
-            businessName,
-            businessId,
-            category,
-            amount: parsed.amount,
-            currency: parsed.currency,
-            timestamp: new Date().toISOString(),
-            raw: incomingRaw,
-          };
-          EVENTS.push(event);
-          await insertExpense(businessId, event.category, event.amount, event.currency);
+        await saveRate({ businessId, base, quote, rate, validFrom });
+        const filled = await fillMissingRates(businessId);
+        const count = filled.sales + filled.expenses;
+        const from = parts[4] || t(language, "rate_now");
+        // Entries in the other currency of the pair that are older than this rate stay unconverted
+        const other = base === defaultCurrency ? quote : quote === defaultCurrency ? base : null;
+        const left = other ? filled.missing[other] : null;
+        const unconverted = left
+          ? t(language, "rate_unconverted", {
+              count: left.count,
+              currency: other,
+              from,
+              base,
+              quote,
+              rate,
+              date: formatDate(zonedParts(new Date(left.since), timeZone)),
+            })
+          : "";
+        reply =
+          t(language, "rate_saved", { base, rate, quote, from }) +
+          (count ? `\n${t(language, "rate_filled", { count })}` : "") +
+          (unconverted ? `\n${unconverted}` : "");
+      }
 
+    } else if (cmd === "remind") {
+      // remind | remind daily [time] | remind weekly [weekday] [time] | remind off [daily|weekly]
+      if (!parts[1]) {
+        const reminders = await listReminders(businessId);
+        reply = reminders.length
+          ? t(language, "reminders_on", {
+              when: reminders.map(describeReminder).join(t(language, "reminders_and")),
+              zone: timeZone,
+            })
+          : t(language, "reminders_none");
+      } else {
+        const spec = parseReminderArgs(parts.slice(1));
+        if (spec.error) {
           reply =
-            `✅ Expense recorded\n` +
-            `Category: ${event.category}\n` +
-            `Amount: ${event.currency} ${event.amount}\n` +
-            `Time: ${event.timestamp}`;
+            `${t(language, `remind_error_${spec.error}`, spec)}\n` +
+            t(language, "usage", {
+              usage: "remind daily [time] | remind weekly [weekday] [time] | remind off [daily|weekly]",
+              example: "remind daily 9pm | remind weekly sunday 8pm",
+            });
+        } else if (spec.off) {
+          const count = await disableReminders(businessId, spec.frequency);
+          const remaining = spec.frequency ? await listReminders(businessId) : [];
+          const off = spec.frequency ? `reminders_off_${spec.frequency}` : "reminders_off";
+          reply =
+            t(language, count ? off : "reminders_were_off") +
+            (remaining.length
+              ? `\n${t(language, "reminders_on", {
+                  when: remaining.map(describeReminder).join(t(language, "reminders_and")),
+                  zone: timeZone,
+                })}`
+              : "");
+        } else {
+          const reminder = await setReminder(businessId, spec);
+          reply = t(language, "reminder_set", { when: describeReminder(reminder), zone: timeZone });
         }
       }
 
-    } else if (cmd === "stock") {
-      // stock <item> <qty>  (SET)
-      const itemToken = parts[1];
-      const qtyStr = parts[2];
-      const qty = Number(qtyStr);
-      const item = unTokenizeItem(itemToken).toLowerCase();
+    } else if (cmd === "settings") {
+      // settings | settings name <business name> | settings currency <code> | settings confirm <check> <value>
+      const field = (parts[1] || "").toLowerCase();
+      const value = parts.slice(2).join(" ").trim();
+
+      if (!field) {
+        reply = t(language, "settings", {
+          name: businessName,
+          currency: defaultCurrency,
+          zone: timeZone,
+          language: LANGUAGES[language].name,
+          checks: describeChecks(checks, defaultCurrency),
+          choices: languageChoices(),
+        });
+      } else if (field === "confirm") {
+        const setting = parseCheckSetting(parts[2], parts.slice(3).join(" "));
+        if (setting.error) {
+          reply = t(language, "checks_now", { error: setting.error, checks: describeChecks(checks, defaultCurrency) });
+        } else {
+          await updateBusinessSettings(businessId, setting.changes);
+          const updated = (await getOwnerProfile(from)).checks;
+          reply = t(language, "checks_updated", { checks: describeChecks(updated, defaultCurrency) });
+        }
+      } else if (field === "name" && value) {
+        const name = value.slice(0, 80);
+        await updateBusinessSettings(businessId, { businessName: name });
+        reply = t(language, "name_updated", { name });
+      } else if (field === "currency" && parseCurrencyCode(value)) {
+        const code = parseCurrencyCode(value);
+        await updateBusinessSettings(businessId, { defaultCurrency: code });
+        await fillMissingRates(businessId);
+        reply = t(language, "currency_updated", { code });
+      } else if (field === "timezone" && isValidTimeZone(value)) {
+        await updateBusinessSettings(businessId, { timeZone: value });
+        reply = t(language, "timezone_updated", { zone: value });
+      } else {
+        reply = t(language, "usage", {
+          usage: `settings name <name> | settings currency <${CURRENCY_CODES.join("|")}> | settings timezone <zone>`,
+          example: "settings currency GBP | settings timezone Africa/Lagos",
+        });
+      }
 
-      if (!itemToken || !Number.isFinite(qty) || qty < 0) {
-        reply = `Usage: stock <item> <qty>\nExample: stock rice 20`;
+    } else if (cmd === "members") {
+      const members = await listMembers(businessId);
+      reply =
+        `${t(language, "members_title", { business: businessName })}\n` +
+        members.map((m) => `• ${memberLabel(m)}`).join("\n");
+
+    } else if (cmd === "invite") {
+      // invite <+number> [reports]
+      const number = normalizeWhatsAppNumber(parts[1]);
+      const withReports = (parts[2] || "").toLowerCase() === "reports";
+
+      if (!number) {
+        reply = t(language, "usage", {
+          usage: "invite <+countrycode number> [reports]",
+          example: "invite +2348031234567",
+        });
+      } else if (await getMemberByNumber(number)) {
+        reply = t(language, "member_linked", { number: number.replace(/^whatsapp:/, "") });
       } else {
-        await insertStockEvent(businessId, item, qty);
-        reply =
-          `✅ Stock updated (set)\n` +
-          `Item: ${item}\n` +
-          `Qty: ${qty}\n` +
-          `Time: ${new Date().toISOString()}`;
+        await addStaffMember(businessId, number, withReports, memberId);
+        reply = t(language, "member_invited", {
+          number: number.replace(/^whatsapp:/, ""),
+          reports: withReports,
+          business: businessName,
+        });
+
+        // Best effort: WhatsApp may refuse business-initiated messages outside the 24h window.
+        try {
+          await client.messages.create({
+            from: process.env.TWILIO_WHATSAPP_FROM,
+            to: number,
+            body: t(language, "invite_welcome", { business: businessName }),
+          });
+        } catch (err) {
+          console.error("Invite notification error:", err.message);
+          reply += `\n${t(language, "invite_not_sent")}`;
+        }
       }
 
-    } else if (cmd === "stockadd") {
-      // add stock <item> <qty>  (INCREMENT)
-      const itemToken = parts[1];
-      const qtyStr = parts[2];
-      const delta = Number(qtyStr);
-      const item = unTokenizeItem(itemToken).toLowerCase();
+    } else if (cmd === "grant" || cmd === "revoke") {
+      // grant <+number> reports | revoke <+number> reports
+      const number = normalizeWhatsAppNumber(parts[1]);
+      const member = number ? await getMemberByNumber(number) : null;
 
-      if (!itemToken || !Number.isFinite(delta) || delta <= 0) {
-        reply = `Usage: add stock <item> <qty>\nExample: add stock rice 10`;
+      if (!number || (parts[2] || "").toLowerCase() !== "reports") {
+        reply = t(language, "usage", { usage: `${cmd} <+number> reports`, example: `${cmd} +2348031234567 reports` });
+      } else if (!member || member.business_id !== businessId || member.role !== "staff") {
+        reply = t(language, "not_staff", { number: number.replace(/^whatsapp:/, ""), business: businessName });
       } else {
-        const current = await getLatestStockQty(businessId, item);
-        const next = current + delta;
-        await insertStockEvent(businessId, item, next);
+        await pool.query("UPDATE business_members SET can_view_reports = $2 WHERE id = $1", [
+          member.id,
+          cmd === "grant",
+        ]);
+        reply = t(language, cmd === "grant" ? "reports_granted" : "reports_revoked", {
+          number: number.replace(/^whatsapp:/, ""),
+        });
+      }
 
-        reply =
-          `✅ Stock updated (added)\n` +
-          `Item: ${item}\n` +
-          `Added: ${delta}\n` +
-          `New stock: ${next}\n` +
-          `Time: ${new Date().toISOString()}`;
+    } else if (cmd === "remove") {
+      // remove <+number>  (staff only; "remove stock ..." is handled by the NL parser)
+      const number = normalizeWhatsAppNumber(parts[1]);
+      const member = number ? await getMemberByNumber(number) : null;
+
+      if (!number) {
+        reply = t(language, "usage", { usage: "remove <+number>", example: "remove +2348031234567" });
+      } else if (!member || member.business_id !== businessId || member.role !== "staff") {
+        reply = t(language, "not_staff", { number: number.replace(/^whatsapp:/, ""), business: businessName });
+      } else {
+        await pool.query("DELETE FROM business_members WHERE id = $1", [member.id]);
+        reply = t(language, "member_removed", { number: number.replace(/^whatsapp:/, "") });
       }
 
-    } else if (cmd === "stockremove") {
-      // remove stock <item> <qty>  (DECREMENT)
-      const itemToken = parts[1];
-      const qtyStr = parts[2];
-      const delta = Number(qtyStr);
-      const item = unTokenizeItem(itemToken).toLowerCase();
+    } else if (cmd === "undo") {
+      // undo  (delete the most recent sale / expense / stock entry / payment)
+      const rec = await getLastRecord(businessId, memberId, isOwner);
+      if (!rec) {
+        reply = t(language, "nothing_to_undo");
+      } else {
+        await deleteRecord(businessId, rec.type, rec.id);
+        reply = t(language, "undone", { record: describeRecord(rec, language) });
+        if (STOCK_RECORD_TYPES.has(rec.type)) {
+          const { quantity } = await getStockLevel(businessId, rec.label);
+          reply += `\n${t(language, "stock_back", { item: rec.label, qty: quantity })}`;
+        }
+      }
 
-      if (!itemToken || !Number.isFinite(delta) || delta <= 0) {
-        reply = `Usage: remove stock <item> <qty>\nExample: remove stock rice 5`;
+    } else if (cmd === "edit") {
+      // edit last <amount>[currency] | edit last qty <n> | edit last item <name>
+      if ((parts[1] || "").toLowerCase() !== "last") {
+        reply = t(language, "usage", {
+          usage: "edit last <amount>[currency] | edit last qty <n> | edit last item <name>",
+          example: "edit last 45000",
+        });
       } else {
-        const current = await getLatestStockQty(businessId, item);
-        const next = Math.max(0, current - delta);
-        await insertStockEvent(businessId, item, next);
+        const rec = await getLastRecord(businessId, memberId, isOwner);
+        if (!rec) {
+          reply = t(language, "nothing_to_edit");
+        } else {
+          const edit = parseEditChanges(rec, parts.slice(2), defaultCurrency);
+          if (edit.error) {
+            reply = t(language, "not_edited", { error: edit.error });
+          } else {
+            if (edit.changes.item) {
+              edit.changes.item = await canonicalItemName(businessId, edit.changes.item);
+              await ensureProduct(businessId, edit.changes.item);
+            }
+            if (edit.changes.category) {
+              const { category, rawCategory } = await categorizeExpense(businessId, edit.changes.category);
+              Object.assign(edit.changes, { category, rawCategory });
+            }
+            await updateRecord(businessId, rec.type, rec.id, edit.changes);
+            const updated = await getRecord(businessId, rec.type, rec.id);
+            reply = t(language, "edited", {
+              was: describeRecord(rec, language),
+              now: describeRecord(updated, language),
+            });
+          }
+        }
+      }
 
-        reply =
-          `✅ Stock updated (removed)\n` +
-          `Item: ${item}\n` +
-          `Removed: ${delta}\n` +
-          `New stock: ${next}\n` +
-          `Time: ${new Date().toISOString()}`;
+    } else if (cmd === "delete") {
+      // delete <sale|expense|stock|payment> <id>
+      const type = (parts[1] || "").toLowerCase();
+      const id = Number(String(parts[2] || "").replace(/^#/, ""));
+
+      if (!RECORD_TABLES[type] || !Number.isInteger(id) || id <= 0) {
+        reply = t(language, "usage", { usage: "delete <sale|expense|stock|payment> <id>", example: "delete sale 12" });
+      } else {
+        const rec = await getRecord(businessId, type, id);
+        if (!rec) {
+          reply = t(language, "record_not_found", { type, id, business: businessName });
+        } else if (!isOwner && rec.member_id !== memberId) {
+          reply = t(language, "record_not_yours", { type, id });
+        } else {
+          await deleteRecord(businessId, type, id);
+          reply = t(language, "deleted", { record: describeRecord(rec, language) });
+          if (STOCK_RECORD_TYPES.has(type)) {
+            const { quantity } = await getStockLevel(businessId, rec.label);
+            reply += `\n${t(language, "stock_now_for", { item: rec.label, qty: quantity })}`;
+          }
+        }
       }
 
     } else {
-      reply =
-        `I didn’t understand that.\n` +
-        `Type "help" to see commands.\n\n` +
-        `Examples:\n` +
-        `• Sold 3 bin for 400 gbp\n` +
-        `• Spent £30 on fuel\n` +
-        `• Add stock bin 10\n` +
-        `• Summary week`;
+      reply = t(language, "unknown");
+    }
+
+    if (mediaId) {
+      let outcome = "rejected";
+      if (answer === "yes") outcome = (await hasMediaRecords(mediaId)) ? "recorded" : "failed";
+      await resolveMediaIngestion(mediaId, outcome, outcome === "failed" ? reply : null);
     }
 
     console.log("Reply ->", reply); // 🔥 critical debug
@@ -832,59 +4393,56 @@ app.post("/twilio/whatsapp", async (req, res) => {
   }
 });
 
+// Admin JSON carries amounts as numbers rounded to their currency (NUMERIC columns arrive as strings)
+const amountOrNull = (value, currency) => (value === null || value === undefined ? null : toAmount(value, currency));
+
 // Admin: init DB (protected)
+// Kept for existing deploy scripts: applies pending migrations.
 app.post("/admin/init-db", requireApiKey, async (req, res) => {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS businesses (
-        id SERIAL PRIMARY KEY,
-        business_name TEXT NOT NULL,
-        whatsapp_from TEXT UNIQUE NOT NULL,
-        default_currency TEXT DEFAULT 'NGN',
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sales (
-        id SERIAL PRIMARY KEY,
-        business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
-        item TEXT NOT NULL,
-        quantity INT NOT NULL,
-        amount NUMERIC NOT NULL,
-        currency TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS expenses (
-        id SERIAL PRIMARY KEY,
-        business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
-        category TEXT NOT NULL,
-        amount NUMERIC NOT NULL,
-        currency TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS stock_events (
-        id SERIAL PRIMARY KEY,
-        business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
-        item TEXT NOT NULL,
-        quantity INT NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    return res.json({ success: true, message: "DB tables created/verified ✅" });
+    const applied = await migrateUp();
+    return res.json({ success: true, message: "DB tables created/verified ✅", applied });
   } catch (err) {
     console.error("init-db error:", err);
     return res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// Admin: migration status (protected)
+app.get("/admin/migrations", requireApiKey, async (req, res) => {
+  try {
+    const migrations = await getMigrationStatus();
+    return res.json({ success: true, pending: migrations.filter((m) => !m.applied).length, migrations });
+  } catch (err) {
+    console.error("admin/migrations error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: apply / revert migrations (protected)
+// Body: { "direction": "up" | "down", "to"?: <version>, "steps"?: <n> (down only, default 1) }
+app.post("/admin/migrate", requireApiKey, async (req, res) => {
+  try {
+    const direction = String(req.body?.direction || "up").toLowerCase();
+    const to = req.body?.to === undefined ? undefined : Number(req.body.to);
+    const steps = req.body?.steps === undefined ? 1 : Number(req.body.steps);
+
+    if ((to !== undefined && !Number.isInteger(to)) || !Number.isInteger(steps) || steps < 1) {
+      return res.status(400).json({ success: false, error: "Invalid to/steps. Use whole numbers." });
+    }
+
+    let done;
+    if (direction === "up") done = await migrateUp({ to });
+    else if (direction === "down") done = await migrateDown({ steps, to });
+    else return res.status(400).json({ success: false, error: 'direction must be "up" or "down"' });
+
+    return res.json({ success: true, direction, migrations: done, status: await getMigrationStatus() });
+  } catch (err) {
+    console.error("admin/migrate error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Admin: latest (protected)
 app.get("/admin/latest", requireApiKey, async (req, res) => {
   try {
@@ -893,32 +4451,32 @@ app.get("/admin/latest", requireApiKey, async (req, res) => {
     );
 
     const sales = await pool.query(
-      `SELECT s.id, s.business_id, s.item, s.quantity, s.amount, s.currency, s.created_at
+      `SELECT s.id, s.business_id, s.member_id, s.item, s.quantity, s.amount, s.currency, s.created_at
        FROM sales s
        ORDER BY s.id DESC
        LIMIT 10`
     );
 
     const expenses = await pool.query(
-      `SELECT e.id, e.business_id, e.category, e.amount, e.currency, e.created_at
+      `SELECT e.id, e.business_id, e.member_id, e.category, e.amount, e.currency, e.created_at
        FROM expenses e
        ORDER BY e.id DESC
        LIMIT 10`
     );
 
     const stock = await pool.query(
-      `SELECT se.id, se.business_id, se.item, se.quantity, se.created_at
-       FROM stock_events se
-       ORDER BY se.id DESC
+      `SELECT sm.id, sm.business_id, sm.member_id, sm.item, sm.kind, sm.delta, sm.sale_id, sm.created_at
+       FROM stock_movements sm
+       ORDER BY sm.id DESC
        LIMIT 10`
     );
 
     return res.json({
       success: true,
       businesses: businesses.rows,
-      sales: sales.rows,
-      expenses: expenses.rows,
-      stock_events: stock.rows,
+      sales: sales.rows.map((r) => ({ ...r, amount: toAmount(r.amount, r.currency) })),
+      expenses: expenses.rows.map((r) => ({ ...r, amount: toAmount(r.amount, r.currency) })),
+      stock_movements: stock.rows,
     });
   } catch (err) {
     console.error("admin/latest error:", err);
@@ -926,152 +4484,402 @@ app.get("/admin/latest", requireApiKey, async (req, res) => {
   }
 });
 
-// Admin: analytics summary (protected)
-app.get("/admin/summary", requireApiKey, async (req, res) => {
+// Admin: export (protected)
+// GET /admin/export/<sales|expenses|stock|all>?business_id=1&period=last month&format=csv|xlsx
+//     (or &from=2026-09-01&to=2026-09-30 instead of period; "all" is xlsx only)
+app.get("/admin/export/:dataset", requireApiKey, async (req, res) => {
   try {
-    const period = String(req.query.period || "today").toLowerCase();
+    const dataset = String(req.params.dataset || "").toLowerCase();
+    const format = String(req.query.format || "csv").toLowerCase();
     const businessId = Number(req.query.business_id || 0);
+    const periodText = req.query.from && req.query.to ? `${req.query.from} to ${req.query.to}` : req.query.period || "month";
 
     if (!businessId || !Number.isFinite(businessId)) {
       return res.status(400).json({
         success: false,
-        error: "Missing/invalid business_id. Example: /admin/summary?business_id=1&period=today",
+        error: "Missing/invalid business_id. Example: /admin/export/sales?business_id=1&period=last month",
       });
     }
+    if (!(DATASETS[dataset] || dataset === "all") || !["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ success: false, error: "Use /admin/export/<sales|expenses|stock|all> with format=csv|xlsx" });
+    }
+    if (dataset === "all" && format === "csv") {
+      return res.status(400).json({ success: false, error: 'dataset "all" is only available as format=xlsx' });
+    }
 
-    let intervalSql = "1 day";
-    if (period === "week" || period === "7d") intervalSql = "7 days";
-    if (period === "month" || period === "30d") intervalSql = "30 days";
+    const periodSpec = parsePeriod(String(periodText));
+    if (periodSpec.error) return res.status(400).json({ success: false, error: periodSpec.error });
 
-    const sinceSql = `NOW() - INTERVAL '${intervalSql}'`;
+    const window = resolvePeriod(periodSpec, await getBusinessTimeZone(businessId));
+    const fileName = exportFileName(`business-${businessId}-${dataset}`, window, format);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
 
-    const salesTotals = await pool.query(
-      `
-      SELECT currency, COALESCE(SUM(amount),0) AS total_amount, COALESCE(SUM(quantity),0) AS total_qty
-      FROM sales
-      WHERE business_id = $1 AND created_at >= ${sinceSql}
-      GROUP BY currency
-      ORDER BY total_amount DESC
-      `,
-      [businessId]
-    );
+    if (format === "csv") {
+      res.type("text/csv");
+      await writeCsv(res, dataset, businessId, window);
+    } else {
+      res.type(XLSX_CONTENT_TYPE);
+      await writeXlsx(res, dataset === "all" ? Object.keys(DATASETS) : [dataset], businessId, window);
+    }
+  } catch (err) {
+    console.error("admin/export error:", err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const expenseTotals = await pool.query(
-      `
-      SELECT currency, COALESCE(SUM(amount),0) AS total_amount
-      FROM expenses
-      WHERE business_id = $1 AND created_at >= ${sinceSql}
-      GROUP BY currency
-      ORDER BY total_amount DESC
-      `,
-      [businessId]
+// Export download by link (token is the secret; links expire)
+app.get("/exports/:token", async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT file_name, content_type, content
+       FROM export_files
+       WHERE token = $1 AND expires_at > NOW()
+       LIMIT 1`,
+      [req.params.token]
     );
+    if (!r.rows.length) return res.status(404).send("This export link has expired. Send \"export month\" again.");
 
-    const salesMap = {};
-    for (const r of salesTotals.rows) salesMap[r.currency] = Number(r.total_amount);
-
-    const expMap = {};
-    for (const r of expenseTotals.rows) expMap[r.currency] = Number(r.total_amount);
-
-    const currencies = new Set([...Object.keys(salesMap), ...Object.keys(expMap)]);
-    const netByCurrency = {};
-    for (const c of currencies) netByCurrency[c] = (salesMap[c] || 0) - (expMap[c] || 0);
-
-    const topProductsByRevenue = await pool.query(
-      `
-      SELECT item, currency, COALESCE(SUM(amount),0) AS revenue, COALESCE(SUM(quantity),0) AS qty
-      FROM sales
-      WHERE business_id = $1 AND created_at >= ${sinceSql}
-      GROUP BY item, currency
-      ORDER BY revenue DESC
-      LIMIT 5
-      `,
-      [businessId]
-    );
+    const file = r.rows[0];
+    res.setHeader("Content-Disposition", `attachment; filename="${file.file_name}"`);
+    return res.type(file.content_type).send(file.content);
+  } catch (err) {
+    console.error("exports download error:", err);
+    return res.status(500).send("Export temporarily unavailable");
+  }
+});
 
-    const topProductsByQty = await pool.query(
-      `
-      SELECT item, COALESCE(SUM(quantity),0) AS qty
-      FROM sales
-      WHERE business_id = $1 AND created_at >= ${sinceSql}
-      GROUP BY item
-      ORDER BY qty DESC
-      LIMIT 5
-      `,
-      [businessId]
-    );
+// Admin: CSV import (protected)
+// POST /admin/import/<sales|expenses|stock>?business_id=1[&dry_run=1]
+// Body: CSV (Content-Type: text/csv) or JSON { "csv": "..." }
+//   sales:    date,item,quantity,amount,currency
+//   expenses: date,category,amount,currency
+//   stock:    date,item,quantity            (opening stock)
+app.post("/admin/import/:type", requireApiKey, async (req, res) => {
+  try {
+    const type = String(req.params.type || "").toLowerCase();
+    const businessId = Number(req.query.business_id || 0);
+    const dryRun = ["1", "true", "yes"].includes(String(req.query.dry_run || "").toLowerCase());
+    const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
 
-    const topExpenseCategories = await pool.query(
-      `
-      SELECT category, currency, COALESCE(SUM(amount),0) AS total
-      FROM expenses
-      WHERE business_id = $1 AND created_at >= ${sinceSql}
-      GROUP BY category, currency
-      ORDER BY total DESC
-      LIMIT 5
-      `,
-      [businessId]
-    );
+    if (!IMPORT_TYPES[type]) {
+      return res.status(400).json({ success: false, error: "Use /admin/import/<sales|expenses|stock>" });
+    }
+    if (!businessId || !Number.isFinite(businessId)) {
+      return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+    }
+    if (!csvText) {
+      return res.status(400).json({ success: false, error: 'Send the CSV as text/csv or JSON { "csv": "..." }' });
+    }
+
+    const business = await pool.query("SELECT default_currency, timezone FROM businesses WHERE id = $1 LIMIT 1", [
+      businessId,
+    ]);
+    if (!business.rows.length) return res.status(404).json({ success: false, error: "Business not found" });
+
+    const { records, errors, total } = validateImportCsv(type, csvText, {
+      defaultCurrency: business.rows[0].default_currency || "NGN",
+      timeZone: business.rows[0].timezone || DEFAULT_TIMEZONE,
+    });
+    const report = {
+      type,
+      dry_run: dryRun,
+      total_rows: total,
+      valid_rows: records.length,
+      error_count: errors.length,
+      errors,
+    };
+
+    if (dryRun) {
+      const preview = records.slice(0, 5).map(({ occurredAt, ...r }) => ({ ...r, date: toIsoOrNull(occurredAt) }));
+      return res.json({ success: errors.length === 0, ...report, preview });
+    }
+    if (errors.length || !records.length) {
+      return res.status(422).json({
+        success: false,
+        ...report,
+        error: errors.length ? "Nothing imported: fix the rows listed in errors" : "No rows to import",
+      });
+    }
+
+    const batchId = await runImport(businessId, type, records);
+    return res.json({ success: true, ...report, batch_id: batchId });
+  } catch (err) {
+    console.error("admin/import error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const stockSnapshot = await pool.query(
-      `
-      SELECT DISTINCT ON (item)
-        item, quantity, created_at
-      FROM stock_events
-      WHERE business_id = $1
-      ORDER BY item, created_at DESC
-      `,
+// Admin: import batches (protected)
+app.get("/admin/imports", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+
+    const r = await pool.query(
+      `SELECT id, type, row_count, created_at, rolled_back_at
+       FROM import_batches
+       WHERE business_id = $1
+       ORDER BY id DESC
+       LIMIT 50`,
       [businessId]
     );
+    return res.json({ success: true, imports: r.rows });
+  } catch (err) {
+    console.error("admin/imports error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const businessInfo = await pool.query(
-      `SELECT id, business_name, whatsapp_from, default_currency, created_at
-       FROM businesses
-       WHERE id = $1
-       LIMIT 1`,
-      [businessId]
+// Admin: voice notes / receipt photos, what was read from them and what they became (protected)
+const MEDIA_STATUSES = new Set(["failed", "unparsed", "pending", "recorded", "rejected", "expired"]);
+
+app.get("/admin/media", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !MEDIA_STATUSES.has(status)) {
+      const error = `status must be one of: ${[...MEDIA_STATUSES].join(", ")}`;
+      return res.status(400).json({ success: false, error });
+    }
+
+    const r = await pool.query(
+      `SELECT m.id, m.kind, m.content_type, m.media_url, m.caption, m.adapter, m.extracted_text, m.message_text,
+              m.status, m.error, m.created_at, m.resolved_at, bm.whatsapp_from AS recorded_by,
+              (SELECT COUNT(*) FROM sales WHERE media_id = m.id)::int AS sales,
+              (SELECT COUNT(*) FROM expenses WHERE media_id = m.id)::int AS expenses,
+              (SELECT COUNT(*) FROM stock_movements WHERE media_id = m.id AND kind <> 'sale')::int AS stock,
+              (SELECT COUNT(*) FROM customer_payments WHERE media_id = m.id)::int AS payments
+       FROM media_ingestions m
+       LEFT JOIN business_members bm ON bm.id = m.member_id
+       WHERE m.business_id = $1 AND ($2::text IS NULL OR m.status = $2)
+       ORDER BY m.id DESC
+       LIMIT 50`,
+      [businessId, status]
     );
+    return res.json({ success: true, media: r.rows });
+  } catch (err) {
+    console.error("admin/media error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    return res.json({
-      success: true,
-      period,
-      window: { since: `now - ${intervalSql}` },
-      business: businessInfo.rows[0] || null,
-      totals: {
-        sales_by_currency: salesTotals.rows.map((r) => ({
-          currency: r.currency,
-          total_amount: Number(r.total_amount),
-          total_qty: Number(r.total_qty),
-        })),
-        expenses_by_currency: expenseTotals.rows.map((r) => ({
-          currency: r.currency,
-          total_amount: Number(r.total_amount),
-        })),
-        net_by_currency: netByCurrency,
-      },
-      insights: {
-        top_products_by_revenue: topProductsByRevenue.rows.map((r) => ({
-          item: r.item,
-          currency: r.currency,
-          revenue: Number(r.revenue),
-          qty: Number(r.qty),
-        })),
-        top_products_by_qty: topProductsByQty.rows.map((r) => ({
-          item: r.item,
-          qty: Number(r.qty),
-        })),
-        top_expense_categories: topExpenseCategories.rows.map((r) => ({
-          category: r.category,
-          currency: r.currency,
-          total: Number(r.total),
-        })),
-        stock_snapshot: stockSnapshot.rows.map((r) => ({
-          item: r.item,
-          quantity: Number(r.quantity),
-          last_updated: r.created_at,
-        })),
-      },
-    });
+// Admin: roll back an import batch (protected)
+app.post("/admin/imports/:id/rollback", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || req.body?.business_id || 0);
+    const batchId = Number(req.params.id);
+    if (!businessId || !Number.isInteger(batchId)) {
+      return res.status(400).json({ success: false, error: "Missing/invalid business_id or batch id" });
+    }
+
+    const removed = await rollbackImport(businessId, batchId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: `Import #${batchId} not found or already rolled back` });
+    }
+    return res.json({ success: true, batch_id: batchId, removed });
+  } catch (err) {
+    console.error("admin/imports rollback error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: product catalogue (protected)
+app.get("/admin/products", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+
+    const products = (await listProducts(businessId)).map((p) => ({
+      ...p,
+      unit_price: amountOrNull(p.unit_price, p.price_currency),
+      cost_price: amountOrNull(p.cost_price, p.cost_currency),
+    }));
+    return res.json({ success: true, products });
+  } catch (err) {
+    console.error("admin/products error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: rename a product; sales and stock history follow, the old name becomes an alias (protected)
+app.post("/admin/products/:id/rename", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || req.body?.business_id || 0);
+    const productId = Number(req.params.id);
+    const name = normalizeItemName(req.body?.name);
+    if (!businessId || !Number.isInteger(productId) || !name) {
+      return res.status(400).json({ success: false, error: "Missing/invalid business_id, product id or name" });
+    }
+
+    const result = await renameProduct(businessId, productId, name);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("admin/products rename error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: merge product from_id into into_id, rewriting history (protected)
+app.post("/admin/products/merge", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || req.body?.business_id || 0);
+    const fromId = Number(req.body?.from_id);
+    const intoId = Number(req.body?.into_id);
+    if (!businessId || !Number.isInteger(fromId) || !Number.isInteger(intoId)) {
+      return res.status(400).json({ success: false, error: "Missing/invalid business_id, from_id or into_id" });
+    }
+
+    const result = await mergeProducts(businessId, fromId, intoId);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("admin/products merge error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: add an alias to a product (protected)
+app.post("/admin/products/:id/aliases", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || req.body?.business_id || 0);
+    const productId = Number(req.params.id);
+    if (!businessId || !Number.isInteger(productId) || !normalizeItemName(req.body?.alias)) {
+      return res.status(400).json({ success: false, error: "Missing/invalid business_id, product id or alias" });
+    }
+
+    const product = await pool.query("SELECT id FROM products WHERE id = $1 AND business_id = $2", [
+      productId,
+      businessId,
+    ]);
+    if (!product.rows.length) return res.status(404).json({ success: false, error: "Product not found" });
+
+    const added = await addProductAlias(businessId, productId, req.body.alias);
+    if (added.error) return res.status(409).json({ success: false, error: added.error });
+    return res.json({ success: true, product_id: productId, alias: added.alias });
+  } catch (err) {
+    console.error("admin/products alias error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: exchange rates visible to a business (protected)
+app.get("/admin/rates", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+
+    return res.json({ success: true, rates: await listRates(businessId) });
+  } catch (err) {
+    console.error("admin/rates error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: set a rate; without business_id it is shared by every business (protected)
+// Body: { base: "USD", quote: "NGN", rate: 1550, valid_from?: ISO time, business_id? }
+app.post("/admin/rates", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.body?.business_id || 0) || null;
+    const base = parseCurrencyCode(req.body?.base);
+    const quote = parseCurrencyCode(req.body?.quote);
+    const rate = Number(req.body?.rate);
+    const validFrom = req.body?.valid_from ? new Date(req.body.valid_from) : null;
+
+    if (!base || !quote || base === quote || !Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({ success: false, error: "Need base, quote (different currencies) and rate > 0" });
+    }
+    if (validFrom && Number.isNaN(validFrom.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid valid_from" });
+    }
+
+    const saved = await saveRate({ businessId, base, quote, rate, validFrom });
+    // Shared rates can fill gaps for any business
+    const businessIds = businessId
+      ? [businessId]
+      : (await pool.query("SELECT id FROM businesses ORDER BY id")).rows.map((r) => r.id);
+    for (const id of businessIds) await fillMissingRates(id);
+
+    return res.json({ success: true, rate: saved });
+  } catch (err) {
+    console.error("admin/rates set error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: run scheduled jobs now, e.g. from an external cron when the app sleeps (protected)
+app.post("/admin/scheduler/run", requireApiKey, async (req, res) => {
+  try {
+    return res.json({ success: true, results: await scheduler.tick() });
+  } catch (err) {
+    console.error("admin/scheduler error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: sales forecast with ~80% ranges (protected)
+app.get("/admin/forecast", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    const horizon = String(req.query.horizon || "week").toLowerCase();
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+    if (!isForecastHorizon(horizon)) {
+      return res.status(400).json({ success: false, error: "horizon must be week or month" });
+    }
+
+    return res.json({ success: true, ...(await getForecast(businessId, horizon)) });
+  } catch (err) {
+    console.error("admin/forecast error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: outstanding customer debts (protected)
+app.get("/admin/debts", requireApiKey, async (req, res) => {
+  try {
+    const businessId = Number(req.query.business_id || 0);
+    if (!businessId) return res.status(400).json({ success: false, error: "Missing/invalid business_id" });
+
+    const debts = (await getDebts(businessId)).map((d) => ({
+      customer_id: d.customer_id,
+      customer: d.name,
+      currency: d.currency,
+      balance: d.balance,
+      owing_since: d.since ? d.since.toISOString() : null,
+      days: d.days,
+      overdue: isOverdue(d),
+    }));
+    return res.json({ success: true, overdue_days: DEBT_OVERDUE_DAYS, debts });
+  } catch (err) {
+    console.error("admin/debts error:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Admin: analytics summary (protected)
+app.get("/admin/summary", requireApiKey, async (req, res) => {
+  try {
+    const period = String(req.query.period || "today").toLowerCase();
+    const businessId = Number(req.query.business_id || 0);
+    const byMember = ["1", "true", "yes"].includes(String(req.query.by_member || "").toLowerCase());
+
+    if (!businessId || !Number.isFinite(businessId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing/invalid business_id. Example: /admin/summary?business_id=1&period=today",
+      });
+    }
+
+    const periodSpec = parsePeriod(period);
+    if (periodSpec.error) return res.status(400).json({ success: false, error: periodSpec.error });
+
+    const internalSummary = await getBusinessSummary(businessId, periodSpec, { limit: 5 });
+    const summary = adaptInternalSummaryToAdminShape(internalSummary);
+    if (byMember) summary.totals.by_member = await getTotalsByMember(businessId, internalSummary.window);
+
+    return res.json({ success: true, ...summary, period });
   } catch (err) {
     console.error("admin/summary error:", err);
     return res.status(500).json({ success: false, error: err.message });
@@ -1088,5 +4896,12 @@ app.listen(PORT, () => {
   console.log(`TWILIO_AUTH_TOKEN loaded: ${process.env.TWILIO_AUTH_TOKEN ? "YES" : "NO"}`);
   console.log(`TWILIO_WHATSAPP_FROM loaded: ${process.env.TWILIO_WHATSAPP_FROM ? "YES" : "NO"}`);
   console.log(`PREDICTA_API_KEY loaded: ${process.env.PREDICTA_API_KEY ? "YES" : "NO"}`);
+  if (signatureCheckSkipped()) console.warn("⚠️ TWILIO_SKIP_SIGNATURE=true: webhook signatures are NOT verified");
+  if (process.env.SCHEDULER_DISABLED === "true") {
+    console.log("Scheduler disabled (SCHEDULER_DISABLED=true)");
+  } else {
+    scheduler.start();
+    console.log(`Scheduler running every ${scheduler.intervalMs / 1000}s`);
+  }
 });
 
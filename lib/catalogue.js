@@ -0,0 +1,142 @@
+/**
+ * Product catalogue changes: lookups by name or alias, renames and merges.
+ *
+ * Item names are stored as text on every history row (ITEM_TABLES), so a rename or merge
+ * rewrites them all in the same transaction as the product change; the old name stays
+ * as an alias, so what people type keeps resolving.
+ */
+
+const { pool } = require("./db");
+const { normalizeItemName } = require("./itemMatch");
+
+// Tables that keep an item name per row (stock_events: the snapshots kept from before stock_movements)
+const ITEM_TABLES = ["sales", "stock_movements", "stock_events"];
+
+// Product by canonical name or alias (exact, after normalization)
+async function findProduct(businessId, name, db = pool) {
+  const r = await db.query(
+    `SELECT p.*
+     FROM products p
+     LEFT JOIN product_aliases a ON a.product_id = p.id AND a.alias = $2
+     WHERE p.business_id = $1 AND (p.name = $2 OR a.id IS NOT NULL)
+     ORDER BY (p.name = $2) DESC
+     LIMIT 1`,
+    [businessId, normalizeItemName(name)]
+  );
+  return r.rows[0] || null;
+}
+
+async function addProductAlias(businessId, productId, alias, db = pool) {
+  const name = normalizeItemName(alias);
+  const clash = await findProduct(businessId, name, db);
+  if (clash && clash.id !== productId) return { error: `"${name}" already belongs to ${clash.name}.` };
+  if (clash) return { alias: name };
+  await db.query("INSERT INTO product_aliases (business_id, product_id, alias) VALUES ($1, $2, $3)", [
+    businessId,
+    productId,
+    name,
+  ]);
+  return { alias: name };
+}
+
+// Rows renamed per table, e.g. { sales: 12, stock_movements: 15, stock_events: 0 }, in the caller's transaction
+async function rewriteItemHistory(db, businessId, fromName, toName) {
+  const counts = {};
+  for (const table of ITEM_TABLES) {
+    const r = await db.query(`UPDATE ${table} SET item = $3 WHERE business_id = $1 AND item = $2`, [
+      businessId,
+      fromName,
+      toName,
+    ]);
+    counts[table] = r.rowCount;
+  }
+  return counts;
+}
+
+// Renames a product and its history; the old name stays as an alias
+async function renameProduct(businessId, productId, newName, pg = pool) {
+  const name = normalizeItemName(newName);
+  const db = await pg.connect();
+  try {
+    await db.query("BEGIN");
+    const r = await db.query("SELECT * FROM products WHERE id = $1 AND business_id = $2 FOR UPDATE", [
+      productId,
+      businessId,
+    ]);
+    const product = r.rows[0];
+    if (!product) {
+      await db.query("ROLLBACK");
+      return { error: "Product not found", status: 404 };
+    }
+    const clash = await findProduct(businessId, name, db);
+    if (clash && clash.id !== productId) {
+      await db.query("ROLLBACK");
+      return { error: `"${name}" is already ${clash.name} (#${clash.id}); merge instead`, status: 409 };
+    }
+
+    await db.query("DELETE FROM product_aliases WHERE business_id = $1 AND alias = $2", [businessId, name]);
+    await db.query("UPDATE products SET name = $2, updated_at = NOW() WHERE id = $1", [productId, name]);
+    const rewritten = await rewriteItemHistory(db, businessId, product.name, name);
+    if (product.name !== name) await addProductAlias(businessId, productId, product.name, db);
+    await db.query("COMMIT");
+    return { product: { ...product, name }, rewritten };
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    db.release();
+  }
+}
+
+// Folds one product into another: history, aliases and missing cost/price/reorder level move to the target
+async function mergeProducts(businessId, fromId, intoId, pg = pool) {
+  const db = await pg.connect();
+  try {
+    await db.query("BEGIN");
+    const r = await db.query("SELECT * FROM products WHERE business_id = $1 AND id = ANY($2) FOR UPDATE", [
+      businessId,
+      [fromId, intoId],
+    ]);
+    const from = r.rows.find((p) => p.id === fromId);
+    const into = r.rows.find((p) => p.id === intoId);
+    if (!from || !into || fromId === intoId) {
+      await db.query("ROLLBACK");
+      return { error: "Both products must exist and differ", status: 404 };
+    }
+
+    const rewritten = await rewriteItemHistory(db, businessId, from.name, into.name);
+    await db.query("UPDATE product_aliases SET product_id = $2 WHERE product_id = $1", [fromId, intoId]);
+    const merged = await db.query(
+      `UPDATE products SET
+         cost_price = COALESCE(cost_price, $2), cost_currency = COALESCE(cost_currency, $3),
+         unit_price = COALESCE(unit_price, $4), price_currency = COALESCE(price_currency, $5),
+         reorder_level = COALESCE(reorder_level, $6),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [intoId, from.cost_price, from.cost_currency, from.unit_price, from.price_currency, from.reorder_level]
+    );
+    await db.query("DELETE FROM products WHERE id = $1", [fromId]);
+    await db.query("INSERT INTO product_aliases (business_id, product_id, alias) VALUES ($1, $2, $3)", [
+      businessId,
+      intoId,
+      from.name,
+    ]);
+    await db.query("COMMIT");
+    return { product: merged.rows[0] || into, merged: from.name, rewritten };
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  } finally {
+    db.release();
+  }
+}
+
+module.exports = {
+  ITEM_TABLES,
+  findProduct,
+  addProductAlias,
+  rewriteItemHistory,
+  renameProduct,
+  mergeProducts,
+};
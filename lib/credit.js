@@ -0,0 +1,83 @@
+/**
+ * Customer credit ledgers. A ledger is a customer's credit sales and repayments in one
+ * currency: { kind: "credit" | "payment", amount, currency, created_at }, oldest first.
+ *
+ * Repayments settle the oldest credit first, so a debt's age is the age of the oldest
+ * credit sale that is not fully paid yet. Balances are kept in minor units (see lib/money.js).
+ */
+
+const { toMinor, fromMinor } = require("./money");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Debts at least this many days old are overdue: flagged by advice and marked in "debts"
+const DEBT_OVERDUE_DAYS = Number(process.env.DEBT_OVERDUE_DAYS) || 30;
+
+const minorOf = (e) => toMinor(e.amount, e.currency) || 0;
+const signed = (e) => (e.kind === "payment" ? -minorOf(e) : minorOf(e));
+
+// Entries with the balance after each one, kept per currency
+function runningBalances(entries) {
+  const balances = {};
+  return entries.map((e) => {
+    const key = e.currency || "";
+    balances[key] = (balances[key] || 0) + signed(e);
+    return { ...e, balance: fromMinor(balances[key], e.currency) };
+  });
+}
+
+/**
+ * { balance, since, days } for one ledger; since is the created_at of the oldest credit
+ * still (partly) unpaid, or null when nothing is owed.
+ */
+function outstanding(entries, now = new Date()) {
+  let paid = entries.filter((e) => e.kind === "payment").reduce((acc, e) => acc + minorOf(e), 0);
+  const owed = entries.reduce((acc, e) => acc + signed(e), 0);
+
+  let since = null;
+  if (owed > 0) {
+    for (const e of entries) {
+      if (e.kind !== "credit") continue;
+      if (paid >= minorOf(e)) {
+        paid -= minorOf(e);
+        continue;
+      }
+      since = new Date(e.created_at);
+      break;
+    }
+  }
+  const days = since ? Math.max(0, Math.floor((now - since) / DAY_MS)) : 0;
+  return { balance: fromMinor(owed, entries.length ? entries[0].currency : null), since, days };
+}
+
+/**
+ * Rows { customer_id, name, currency, kind, amount, created_at } (any order) ->
+ * [{ customer_id, name, currency, balance, since, days }] for every ledger that owes money,
+ * largest debt first.
+ */
+function summarizeDebts(rows, now = new Date()) {
+  const ledgers = new Map();
+  for (const row of rows) {
+    const key = `${row.customer_id}:${row.currency}`;
+    if (!ledgers.has(key)) {
+      ledgers.set(key, { customer_id: row.customer_id, name: row.name, currency: row.currency, entries: [] });
+    }
+    ledgers.get(key).entries.push(row);
+  }
+
+  const debts = [];
+  for (const ledger of ledgers.values()) {
+    ledger.entries.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const { balance, since, days } = outstanding(ledger.entries, now);
+    if (balance > 0) {
+      const { customer_id, name, currency } = ledger;
+      debts.push({ customer_id, name, currency, balance, since, days });
+    }
+  }
+  return debts.sort((a, b) => b.balance - a.balance || b.days - a.days);
+}
+
+function isOverdue(debt, overdueDays = DEBT_OVERDUE_DAYS) {
+  return debt.days >= overdueDays;
+}
+
+module.exports = { DEBT_OVERDUE_DAYS, runningBalances, outstanding, summarizeDebts, isOverdue };
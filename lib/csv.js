@@ -0,0 +1,75 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting).
+ */
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "@SUM(...)"); plain numbers ("-3") are fine
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  // Item names and categories come from WhatsApp: keep them as text when the owner opens the file in Excel
+  if (FORMULA_START.test(s) && !NUMBER.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsvLine(values) {
+  return `${values.map(csvEscape).join(",")}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of string cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, CRLF/LF endings and a UTF-8 BOM. Blank lines are skipped.
+ * Each row carries its 1-based source line number as `row.line`.
+ */
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== "") {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
+
+module.exports = { csvEscape, toCsvLine, parseCsv };
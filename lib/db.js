@@ -0,0 +1,13 @@
+/**
+ * Shared Postgres pool (Render).
+ * Used by the Express app and by CLI scripts (e.g. npm run migrate).
+ */
+
+const { Pool } = require("pg");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+module.exports = { pool };
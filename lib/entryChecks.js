@@ -0,0 +1,150 @@
+/**
+ * Checks that hold a sale or expense back for a YES/NO confirmation before it is saved:
+ *   price     the amount is more than `priceFactor` times above or below the usual one
+ *   limit     the total is above `maxAmount` (in the default currency)
+ *   currency  no currency was typed and the default is not the one usually used
+ *   new_item  the item is not in the catalogue yet
+ * Thresholds are per business (businesses.confirm_* columns); a null factor/limit turns
+ * that check off.
+ */
+
+const DEFAULT_CHECKS = { priceFactor: 5, maxAmount: null, currency: true, newItems: true, timeoutMinutes: 15 };
+
+// Past records needed in a currency before their median counts as the usual amount
+const MIN_HISTORY = 3;
+const MAX_TIMEOUT_MINUTES = 24 * 60;
+
+const numberOrNull = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+// businesses row -> checks
+function checksFromRow(row = {}) {
+  const pick = (value, fallback) => (value === undefined ? fallback : value);
+  return {
+    priceFactor: numberOrNull(pick(row.confirm_price_factor, DEFAULT_CHECKS.priceFactor)),
+    maxAmount: numberOrNull(pick(row.confirm_max_amount, DEFAULT_CHECKS.maxAmount)),
+    currency: pick(row.confirm_currency, DEFAULT_CHECKS.currency) !== false,
+    newItems: pick(row.confirm_new_items, DEFAULT_CHECKS.newItems) !== false,
+    timeoutMinutes: Number(pick(row.confirm_timeout_minutes, DEFAULT_CHECKS.timeoutMinutes)),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * { amount, currency } an entry is compared with: the list price when one is set, else the
+ * median of past amounts in the currency used most recently. past: [{ amount, currency }],
+ * newest first. amount is null when there is too little history.
+ */
+function usualAmount(listPrice, past = []) {
+  if (listPrice && listPrice.amount !== null && listPrice.amount !== undefined) {
+    return { amount: Number(listPrice.amount), currency: listPrice.currency };
+  }
+  if (!past.length) return { amount: null, currency: null };
+
+  const currency = past[0].currency;
+  const amounts = past.filter((p) => p.currency === currency).map((p) => Number(p.amount));
+  return { amount: amounts.length >= MIN_HISTORY ? median(amounts) : null, currency };
+}
+
+/**
+ * Reasons to confirm an entry, [] when none.
+ *   entry: { amount, compared, currency, currencyTyped, newItem } where `compared` is what is
+ *          checked against the usual amount (the unit price for sales, the amount for expenses)
+ *   usual: from usualAmount
+ *   amountInDefault: entry.amount in the default currency, null when no rate is known
+ */
+function entryConcerns(entry, usual, checks, amountInDefault = null) {
+  const reasons = [];
+  if (checks.newItems && entry.newItem) reasons.push({ check: "new_item" });
+
+  if (checks.currency && !entry.currencyTyped && usual.currency && usual.currency !== entry.currency) {
+    reasons.push({ check: "currency", usual: usual.currency });
+  }
+
+  const factor = checks.priceFactor;
+  if (factor && usual.amount > 0 && usual.currency === entry.currency) {
+    const ratio = Number(entry.compared) / usual.amount;
+    if (ratio > factor || ratio < 1 / factor) {
+      reasons.push({ check: "price", usual: usual.amount, currency: usual.currency });
+    }
+  }
+
+  if (checks.maxAmount !== null && amountInDefault !== null && amountInDefault > checks.maxAmount) {
+    reasons.push({ check: "limit", limit: checks.maxAmount });
+  }
+  return reasons;
+}
+
+/**
+ * The questions a replayed answer settles: "item" and "customer" (did you mean …?) and
+ * "concerns" (the checks above). Each question stores the ones already answered plus its own,
+ * so a YES to the item still lets an odd amount be asked about. payload: the pending question's.
+ */
+const QUESTIONS = ["item", "customer", "concerns"];
+
+function settledQuestions(payload) {
+  return new Set((payload && payload.settled) || []);
+}
+
+// payload.settled for a new question, after the ones answered so far
+function settling(settled, question) {
+  return [...new Set([...settled, question])];
+}
+
+/**
+ * "settings confirm <setting> <value>" -> { changes } (for updateBusinessSettings) or { error }:
+ *   price <factor>|off   limit <amount>|off   currency on|off   newitems on|off   timeout <minutes>
+ */
+function parseCheckSetting(setting, value) {
+  const s = String(setting || "").toLowerCase();
+  const v = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/,/g, "")
+    .replace(/^x|x$/, "");
+  const off = ["off", "none", "no"].includes(v);
+  const toggle = { on: true, yes: true, off: false, no: false }[v];
+
+  if (s === "price") {
+    if (off) return { changes: { confirmPriceFactor: null } };
+    const factor = Number(v);
+    return Number.isFinite(factor) && factor > 1
+      ? { changes: { confirmPriceFactor: factor } }
+      : { error: "The price factor must be a number above 1, e.g. settings confirm price 5" };
+  }
+  if (s === "limit") {
+    if (off) return { changes: { confirmMaxAmount: null } };
+    const amount = Number(v);
+    return Number.isFinite(amount) && amount > 0
+      ? { changes: { confirmMaxAmount: amount } }
+      : { error: "The limit must be an amount above 0, e.g. settings confirm limit 500000" };
+  }
+  if (s === "currency" || s === "newitems") {
+    if (toggle === undefined) return { error: `Say on or off, e.g. settings confirm ${s} off` };
+    return { changes: { [s === "currency" ? "confirmCurrency" : "confirmNewItems"]: toggle } };
+  }
+  if (s === "timeout") {
+    const minutes = Number(v.replace(/\s*(m|min|mins|minutes)$/, ""));
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_TIMEOUT_MINUTES
+      ? { changes: { confirmTimeoutMinutes: minutes } }
+      : { error: `The timeout is in minutes (1-${MAX_TIMEOUT_MINUTES}), e.g. settings confirm timeout 10` };
+  }
+  return {
+    error: "Settings: price <factor|off>, limit <amount|off>, currency on|off, newitems on|off, timeout <minutes>",
+  };
+}
+
+module.exports = {
+  DEFAULT_CHECKS,
+  QUESTIONS,
+  checksFromRow,
+  usualAmount,
+  entryConcerns,
+  settledQuestions,
+  settling,
+  parseCheckSetting,
+};
@@ -0,0 +1,130 @@
+/**
+ * Standard expense categories and the words people use for them.
+ * mapCategory() turns free text ("petrol", "transport_fuel", "shop rent") into a category
+ * key; per-business synonyms are checked first. Unknown text is kept as its own category.
+ */
+
+const { normalizeItemName, findClosest } = require("./itemMatch");
+
+const CATEGORIES = {
+  fuel: ["fuel", "petrol", "diesel", "gas", "gasoline", "pms", "transport fuel", "generator fuel"],
+  transport: [
+    "transport",
+    "transportation",
+    "taxi",
+    "uber",
+    "bolt",
+    "bus",
+    "okada",
+    "keke",
+    "fare",
+    "delivery",
+    "logistics",
+    "shipping",
+  ],
+  rent: ["rent", "shop rent", "lease", "rental"],
+  salaries: ["salary", "salaries", "wages", "wage", "staff", "staff pay", "payroll"],
+  utilities: ["utilities", "electricity", "light", "nepa", "power", "water", "waste"],
+  airtime: ["airtime", "data", "internet", "wifi", "phone", "recharge"],
+  inventory: ["inventory", "stock", "goods", "restock", "supplies", "purchase", "purchases"],
+  marketing: ["marketing", "ads", "ad", "advert", "adverts", "advertising", "promo", "promotion", "flyers"],
+  repairs: ["repairs", "repair", "maintenance", "fix", "servicing"],
+  fees: ["fees", "fee", "tax", "taxes", "levy", "bank charges", "charges", "license", "permit"],
+  packaging: ["packaging", "bags", "nylon", "cartons", "boxes", "wrapping"],
+  food: ["food", "lunch", "feeding", "meals"],
+};
+
+// synonym -> category, plus the keys themselves
+const SYNONYMS = new Map();
+for (const [key, words] of Object.entries(CATEGORIES)) {
+  SYNONYMS.set(key, key);
+  for (const w of words) SYNONYMS.set(w, key);
+}
+
+// Words after these describe what an expense was for, not what it was ("lunch for staff")
+const LINKING_WORDS = new Set(["for", "on", "to", "of", "at"]);
+
+// Words in the order they decide a category: the last word of a compound names the thing
+// ("staff lunch" is food, "phone repair" is repairs), and words before "for"/"on" come first.
+function wordsByWeight(name) {
+  const words = name.split(" ");
+  const cut = words.findIndex((w) => LINKING_WORDS.has(w));
+  const head = cut === -1 ? words : words.slice(0, cut);
+  const rest = cut === -1 ? [] : words.slice(cut + 1);
+  return [...head.reverse(), ...rest.reverse()];
+}
+
+// Longest multi-word synonym ("bank charges", "shop rent") inside the text, business ones first on a tie
+function longestPhrase(name, synonymMaps) {
+  let best = null;
+  for (const synonyms of synonymMaps) {
+    for (const [phrase, category] of synonyms) {
+      if (!phrase.includes(" ") || !` ${name} `.includes(` ${phrase} `)) continue;
+      if (!best || phrase.length > best.phrase.length) best = { phrase, category };
+    }
+  }
+  return best ? best.category : null;
+}
+
+/**
+ * businessSynonyms: Map or object of synonym -> category for this business.
+ * Order: the whole text, the longest phrase in it, single words (see wordsByWeight), close spelling;
+ * at each step a business synonym wins over a standard one.
+ */
+function mapCategory(text, businessSynonyms = new Map()) {
+  const name = normalizeItemName(text);
+  if (!name) return "";
+  const own = businessSynonyms instanceof Map ? businessSynonyms : new Map(Object.entries(businessSynonyms));
+
+  if (own.has(name)) return own.get(name);
+  if (SYNONYMS.has(name)) return SYNONYMS.get(name);
+
+  const phrase = longestPhrase(name, [own, SYNONYMS]);
+  if (phrase) return phrase;
+
+  for (const word of wordsByWeight(name)) {
+    if (own.has(word)) return own.get(word);
+    if (SYNONYMS.has(word)) return SYNONYMS.get(word);
+  }
+
+  const candidates = [...own.entries(), ...SYNONYMS.entries()].map(([key, value]) => ({ key, value }));
+  const close = findClosest(name, candidates, { minScore: 0.8 });
+  return close ? close.value : name;
+}
+
+function isStandardCategory(name) {
+  return Object.prototype.hasOwnProperty.call(CATEGORIES, name);
+}
+
+const BUDGET_OFF_WORDS = new Set(["off", "remove", "none"]);
+
+/**
+ * Arguments of "budget <category> <amount>[currency]" and "budget <category> off".
+ * The category may be several words ("staff lunch 20000") or quoted ('"staff lunch" off').
+ * Returns { category, off } or { category, amount, currency } (amount unchecked), or { error: "missing" }.
+ */
+function parseBudgetArgs(args) {
+  let tokens = args.map(String).filter(Boolean);
+  let category = null;
+  const quoted = tokens.join(" ").match(/^["“'‘](.*?)["”'’](?:\s+(.*))?$/);
+  if (quoted) {
+    category = quoted[1].trim();
+    tokens = quoted[2] ? quoted[2].split(/\s+/) : [];
+  }
+
+  // The tail is "off", "<amount>" or "<amount> <currency>"; amounts have a digit
+  const n = tokens.length;
+  let tail = n;
+  if (n && (BUDGET_OFF_WORDS.has(tokens[n - 1].toLowerCase()) || /\d/.test(tokens[n - 1]))) tail = n - 1;
+  else if (n > 1 && /\d/.test(tokens[n - 2])) tail = n - 2;
+
+  if (category === null) category = tokens.slice(0, tail).join(" ");
+  else if (tail > 0) return { error: "missing" };
+  if (!category) return { error: "missing" };
+
+  const [amount, currency] = tokens.slice(tail);
+  if (amount && BUDGET_OFF_WORDS.has(amount.toLowerCase())) return { category, off: true };
+  return { category, amount, currency };
+}
+
+module.exports = { CATEGORIES, mapCategory, isStandardCategory, parseBudgetArgs };
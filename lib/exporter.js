@@ -0,0 +1,176 @@
+/**
+ * Data export (CSV / XLSX) of a business's sales, expenses and stock movements.
+ * Rows are read in id-ordered batches so large ranges stream without loading everything.
+ * Times are exported in the business's local timezone.
+ */
+
+const ExcelJS = require("exceljs");
+const { pool } = require("./db");
+const { toCsvLine } = require("./csv");
+
+const BATCH_SIZE = 500;
+
+// created_at is UTC wall-clock (see WINDOW_SQL in index.js)
+const LOCAL_TIME_SQL = (alias) =>
+  `to_char((${alias}.created_at AT TIME ZONE 'UTC') AT TIME ZONE $4, 'YYYY-MM-DD HH24:MI')`;
+const WINDOW_SQL = (alias) =>
+  `${alias}.created_at >= ($2::timestamptz AT TIME ZONE 'UTC') AND ${alias}.created_at < ($3::timestamptz AT TIME ZONE 'UTC')`;
+
+const DATASETS = {
+  sales: {
+    sheet: "Sales",
+    columns: [
+      { key: "id", header: "ID", width: 8 },
+      { key: "local_time", header: "Date", width: 18 },
+      { key: "item", header: "Item", width: 24 },
+      { key: "quantity", header: "Qty", width: 8 },
+      { key: "unit_price", header: "Unit price", width: 12 },
+      { key: "discount", header: "Discount", width: 12 },
+      { key: "amount", header: "Amount", width: 14 },
+      { key: "currency", header: "Currency", width: 10 },
+      { key: "recorded_by", header: "Recorded by", width: 20 },
+    ],
+    sql: `
+      SELECT s.id, ${LOCAL_TIME_SQL("s")} AS local_time, s.item, s.quantity, s.unit_price, s.discount,
+             s.amount, s.currency, m.whatsapp_from AS recorded_by
+      FROM sales s
+      LEFT JOIN business_members m ON m.id = s.member_id
+      WHERE s.business_id = $1 AND ${WINDOW_SQL("s")} AND s.id > $5
+      ORDER BY s.id
+      LIMIT ${BATCH_SIZE}
+    `,
+  },
+  expenses: {
+    sheet: "Expenses",
+    columns: [
+      { key: "id", header: "ID", width: 8 },
+      { key: "local_time", header: "Date", width: 18 },
+      { key: "category", header: "Category", width: 24 },
+      { key: "amount", header: "Amount", width: 14 },
+      { key: "currency", header: "Currency", width: 10 },
+      { key: "recorded_by", header: "Recorded by", width: 20 },
+    ],
+    sql: `
+      SELECT e.id, ${LOCAL_TIME_SQL("e")} AS local_time, e.category, e.amount, e.currency,
+             CASE WHEN e.recurring_id IS NOT NULL THEN 'recurring #' || e.recurring_id
+                  ELSE m.whatsapp_from END AS recorded_by
+      FROM expenses e
+      LEFT JOIN business_members m ON m.id = e.member_id
+      WHERE e.business_id = $1 AND ${WINDOW_SQL("e")} AND e.id > $5
+      ORDER BY e.id
+      LIMIT ${BATCH_SIZE}
+    `,
+  },
+  stock: {
+    sheet: "Stock",
+    columns: [
+      { key: "id", header: "ID", width: 8 },
+      { key: "local_time", header: "Date", width: 18 },
+      { key: "item", header: "Item", width: 24 },
+      { key: "kind", header: "Movement", width: 12 },
+      { key: "delta", header: "Change", width: 10 },
+      { key: "sale_id", header: "Sale ID", width: 10 },
+      { key: "recorded_by", header: "Recorded by", width: 20 },
+    ],
+    sql: `
+      SELECT sm.id, ${LOCAL_TIME_SQL("sm")} AS local_time, sm.item, sm.kind, sm.delta, sm.sale_id,
+             m.whatsapp_from AS recorded_by
+      FROM stock_movements sm
+      LEFT JOIN business_members m ON m.id = sm.member_id
+      WHERE sm.business_id = $1 AND ${WINDOW_SQL("sm")} AND sm.id > $5
+      ORDER BY sm.id
+      LIMIT ${BATCH_SIZE}
+    `,
+  },
+};
+
+// Numeric columns come back from pg as strings; keep them exact in CSV, numeric in XLSX.
+const NUMERIC_KEYS = new Set(["quantity", "unit_price", "discount", "amount", "delta"]);
+
+async function* iterateRows(dataset, businessId, window) {
+  const def = DATASETS[dataset];
+  let lastId = 0;
+  for (;;) {
+    const r = await pool.query(def.sql, [
+      businessId,
+      window.start.toISOString(),
+      window.end.toISOString(),
+      window.timeZone,
+      lastId,
+    ]);
+    for (const row of r.rows) {
+      if (row.recorded_by) row.recorded_by = row.recorded_by.replace(/^whatsapp:/, "");
+      yield row;
+    }
+    if (r.rows.length < BATCH_SIZE) return;
+    lastId = r.rows[r.rows.length - 1].id;
+  }
+}
+
+// Resolves when `out` drains; rejects if the client goes away first (no "drain" will come)
+function drained(out) {
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      out.off("drain", onDrain);
+      out.off("close", onClose);
+      out.off("error", done);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error("Client disconnected during export"));
+    out.on("drain", onDrain);
+    out.once("close", onClose);
+    out.once("error", done);
+  });
+}
+
+async function writeCsv(out, dataset, businessId, window) {
+  const { columns } = DATASETS[dataset];
+  out.write(toCsvLine(columns.map((c) => c.header)));
+  // leaving the loop early (throw) closes the row iterator, so no further batches are read
+  for await (const row of iterateRows(dataset, businessId, window)) {
+    if (out.destroyed) throw new Error("Client disconnected during export");
+    // respect backpressure on slow clients
+    if (!out.write(toCsvLine(columns.map((c) => row[c.key])))) await drained(out);
+  }
+  out.end();
+}
+
+// out: the response a streamed workbook goes to (null when building in memory)
+async function addSheet(workbook, dataset, businessId, window, out = null) {
+  const streaming = Boolean(out);
+  const def = DATASETS[dataset];
+  const sheet = workbook.addWorksheet(def.sheet);
+  sheet.columns = def.columns;
+  for await (const row of iterateRows(dataset, businessId, window)) {
+    if (streaming) {
+      if (out.destroyed) throw new Error("Client disconnected during export");
+      // the zip is piped into `out`; stop reading rows while the client is behind
+      if (out.writableNeedDrain) await drained(out);
+    }
+    const values = {};
+    for (const c of def.columns) {
+      values[c.key] = NUMERIC_KEYS.has(c.key) && row[c.key] !== null ? Number(row[c.key]) : row[c.key];
+    }
+    const added = sheet.addRow(values);
+    if (streaming) added.commit();
+  }
+  if (streaming) sheet.commit();
+}
+
+// Streams an XLSX workbook (one sheet per dataset) to `out`
+async function writeXlsx(out, datasets, businessId, window) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false });
+  for (const dataset of datasets) await addSheet(workbook, dataset, businessId, window, out);
+  await workbook.commit();
+}
+
+// Whole workbook in memory, for files we store and hand out by link
+async function buildXlsxBuffer(datasets, businessId, window) {
+  const workbook = new ExcelJS.Workbook();
+  for (const dataset of datasets) await addSheet(workbook, dataset, businessId, window);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { DATASETS, writeCsv, writeXlsx, buildXlsxBuffer };
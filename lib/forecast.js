@@ -0,0 +1,95 @@
+/**
+ * Demand / revenue forecasting from daily history. No external service: exponential
+ * smoothing of the level with multiplicative weekday seasonality, and a range from the
+ * spread of one-step-ahead errors.
+ *
+ * History is a dense array of { date: "YYYY-MM-DD", value } (missing days as 0), oldest first.
+ * Values come back rounded to two decimals (roundMoney without a currency), units and money alike.
+ */
+
+const { roundMoney } = require("./money");
+
+const WEEKDAY_COUNT = 7;
+// z for an 80% two-sided interval
+const Z_80 = 1.2816;
+// Fewer days than this and seasonality is ignored
+const MIN_DAYS_FOR_SEASONALITY = 14;
+
+function weekdayOf(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Weekday factors (0 = Sunday) averaging 1; each weekday's mean over the overall mean,
+ * shrunk towards 1 when there are few weeks of data.
+ */
+function weekdayFactors(history) {
+  const flat = new Array(WEEKDAY_COUNT).fill(1);
+  const mean = history.reduce((acc, h) => acc + h.value, 0) / (history.length || 1);
+  if (history.length < MIN_DAYS_FOR_SEASONALITY || mean <= 0) return flat;
+
+  const sums = new Array(WEEKDAY_COUNT).fill(0);
+  const counts = new Array(WEEKDAY_COUNT).fill(0);
+  for (const h of history) {
+    const wd = weekdayOf(h.date);
+    sums[wd] += h.value;
+    counts[wd] += 1;
+  }
+  const weeks = history.length / WEEKDAY_COUNT;
+  const shrink = weeks / (weeks + 2);
+  const raw = sums.map((sum, wd) => (counts[wd] ? 1 + ((sum / counts[wd]) / mean - 1) * shrink : 1));
+  const norm = raw.reduce((acc, f) => acc + f, 0) / WEEKDAY_COUNT;
+  return raw.map((f) => f / norm);
+}
+
+/**
+ * Forecast `futureDates` (YYYY-MM-DD) from `history`.
+ * Returns { total, low, high, daily: [{ date, value }], days_of_history, confidence }.
+ * low/high bound the total with ~80% confidence (never below 0).
+ */
+function forecastSeries(history, futureDates, { alpha = 0.3 } = {}) {
+  const factors = weekdayFactors(history);
+  const daily = [];
+
+  if (!history.length) {
+    for (const date of futureDates) daily.push({ date, value: 0 });
+    return { total: 0, low: 0, high: 0, daily, days_of_history: 0, confidence: "none" };
+  }
+
+  // Smooth the deseasonalised series, tracking one-step-ahead errors
+  let level = history[0].value / factors[weekdayOf(history[0].date)];
+  let sqErr = 0;
+  for (let i = 1; i < history.length; i++) {
+    const f = factors[weekdayOf(history[i].date)];
+    const predicted = level * f;
+    sqErr += (history[i].value - predicted) ** 2;
+    level = alpha * (history[i].value / f) + (1 - alpha) * level;
+  }
+  const sigma = history.length > 1 ? Math.sqrt(sqErr / (history.length - 1)) : level;
+
+  let total = 0;
+  for (const date of futureDates) {
+    const value = Math.max(0, level * factors[weekdayOf(date)]);
+    daily.push({ date, value: roundMoney(value) });
+    total += value;
+  }
+
+  // Relative width of the range decides how much to trust the number
+  const spread = Z_80 * sigma * Math.sqrt(futureDates.length);
+  const width = total > 0 ? spread / total : Infinity;
+  let confidence = "high";
+  if (history.length < MIN_DAYS_FOR_SEASONALITY || width > 1) confidence = "low";
+  else if (width > 0.5) confidence = "medium";
+
+  return {
+    total: roundMoney(total),
+    low: roundMoney(Math.max(0, total - spread)),
+    high: roundMoney(total + spread),
+    daily,
+    days_of_history: history.length,
+    confidence,
+  };
+}
+
+module.exports = { weekdayFactors, forecastSeries };
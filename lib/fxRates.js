@@ -0,0 +1,201 @@
+/**
+ * Exchange rates. Stored rates (per business, or shared when business_id is NULL) are
+ * looked up by the time they were valid from; an optional provider fills gaps and its
+ * answers are stored, so each pair/day is fetched once.
+ *
+ * A provider is `async (base, quote, date) => rate | null` (1 base = rate quote).
+ * Built in: FX_RATES_URL, a URL template with {base}, {quote} and {date} (YYYY-MM-DD)
+ * that returns JSON like { "rate": 1550 }, given up on after FX_RATES_TIMEOUT_MS.
+ *
+ * Sales and expenses are recorded from the Twilio webhook and inside transactions, so a
+ * pair/day the provider had no answer for is not asked again for a while, and the provider
+ * is never called with a transaction client: callers warm rates (warmRates) before BEGIN.
+ */
+
+const { pool } = require("./db");
+
+const PROVIDER_TIMEOUT_MS = Number(process.env.FX_RATES_TIMEOUT_MS) || 3000;
+const MISS_TTL_MS = 10 * 60 * 1000;
+const MAX_MISSES = 1000;
+
+let rateProvider = null;
+// "USD>NGN@2026-10-19" -> time until which the provider is not asked again
+const misses = new Map();
+
+function setRateProvider(fn) {
+  rateProvider = typeof fn === "function" ? fn : null;
+  misses.clear();
+}
+
+function httpRateProvider(urlTemplate) {
+  return async (base, quote, date) => {
+    const url = urlTemplate
+      .replace("{base}", encodeURIComponent(base))
+      .replace("{quote}", encodeURIComponent(quote))
+      .replace("{date}", date.toISOString().slice(0, 10));
+    const res = await fetch(url, { signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`FX provider responded ${res.status}`);
+    const body = await res.json();
+    const rate = Number(body?.rate);
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+  };
+}
+
+if (process.env.FX_RATES_URL) setRateProvider(httpRateProvider(process.env.FX_RATES_URL));
+
+// Times are UTC wall-clock like every created_at column. Inverse pairs count (1 / rate);
+// the most recent rate wins, and a business's own rate beats a shared one from the same moment.
+function rateAtSql({ business, from, to, at }) {
+  return `
+    SELECT CASE WHEN r.base = ${from} THEN r.rate ELSE 1 / r.rate END AS rate
+    FROM exchange_rates r
+    WHERE (r.business_id = ${business} OR r.business_id IS NULL)
+      AND ((r.base = ${from} AND r.quote = ${to}) OR (r.base = ${to} AND r.quote = ${from}))
+      AND r.valid_from <= ${at}
+    ORDER BY r.valid_from DESC, r.business_id NULLS LAST, r.id DESC
+    LIMIT 1`;
+}
+
+async function saveRate({ businessId = null, base, quote, rate, validFrom = null, source = "manual" }, db = pool) {
+  const r = await db.query(
+    `INSERT INTO exchange_rates (business_id, base, quote, rate, valid_from, source)
+     VALUES ($1, $2, $3, $4, COALESCE(($5::timestamptz AT TIME ZONE 'UTC'), NOW()::timestamp), $6)
+     RETURNING *`,
+    [businessId, base, quote, rate, validFrom ? validFrom.toISOString() : null, source]
+  );
+  return r.rows[0];
+}
+
+function missKey(base, quote, day) {
+  return `${base}>${quote}@${day.toISOString().slice(0, 10)}`;
+}
+
+function rememberMiss(key) {
+  if (misses.size >= MAX_MISSES) misses.clear();
+  misses.set(key, Date.now() + MISS_TTL_MS);
+}
+
+/**
+ * Rate to turn 1 `base` into `quote` at time `at`, or null when nothing is known.
+ * Only stored rates are read when `db` is a transaction client (anything but the pool).
+ */
+async function getRate(businessId, base, quote, at = new Date(), db = pool) {
+  if (base === quote) return 1;
+
+  const stored = await db.query(
+    rateAtSql({ business: "$1", from: "$2", to: "$3", at: "($4::timestamptz AT TIME ZONE 'UTC')" }),
+    [businessId, base, quote, at.toISOString()]
+  );
+  if (stored.rows.length) return Number(stored.rows[0].rate);
+  if (!rateProvider || db !== pool) return null;
+
+  const day = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()));
+  const key = missKey(base, quote, day);
+  if (misses.get(key) > Date.now()) return null;
+
+  try {
+    const rate = await rateProvider(base, quote, at);
+    if (!rate) {
+      rememberMiss(key);
+      return null;
+    }
+    await saveRate({ base, quote, rate, validFrom: day, source: "provider" });
+    return rate;
+  } catch (err) {
+    console.error("fx provider error:", err.message);
+    rememberMiss(key);
+    return null;
+  }
+}
+
+// { fxRate, fxCurrency } for a new sale/expense: the rate into the business's default currency
+async function conversionFor(businessId, currency, at, db = pool) {
+  const b = await db.query("SELECT default_currency FROM businesses WHERE id = $1", [businessId]);
+  const target = b.rows[0]?.default_currency;
+  if (!target) return { fxRate: null, fxCurrency: null };
+  return { fxRate: await getRate(businessId, currency, target, at || new Date(), db), fxCurrency: target };
+}
+
+/**
+ * Fetches and stores provider rates for entries about to be written in a transaction
+ * ([{ currency, at }]), once per currency and day, so getRate finds them stored there.
+ */
+async function warmRates(businessId, entries) {
+  if (!rateProvider) return;
+  const seen = new Set();
+  for (const { currency, at } of entries) {
+    const when = at || new Date();
+    const key = `${currency}@${when.toISOString().slice(0, 10)}`;
+    if (!currency || seen.has(key)) continue;
+    seen.add(key);
+    await conversionFor(businessId, currency, when);
+  }
+}
+
+// Latest rate per pair visible to a business (its own and shared ones)
+async function listRates(businessId) {
+  const r = await pool.query(
+    `SELECT DISTINCT ON (base, quote) id, business_id, base, quote, rate, valid_from, source
+     FROM exchange_rates
+     WHERE business_id = $1 OR business_id IS NULL
+     ORDER BY base, quote, valid_from DESC, business_id NULLS LAST, id DESC`,
+    [businessId]
+  );
+  return r.rows;
+}
+
+/**
+ * Fills fx_rate on sales/expenses that have none yet, or that were converted into a
+ * currency that is no longer the business default. Rates already stored are kept.
+ * -> { sales, expenses, missing } where sales/expenses count the rows that now have a rate
+ * and missing is { [currency]: { count, since } } for rows still without one (since: the oldest).
+ */
+async function fillMissingRates(businessId, db = pool) {
+  const updated = {};
+  const missing = {};
+  for (const table of ["sales", "expenses"]) {
+    const rateSql = rateAtSql({
+      business: "t.business_id",
+      from: "t.currency",
+      to: "b.default_currency",
+      at: "t.created_at",
+    });
+    const r = await db.query(
+      `UPDATE ${table} t
+       SET fx_currency = b.default_currency,
+           fx_rate = CASE WHEN t.currency = b.default_currency THEN 1 ELSE (${rateSql}) END
+       FROM businesses b
+       WHERE b.id = t.business_id AND t.business_id = $1
+         AND (t.fx_rate IS NULL OR t.fx_currency IS DISTINCT FROM b.default_currency)
+       RETURNING t.fx_rate`,
+      [businessId]
+    );
+    updated[table] = r.rows.filter((row) => row.fx_rate !== null).length;
+
+    const left = await db.query(
+      `SELECT currency, COUNT(*)::int AS count, MIN(created_at) AS since
+       FROM ${table} WHERE business_id = $1 AND fx_rate IS NULL
+       GROUP BY currency`,
+      [businessId]
+    );
+    for (const row of left.rows) {
+      const seen = missing[row.currency];
+      missing[row.currency] = {
+        count: (seen ? seen.count : 0) + row.count,
+        since: seen && seen.since < row.since ? seen.since : row.since,
+      };
+    }
+  }
+  return { ...updated, missing };
+}
+
+module.exports = {
+  setRateProvider,
+  httpRateProvider,
+  saveRate,
+  getRate,
+  conversionFor,
+  warmRates,
+  listRates,
+  fillMissingRates,
+};
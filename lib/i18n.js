@@ -0,0 +1,134 @@
+/**
+ * Replies in the business's language (businesses.language) and its phrasings for the parser.
+ *
+ * Each language is a catalogue in lib/locales/<code>.js:
+ *   messages  key -> "text with {placeholders}" or (vars) => text; missing keys fall back to English
+ *   yes / no  answers to YES/NO questions (every language's words count, whatever the setting)
+ *   commands  localized first word -> English command ("taimako" -> "help", "résumé" -> "summary")
+ *   phrases   [pattern, replacement] rewrites applied in order before the parser, e.g.
+ *             "I don sell 3 rice for 4500" -> "sold 3 rice for 4500"
+ *   fold      match with accents stripped (Yoruba and Hausa are often typed without them)
+ *   locale    for number formatting
+ * Command syntax and examples in usage lines stay in English, like the commands themselves.
+ */
+
+const { formatMoney } = require("./money");
+
+const LANGUAGES = {
+  en: require("./locales/en"),
+  pcm: require("./locales/pcm"),
+  yo: require("./locales/yo"),
+  ha: require("./locales/ha"),
+  fr: require("./locales/fr"),
+};
+const DEFAULT_LANGUAGE = "en";
+
+// "Yorùbá" -> "yoruba", "ƙasa" -> "kasa"
+function fold(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ƙ/g, "k")
+    .replace(/Ƙ/g, "K")
+    .replace(/ɗ/g, "d")
+    .replace(/Ɗ/g, "D")
+    .replace(/ɓ/g, "b")
+    .replace(/Ɓ/g, "B")
+    .replace(/[’‘]/g, "'");
+}
+
+const key = (text) => fold(text).toLowerCase().trim().replace(/\s+/g, " ");
+
+function languageOf(code) {
+  return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// "pidgin" | "Yorùbá" | "fr" -> language code; null when unknown
+function parseLanguage(text) {
+  const name = key(text);
+  if (!name) return null;
+  const found = Object.values(LANGUAGES).find(
+    (l) => l.code === name || key(l.name) === name || l.aliases.some((a) => key(a) === name)
+  );
+  return found ? found.code : null;
+}
+
+// "english|pidgin|yoruba|hausa|french" for usage lines
+function languageChoices() {
+  return Object.values(LANGUAGES)
+    .map((l) => l.aliases[0])
+    .join("|");
+}
+
+function t(lang, messageKey, vars = {}) {
+  const message = languageOf(lang).messages[messageKey] ?? LANGUAGES[DEFAULT_LANGUAGE].messages[messageKey];
+  if (message === undefined) throw new Error(`Unknown message: ${messageKey}`);
+  if (typeof message === "function") return message(vars);
+  return message.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+const numberFormats = new Map();
+function numberFormat(lang) {
+  const locale = languageOf(lang).locale;
+  if (!numberFormats.has(locale)) {
+    numberFormats.set(locale, new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }));
+  }
+  return numberFormats.get(locale);
+}
+
+// 45000 -> "45,000" (en) | "45 000" (fr)
+function formatNumber(lang, n) {
+  const x = Number(n);
+  return numberFormat(lang).format(Number.isFinite(x) ? x : 0);
+}
+
+// ("NGN", 45000) -> "₦45,000.00" (en) | "45 000,00 ₦" (fr); see lib/money.js
+function formatCurrencyAmount(lang, currency, amount) {
+  return formatMoney(currency, amount, languageOf(lang).locale);
+}
+
+const ANSWERS = { yes: new Set(), no: new Set() };
+for (const l of Object.values(LANGUAGES)) {
+  for (const word of l.yes) ANSWERS.yes.add(key(word));
+  for (const word of l.no) ANSWERS.no.add(key(word));
+}
+
+// "yes" | "no" for an answer in any language, else null
+function parseAnswer(text) {
+  const answer = key(text).replace(/[.!]+$/, "");
+  if (ANSWERS.yes.has(answer)) return "yes";
+  if (ANSWERS.no.has(answer)) return "no";
+  return null;
+}
+
+const COMMANDS = new Map();
+for (const l of Object.values(LANGUAGES)) {
+  for (const [word, command] of Object.entries(l.commands)) COMMANDS.set(key(word), command);
+}
+
+// The English command for a first word in any language ("aide" -> "help"); other words unchanged
+function commandFor(word) {
+  return COMMANDS.get(key(word)) || word;
+}
+
+// A message in the language's own phrasing rewritten to the English the parser reads
+function toEnglish(text, lang) {
+  const l = LANGUAGES[lang];
+  if (!l || !l.phrases.length) return text;
+  let out = l.fold ? fold(text) : String(text || "");
+  for (const [pattern, replacement] of l.phrases) out = out.replace(pattern, replacement);
+  return out.replace(/\s+/g, " ").trim();
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  parseLanguage,
+  languageChoices,
+  t,
+  formatNumber,
+  formatCurrencyAmount,
+  parseAnswer,
+  commandFor,
+  toEnglish,
+};
@@ -0,0 +1,70 @@
+/**
+ * Item name normalization and fuzzy matching for the product catalogue.
+ */
+
+// "Rice_Bag " / "rice  bag" -> "rice bag"
+function normalizeItemName(raw) {
+  return String(raw || "")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * 0..1 similarity between two normalized names. Edit distance relative to the longer
+ * name, with a floor for whole-word containment ("rice" vs "rice bag").
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  let score = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const wordsA = a.split(" ");
+  const wordsB = b.split(" ");
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.every((w) => longer.includes(w))) score = Math.max(score, 0.8);
+
+  // A one-word typo of one word in a longer name ("rce" vs "rice bag"), slightly discounted
+  if (shorter.length === 1 && longer.length > 1) {
+    const word = shorter[0];
+    const wordScore = Math.max(...longer.map((w) => 1 - levenshtein(word, w) / Math.max(w.length, word.length)));
+    score = Math.max(score, wordScore * 0.95);
+  }
+
+  return score;
+}
+
+/**
+ * Closest candidate to `name`, or null when nothing reaches minScore.
+ * candidates: [{ key, value }] where key is a normalized name or alias.
+ * Ties go to the earlier candidate, so callers should list canonical names first.
+ */
+function findClosest(name, candidates, { minScore = 0.7 } = {}) {
+  const target = normalizeItemName(name);
+  let best = null;
+  for (const c of candidates) {
+    const score = similarity(target, c.key);
+    if (score >= minScore && (!best || score > best.score)) best = { ...c, score };
+  }
+  return best;
+}
+
+module.exports = { normalizeItemName, levenshtein, similarity, findClosest };
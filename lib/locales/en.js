@@ -0,0 +1,415 @@
+/**
+ * English: the reference catalogue. Every message key lives here; the other languages
+ * fall back to it for anything they don't translate.
+ */
+
+const plural = (n, one, many) => (Number(n) === 1 ? one : many);
+
+module.exports = {
+  code: "en",
+  name: "English",
+  locale: "en",
+  aliases: ["english", "eng"],
+  yes: ["yes", "y", "yeah", "yep", "ok", "okay"],
+  no: ["no", "n", "nope"],
+  commands: {},
+  phrases: [],
+
+  messages: {
+    business_default: "Your Business",
+    none: "None",
+    unknown: [
+      "I didn’t understand that.",
+      'Type "help" to see commands.',
+      "",
+      "Examples:",
+      "• Sold 3 bin for 400 gbp",
+      "• Spent £30 on fuel",
+      "• Add stock bin 10",
+      "• Summary week",
+    ].join("\n"),
+    reports_locked: '🔒 Only the owner of {business} can see {cmd}. Ask them to send "grant <your number> reports".',
+    owner_only: '🔒 Only the owner of {business} can use "{cmd}".',
+    language_current: "🌍 Language: {name}\nChange with: language <{choices}>",
+    language_set: "✅ Language updated: {name}\nReplies are now in {name}. English commands still work.",
+    language_unknown: "I don't know that language. Choose one of: {choices}",
+
+    // YES/NO questions
+    expired: "⌛ That question expired, so nothing was recorded. Please send it again.",
+    not_recorded: "❌ Not recorded. Send it again with the right details.",
+    reply_yes_no: "Reply YES or NO (within {minutes} min).",
+    item_did_you_mean: '🤔 Did you mean "{suggestion}"? Reply YES to use it, or NO to save "{typed}" as a new item.',
+    confirm_one: "🤔 Record {label}?",
+    confirm_many: "🤔 Record these {total} entries? Please check:",
+    concern_new_item: '"{item}" is a new item',
+    concern_currency: "no currency given, so I used {currency} (you usually use {usual})",
+    concern_price: "the usual price is {amount}",
+    concern_amount: "the usual amount is {amount}",
+    concern_limit: "it is above your check limit of {limit}",
+
+    // Recorded entries
+    sale_recorded: "✅ Sale recorded (#{id})",
+    sale_not_recorded: "Sale not recorded: {error}",
+    expense_recorded: "✅ Expense recorded (#{id})",
+    expense_not_recorded: "Expense not recorded: {error}",
+    payment_recorded: "✅ Payment recorded (#{id})",
+    stock_set: "✅ Stock updated (set, #{id})",
+    stock_added: "✅ Stock updated (added, #{id})",
+    stock_removed: "✅ Stock updated (removed, #{id})",
+    stock_written_off: "✅ Stock updated (written off, #{id})",
+    label_item: "Item",
+    label_unit_price: "Unit price",
+    label_unit_cost: "Unit cost",
+    label_qty: "Qty",
+    label_discount: "Discount",
+    label_total: "Total",
+    label_customer: "Customer",
+    label_category: "Category",
+    label_amount: "Amount",
+    label_from: "From",
+    label_time: "Time",
+    label_stock_left: "Stock left",
+    label_new_stock: "New stock",
+    label_added: "Added",
+    label_removed: "Removed",
+    on_credit: "on credit",
+    from_raw: '(from "{raw}")',
+    budget_this_month: "🎯 Budget this month: {budget}",
+    batch_recorded: (v) =>
+      `✅ Recorded ${v.count} ${plural(v.count, "entry", "entries")}${v.date ? ` for ${v.date}` : ""}`,
+    batch_nothing: "⚠️ Nothing was recorded",
+    batch_problems: "Not recorded:",
+    batch_mistake: 'Mistake? Send "delete <sale|expense|stock|payment> <id>"',
+
+    // Records in replies and questions
+    entry_sale: "sale {item} ×{qty} for {amount}",
+    entry_sale_item: "sale {item} ×{qty}",
+    entry_expense: "expense {category} {amount}",
+    entry_purchase: "bought {items}",
+    entry_payment: "payment from {customer} {amount}",
+    entry_stock_add: "add stock {item} ×{qty}",
+    entry_stock_remove: "remove stock {item} ×{qty}",
+    entry_stock_writeoff: "write off {item} ×{qty}",
+    entry_each: " @ {amount}",
+    entry_for: " for {amount}",
+    entry_total: "total {amount}",
+    entry_less: "less {amount}",
+    entry_to: "to {customer}",
+    entry_to_credit: "to {customer} on credit",
+    record_sale: "sale #{id}: {item} x{qty} for {amount}",
+    record_expense: "expense #{id}: {category} {amount}",
+    record_payment: "payment #{id}: {customer} paid {amount}",
+    record_stock: "stock #{id}: {item} {delta} ({kind})",
+    stock_kind_opening: "opening",
+    stock_kind_purchase: "purchase",
+    stock_kind_sale: "sale",
+    stock_kind_adjustment: "adjustment",
+    stock_kind_writeoff: "write-off",
+    batch_sale: "Sale #{id}: {item} x{qty} {amount}",
+    batch_new_item: " (new item)",
+    batch_expense: "Expense #{id}: {category} {amount}",
+    batch_stock: "Stock #{id}: {item} {delta}{cost} (now {qty})",
+    batch_payment: "Payment #{id}: {customer} paid {amount}",
+    batch_credit_buyer: "Who is buying on credit? e.g. sold 3 rice to Musa on credit",
+    batch_no_cost: "No price for {item}, so its profit is unknown. Set one: cost {item} <amount>",
+
+    // Voice notes + receipt photos
+    media_unsupported:
+      "I can read voice notes and photos of receipts. Please type anything else, e.g. sold 3 rice for 45k",
+    media_no_adapter_audio: "I can't read voice notes yet. Please type it instead, e.g. sold 3 rice for 45k",
+    media_no_adapter_image: "I can't read photos yet. Please type it instead, e.g. sold 3 rice for 45k",
+    media_failed_audio: "I couldn't make out that voice note. Please try again, or type it, e.g. sold 3 rice for 45k",
+    media_failed_image: "I couldn't make out that photo. Please try again, or type it, e.g. sold 3 rice for 45k",
+    media_heard_audio: "I heard",
+    media_heard_image: "I read",
+    media_unparsed: "I couldn't turn that into a record. Please type it, e.g. sold 3 rice for 45k",
+    media_record: (v) => `Record this${v.date ? ` for ${v.date}` : ""}?`,
+
+    // Summary
+    summary_title: "📊 Predicta Summary ({business})",
+    period: "Period: {label}",
+    summary_sales: "💰 Sales:",
+    qty: "(qty: {qty})",
+    cash_vs_credit: "💵 Cash vs credit:",
+    received: "Received {amount}",
+    incl_repaid: " (incl. {amount} repaid)",
+    on_credit_amount: ", on credit {amount}",
+    owed_now: (v) =>
+      `💳 Owed to you now: ${v.amounts} (${v.count} ${plural(v.count, "customer", "customers")}, send "debts")`,
+    cost_of_goods: "📦 Cost of goods:",
+    cogs_line: "COGS {cogs} → gross profit {gross}",
+    units_without_cost: " ({qty} units without cost)",
+    summary_expenses: "💸 Expenses:",
+    summary_net: "📈 Net:",
+    all_in: "💱 All in {currency}:",
+    no_rate_entries: "{count} entries have no rate yet (not included)",
+    top_sales: "🏆 Top sales:",
+    cost_profit: "cost {cost}, profit {profit}",
+    margin: ", margin {pct}%",
+    sale_profit: "Cost: {cost} → profit {profit} ({pct}%)",
+    top_expenses: "🧾 Top expenses:",
+    budgets_month: "🎯 Budgets (this month):",
+    stock_latest: "📦 Stock (latest):",
+    versus: "↕️ vs {label}:",
+    summary_tip: 'Tip: send "summary week" or "advice week"',
+    insights: "🧠 Insights:",
+    auto_all: " 🔁 auto",
+    auto_part: " (🔁 {amount} auto)",
+    label_sales: "Sales",
+    label_expenses: "Expenses",
+    label_net: "Net",
+    change_new: "new",
+    change_flat: "flat",
+    change_up: "up {pct}%",
+    change_down: "down {pct}%",
+    headline: "{main} vs {label}",
+    no_activity: "No activity in either period",
+    budget_used: "{spent} of {budget}",
+    budget_over: "{category}: {used} ⚠️ over by {over}",
+    budget_left: "{category}: {used} ({pct}%), {left} left",
+
+    // Advice
+    advice_title: "🧠 Predicta Advice ({business})",
+    top_product: "🏆 Top product: {item} ({amount})",
+    top_product_none: "🏆 Top product: None yet",
+    actionable_tips: "✅ Actionable tips:",
+    advice_tip: 'Tip: try "summary week"',
+    tip_below_cost: '🛑 "{item}" sold below cost: revenue {revenue} vs cost {cost}. Raise the price or check the cost.',
+    tip_old_debts: (v) =>
+      `⏳ ${v.count} customer ${plural(v.count, "debt", "debts")} older than ${v.days} days; ` +
+      `${v.customer} has owed ${v.amount} for ${v.owedDays} days. Follow up before giving more credit.`,
+    tip_over_budget: "🎯 Over budget this month: {list}. Cut back or raise the budget.",
+    tip_near_budget: '🎯 "{category}" has used {pct}% of this month\'s budget; {left} left.',
+    tip_no_sales: "📉 No sales recorded in this period. Try logging at least 3 sales to unlock better insights.",
+    tip_no_expenses: "🧾 No expenses recorded. Track costs (fuel, rent, ads) so profit is accurate.",
+    tip_sales_down:
+      "📉 Sales in {currency} are down {pct}% vs the previous period. Check prices, stock-outs and slow days.",
+    tip_sales_up: "🚀 Sales in {currency} are up {pct}% vs the previous period. Keep your best sellers in stock.",
+    tip_expenses_grew: "💸 Expenses in {currency} grew {pct}%, faster than sales. Review what changed.",
+    tip_product_down: '🔎 "{item}" revenue is down {pct}% vs the previous period.',
+    tip_concentration: '⚠️ Most revenue comes from "{item}". Consider pushing 1–2 other products to reduce risk.',
+    tip_top_product: '📌 Top product is "{item}". Add more product sales for richer insights.',
+    tip_low_stock: (v) =>
+      `🚨 ${v.count} ${plural(v.count, "item", "items")} at or below reorder level: ${v.list}. ` +
+      'Send "stock" for details.',
+    tip_high_stock: '📦 High stock: "{item}" is {qty}. Consider a promo to increase turnover.',
+    tip_no_stock: '📦 No stock updates found. Use: stock <item> <qty> (e.g. "stock rice 20").',
+    tip_restock: '🔮 Restock "{item}": about {units} expected to sell next week, {stock} in stock. Order ~{qty}.',
+    tip_net_negative_all: "🔻 Net is negative overall ({amount}). Review expenses and pricing.",
+    tip_net_negative: "🔻 Net is negative in {currency}. Review expenses and pricing.",
+    tip_no_rate:
+      '💱 Some entries have no exchange rate to {currency}. Set one from their date, e.g. ' +
+      '"rate USD {currency} 1550 2026-09-01" (without a date it only covers new entries).',
+
+    // Forecast
+    forecast_title: "🔮 Predicta Forecast ({business})",
+    forecast_next: "Next {days} days: {from} to {to}",
+    forecast_sales: "💰 Expected sales:",
+    forecast_range: "{amount} (range {range})",
+    forecast_no_history: "Not enough sales history yet",
+    forecast_demand: "📦 Expected demand (units):",
+    forecast_restock: "🛒 Restock to cover it:",
+    forecast_order: "{item}: order ~{qty} ({stock} in stock)",
+    forecast_based_on: "Based on {days} days of sales. Confidence: {confidence}.",
+    forecast_log_daily: "Log sales daily to get a forecast.",
+    confidence_low: "low",
+    confidence_medium: "medium",
+    confidence_high: "high",
+
+    // Commands (syntax and examples come from index.js and stay in English)
+    usage: "Usage: {usage}\nExample: {example}",
+    error_example: "{error}\nExample: {example}",
+    sale_usage:
+      "Usage: sale <item> <qty> [amount][currency] [to <customer> [credit]]\n" +
+      "Example: sale rice 3 ₦45000 | sale rice 3 (uses the saved price) | sale rice 3 @ 14000 -10%\n" +
+      "On credit: sale rice 3 to musa credit",
+    credit_buyer_missing: "Who is buying on credit?",
+    export_ready: "📁 Export ready: {label}\n{url}\nFile: {file} (sales, expenses, stock)\nLink expires in {hours}h.",
+    customer_unknown: 'I don\'t have a customer called "{name}".',
+    customer_unknown_hint: "Credit sales add customers, e.g. sold 3 rice to {name} on credit. See them with: customers",
+    customer_did_you_mean: "Did you mean {suggestion}?",
+    debts_none: "🎉 Nobody owes {business} anything.",
+    debts_title: "💳 Money owed to {business}:",
+    debts_total: "Total: {amounts}",
+    debts_overdue: "⏳ {count} owed for {days}+ days",
+    debts_tip: "Record a payment with: paid <customer> <amount>",
+    customers_title: "👥 Customers ({count}):",
+    customer_owes: "{name}: owes {amount}",
+    customers_tip: "Details: customer <name>",
+    customers_none: "No customers yet.\nThey are added with sales, e.g. sold 3 rice to Musa on credit",
+    ledger_credit: "bought {item} x{qty} on credit {amount}",
+    ledger_paid: "paid {amount}",
+    ledger_none: "No credit sales or payments yet.",
+    balance_clear: "{name} owes nothing.",
+    balance_owes: "{name} owes {amount}",
+    balance_credit: "{name} has {amount} in credit",
+    debt_line: (v) => `${v.name}: ${v.amount} for ${v.days} ${plural(v.days, "day", "days")}`,
+    low_stock_title: "📦 Below reorder level:",
+    low_stock_line: "{item}: {qty} (reorder at {level}), {stockout}",
+    low_stock_none: "📦 Everything is above its reorder level.\nSet levels with: reorder <item> <qty>",
+    stock_negative: '⚠️ {item} stock is now {qty}. Log deliveries with "add stock {item} <qty>".',
+    stock_low: "⚠️ Low stock: {item} has {qty} left.",
+    stockout_no_sales: "no recent sales",
+    stockout_today: "runs out today at the current rate",
+    stockout_days: (v) => `~${v.days} ${plural(v.days, "day", "days")} left at ${v.rate}/day`,
+    reorder_alert: "🔔 Reorder {item}: {qty} left (reorder level {level}), {stockout}.",
+    stock_not_updated: "Stock not updated: {error}",
+    invalid_unit_cost: "Invalid unit cost.",
+    stock_now: "Stock now: {qty}",
+    reorder_title: "🔔 Reorder levels:",
+    reorder_others: "(Others use {level}.)",
+    reorder_none: "No reorder levels yet.\nSet one with: reorder <item> <qty>, e.g. reorder rice 5",
+    reorder_removed: "✅ Reorder alert for {item} removed.",
+    reorder_set: "✅ Reorder level set: {item} at {level}\nI'll alert the owner when stock falls to {level} or below.",
+    prices_title: "🏷️ Prices:",
+    prices_none: "No prices yet.\nSet one with: price <item> <amount>, e.g. price rice ₦15000",
+    price_set: '✅ Price set\nItem: {item}\nPrice: {amount} each\nNow "sold 3 {item}" works without an amount.',
+    costs_title: "💲 Unit costs:",
+    costs_none: "No unit costs yet.\nSet one with: cost <item> <amount>, e.g. cost rice ₦12000",
+    cost_set:
+      "✅ Unit cost set\nItem: {item}\nCost: {amount} each\nNew sales of {item} will show gross profit and margin.",
+    products_title: "📋 Products:",
+    product_aliases: "(also: {aliases})",
+    products_tip: "Add a nickname with: alias <nickname> = <product>",
+    products_none: "No products yet. They are added as you record sales and stock.",
+    product_unknown: 'I don\'t know "{item}" yet. Send "products" to see the list.',
+    alias_not_added: "Alias not added: {error}",
+    alias_added: '✅ "{alias}" now means {product}.',
+    categories_title: "🗂️ Expense categories:",
+    categories_own: "Your words:",
+    categories_tip: "Teach a word with: category <word> = <category>",
+    category_added: '✅ "{synonym}" now counts as {category}',
+    category_moved: (v) => `Moved ${v.count} past ${plural(v.count, "expense", "expenses")} to ${v.category}.`,
+    budgets_title: "🎯 Budgets this month:",
+    budgets_none: "No budgets yet.\nSet one with: budget fuel {amount}",
+    budget_owner_only: "🔒 Only the owner of {business} can change budgets.",
+    budget_removed: "🗑️ Budget for {category} removed.",
+    budget_missing: "There was no budget for {category}.",
+    budget_set: "✅ Monthly budget set\n{budget}",
+    recurring_title: "🔁 Recurring expenses:",
+    recurring_next: ", next {date}",
+    recurring_paused_tag: " ⏸️ paused",
+    recurring_tip: "Pause/resume/cancel with: recurring pause <id>",
+    recurring_none: "No recurring expenses.\nAdd one with: recurring rent {amount} monthly on 1st",
+    recurring_resumed: "▶️ Resumed {expense}\nNext: {date}",
+    recurring_paused: "⏸️ Paused {expense}\nExpenses already recorded are kept.",
+    recurring_cancelled: "🗑️ Cancelled {expense}\nExpenses already recorded are kept.",
+    recurring_set:
+      "🔁 Recurring expense set (#{id})\n{expense}\nFirst entry: {date}\n" +
+      "It is recorded automatically. Stop with: recurring cancel {id}",
+    rates_title: "💱 Exchange rates:",
+    rates_none:
+      "No exchange rates yet.\nSet one with: rate USD {currency} 1550 [YYYY-MM-DD]\n" +
+      "Without a date it only covers new entries.",
+    rate_saved: "✅ Rate saved: 1 {base} = {rate} {quote}\nValid from: {from}",
+    rate_now: "now",
+    rate_filled: "Converted {count} entries that had no rate yet.",
+    rate_unconverted: (v) =>
+      `${v.count} older ${v.currency} ${plural(v.count, "entry", "entries")} still ` +
+      `${plural(v.count, "has", "have")} no rate, because this one only applies from ${v.from}. ` +
+      `To cover them: rate ${v.base} ${v.quote} ${v.rate} ${v.date}`,
+    recurring_error_frequency: "Say daily, weekly or monthly.",
+    recurring_error_missing: "Missing category or amount.",
+    recurring_error_unreadable: 'I couldn\'t read "{text}".',
+    recurring_error_weekday: '"{text}" is not a weekday.',
+    recurring_error_day: '"{text}" is not a day of the month.',
+    remind_error_frequency: "Say daily or weekly.",
+    remind_error_time: 'I couldn\'t read the time "{text}". Try 9pm or 21:00.',
+
+    // Owner settings and members
+    reminders_on: "⏰ Summaries are sent {when} ({zone}).\nStop with: remind off",
+    reminders_and: " and ",
+    reminders_none: "⏰ No scheduled summaries.\nTry: remind daily 9pm | remind weekly sunday 8pm",
+    reminders_off: "🔕 Scheduled summaries are off.",
+    reminders_off_daily: "🔕 Daily summaries are off.",
+    reminders_off_weekly: "🔕 Weekly summaries are off.",
+    reminders_were_off: "No scheduled summaries were on.",
+    reminder_set:
+      "⏰ Done. I'll send your summary {when} ({zone}).\nChange the timezone with: settings timezone <zone>",
+    settings:
+      "⚙️ Settings\nName: {name}\nCurrency: {currency}\nTimezone: {zone}\nLanguage: {language}\n" +
+      "Ask before recording: {checks}\n\n" +
+      "Change with: settings name <name> | settings currency <code> | settings timezone <zone>\n" +
+      "language <{choices}>\n" +
+      "settings confirm price <factor|off> | limit <amount|off> | currency on|off | newitems on|off\n" +
+      "settings confirm timeout <minutes>",
+    checks_now: "{error}\nNow: {checks}",
+    checks_updated: "✅ Confirmation checks updated.\nAsk before recording: {checks}",
+    name_updated: "✅ Business name updated: {name}",
+    currency_updated:
+      "✅ Default currency updated: {code}\n" +
+      "(Existing records keep their original currency; converted totals now use {code}.)",
+    timezone_updated: '✅ Timezone updated: {zone}\n"summary today" now follows your local day.',
+    members_title: "👥 {business} members:",
+    member_linked: "{number} is already linked to a Predicta business.",
+    member_invited: (v) =>
+      `✅ Invited ${v.number} as staff${v.reports ? " (can see reports)" : ""}.\n` +
+      `They can now record sales, expenses and stock for ${v.business}.`,
+    invite_welcome: '👋 You’ve been added to {business} on Predicta. Reply "help" to see commands.',
+    invite_not_sent: '(I couldn’t message them — ask them to send "help" to this number.)',
+    not_staff: "{number} is not a staff member of {business}.",
+    reports_granted: "✅ {number} can now see summary and advice.",
+    reports_revoked: "✅ {number} can no longer see summary and advice.",
+    member_removed: "✅ Removed {number}. Their past records are kept.",
+
+    // Corrections
+    nothing_to_undo: "Nothing to undo yet.",
+    undone: "↩️ Undone: {record}",
+    stock_back: "Stock for {item} is back to {qty}",
+    nothing_to_edit: "Nothing to edit yet.",
+    not_edited: "Not edited: {error}",
+    edited: "✏️ Edited\nWas: {was}\nNow: {now}",
+    record_not_found: "No {type} #{id} found for {business}.",
+    record_not_yours: "🔒 {type} #{id} was recorded by someone else. Ask the owner to delete it.",
+    deleted: "🗑️ Deleted: {record}",
+    stock_now_for: "Stock for {item} is now {qty}",
+
+    help: (v) =>
+      [
+        "🆕 PREDICTA BUILD: NL-PARSER-V1",
+        "",
+        `Predicta (${v.business}) commands:`,
+        "1) sale <item> <qty> [amount][currency]",
+        "   e.g. sale rice 3 ₦45000 | sale rice 3 45 GBP | sale rice 3 £45",
+        '   price <item> <amount>  (then "sale rice 3" uses it; "@ 14000" per unit, "-10%" discount)',
+        "   on credit: sale rice 3 to musa credit | paid musa ₦20000 | debts | customers | customer <name>",
+        "2) expense <category> <amount>[currency]",
+        "   e.g. expense fuel ₦15000 | expense ads $30 | expense rent 500 GBP",
+        "   budget <category> <amount>  (monthly, e.g. budget fuel ₦50000) | budget  (used vs left)",
+        "   categories | category <word> = <category>  (e.g. category gen = fuel)",
+        "   recurring rent 500 GBP monthly on 1st | recurring  (list) | recurring pause/resume/cancel <id>",
+        "3) stock <item> <qty>",
+        "   e.g. stock rice 20",
+        "   also: add stock <item> <qty> [@ unit cost] | remove stock <item> <qty> | write off <item> <qty>",
+        "   (sales deduct stock automatically)",
+        "   stock  (items below reorder level) | reorder <item> <qty>  (alert when stock gets low)",
+        "   cost <item> <amount>  (unit cost, for profit & margin)",
+        "   products | alias <nickname> = <product>",
+        "4) summary [period]",
+        `   period: ${v.periods}`,
+        "   e.g. summary last week | summary 2026-09-01 to 2026-09-30",
+        "5) advice [period] | forecast [week|month]",
+        "6) undo | edit last <amount|qty n|item x> | delete <sale|expense|stock> <id>",
+        "   e.g. edit last 45000 | delete sale 12",
+        "7) settings | settings name <name> | settings currency <code>",
+        "   settings confirm price 5 | limit 500000 | newitems off  (when to ask YES/NO before recording)",
+        "   export [period]  (spreadsheet link, e.g. export last month)",
+        "   rate <from> <to> <rate> [date]  (e.g. rate USD NGN 1550, for converted totals)",
+        `   language <${v.languages}>  (replies and phrases, e.g. language pidgin)`,
+        "8) members | invite <+number> [reports] | grant/revoke <+number> reports | remove <+number>",
+        "   remind daily 9pm | remind weekly sunday 8pm | remind off  (summary sent to you)",
+        "9) help",
+        "",
+        "Natural language also works:",
+        "• Sold 3 bin for 400 gbp",
+        "• Sold 3 rice | Sold 3 rice at 14000 each with 10% discount",
+        "• Sold 3 rice to Musa on credit | Musa paid ₦20000",
+        "• Spent £30 on fuel | paid 5k for fuel yesterday",
+        "• Sold 2 rice and 3 beans for 45k",
+        "• Bought 10 bags of rice for 120k last friday",
+        "• A voice note or a photo of a receipt (I'll ask before recording it)",
+        "• Add stock bin 10",
+        "• Remove stock bin 5",
+      ].join("\n"),
+  },
+};
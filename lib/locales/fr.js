@@ -0,0 +1,461 @@
+/**
+ * French. The parser phrases cover "j'ai vendu 3 riz pour 4500", "vendu 3 riz à 1500 chacun",
+ * "j'ai dépensé 5000 pour le carburant hier", "j'ai acheté 10 sacs de riz pour 120k",
+ * "Musa a payé 20000" and "... à Musa à crédit".
+ */
+
+const AMOUNT_AHEAD = "(?=(?:₦|£|\\$|€|n)?\\d)";
+const UNITS = { sac: "bags", carton: "cartons", bouteille: "bottles", paquet: "packs", boite: "boxes", boîte: "boxes" };
+const WEEKDAYS = {
+  lundi: "monday",
+  mardi: "tuesday",
+  mercredi: "wednesday",
+  jeudi: "thursday",
+  vendredi: "friday",
+  samedi: "saturday",
+  dimanche: "sunday",
+};
+
+module.exports = {
+  code: "fr",
+  name: "Français",
+  locale: "fr-FR",
+  aliases: ["french", "francais", "fr"],
+  yes: ["oui", "ouais", "d'accord", "daccord", "oui oui"],
+  no: ["non", "nan", "non merci"],
+  commands: {
+    aide: "help",
+    résumé: "summary",
+    bilan: "summary",
+    conseil: "advice",
+    conseils: "advice",
+    prévision: "forecast",
+    prévisions: "forecast",
+    exporter: "export",
+    vente: "sale",
+    dépense: "expense",
+    dettes: "debts",
+    clients: "customers",
+    client: "customer",
+    annuler: "undo",
+    paramètres: "settings",
+    membres: "members",
+    langue: "language",
+  },
+  phrases: [
+    [/^(?:j['’]ai|on\s+a|nous\s+avons)\s+/i, ""],
+    [/^vendu\s+/i, "sold "],
+    [/^d[ée]pens[ée]\s+/i, "spent "],
+    [/^achet[ée]\s+/i, "bought "],
+    [/^re[çc]u\s+/i, "received "],
+    [/^pay[ée]\s+/i, "paid "],
+    [/^(.+?)\s+a\s+(?:pay[ée]|rembours[ée]|vers[ée])\s+/i, "$1 paid "],
+    [/\s+(?:à|a)\s+(\S+)\s+(?:à|a)\s+cr[ée]dit\b/i, " to $1 on credit"],
+    [/\s+(?:à|a)\s+cr[ée]dit\b/i, " on credit"],
+    [/\s+(?:chacun|chacune|l['’]unit[ée]|la\s+pi[èe]ce|pi[èe]ce)\b/gi, " each"],
+    [new RegExp(`\\s+à\\s+${AMOUNT_AHEAD}`, "gi"), " at "],
+    [new RegExp(`\\s+pour\\s+${AMOUNT_AHEAD}`, "gi"), " for "],
+    [
+      /(\d+)\s+(sac|carton|bouteille|paquet|bo[iî]te)s?\s+(?:de\s+|d['’])/gi,
+      (m, n, unit) => `${n} ${UNITS[unit.toLowerCase()]} of `,
+    ],
+    [/\s+(?:pour|en)\s+(?:le\s+|la\s+|les\s+|l['’]|du\s+|des\s+)?/gi, " on "],
+    [/^(received\s+\S+)\s+(?:de\s+|d['’])/i, "$1 from "],
+    [/\s+et\s+/gi, " and "],
+    [/\bon\s+(?:carburant|essence|gasoil|gazole)\b/gi, "on fuel"],
+    [/\bon\s+loyer\b/gi, "on rent"],
+    [/\bon\s+(?:publicit[ée]|pub)\b/gi, "on ads"],
+    [/\bon\s+(?:nourriture|repas)\b/gi, "on food"],
+    [/\bavant[-\s]hier\b/gi, "2 days ago"],
+    [/\bhier\b/gi, "yesterday"],
+    [/\baujourd['’]hui\b/gi, "today"],
+    [/\bil\s+y\s+a\s+(\d+)\s+jours?\b/gi, "$1 days ago"],
+    [
+      /\b(lundi|mardi|mercredi|jeudi|vendredi|samedi|dimanche)\s+dernier\b/gi,
+      (m, d) => `last ${WEEKDAYS[d.toLowerCase()]}`,
+    ],
+  ],
+
+  messages: {
+    business_default: "Votre entreprise",
+    none: "Aucun",
+    unknown: [
+      "Je n’ai pas compris.",
+      'Tapez "aide" pour voir les commandes.',
+      "",
+      "Exemples :",
+      "• J'ai vendu 3 riz pour 4500",
+      "• J'ai dépensé 5000 pour le carburant",
+      "• Add stock riz 10",
+      "• Résumé week",
+    ].join("\n"),
+    reports_locked:
+      '🔒 Seul le propriétaire de {business} peut voir {cmd}. Demandez-lui d’envoyer "grant <votre numéro> reports".',
+    owner_only: '🔒 Seul le propriétaire de {business} peut utiliser "{cmd}".',
+    language_current: "🌍 Langue : {name}\nPour changer : langue <{choices}>",
+    language_set:
+      "✅ Langue mise à jour : {name}\nJe réponds désormais en {name}. Les commandes en anglais marchent toujours.",
+    language_unknown: "Je ne connais pas cette langue. Choisissez : {choices}",
+
+    expired: "⌛ Cette question a expiré, rien n’a été enregistré. Merci de renvoyer le message.",
+    not_recorded: "❌ Pas enregistré. Renvoyez-le avec les bons détails.",
+    reply_yes_no: "Répondez OUI ou NON (sous {minutes} min).",
+    item_did_you_mean:
+      '🤔 Vouliez-vous dire "{suggestion}" ? ' +
+      'Répondez OUI pour l’utiliser, ou NON pour créer "{typed}" comme nouvel article.',
+    confirm_one: "🤔 Enregistrer {label} ?",
+    confirm_many: "🤔 Enregistrer ces {total} entrées ? Vérifiez :",
+    concern_new_item: '"{item}" est un nouvel article',
+    concern_currency: "aucune devise indiquée, j’ai utilisé {currency} (vous utilisez d’habitude {usual})",
+    concern_price: "le prix habituel est {amount}",
+    concern_amount: "le montant habituel est {amount}",
+    concern_limit: "c’est au-dessus de votre limite de vérification de {limit}",
+
+    sale_recorded: "✅ Vente enregistrée (n°{id})",
+    sale_not_recorded: "Vente non enregistrée : {error}",
+    expense_recorded: "✅ Dépense enregistrée (n°{id})",
+    expense_not_recorded: "Dépense non enregistrée : {error}",
+    payment_recorded: "✅ Paiement enregistré (n°{id})",
+    stock_set: "✅ Stock mis à jour (fixé, n°{id})",
+    stock_added: "✅ Stock mis à jour (ajout, n°{id})",
+    stock_removed: "✅ Stock mis à jour (retrait, n°{id})",
+    stock_written_off: "✅ Stock mis à jour (perte, n°{id})",
+    label_item: "Article",
+    label_unit_price: "Prix unitaire",
+    label_unit_cost: "Coût unitaire",
+    label_qty: "Qté",
+    label_discount: "Remise",
+    label_total: "Total",
+    label_customer: "Client",
+    label_category: "Catégorie",
+    label_amount: "Montant",
+    label_from: "De",
+    label_time: "Heure",
+    label_stock_left: "Stock restant",
+    label_new_stock: "Nouveau stock",
+    label_added: "Ajouté",
+    label_removed: "Retiré",
+    on_credit: "à crédit",
+    from_raw: '(de "{raw}")',
+    budget_this_month: "🎯 Budget du mois : {budget}",
+    batch_recorded: (v) =>
+      `✅ ${v.count} ${v.count === 1 ? "entrée enregistrée" : "entrées enregistrées"}` +
+      (v.date ? ` pour le ${v.date}` : ""),
+    batch_nothing: "⚠️ Rien n’a été enregistré",
+    batch_problems: "Non enregistré :",
+    batch_mistake: 'Une erreur ? Envoyez "delete <sale|expense|stock|payment> <n°>"',
+    entry_sale: "vente {item} ×{qty} pour {amount}",
+    entry_sale_item: "vente {item} ×{qty}",
+    entry_expense: "dépense {category} {amount}",
+    entry_purchase: "achat {items}",
+    entry_payment: "paiement de {customer} {amount}",
+    entry_stock_add: "ajout au stock {item} ×{qty}",
+    entry_stock_remove: "retrait du stock {item} ×{qty}",
+    entry_stock_writeoff: "perte {item} ×{qty}",
+    entry_each: " à {amount}",
+    entry_for: " pour {amount}",
+    entry_total: "total {amount}",
+    entry_less: "moins {amount}",
+    entry_to: "à {customer}",
+    entry_to_credit: "à {customer} à crédit",
+    record_sale: "vente n°{id} : {item} x{qty} pour {amount}",
+    record_expense: "dépense n°{id} : {category} {amount}",
+    record_payment: "paiement n°{id} : {customer} a payé {amount}",
+    record_stock: "stock n°{id} : {item} {delta} ({kind})",
+    stock_kind_opening: "ouverture",
+    stock_kind_purchase: "achat",
+    stock_kind_sale: "vente",
+    stock_kind_adjustment: "ajustement",
+    stock_kind_writeoff: "perte",
+    batch_sale: "Vente n°{id} : {item} x{qty} {amount}",
+    batch_new_item: " (nouvel article)",
+    batch_expense: "Dépense n°{id} : {category} {amount}",
+    batch_stock: "Stock n°{id} : {item} {delta}{cost} (maintenant {qty})",
+    batch_payment: "Paiement n°{id} : {customer} a payé {amount}",
+    batch_credit_buyer: "Qui achète à crédit ? ex. vendu 3 riz à Musa à crédit",
+    batch_no_cost: "Pas de coût pour {item}, donc sa marge est inconnue. Indiquez-le : cost {item} <montant>",
+
+    media_unsupported:
+      "Je lis les messages vocaux et les photos de reçus. Tapez le reste, ex. j'ai vendu 3 riz pour 45k",
+    media_no_adapter_audio: "Je ne lis pas encore les messages vocaux. Tapez-le, ex. j'ai vendu 3 riz pour 45k",
+    media_no_adapter_image: "Je ne lis pas encore les photos. Tapez-le, ex. j'ai vendu 3 riz pour 45k",
+    media_failed_audio: "Je n’ai pas compris ce message vocal. Réessayez ou tapez-le, ex. j'ai vendu 3 riz pour 45k",
+    media_failed_image: "Je n’ai pas pu lire cette photo. Réessayez ou tapez-la, ex. j'ai vendu 3 riz pour 45k",
+    media_heard_audio: "J’ai entendu",
+    media_heard_image: "J’ai lu",
+    media_unparsed: "Je n’ai pas pu en faire une entrée. Tapez-le, ex. j'ai vendu 3 riz pour 45k",
+    media_record: (v) => `Enregistrer ceci${v.date ? ` pour le ${v.date}` : ""} ?`,
+
+    summary_title: "📊 Résumé Predicta ({business})",
+    period: "Période : {label}",
+    summary_sales: "💰 Ventes :",
+    qty: "(qté : {qty})",
+    cash_vs_credit: "💵 Comptant et crédit :",
+    received: "Encaissé {amount}",
+    incl_repaid: " (dont {amount} remboursés)",
+    on_credit_amount: ", à crédit {amount}",
+    owed_now: (v) =>
+      `💳 On vous doit : ${v.amounts} (${v.count} client${v.count === 1 ? "" : "s"}, envoyez "dettes")`,
+    cost_of_goods: "📦 Coût des marchandises :",
+    cogs_line: "Coût {cogs} → marge brute {gross}",
+    units_without_cost: " ({qty} unités sans coût)",
+    summary_expenses: "💸 Dépenses :",
+    summary_net: "📈 Net :",
+    all_in: "💱 Tout en {currency} :",
+    no_rate_entries: "{count} entrées sans taux de change (non incluses)",
+    top_sales: "🏆 Meilleures ventes :",
+    cost_profit: "coût {cost}, bénéfice {profit}",
+    margin: ", marge {pct} %",
+    sale_profit: "Coût : {cost} → bénéfice {profit} ({pct} %)",
+    top_expenses: "🧾 Principales dépenses :",
+    budgets_month: "🎯 Budgets (ce mois) :",
+    stock_latest: "📦 Stock (dernier) :",
+    versus: "↕️ Par rapport à {label} :",
+    summary_tip: 'Astuce : envoyez "résumé week" ou "conseil week"',
+    insights: "🧠 Analyses :",
+    auto_all: " 🔁 auto",
+    auto_part: " (🔁 {amount} auto)",
+    label_sales: "Ventes",
+    label_expenses: "Dépenses",
+    label_net: "Net",
+    change_new: "nouveau",
+    change_flat: "stable",
+    change_up: "+{pct} %",
+    change_down: "−{pct} %",
+    headline: "{main} par rapport à {label}",
+    no_activity: "Aucune activité sur les deux périodes",
+    budget_used: "{spent} sur {budget}",
+    budget_over: "{category} : {used} ⚠️ dépassé de {over}",
+    budget_left: "{category} : {used} ({pct} %), reste {left}",
+
+    advice_title: "🧠 Conseils Predicta ({business})",
+    top_product: "🏆 Meilleur produit : {item} ({amount})",
+    top_product_none: "🏆 Meilleur produit : aucun pour l’instant",
+    actionable_tips: "✅ Conseils pratiques :",
+    advice_tip: 'Astuce : essayez "résumé week"',
+    tip_below_cost:
+      '🛑 "{item}" vendu à perte : ventes {revenue} contre coût {cost}. Augmentez le prix ou vérifiez le coût.',
+    tip_old_debts: (v) =>
+      `⏳ ${v.count} ${v.count === 1 ? "dette client" : "dettes clients"} de plus de ${v.days} jours ; ` +
+      `${v.customer} doit ${v.amount} depuis ${v.owedDays} jours. Relancez avant d’accorder plus de crédit.`,
+    tip_over_budget: "🎯 Budget dépassé ce mois : {list}. Réduisez ou augmentez le budget.",
+    tip_near_budget: '🎯 "{category}" a utilisé {pct} % du budget du mois ; reste {left}.',
+    tip_no_sales: "📉 Aucune vente sur cette période. Enregistrez au moins 3 ventes pour de meilleures analyses.",
+    tip_no_expenses: "🧾 Aucune dépense. Suivez vos coûts (carburant, loyer, pub) pour un bénéfice exact.",
+    tip_sales_down:
+      "📉 Ventes en {currency} en baisse de {pct} % par rapport à la période précédente. " +
+      "Vérifiez prix, ruptures et jours creux.",
+    tip_sales_up:
+      "🚀 Ventes en {currency} en hausse de {pct} % par rapport à la période précédente. " +
+      "Gardez vos meilleurs produits en stock.",
+    tip_expenses_grew:
+      "💸 Dépenses en {currency} en hausse de {pct} %, plus vite que les ventes. Voyez ce qui a changé.",
+    tip_product_down: '🔎 Ventes de "{item}" en baisse de {pct} % par rapport à la période précédente.',
+    tip_concentration:
+      '⚠️ L’essentiel du chiffre vient de "{item}". Poussez 1 ou 2 autres produits pour réduire le risque.',
+    tip_top_product: '📌 Le meilleur produit est "{item}". Enregistrez d’autres ventes pour des analyses plus riches.',
+    tip_low_stock: (v) =>
+      `🚨 ${v.count} ${v.count === 1 ? "article" : "articles"} au seuil de réapprovisionnement ou en dessous : ` +
+      `${v.list}. Envoyez "stock" pour le détail.`,
+    tip_high_stock: '📦 Stock élevé : "{item}" à {qty}. Pensez à une promo pour écouler.',
+    tip_no_stock: '📦 Aucun stock enregistré. Utilisez : stock <article> <qté> (ex. "stock riz 20").',
+    tip_restock:
+      '🔮 Réapprovisionnez "{item}" : environ {units} ventes prévues la semaine prochaine, {stock} en stock. ' +
+      "Commandez ~{qty}.",
+    tip_net_negative_all: "🔻 Le net est négatif au total ({amount}). Revoyez dépenses et prix.",
+    tip_net_negative: "🔻 Le net est négatif en {currency}. Revoyez dépenses et prix.",
+    tip_no_rate:
+      '💱 Certaines entrées n’ont pas de taux vers {currency}. Ajoutez-en un à partir de leur date, ex. ' +
+      '"rate USD {currency} 1550 2026-09-01" (sans date, il ne couvre que les nouvelles entrées).',
+
+    forecast_title: "🔮 Prévisions Predicta ({business})",
+    forecast_next: "{days} prochains jours : du {from} au {to}",
+    forecast_sales: "💰 Ventes attendues :",
+    forecast_range: "{amount} (entre {range})",
+    forecast_no_history: "Pas encore assez d’historique de ventes",
+    forecast_demand: "📦 Demande attendue (unités) :",
+    forecast_restock: "🛒 À commander pour la couvrir :",
+    forecast_order: "{item} : commander ~{qty} ({stock} en stock)",
+    forecast_based_on: "Basé sur {days} jours de ventes. Fiabilité : {confidence}.",
+    forecast_log_daily: "Enregistrez vos ventes chaque jour pour obtenir une prévision.",
+    confidence_low: "faible",
+    confidence_medium: "moyenne",
+    confidence_high: "élevée",
+
+    usage: "Utilisation : {usage}\nExemple : {example}",
+    error_example: "{error}\nExemple : {example}",
+    sale_usage:
+      "Utilisation : sale <article> <qté> [montant][devise] [to <client> [credit]]\n" +
+      "Exemple : sale rice 3 ₦45000 | sale rice 3 (utilise le prix enregistré) | sale rice 3 @ 14000 -10%\n" +
+      "À crédit : sale rice 3 to musa credit",
+    credit_buyer_missing: "Qui achète à crédit ?",
+    export_ready:
+      "📁 Export prêt : {label}\n{url}\nFichier : {file} (ventes, dépenses, stock)\nLe lien expire dans {hours} h.",
+    customer_unknown: 'Je n’ai pas de client nommé "{name}".',
+    customer_unknown_hint:
+      "Les ventes à crédit ajoutent les clients, ex. vendu 3 riz à {name} à crédit. Voyez-les avec : clients",
+    customer_did_you_mean: "Vouliez-vous dire {suggestion} ?",
+    debts_none: "🎉 Personne ne doit rien à {business}.",
+    debts_title: "💳 Sommes dues à {business} :",
+    debts_total: "Total : {amounts}",
+    debts_overdue: "⏳ {count} dû depuis {days} jours ou plus",
+    debts_tip: "Enregistrez un paiement avec : paid <client> <montant>",
+    customers_title: "👥 Clients ({count}) :",
+    customer_owes: "{name} : doit {amount}",
+    customers_tip: "Détails : customer <nom>",
+    customers_none: "Aucun client pour l’instant.\nIls sont ajoutés avec les ventes, ex. vendu 3 riz à Musa à crédit",
+    ledger_credit: "a acheté {item} x{qty} à crédit {amount}",
+    ledger_paid: "a payé {amount}",
+    ledger_none: "Aucune vente à crédit ni paiement pour l’instant.",
+    balance_clear: "{name} ne doit rien.",
+    balance_owes: "{name} doit {amount}",
+    balance_credit: "{name} a un avoir de {amount}",
+    debt_line: (v) => `${v.name} : ${v.amount} depuis ${v.days} ${v.days === 1 ? "jour" : "jours"}`,
+    low_stock_title: "📦 Sous le seuil de réapprovisionnement :",
+    low_stock_line: "{item} : {qty} (seuil {level}), {stockout}",
+    low_stock_none:
+      "📦 Tout est au-dessus du seuil de réapprovisionnement.\nFixez les seuils avec : reorder <article> <qté>",
+    stock_negative:
+      '⚠️ Le stock de {item} est maintenant de {qty}. Enregistrez les livraisons avec "add stock {item} <qté>".',
+    stock_low: "⚠️ Stock bas : il reste {qty} {item}.",
+    stockout_no_sales: "aucune vente récente",
+    stockout_today: "épuisé aujourd’hui au rythme actuel",
+    stockout_days: (v) => `~${v.days} ${v.days === 1 ? "jour restant" : "jours restants"} à ${v.rate}/jour`,
+    reorder_alert: "🔔 Réapprovisionner {item} : il en reste {qty} (seuil {level}), {stockout}.",
+    stock_not_updated: "Stock non mis à jour : {error}",
+    invalid_unit_cost: "Coût unitaire invalide.",
+    stock_now: "Stock actuel : {qty}",
+    reorder_title: "🔔 Seuils de réapprovisionnement :",
+    reorder_others: "(Les autres utilisent {level}.)",
+    reorder_none: "Aucun seuil pour l’instant.\nFixez-en un avec : reorder <article> <qté>, ex. reorder rice 5",
+    reorder_removed: "✅ Alerte de réapprovisionnement pour {item} supprimée.",
+    reorder_set:
+      "✅ Seuil fixé : {item} à {level}\nJ’alerterai le propriétaire quand le stock descendra à {level} ou moins.",
+    prices_title: "🏷️ Prix :",
+    prices_none: "Aucun prix pour l’instant.\nFixez-en un avec : price <article> <montant>, ex. price rice ₦15000",
+    price_set:
+      "✅ Prix fixé\nArticle : {item}\nPrix : {amount} l’unité\n" +
+      'Désormais "vendu 3 {item}" marche sans montant.',
+    costs_title: "💲 Coûts unitaires :",
+    costs_none: "Aucun coût pour l’instant.\nFixez-en un avec : cost <article> <montant>, ex. cost rice ₦12000",
+    cost_set:
+      "✅ Coût unitaire fixé\nArticle : {item}\nCoût : {amount} l’unité\n" +
+      "Les nouvelles ventes de {item} afficheront la marge brute.",
+    products_title: "📋 Produits :",
+    product_aliases: "(aussi : {aliases})",
+    products_tip: "Ajoutez un surnom avec : alias <surnom> = <produit>",
+    products_none: "Aucun produit pour l’instant. Ils sont ajoutés avec vos ventes et votre stock.",
+    product_unknown: 'Je ne connais pas encore "{item}". Envoyez "products" pour voir la liste.',
+    alias_not_added: "Alias non ajouté : {error}",
+    alias_added: '✅ "{alias}" désigne maintenant {product}.',
+    categories_title: "🗂️ Catégories de dépenses :",
+    categories_own: "Vos mots :",
+    categories_tip: "Apprenez-moi un mot avec : category <mot> = <catégorie>",
+    category_added: '✅ "{synonym}" compte maintenant comme {category}',
+    category_moved: (v) =>
+      `${v.count} ${v.count === 1 ? "dépense passée déplacée" : "dépenses passées déplacées"} vers ${v.category}.`,
+    budgets_title: "🎯 Budgets ce mois :",
+    budgets_none: "Aucun budget pour l’instant.\nFixez-en un avec : budget fuel {amount}",
+    budget_owner_only: "🔒 Seul le propriétaire de {business} peut modifier les budgets.",
+    budget_removed: "🗑️ Budget {category} supprimé.",
+    budget_missing: "Il n’y avait pas de budget pour {category}.",
+    budget_set: "✅ Budget mensuel fixé\n{budget}",
+    recurring_title: "🔁 Dépenses récurrentes :",
+    recurring_next: ", prochaine le {date}",
+    recurring_paused_tag: " ⏸️ en pause",
+    recurring_tip: "Pause/reprise/annulation avec : recurring pause <id>",
+    recurring_none: "Aucune dépense récurrente.\nAjoutez-en une avec : recurring rent {amount} monthly on 1st",
+    recurring_resumed: "▶️ Reprise : {expense}\nProchaine : {date}",
+    recurring_paused: "⏸️ En pause : {expense}\nLes dépenses déjà enregistrées sont conservées.",
+    recurring_cancelled: "🗑️ Annulée : {expense}\nLes dépenses déjà enregistrées sont conservées.",
+    recurring_set:
+      "🔁 Dépense récurrente créée (n°{id})\n{expense}\nPremière : {date}\n" +
+      "Elle est enregistrée automatiquement. Arrêtez-la avec : recurring cancel {id}",
+    rates_title: "💱 Taux de change :",
+    rates_none:
+      "Aucun taux pour l’instant.\nFixez-en un avec : rate USD {currency} 1550 [AAAA-MM-JJ]\n" +
+      "Sans date, il ne couvre que les nouvelles entrées.",
+    rate_saved: "✅ Taux enregistré : 1 {base} = {rate} {quote}\nValable à partir de : {from}",
+    rate_now: "maintenant",
+    rate_filled: "{count} entrées sans taux ont été converties.",
+    rate_unconverted:
+      "{count} entrées plus anciennes en {currency} n’ont toujours pas de taux, " +
+      "car celui-ci ne vaut qu’à partir de {from}. " +
+      "Pour les couvrir : rate {base} {quote} {rate} {date}",
+    recurring_error_frequency: "Dites daily, weekly ou monthly.",
+    recurring_error_missing: "Catégorie ou montant manquant.",
+    recurring_error_unreadable: 'Je n’ai pas compris "{text}".',
+    recurring_error_weekday: '"{text}" n’est pas un jour de la semaine.',
+    recurring_error_day: '"{text}" n’est pas un jour du mois.',
+    remind_error_frequency: "Dites daily ou weekly.",
+    remind_error_time: 'Je n’ai pas compris l’heure "{text}". Essayez 9pm ou 21:00.',
+
+    reminders_on: "⏰ Les résumés sont envoyés {when} ({zone}).\nArrêtez avec : remind off",
+    reminders_and: " et ",
+    reminders_none: "⏰ Aucun résumé programmé.\nEssayez : remind daily 9pm | remind weekly sunday 8pm",
+    reminders_off: "🔕 Les résumés programmés sont désactivés.",
+    reminders_off_daily: "🔕 Les résumés quotidiens sont désactivés.",
+    reminders_off_weekly: "🔕 Les résumés hebdomadaires sont désactivés.",
+    reminders_were_off: "Aucun résumé programmé n’était actif.",
+    reminder_set:
+      "⏰ C’est fait. J’enverrai votre résumé {when} ({zone}).\nChangez le fuseau avec : settings timezone <zone>",
+    settings:
+      "⚙️ Paramètres\nNom : {name}\nDevise : {currency}\nFuseau : {zone}\nLangue : {language}\n" +
+      "Demander avant d’enregistrer : {checks}\n\n" +
+      "Pour changer : settings name <nom> | settings currency <code> | settings timezone <zone>\n" +
+      "langue <{choices}>\n" +
+      "settings confirm price <factor|off> | limit <amount|off> | currency on|off | newitems on|off\n" +
+      "settings confirm timeout <minutes>",
+    checks_now: "{error}\nActuellement : {checks}",
+    checks_updated: "✅ Vérifications mises à jour.\nDemander avant d’enregistrer : {checks}",
+    name_updated: "✅ Nom de l’entreprise mis à jour : {name}",
+    currency_updated:
+      "✅ Devise par défaut mise à jour : {code}\n" +
+      "(Les entrées existantes gardent leur devise ; les totaux convertis utilisent maintenant {code}.)",
+    timezone_updated: '✅ Fuseau mis à jour : {zone}\n"résumé today" suit maintenant votre journée locale.',
+    members_title: "👥 Membres de {business} :",
+    member_linked: "{number} est déjà lié à une entreprise Predicta.",
+    member_invited: (v) =>
+      `✅ ${v.number} invité comme employé${v.reports ? " (peut voir les rapports)" : ""}.\n` +
+      `Il peut maintenant enregistrer ventes, dépenses et stock pour ${v.business}.`,
+    invite_welcome: '👋 Vous avez été ajouté à {business} sur Predicta. Répondez "aide" pour voir les commandes.',
+    invite_not_sent: '(Je n’ai pas pu le contacter — demandez-lui d’envoyer "aide" à ce numéro.)',
+    not_staff: "{number} n’est pas employé de {business}.",
+    reports_granted: "✅ {number} peut maintenant voir le résumé et les conseils.",
+    reports_revoked: "✅ {number} ne peut plus voir le résumé et les conseils.",
+    member_removed: "✅ {number} retiré. Ses entrées passées sont conservées.",
+
+    nothing_to_undo: "Rien à annuler pour l’instant.",
+    undone: "↩️ Annulé : {record}",
+    stock_back: "Le stock de {item} revient à {qty}",
+    nothing_to_edit: "Rien à modifier pour l’instant.",
+    not_edited: "Non modifié : {error}",
+    edited: "✏️ Modifié\nAvant : {was}\nMaintenant : {now}",
+    record_not_found: "Aucun {type} n°{id} trouvé pour {business}.",
+    record_not_yours:
+      "🔒 {type} n°{id} a été enregistré par quelqu’un d’autre. Demandez au propriétaire de le supprimer.",
+    deleted: "🗑️ Supprimé : {record}",
+    stock_now_for: "Le stock de {item} est maintenant de {qty}",
+
+    help: (v) =>
+      [
+        `Commandes Predicta (${v.business}) :`,
+        "1) vente <article> <qté> [montant]  ex. vente riz 3 45000",
+        "   ou : j'ai vendu 3 riz pour 4500 | vendu 3 riz à 1500 chacun | vendu 3 riz à Musa à crédit",
+        "   Musa a payé 20000 | dettes | clients",
+        "2) dépense <catégorie> <montant>  ex. dépense fuel 15000",
+        "   ou : j'ai dépensé 5000 pour le carburant hier | budget fuel 50000",
+        "3) stock <article> <qté> | add stock riz 10 | remove stock riz 5",
+        "   j'ai acheté 10 sacs de riz pour 120k",
+        `4) résumé [période]  (période : ${v.periods})`,
+        "5) conseil [période] | prévision [week|month]",
+        "6) annuler | edit last 45000 | delete sale 12",
+        "7) paramètres | exporter [période] | rate USD NGN 1550",
+        `   langue <${v.languages}>`,
+        "8) membres | invite <+numéro> | remind daily 9pm",
+        "9) aide",
+        "",
+        "Un message vocal ou une photo de reçu marche aussi (je demande avant d’enregistrer).",
+      ].join("\n"),
+  },
+};
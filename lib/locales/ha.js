@@ -0,0 +1,412 @@
+/**
+ * Hausa. Phrases are matched without hooked letters (ƙ -> k), so "na sayar da shinkafa 3 akan 4500"
+ * reads as "sold shinkafa 3 for 4500". Also understood: "na kashe 5000 akan mai",
+ * "na sayi buhu 10 na shinkafa", "Musa ya biya 20000", "... ga Musa bashi", "jiya".
+ */
+
+const AMOUNT_AHEAD = "(?=(?:₦|£|\\$|n)?\\d)";
+
+module.exports = {
+  code: "ha",
+  name: "Hausa",
+  locale: "ha-NG",
+  aliases: ["hausa", "ha", "harshen hausa"],
+  fold: true,
+  yes: ["eh", "ee", "i", "to", "na'am", "naam", "haka ne"],
+  no: ["a'a", "aa", "a a", "babu", "ba haka ba"],
+  commands: {
+    taimako: "help",
+    taƙaitawa: "summary",
+    shawara: "advice",
+    harshe: "language",
+    basussuka: "debts",
+    kwastomomi: "customers",
+    hasashe: "forecast",
+  },
+  phrases: [
+    [/^(?:na|mun|muka)\s+(?:sayar|siyar)(?:\s+da)?\s+/i, "sold "],
+    [/^(?:na|mun|muka)\s+kashe\s+/i, "spent "],
+    [/^(?:na|mun|muka)\s+(?:sayi|siya|saya|sayo|siyo)\s+/i, "bought "],
+    [/^(?:na|mun|muka)\s+karba\s+/i, "received "],
+    [/^(?:na|mun|muka)\s+biya\s+/i, "paid "],
+    [/^(.+?)\s+(?:ya|ta|sun)\s+biya(?:\s+ni)?\s+/i, "$1 paid "],
+    [/\s+ga\s+(\S+)\s+(?:a\s+)?bashi\b/i, " to $1 on credit"],
+    [/\s+(?:a\s+)?bashi\b/i, " on credit"],
+    [new RegExp(`\\s+(?:a\\s*kan|kan)\\s+${AMOUNT_AHEAD}`, "gi"), " for "],
+    [/\s+(?:daga|hannun)\s+/gi, " from "],
+    [/\s+(?:a\s*kan|kan)\s+/gi, " on "],
+    [/\bbuhu\s+(\d+)\s+(?:na\s+)?/gi, "$1 bags of "],
+    [/\s+da\s+/gi, " and "],
+    [/\bon\s+mai\b/gi, "on fuel"],
+    [/\bon\s+haya\b/gi, "on rent"],
+    [/\bon\s+abinci\b/gi, "on food"],
+    [/\bon\s+(?:sufuri|kudin\s+mota)\b/gi, "on transport"],
+    [/\bjiya\b/gi, "yesterday"],
+    [/\byau\b/gi, "today"],
+  ],
+
+  messages: {
+    business_default: "Kasuwancinka",
+    none: "Babu",
+    unknown: [
+      "Ban gane ba.",
+      'Rubuta "help" don ganin umarni.',
+      "",
+      "Misalai:",
+      "• Na sayar da shinkafa 3 akan 4500",
+      "• Na kashe 5000 akan mai",
+      "• Add stock shinkafa 10",
+      "• Taƙaitawa week",
+    ].join("\n"),
+    reports_locked: '🔒 Mai {business} kaɗai ne zai iya ganin {cmd}. Ka ce ya aika "grant <lambarka> reports".',
+    owner_only: '🔒 Mai {business} kaɗai ne zai iya amfani da "{cmd}".',
+    language_current: "🌍 Harshe: {name}\nDon canzawa: language <{choices}>",
+    language_set: "✅ An canza harshe: {name}\nZan riƙa amsawa da {name}. Umarnin Turanci suna aiki har yanzu.",
+    language_unknown: "Ban san wannan harshe ba. Zaɓi ɗaya: {choices}",
+
+    expired: "⌛ Wannan tambaya ta ƙare, don haka ban rubuta komai ba. Don Allah ka sake aikawa.",
+    not_recorded: "❌ Ban rubuta ba. Ka sake aikawa da bayanai daidai.",
+    reply_yes_no: "Amsa YES ko NO (cikin minti {minutes}).",
+    item_did_you_mean:
+      '🤔 "{suggestion}" kake nufi? Amsa YES don amfani da shi, ko NO don ajiye "{typed}" a matsayin sabon kaya.',
+    confirm_one: "🤔 In rubuta {label}?",
+    confirm_many: "🤔 In rubuta waɗannan guda {total}? Don Allah ka duba:",
+    concern_new_item: '"{item}" sabon kaya ne',
+    concern_currency: "ba ka faɗi kuɗi ba, don haka na yi amfani da {currency} (yawanci kana amfani da {usual})",
+    concern_price: "farashin da aka saba shi ne {amount}",
+    concern_amount: "adadin da aka saba shi ne {amount}",
+    concern_limit: "ya wuce iyakar dubawa ta {limit}",
+
+    sale_recorded: "✅ An rubuta ciniki (#{id})",
+    sale_not_recorded: "Ba a rubuta ciniki ba: {error}",
+    expense_recorded: "✅ An rubuta kashe kuɗi (#{id})",
+    expense_not_recorded: "Ba a rubuta kashe kuɗi ba: {error}",
+    payment_recorded: "✅ An rubuta biya (#{id})",
+    stock_set: "✅ An sabunta kaya (set, #{id})",
+    stock_added: "✅ An sabunta kaya (an ƙara, #{id})",
+    stock_removed: "✅ An sabunta kaya (an cire, #{id})",
+    stock_written_off: "✅ An sabunta kaya (ya lalace, #{id})",
+    label_item: "Kaya",
+    label_unit_price: "Farashin ɗaya",
+    label_unit_cost: "Kuɗin sayen ɗaya",
+    label_qty: "Yawa",
+    label_discount: "Ragi",
+    label_total: "Jimla",
+    label_customer: "Abokin ciniki",
+    label_category: "Rukuni",
+    label_amount: "Kuɗi",
+    label_from: "Daga",
+    label_time: "Lokaci",
+    label_stock_left: "Kayan da suka rage",
+    label_new_stock: "Sabon adadi",
+    label_added: "An ƙara",
+    label_removed: "An cire",
+    on_credit: "bashi",
+    from_raw: '(daga "{raw}")',
+    budget_this_month: "🎯 Kasafin wannan wata: {budget}",
+    batch_recorded: (v) => `✅ Na rubuta guda ${v.count}${v.date ? ` na ${v.date}` : ""}`,
+    batch_nothing: "⚠️ Ban rubuta komai ba",
+    batch_problems: "Ba a rubuta ba:",
+    batch_mistake: 'Kuskure? Aika "delete <sale|expense|stock|payment> <id>"',
+    entry_sale: "sayarwa {item} ×{qty} akan {amount}",
+    entry_sale_item: "sayarwa {item} ×{qty}",
+    entry_expense: "kashewa {category} {amount}",
+    entry_purchase: "saye {items}",
+    entry_payment: "biya daga {customer} {amount}",
+    entry_stock_add: "ƙara kaya {item} ×{qty}",
+    entry_stock_remove: "cire kaya {item} ×{qty}",
+    entry_stock_writeoff: "kayan da suka lalace {item} ×{qty}",
+    entry_each: " @ {amount}",
+    entry_for: " akan {amount}",
+    entry_total: "jimla {amount}",
+    entry_less: "ragi {amount}",
+    entry_to: "ga {customer}",
+    entry_to_credit: "ga {customer} bashi",
+    record_sale: "sayarwa #{id}: {item} x{qty} akan {amount}",
+    record_expense: "kashewa #{id}: {category} {amount}",
+    record_payment: "biya #{id}: {customer} ya biya {amount}",
+    record_stock: "kaya #{id}: {item} {delta} ({kind})",
+    stock_kind_opening: "farko",
+    stock_kind_purchase: "saye",
+    stock_kind_sale: "sayarwa",
+    stock_kind_adjustment: "gyara",
+    stock_kind_writeoff: "lalacewa",
+    batch_sale: "Sayarwa #{id}: {item} x{qty} {amount}",
+    batch_new_item: " (sabon kaya)",
+    batch_expense: "Kashewa #{id}: {category} {amount}",
+    batch_stock: "Kaya #{id}: {item} {delta}{cost} (yanzu {qty})",
+    batch_payment: "Biya #{id}: {customer} ya biya {amount}",
+    batch_credit_buyer: "Wa ke saye bashi? misali na sayar da shinkafa 3 ga Musa bashi",
+    batch_no_cost: "Babu farashin sayen {item}, don haka ba a san ribarsa ba. Saita shi: cost {item} <adadi>",
+
+    media_unsupported:
+      "Ina iya karanta saƙon murya da hoton rasit. Don Allah rubuta sauran, misali: na sayar da shinkafa 3 akan 45k",
+    media_no_adapter_audio:
+      "Ba zan iya sauraron saƙon murya ba tukuna. Rubuta shi, misali: na sayar da shinkafa 3 akan 45k",
+    media_no_adapter_image: "Ba zan iya karanta hoto ba tukuna. Rubuta shi, misali: na sayar da shinkafa 3 akan 45k",
+    media_failed_audio: "Ban gane saƙon muryar ba. Sake gwadawa, ko rubuta shi: na sayar da shinkafa 3 akan 45k",
+    media_failed_image: "Ban gane hoton ba. Sake gwadawa, ko rubuta shi: na sayar da shinkafa 3 akan 45k",
+    media_heard_audio: "Abin da na ji",
+    media_heard_image: "Abin da na karanta",
+    media_unparsed: "Ban iya mayar da shi rubutu ba. Rubuta shi: na sayar da shinkafa 3 akan 45k",
+    media_record: (v) => `In rubuta wannan${v.date ? ` na ${v.date}` : ""}?`,
+
+    summary_title: "📊 Taƙaitawar Predicta ({business})",
+    period: "Lokaci: {label}",
+    summary_sales: "💰 Ciniki:",
+    qty: "(yawa: {qty})",
+    cash_vs_credit: "💵 Tsabar kuɗi da bashi:",
+    received: "An karɓa {amount}",
+    incl_repaid: " (har da {amount} da aka biya bashi)",
+    on_credit_amount: ", bashi {amount}",
+    owed_now: (v) => `💳 Bashin da ake binka yanzu: ${v.amounts} (abokan ciniki ${v.count}, aika "debts")`,
+    cost_of_goods: "📦 Kuɗin sayen kaya:",
+    cogs_line: "COGS {cogs} → riba {gross}",
+    units_without_cost: " ({qty} ba su da kuɗin saye)",
+    summary_expenses: "💸 Kashe kuɗi:",
+    summary_net: "📈 Riba:",
+    all_in: "💱 Duka a {currency}:",
+    no_rate_entries: "{count} ba su da farashin canji tukuna (ba a haɗa ba)",
+    top_sales: "🏆 Manyan ciniki:",
+    cost_profit: "kuɗin saye {cost}, riba {profit}",
+    margin: ", kashi na riba {pct}%",
+    sale_profit: "Kuɗin saye: {cost} → riba {profit} ({pct}%)",
+    top_expenses: "🧾 Manyan kashe kuɗi:",
+    budgets_month: "🎯 Kasafi (wannan wata):",
+    stock_latest: "📦 Kaya (na ƙarshe):",
+    versus: "↕️ Idan aka kwatanta da {label}:",
+    summary_tip: 'Shawara: aika "summary week" ko "advice week"',
+    insights: "🧠 Abubuwan lura:",
+    auto_all: " 🔁 atomatik",
+    auto_part: " (🔁 {amount} atomatik)",
+    label_sales: "Ciniki",
+    label_expenses: "Kashe kuɗi",
+    label_net: "Riba",
+    change_new: "sabo",
+    change_flat: "daidai",
+    change_up: "ya ƙaru {pct}%",
+    change_down: "ya ragu {pct}%",
+    headline: "{main} idan aka kwatanta da {label}",
+    no_activity: "Babu komai a lokutan biyu",
+    budget_used: "{spent} cikin {budget}",
+    budget_over: "{category}: {used} ⚠️ ya wuce da {over}",
+    budget_left: "{category}: {used} ({pct}%), saura {left}",
+
+    advice_title: "🧠 Shawarar Predicta ({business})",
+    top_product: "🏆 Kayan da ya fi ciniki: {item} ({amount})",
+    top_product_none: "🏆 Kayan da ya fi ciniki: Babu tukuna",
+    actionable_tips: "✅ Abin da za ka iya yi:",
+    advice_tip: 'Shawara: gwada "summary week"',
+    tip_below_cost:
+      '🛑 An sayar da "{item}" ƙasa da kuɗin saye: ciniki {revenue}, saye {cost}. Ƙara farashi ko duba kuɗin saye.',
+    tip_old_debts: (v) =>
+      `⏳ Basussuka ${v.count} sun wuce kwana ${v.days}; ` +
+      `${v.customer} yana bin ${v.amount} na kwana ${v.owedDays}. Ka bi shi kafin ka ƙara bashi.`,
+    tip_over_budget: "🎯 An wuce kasafi a wannan wata: {list}. Rage kashe kuɗi ko ƙara kasafi.",
+    tip_near_budget: '🎯 "{category}" ya yi amfani da {pct}% na kasafin wannan wata; saura {left}.',
+    tip_no_sales: "📉 Babu ciniki a wannan lokaci. Rubuta aƙalla ciniki 3 don samun shawara mai kyau.",
+    tip_no_expenses: "🧾 Babu kashe kuɗi. Rubuta kuɗin da ka kashe (mai, haya, talla) don riba ta yi daidai.",
+    tip_sales_down:
+      "📉 Ciniki a {currency} ya ragu {pct}% idan aka kwatanta da lokacin baya. Duba farashi da ƙarewar kaya.",
+    tip_sales_up:
+      "🚀 Ciniki a {currency} ya ƙaru {pct}% idan aka kwatanta da lokacin baya. Kada kayan da suka fi tafiya su ƙare.",
+    tip_expenses_grew: "💸 Kashe kuɗi a {currency} ya ƙaru {pct}%, fiye da ciniki. Duba abin da ya canza.",
+    tip_product_down: '🔎 Cinikin "{item}" ya ragu {pct}% idan aka kwatanta da lokacin baya.',
+    tip_concentration: '⚠️ Yawancin kuɗi daga "{item}" suke. Tallata wasu kaya 1–2 don rage haɗari.',
+    tip_top_product: '📌 Kayan da ya fi ciniki shi ne "{item}". Rubuta cinikin wasu kaya don ƙarin shawara.',
+    tip_low_stock: (v) => `🚨 Kaya ${v.count} sun kai matakin sake saye: ${v.list}. Aika "stock" don bayani.`,
+    tip_high_stock: '📦 Kaya sun yi yawa: "{item}" guda {qty}. Yi talla don su fi tafiya.',
+    tip_no_stock: '📦 Babu bayanin kaya. Yi amfani da: stock <kaya> <yawa> (misali "stock rice 20").',
+    tip_restock: '🔮 Sake sayen "{item}": kusan {units} za a sayar mako mai zuwa, akwai {stock}. Saya ~{qty}.',
+    tip_net_negative_all: "🔻 Riba ta yi ƙasa da sifili ({amount}). Duba kashe kuɗi da farashi.",
+    tip_net_negative: "🔻 Riba ta yi ƙasa da sifili a {currency}. Duba kashe kuɗi da farashi.",
+    tip_no_rate:
+      '💱 Wasu ba su da farashin canji zuwa {currency}. Saita ɗaya daga ranarsu, misali ' +
+      '"rate USD {currency} 1550 2026-09-01" (ba tare da rana ba, sababbi kawai zai rufe).',
+
+    forecast_title: "🔮 Hasashen Predicta ({business})",
+    forecast_next: "Kwanaki {days} masu zuwa: {from} zuwa {to}",
+    forecast_sales: "💰 Sayarwar da ake sa rai:",
+    forecast_range: "{amount} (tsakanin {range})",
+    forecast_no_history: "Tarihin sayarwa bai isa ba tukuna",
+    forecast_demand: "📦 Yawan da ake sa rai za a sayar:",
+    forecast_restock: "🛒 Sake saye don ya isa:",
+    forecast_order: "{item}: saya ~{qty} (akwai {stock})",
+    forecast_based_on: "Bisa sayarwar kwanaki {days}. Tabbaci: {confidence}.",
+    forecast_log_daily: "Rubuta sayarwa kowace rana don samun hasashe.",
+    confidence_low: "ƙasa",
+    confidence_medium: "matsakaici",
+    confidence_high: "babba",
+
+    usage: "Yadda ake amfani: {usage}\nMisali: {example}",
+    error_example: "{error}\nMisali: {example}",
+    sale_usage:
+      "Yadda ake amfani: sale <kaya> <yawa> [kuɗi][nau'in kuɗi] [to <abokin ciniki> [credit]]\n" +
+      "Misali: sale rice 3 ₦45000 | sale rice 3 (zai yi amfani da farashin da aka ajiye) | sale rice 3 @ 14000 -10%\n" +
+      "Bashi: sale rice 3 to musa credit",
+    credit_buyer_missing: "Wane ne yake saye bashi?",
+    export_ready:
+      "📁 Fitarwa ta shirya: {label}\n{url}\nFayil: {file} (ciniki, kashe kuɗi, kaya)\n" +
+      "Mahaɗin zai ƙare bayan awa {hours}.",
+    customer_unknown: 'Ba ni da abokin ciniki mai suna "{name}".',
+    customer_unknown_hint:
+      "Cinikin bashi ne ke ƙara abokan ciniki, misali: na sayar da shinkafa 3 ga {name} bashi. Duba su da: customers",
+    customer_did_you_mean: "{suggestion} kake nufi?",
+    debts_none: "🎉 Babu wanda ake bin {business} bashi.",
+    debts_title: "💳 Bashin da {business} ke bi:",
+    debts_total: "Jimla: {amounts}",
+    debts_overdue: "⏳ {count} sun wuce kwana {days}",
+    debts_tip: "Rubuta biya da: paid <abokin ciniki> <kuɗi>",
+    customers_title: "👥 Abokan ciniki ({count}):",
+    customer_owes: "{name}: ana bin sa {amount}",
+    customers_tip: "Bayani: customer <suna>",
+    customers_none: "Babu abokan ciniki tukuna.\nCiniki ne ke ƙara su, misali: na sayar da shinkafa 3 ga Musa bashi",
+    ledger_credit: "ya sayi {item} x{qty} bashi {amount}",
+    ledger_paid: "ya biya {amount}",
+    ledger_none: "Babu cinikin bashi ko biya tukuna.",
+    balance_clear: "Ba a bin {name} komai.",
+    balance_owes: "Ana bin {name} {amount}",
+    balance_credit: "{name} yana da {amount} a wurinka",
+    debt_line: "{name}: {amount} na kwana {days}",
+    low_stock_title: "📦 Kayan da suka kai matakin sake saye:",
+    low_stock_line: "{item}: {qty} (sake saye a {level}), {stockout}",
+    low_stock_none: "📦 Duk kaya suna sama da matakin sake saye.\nSaita mataki da: reorder <kaya> <yawa>",
+    stock_negative: '⚠️ Kayan {item} yanzu {qty} ne. Rubuta kayan da suka iso da "add stock {item} <yawa>".',
+    stock_low: "⚠️ Kaya sun yi ƙasa: {item} saura {qty}.",
+    stockout_no_sales: "babu sayarwa kwanan nan",
+    stockout_today: "zai ƙare yau a yadda ake sayarwa",
+    stockout_days: "~kwana {days} saura a {rate} kowace rana",
+    reorder_alert: "🔔 Sake sayen {item}: saura {qty} (matakin sake saye {level}), {stockout}.",
+    stock_not_updated: "Ba a sabunta kaya ba: {error}",
+    invalid_unit_cost: "Kuɗin sayen ɗaya bai yi daidai ba.",
+    stock_now: "Kaya yanzu: {qty}",
+    reorder_title: "🔔 Matakan sake saye:",
+    reorder_others: "(Sauran suna amfani da {level}.)",
+    reorder_none: "Babu matakin sake saye tukuna.\nSaita ɗaya da: reorder <kaya> <yawa>, misali reorder rice 5",
+    reorder_removed: "✅ An cire faɗakarwar sake saye ta {item}.",
+    reorder_set:
+      "✅ An saita matakin sake saye: {item} a {level}\nZan sanar da mai shi idan kaya sun kai {level} ko ƙasa.",
+    prices_title: "🏷️ Farashi:",
+    prices_none: "Babu farashi tukuna.\nSaita ɗaya da: price <kaya> <kuɗi>, misali price rice ₦15000",
+    price_set:
+      "✅ An saita farashi\nKaya: {item}\nFarashi: {amount} kowane ɗaya\n" +
+      'Yanzu "sold 3 {item}" zai yi aiki ba tare da kuɗi ba.',
+    costs_title: "💲 Kuɗin sayen ɗaya:",
+    costs_none: "Babu kuɗin saye tukuna.\nSaita ɗaya da: cost <kaya> <kuɗi>, misali cost rice ₦12000",
+    cost_set:
+      "✅ An saita kuɗin saye\nKaya: {item}\nKuɗin saye: {amount} kowane ɗaya\nSabbin cinikin {item} za su nuna riba.",
+    products_title: "📋 Kayayyaki:",
+    product_aliases: "(ana kuma ce da shi: {aliases})",
+    products_tip: "Ƙara laƙabi da: alias <laƙabi> = <kaya>",
+    products_none: "Babu kayayyaki tukuna. Za su shiga yayin da kake rubuta ciniki da kaya.",
+    product_unknown: 'Ban san "{item}" ba tukuna. Aika "products" don ganin jerin.',
+    alias_not_added: "Ba a ƙara laƙabi ba: {error}",
+    alias_added: '✅ "{alias}" yanzu yana nufin {product}.',
+    categories_title: "🗂️ Rukunan kashe kuɗi:",
+    categories_own: "Kalmominka:",
+    categories_tip: "Koya mini kalma da: category <kalma> = <rukuni>",
+    category_added: '✅ "{synonym}" yanzu yana cikin {category}',
+    category_moved: (v) => `Na mayar da tsoffin kashe kuɗi ${v.count} zuwa ${v.category}.`,
+    budgets_title: "🎯 Kasafin wannan wata:",
+    budgets_none: "Babu kasafi tukuna.\nSaita ɗaya da: budget fuel {amount}",
+    budget_owner_only: "🔒 Mai {business} kaɗai ne zai iya canza kasafi.",
+    budget_removed: "🗑️ An cire kasafin {category}.",
+    budget_missing: "Babu kasafi na {category}.",
+    budget_set: "✅ An saita kasafin wata\n{budget}",
+    recurring_title: "🔁 Kashe kuɗin da ke maimaituwa:",
+    recurring_next: ", na gaba {date}",
+    recurring_paused_tag: " ⏸️ an dakatar",
+    recurring_tip: "Dakatar/ci gaba/soke da: recurring pause <id>",
+    recurring_none: "Babu kashe kuɗin da ke maimaituwa.\nƘara ɗaya da: recurring rent {amount} monthly on 1st",
+    recurring_resumed: "▶️ An ci gaba: {expense}\nNa gaba: {date}",
+    recurring_paused: "⏸️ An dakatar: {expense}\nKashe kuɗin da aka riga aka rubuta suna nan.",
+    recurring_cancelled: "🗑️ An soke: {expense}\nKashe kuɗin da aka riga aka rubuta suna nan.",
+    recurring_set:
+      "🔁 An saita kashe kuɗi mai maimaituwa (#{id})\n{expense}\nNa farko: {date}\n" +
+      "Zan riƙa rubuta shi da kaina. Dakatar da shi da: recurring cancel {id}",
+    rates_title: "💱 Farashin canjin kuɗi:",
+    rates_none:
+      "Babu farashin canji tukuna.\nSaita ɗaya da: rate USD {currency} 1550 [YYYY-MM-DD]\n" +
+      "Ba tare da rana ba, sababbi kawai zai rufe.",
+    rate_saved: "✅ An ajiye farashin canji: 1 {base} = {rate} {quote}\nDaga: {from}",
+    rate_now: "yanzu",
+    rate_filled: "Na canza guda {count} da ba su da farashin canji a da.",
+    rate_unconverted:
+      "Tsofaffi guda {count} a {currency} har yanzu ba su da farashin canji, domin wannan ya fara daga {from}. " +
+      "Don rufe su: rate {base} {quote} {rate} {date}",
+    recurring_error_frequency: "Faɗi daily, weekly ko monthly.",
+    recurring_error_missing: "Babu rukuni ko adadi.",
+    recurring_error_unreadable: 'Ban iya karanta "{text}" ba.',
+    recurring_error_weekday: '"{text}" ba ranar mako ba ce.',
+    recurring_error_day: '"{text}" ba ranar wata ba ce.',
+    remind_error_frequency: "Faɗi daily ko weekly.",
+    remind_error_time: 'Ban iya karanta lokacin "{text}" ba. Gwada 9pm ko 21:00.',
+
+    reminders_on: "⏰ Ana aika taƙaitawa {when} ({zone}).\nDakatar da shi da: remind off",
+    reminders_and: " da ",
+    reminders_none: "⏰ Babu taƙaitawar da aka tsara.\nGwada: remind daily 9pm | remind weekly sunday 8pm",
+    reminders_off: "🔕 An kashe taƙaitawar da aka tsara.",
+    reminders_off_daily: "🔕 An kashe taƙaitawar kullum.",
+    reminders_off_weekly: "🔕 An kashe taƙaitawar mako-mako.",
+    reminders_were_off: "Babu taƙaitawar da aka tsara a kunne.",
+    reminder_set:
+      "⏰ An gama. Zan aiko maka da taƙaitawa {when} ({zone}).\nCanza yankin lokaci da: settings timezone <zone>",
+    settings:
+      "⚙️ Saituna\nSuna: {name}\nKuɗi: {currency}\nYankin lokaci: {zone}\nHarshe: {language}\n" +
+      "Tambaya kafin rubutawa: {checks}\n\n" +
+      "Don canzawa: settings name <suna> | settings currency <code> | settings timezone <zone>\n" +
+      "language <{choices}>\n" +
+      "settings confirm price <factor|off> | limit <amount|off> | currency on|off | newitems on|off\n" +
+      "settings confirm timeout <minutes>",
+    checks_now: "{error}\nYanzu: {checks}",
+    checks_updated: "✅ An sabunta dubawa.\nTambaya kafin rubutawa: {checks}",
+    name_updated: "✅ An canza sunan kasuwanci: {name}",
+    currency_updated:
+      "✅ An canza babban kuɗi: {code}\n" +
+      "(Tsoffin bayanai suna riƙe da kuɗinsu; jimlar da aka canza za ta yi amfani da {code} yanzu.)",
+    timezone_updated: '✅ An canza yankin lokaci: {zone}\n"summary today" yanzu yana bin ranarka.',
+    members_title: "👥 Membobin {business}:",
+    member_linked: "{number} yana cikin wani kasuwancin Predicta tuni.",
+    member_invited: (v) =>
+      `✅ Na gayyaci ${v.number} a matsayin ma'aikaci${v.reports ? " (zai iya ganin rahotanni)" : ""}.\n` +
+      `Yanzu zai iya rubuta ciniki, kashe kuɗi da kaya na ${v.business}.`,
+    invite_welcome: '👋 An ƙara ka cikin {business} a Predicta. Amsa "help" don ganin umarni.',
+    invite_not_sent: '(Ban iya aika masa saƙo ba — ka ce ya aika "help" zuwa wannan lambar.)',
+    not_staff: "{number} ba ma'aikacin {business} ba ne.",
+    reports_granted: "✅ {number} yanzu zai iya ganin taƙaitawa da shawara.",
+    reports_revoked: "✅ {number} ba zai ƙara ganin taƙaitawa da shawara ba.",
+    member_removed: "✅ Na cire {number}. Tsoffin bayanansa suna nan.",
+
+    nothing_to_undo: "Babu abin da za a soke tukuna.",
+    undone: "↩️ An soke: {record}",
+    stock_back: "Kayan {item} sun koma {qty}",
+    nothing_to_edit: "Babu abin da za a gyara tukuna.",
+    not_edited: "Ba a gyara ba: {error}",
+    edited: "✏️ An gyara\nDa: {was}\nYanzu: {now}",
+    record_not_found: "Ba a sami {type} #{id} na {business} ba.",
+    record_not_yours: "🔒 Wani ne ya rubuta {type} #{id}. Ka ce mai shi ya goge shi.",
+    deleted: "🗑️ An goge: {record}",
+    stock_now_for: "Kayan {item} yanzu {qty}",
+
+    help: (v) =>
+      [
+        `Umarnin Predicta (${v.business}):`,
+        "1) sale <kaya> <yawa> [kuɗi]  misali: sale shinkafa 3 ₦45000",
+        "   ko: na sayar da shinkafa 3 akan 4500 | na sayar da shinkafa 3 ga Musa bashi",
+        "   Musa ya biya 20000 | debts | customers",
+        "2) expense <rukuni> <kuɗi>  misali: expense fuel ₦15000",
+        "   ko: na kashe 5000 akan mai jiya | budget fuel ₦50000",
+        "3) stock <kaya> <yawa> | add stock shinkafa 10 | remove stock shinkafa 5",
+        "   na sayi buhu 10 na shinkafa akan 120k",
+        `4) summary (taƙaitawa) [lokaci]  (lokaci: ${v.periods})`,
+        "5) advice (shawara) [lokaci] | forecast [week|month]",
+        "6) undo | edit last 45000 | delete sale 12",
+        "7) settings | export [lokaci] | rate USD NGN 1550",
+        `   language <${v.languages}>`,
+        "8) members | invite <+lamba> | remind daily 9pm",
+        "9) help (taimako)",
+        "",
+        "Za ka iya aika saƙon murya ko hoton rasit (zan tambaya kafin in rubuta).",
+      ].join("\n"),
+  },
+};
@@ -0,0 +1,389 @@
+/**
+ * Nigerian Pidgin. Numbers follow English grouping; the parser phrases cover
+ * "I don sell 3 rice for 4500", "I don spend 5k for fuel", "Musa don pay 20k",
+ * "I sell 3 rice give Musa for credit".
+ */
+
+const MARKERS = "(?:don\\s+|done\\s+|just\\s+|go\\s+)*";
+
+module.exports = {
+  code: "pcm",
+  name: "Pidgin",
+  locale: "en-NG",
+  aliases: ["pidgin", "naija", "pidgin english", "broken"],
+  yes: ["yes o", "yes na", "na so", "ehen", "oya", "correct"],
+  no: ["no o", "no be so", "abeg no", "mba", "no way"],
+  commands: {},
+  phrases: [
+    [new RegExp(`^(?:i|we|me|una)\\s+${MARKERS}sell(?:\\s+am)?\\b`, "i"), "sold"],
+    [new RegExp(`^(?:i|we|me)\\s+${MARKERS}(?:spend|use)\\b`, "i"), "spent"],
+    [new RegExp(`^(?:i|we|me)\\s+${MARKERS}buy\\b`, "i"), "bought"],
+    [new RegExp(`^(?:i|we|me)\\s+${MARKERS}(?:collect|receive|get)\\b`, "i"), "received"],
+    [new RegExp(`^(?:i|we|me)\\s+${MARKERS}pay\\b`, "i"), "paid"],
+    [/^(.+?)\s+(?:don\s+|done\s+)+pay(?:\s+me|\s+back)?\b/i, "$1 paid"],
+    [/\bgive\s+(\S+)\s+(?:for|on)\s+credit\b/i, "to $1 on credit"],
+    [/\bfor\s+credit\b/i, "on credit"],
+    [/\byest[ae]r?day\b/i, "yesterday"],
+  ],
+
+  messages: {
+    business_default: "Your Business",
+    none: "Nothing",
+    unknown: [
+      "I no understand wetin you talk.",
+      'Type "help" make you see the commands.',
+      "",
+      "Examples:",
+      "• I don sell 3 rice for 4500",
+      "• I don spend 5k for fuel",
+      "• Add stock rice 10",
+      "• Summary week",
+    ].join("\n"),
+    reports_locked: '🔒 Na only the oga of {business} fit see {cmd}. Tell am make e send "grant <your number> reports".',
+    owner_only: '🔒 Na only the oga of {business} fit use "{cmd}".',
+    language_current: "🌍 Language: {name}\nTo change am: language <{choices}>",
+    language_set: "✅ Language don change: {name}\nI go dey reply for {name} from now. English commands still dey work.",
+    language_unknown: "I no sabi that language. Choose one: {choices}",
+
+    expired: "⌛ That question don expire, so I no record anything. Abeg send am again.",
+    not_recorded: "❌ I no record am. Send am again with the correct details.",
+    reply_yes_no: "Reply YES or NO (before {minutes} min).",
+    item_did_you_mean:
+      '🤔 Na "{suggestion}" you mean? Reply YES make I use am, or NO make I save "{typed}" as new item.',
+    confirm_one: "🤔 Make I record {label}?",
+    confirm_many: "🤔 Make I record these {total} entries? Abeg check:",
+    concern_new_item: '"{item}" na new item',
+    concern_currency: "you no put currency, so I use {currency} (you dey use {usual} before)",
+    concern_price: "the normal price na {amount}",
+    concern_amount: "the normal amount na {amount}",
+    concern_limit: "e pass your check limit of {limit}",
+
+    sale_recorded: "✅ Sale don enter (#{id})",
+    sale_not_recorded: "Sale no enter: {error}",
+    expense_recorded: "✅ Expense don enter (#{id})",
+    expense_not_recorded: "Expense no enter: {error}",
+    payment_recorded: "✅ Payment don enter (#{id})",
+    stock_set: "✅ Stock don update (set, #{id})",
+    stock_added: "✅ Stock don update (added, #{id})",
+    stock_removed: "✅ Stock don update (removed, #{id})",
+    stock_written_off: "✅ Stock don update (written off, #{id})",
+    label_item: "Item",
+    label_unit_price: "Price for one",
+    label_unit_cost: "Cost for one",
+    label_qty: "Qty",
+    label_discount: "Discount",
+    label_total: "Total",
+    label_customer: "Customer",
+    label_category: "Category",
+    label_amount: "Amount",
+    label_from: "From",
+    label_time: "Time",
+    label_stock_left: "Stock wey remain",
+    label_new_stock: "New stock",
+    label_added: "Added",
+    label_removed: "Removed",
+    on_credit: "for credit",
+    from_raw: '(from "{raw}")',
+    budget_this_month: "🎯 Budget for this month: {budget}",
+    batch_recorded: (v) =>
+      `✅ I don record ${v.count} ${v.count === 1 ? "entry" : "entries"}${v.date ? ` for ${v.date}` : ""}`,
+    batch_nothing: "⚠️ I no record anything",
+    batch_problems: "No enter:",
+    batch_mistake: 'Mistake? Send "delete <sale|expense|stock|payment> <id>"',
+    entry_sale: "sell {item} ×{qty} for {amount}",
+    entry_sale_item: "sell {item} ×{qty}",
+    entry_expense: "spend {amount} for {category}",
+    entry_purchase: "buy {items}",
+    entry_payment: "{customer} pay {amount}",
+    entry_stock_add: "add stock {item} ×{qty}",
+    entry_stock_remove: "comot stock {item} ×{qty}",
+    entry_stock_writeoff: "write off {item} ×{qty}",
+    entry_each: " @ {amount}",
+    entry_for: " for {amount}",
+    entry_total: "total {amount}",
+    entry_less: "minus {amount}",
+    entry_to: "give {customer}",
+    entry_to_credit: "give {customer} for credit",
+    record_sale: "sale #{id}: {item} x{qty} for {amount}",
+    record_expense: "expense #{id}: {category} {amount}",
+    record_payment: "payment #{id}: {customer} pay {amount}",
+    record_stock: "stock #{id}: {item} {delta} ({kind})",
+    stock_kind_opening: "opening",
+    stock_kind_purchase: "buy",
+    stock_kind_sale: "sell",
+    stock_kind_adjustment: "adjust",
+    stock_kind_writeoff: "write off",
+    batch_sale: "Sale #{id}: {item} x{qty} {amount}",
+    batch_new_item: " (new item)",
+    batch_expense: "Expense #{id}: {category} {amount}",
+    batch_stock: "Stock #{id}: {item} {delta}{cost} (e remain {qty})",
+    batch_payment: "Payment #{id}: {customer} pay {amount}",
+    batch_credit_buyer: "Who dey buy for credit? e.g. I sell 3 rice give Musa for credit",
+    batch_no_cost: "{item} no get price, so I no fit know the profit. Set am: cost {item} <amount>",
+
+    media_unsupported:
+      "I fit read voice notes and receipt photos. Anything else, abeg type am, e.g. I don sell 3 rice for 45k",
+    media_no_adapter_audio: "I never fit read voice notes. Abeg type am, e.g. I don sell 3 rice for 45k",
+    media_no_adapter_image: "I never fit read photos. Abeg type am, e.g. I don sell 3 rice for 45k",
+    media_failed_audio: "I no fit hear that voice note well. Try again, or type am, e.g. I don sell 3 rice for 45k",
+    media_failed_image: "I no fit read that photo well. Try again, or type am, e.g. I don sell 3 rice for 45k",
+    media_heard_audio: "Wetin I hear",
+    media_heard_image: "Wetin I read",
+    media_unparsed: "I no fit turn am to record. Abeg type am, e.g. I don sell 3 rice for 45k",
+    media_record: (v) => `Make I record am${v.date ? ` for ${v.date}` : ""}?`,
+
+    summary_title: "📊 Predicta Summary ({business})",
+    period: "Period: {label}",
+    summary_sales: "💰 Sales:",
+    qty: "(qty: {qty})",
+    cash_vs_credit: "💵 Cash and credit:",
+    received: "Money wey enter {amount}",
+    incl_repaid: " (plus {amount} wey dem pay back)",
+    on_credit_amount: ", for credit {amount}",
+    owed_now: (v) =>
+      `💳 Money wey people owe you now: ${v.amounts} (${v.count} customer${v.count === 1 ? "" : "s"}, send "debts")`,
+    cost_of_goods: "📦 Cost of goods:",
+    cogs_line: "COGS {cogs} → gain {gross}",
+    units_without_cost: " ({qty} units no get cost)",
+    summary_expenses: "💸 Expenses:",
+    summary_net: "📈 Net:",
+    all_in: "💱 Everything for {currency}:",
+    no_rate_entries: "{count} entries never get rate (I no add dem)",
+    top_sales: "🏆 Top sales:",
+    cost_profit: "cost {cost}, gain {profit}",
+    margin: ", margin {pct}%",
+    sale_profit: "Cost: {cost} → gain {profit} ({pct}%)",
+    top_expenses: "🧾 Top expenses:",
+    budgets_month: "🎯 Budgets (this month):",
+    stock_latest: "📦 Stock (latest):",
+    versus: "↕️ Compare with {label}:",
+    summary_tip: 'Tip: send "summary week" or "advice week"',
+    insights: "🧠 Wetin I notice:",
+    auto_all: " 🔁 auto",
+    auto_part: " (🔁 {amount} na auto)",
+    label_sales: "Sales",
+    label_expenses: "Expenses",
+    label_net: "Net",
+    change_new: "new",
+    change_flat: "same",
+    change_up: "go up {pct}%",
+    change_down: "come down {pct}%",
+    headline: "{main} compare with {label}",
+    no_activity: "Nothing happen for both periods",
+    budget_used: "{spent} out of {budget}",
+    budget_over: "{category}: {used} ⚠️ e pass by {over}",
+    budget_left: "{category}: {used} ({pct}%), {left} remain",
+
+    advice_title: "🧠 Predicta Advice ({business})",
+    top_product: "🏆 Top product: {item} ({amount})",
+    top_product_none: "🏆 Top product: Nothing yet",
+    actionable_tips: "✅ Wetin you fit do:",
+    advice_tip: 'Tip: try "summary week"',
+    tip_below_cost:
+      '🛑 You sell "{item}" under cost: sales {revenue} but cost {cost}. Raise the price or check the cost.',
+    tip_old_debts: (v) =>
+      `⏳ ${v.count} customer debt${v.count === 1 ? "" : "s"} don pass ${v.days} days; ` +
+      `${v.customer} don owe ${v.amount} for ${v.owedDays} days. Follow am up before you give more credit.`,
+    tip_over_budget: "🎯 Budget don burst this month: {list}. Reduce am or raise the budget.",
+    tip_near_budget: '🎯 "{category}" don use {pct}% of this month budget; {left} remain.',
+    tip_no_sales: "📉 No sales for this period. Record at least 3 sales make I fit advise you better.",
+    tip_no_expenses: "🧾 No expenses. Record your costs (fuel, rent, ads) so the profit go correct.",
+    tip_sales_down: "📉 Sales for {currency} don drop {pct}% from last period. Check prices, stock-outs and slow days.",
+    tip_sales_up: "🚀 Sales for {currency} don rise {pct}% from last period. Make sure your best sellers dey for stock.",
+    tip_expenses_grew: "💸 Expenses for {currency} don rise {pct}%, pass sales. Check wetin change.",
+    tip_product_down: '🔎 "{item}" sales don drop {pct}% from last period.',
+    tip_concentration: '⚠️ Most of your money dey come from "{item}". Push 1–2 other products so risk go reduce.',
+    tip_top_product: '📌 Your top product na "{item}". Record more products make the advice better.',
+    tip_low_stock: (v) =>
+      `🚨 ${v.count} item${v.count === 1 ? "" : "s"} don reach reorder level: ${v.list}. Send "stock" for details.`,
+    tip_high_stock: '📦 Stock plenty: "{item}" na {qty}. Do promo make e move faster.',
+    tip_no_stock: '📦 No stock update. Use: stock <item> <qty> (e.g. "stock rice 20").',
+    tip_restock: '🔮 Restock "{item}": about {units} go sell next week, {stock} dey for stock. Order ~{qty}.',
+    tip_net_negative_all: "🔻 Net don go negative overall ({amount}). Check expenses and prices.",
+    tip_net_negative: "🔻 Net don go negative for {currency}. Check expenses and prices.",
+    tip_no_rate:
+      '💱 Some entries no get exchange rate to {currency}. Set one from their date, e.g. ' +
+      '"rate USD {currency} 1550 2026-09-01" (without date e go cover only new entries).',
+
+    forecast_title: "🔮 Predicta Forecast ({business})",
+    forecast_next: "Next {days} days: {from} to {to}",
+    forecast_sales: "💰 Sales wey we expect:",
+    forecast_range: "{amount} (between {range})",
+    forecast_no_history: "Sales history never reach yet",
+    forecast_demand: "📦 How many go sell (units):",
+    forecast_restock: "🛒 Buy more to cover am:",
+    forecast_order: "{item}: order ~{qty} ({stock} dey for stock)",
+    forecast_based_on: "Na {days} days of sales I take do am. Confidence: {confidence}.",
+    forecast_log_daily: "Log your sales every day make you get forecast.",
+    confidence_low: "low",
+    confidence_medium: "medium",
+    confidence_high: "high",
+
+    usage: "How to use am: {usage}\nExample: {example}",
+    error_example: "{error}\nExample: {example}",
+    sale_usage:
+      "How to use am: sale <item> <qty> [amount][currency] [to <customer> [credit]]\n" +
+      "Example: sale rice 3 ₦45000 | sale rice 3 (e go use the price wey you save) | sale rice 3 @ 14000 -10%\n" +
+      "For credit: sale rice 3 to musa credit",
+    credit_buyer_missing: "Who dey buy for credit?",
+    export_ready:
+      "📁 Export don ready: {label}\n{url}\nFile: {file} (sales, expenses, stock)\nThe link go expire after {hours}h.",
+    customer_unknown: 'I no get customer wey dem dey call "{name}".',
+    customer_unknown_hint:
+      "Credit sales dey add customers, e.g. I sell 3 rice give {name} for credit. See dem with: customers",
+    customer_did_you_mean: "Na {suggestion} you mean?",
+    debts_none: "🎉 Nobody owe {business} anything.",
+    debts_title: "💳 Money wey people owe {business}:",
+    debts_total: "Total: {amounts}",
+    debts_overdue: "⏳ {count} don owe pass {days} days",
+    debts_tip: "Record payment with: paid <customer> <amount>",
+    customers_title: "👥 Customers ({count}):",
+    customer_owes: "{name}: dey owe {amount}",
+    customers_tip: "Details: customer <name>",
+    customers_none: "No customers yet.\nDem dey enter with sales, e.g. I sell 3 rice give Musa for credit",
+    ledger_credit: "buy {item} x{qty} for credit {amount}",
+    ledger_paid: "pay {amount}",
+    ledger_none: "No credit sales or payments yet.",
+    balance_clear: "{name} no owe anything.",
+    balance_owes: "{name} dey owe {amount}",
+    balance_credit: "{name} get {amount} credit with you",
+    debt_line: (v) => `${v.name}: ${v.amount} for ${v.days} ${v.days === 1 ? "day" : "days"}`,
+    low_stock_title: "📦 Don reach reorder level:",
+    low_stock_line: "{item}: {qty} (reorder for {level}), {stockout}",
+    low_stock_none: "📦 Everything still dey above reorder level.\nSet levels with: reorder <item> <qty>",
+    stock_negative: '⚠️ {item} stock don reach {qty}. Log wetin you buy with "add stock {item} <qty>".',
+    stock_low: "⚠️ Stock don low: {item} remain {qty}.",
+    stockout_no_sales: "no sales recently",
+    stockout_today: "e go finish today the way e dey sell",
+    stockout_days: (v) => `~${v.days} ${v.days === 1 ? "day" : "days"} remain at ${v.rate}/day`,
+    reorder_alert: "🔔 Buy more {item}: {qty} remain (reorder level {level}), {stockout}.",
+    stock_not_updated: "Stock no update: {error}",
+    invalid_unit_cost: "That cost for one no correct.",
+    stock_now: "Stock now: {qty}",
+    reorder_title: "🔔 Reorder levels:",
+    reorder_others: "(The others na {level}.)",
+    reorder_none: "No reorder levels yet.\nSet one with: reorder <item> <qty>, e.g. reorder rice 5",
+    reorder_removed: "✅ I don remove the reorder alert for {item}.",
+    reorder_set:
+      "✅ Reorder level don set: {item} for {level}\nI go tell the oga when stock reach {level} or below.",
+    prices_title: "🏷️ Prices:",
+    prices_none: "No prices yet.\nSet one with: price <item> <amount>, e.g. price rice ₦15000",
+    price_set: '✅ Price don set\nItem: {item}\nPrice: {amount} each\nNow "I don sell 3 {item}" go work without amount.',
+    costs_title: "💲 Cost for one:",
+    costs_none: "No cost yet.\nSet one with: cost <item> <amount>, e.g. cost rice ₦12000",
+    cost_set: "✅ Cost don set\nItem: {item}\nCost: {amount} each\nNew {item} sales go show gain and margin.",
+    products_title: "📋 Products:",
+    product_aliases: "(dem dey also call am: {aliases})",
+    products_tip: "Add nickname with: alias <nickname> = <product>",
+    products_none: "No products yet. Dem go enter as you record sales and stock.",
+    product_unknown: 'I no sabi "{item}" yet. Send "products" make you see the list.',
+    alias_not_added: "Alias no enter: {error}",
+    alias_added: '✅ "{alias}" now mean {product}.',
+    categories_title: "🗂️ Expense categories:",
+    categories_own: "Your own words:",
+    categories_tip: "Teach me word with: category <word> = <category>",
+    category_added: '✅ "{synonym}" now na {category}',
+    category_moved: (v) => `I don move ${v.count} old expense${v.count === 1 ? "" : "s"} go ${v.category}.`,
+    budgets_title: "🎯 Budgets for this month:",
+    budgets_none: "No budgets yet.\nSet one with: budget fuel {amount}",
+    budget_owner_only: "🔒 Na only the oga of {business} fit change budgets.",
+    budget_removed: "🗑️ I don remove the budget for {category}.",
+    budget_missing: "No budget dey for {category}.",
+    budget_set: "✅ Monthly budget don set\n{budget}",
+    recurring_title: "🔁 Expenses wey dey repeat:",
+    recurring_next: ", next one {date}",
+    recurring_paused_tag: " ⏸️ e don pause",
+    recurring_tip: "Pause/resume/cancel with: recurring pause <id>",
+    recurring_none: "No expenses wey dey repeat.\nAdd one with: recurring rent {amount} monthly on 1st",
+    recurring_resumed: "▶️ E don start again: {expense}\nNext one: {date}",
+    recurring_paused: "⏸️ E don pause: {expense}\nThe expenses wey don enter before go remain.",
+    recurring_cancelled: "🗑️ E don cancel: {expense}\nThe expenses wey don enter before go remain.",
+    recurring_set:
+      "🔁 Repeat expense don set (#{id})\n{expense}\nFirst one: {date}\n" +
+      "I go dey record am by myself. Stop am with: recurring cancel {id}",
+    rates_title: "💱 Exchange rates:",
+    rates_none:
+      "No exchange rates yet.\nSet one with: rate USD {currency} 1550 [YYYY-MM-DD]\n" +
+      "Without date e go cover only new entries.",
+    rate_saved: "✅ Rate don save: 1 {base} = {rate} {quote}\nE start from: {from}",
+    rate_now: "now",
+    rate_filled: "I don convert {count} entries wey no get rate before.",
+    rate_unconverted:
+      "{count} old entries for {currency} still no get rate, because this one start from {from}. " +
+      "To cover them: rate {base} {quote} {rate} {date}",
+    recurring_error_frequency: "Talk daily, weekly or monthly.",
+    recurring_error_missing: "Category or amount no dey.",
+    recurring_error_unreadable: 'I no fit read "{text}".',
+    recurring_error_weekday: '"{text}" no be day for week.',
+    recurring_error_day: '"{text}" no be day for month.',
+    remind_error_frequency: "Talk daily or weekly.",
+    remind_error_time: 'I no fit read the time "{text}". Try 9pm or 21:00.',
+
+    reminders_on: "⏰ I dey send summaries {when} ({zone}).\nStop am with: remind off",
+    reminders_and: " and ",
+    reminders_none: "⏰ No summary wey I dey send by myself.\nTry: remind daily 9pm | remind weekly sunday 8pm",
+    reminders_off: "🔕 I don stop to send summaries.",
+    reminders_off_daily: "🔕 I don stop the daily summaries.",
+    reminders_off_weekly: "🔕 I don stop the weekly summaries.",
+    reminders_were_off: "No summaries dey on before.",
+    reminder_set:
+      "⏰ E don set. I go send your summary {when} ({zone}).\nChange the timezone with: settings timezone <zone>",
+    settings:
+      "⚙️ Settings\nName: {name}\nCurrency: {currency}\nTimezone: {zone}\nLanguage: {language}\n" +
+      "Ask before I record: {checks}\n\n" +
+      "To change am: settings name <name> | settings currency <code> | settings timezone <zone>\n" +
+      "language <{choices}>\n" +
+      "settings confirm price <factor|off> | limit <amount|off> | currency on|off | newitems on|off\n" +
+      "settings confirm timeout <minutes>",
+    checks_now: "{error}\nNow: {checks}",
+    checks_updated: "✅ Checks don update.\nAsk before I record: {checks}",
+    name_updated: "✅ Business name don change: {name}",
+    currency_updated:
+      "✅ Default currency don change: {code}\n" +
+      "(Old records keep their own currency; converted totals go use {code} now.)",
+    timezone_updated: '✅ Timezone don change: {zone}\n"summary today" go follow your own day now.',
+    members_title: "👥 {business} members:",
+    member_linked: "{number} don already join one Predicta business.",
+    member_invited: (v) =>
+      `✅ I don add ${v.number} as staff${v.reports ? " (e fit see reports)" : ""}.\n` +
+      `Dem fit record sales, expenses and stock for ${v.business} now.`,
+    invite_welcome: '👋 Dem don add you to {business} for Predicta. Reply "help" make you see the commands.',
+    invite_not_sent: '(I no fit message dem — tell dem make dem send "help" to this number.)',
+    not_staff: "{number} no be staff of {business}.",
+    reports_granted: "✅ {number} fit see summary and advice now.",
+    reports_revoked: "✅ {number} no fit see summary and advice again.",
+    member_removed: "✅ I don remove {number}. Their old records go remain.",
+
+    nothing_to_undo: "Nothing dey to undo yet.",
+    undone: "↩️ I don undo: {record}",
+    stock_back: "Stock for {item} don go back to {qty}",
+    nothing_to_edit: "Nothing dey to edit yet.",
+    not_edited: "I no edit am: {error}",
+    edited: "✏️ I don edit am\nBefore: {was}\nNow: {now}",
+    record_not_found: "I no see {type} #{id} for {business}.",
+    record_not_yours: "🔒 Na another person record {type} #{id}. Tell the oga make e delete am.",
+    deleted: "🗑️ I don delete: {record}",
+    stock_now_for: "Stock for {item} now na {qty}",
+
+    help: (v) =>
+      [
+        `Predicta (${v.business}) commands:`,
+        "1) sale <item> <qty> [amount]  e.g. sale rice 3 ₦45000",
+        "   or talk am: I don sell 3 rice for 4500 | I sell 3 rice give Musa for credit",
+        "   Musa don pay 20k | debts | customers",
+        "2) expense <category> <amount>  e.g. expense fuel ₦15000",
+        "   or: I don spend 5k for fuel yesterday | budget fuel ₦50000",
+        "3) stock <item> <qty> | add stock rice 10 | remove stock rice 5",
+        "   I don buy 10 bags of rice for 120k",
+        `4) summary [period]  (period: ${v.periods})`,
+        "5) advice [period] | forecast [week|month]",
+        "6) undo | edit last 45000 | delete sale 12",
+        "7) settings | export [period] | rate USD NGN 1550",
+        `   language <${v.languages}>`,
+        "8) members | invite <+number> | remind daily 9pm",
+        "9) help",
+        "",
+        "Voice note or receipt photo sef dey work (I go ask before I record am).",
+      ].join("\n"),
+  },
+};
@@ -0,0 +1,407 @@
+/**
+ * Yoruba. Phrases are matched without tone marks, so "mo ta ìrẹsì 3 ní 4500" and
+ * "mo ta iresi 3 ni 4500" both read as "sold iresi 3 for 4500". Also understood:
+ * "mo ná 5000 lórí epo", "mo ra àpò 10 ìrẹsì", "Musa san 20000", "... fún Musa lórí àwìn".
+ */
+
+const AMOUNT_AHEAD = "(?=(?:₦|£|\\$|n)?\\d)";
+
+module.exports = {
+  code: "yo",
+  name: "Yorùbá",
+  locale: "yo-NG",
+  aliases: ["yoruba", "yo", "ede yoruba"],
+  fold: true,
+  yes: ["bẹ́ẹ̀ni", "beeni", "bee ni", "beni", "ó dáa", "o daa", "ẹ̀n", "en"],
+  no: ["rárá", "rara", "bẹ́ẹ̀kọ́", "beeko", "ko"],
+  commands: {
+    ìrànlọ́wọ́: "help",
+    àkópọ̀: "summary",
+    ìmọ̀ràn: "advice",
+    èdè: "language",
+    gbèsè: "debts",
+    oníbàárà: "customers",
+    àsọtẹ́lẹ̀: "forecast",
+  },
+  phrases: [
+    [/^(?:mo|a|emi)\s+(?:ti\s+)?ta\s+/i, "sold "],
+    [/^(?:mo|a|emi)\s+(?:ti\s+)?na\s+/i, "spent "],
+    [/^(?:mo|a|emi)\s+(?:ti\s+)?ra\s+/i, "bought "],
+    [/^(?:mo|a|emi)\s+(?:ti\s+)?gba\s+/i, "received "],
+    [/^(?:mo|a|emi)\s+(?:ti\s+)?san\s+/i, "paid "],
+    [/^(.+?)\s+(?:ti\s+)?san\s+/i, "$1 paid "],
+    [/\s+(?:fun|si)\s+(\S+)\s+(?:lori|ni)\s+awin\b/i, " to $1 on credit"],
+    [/\s+(?:lori|ni)\s+awin\b/i, " on credit"],
+    [new RegExp(`\\s+(?:ni|fun)\\s+${AMOUNT_AHEAD}`, "gi"), " for "],
+    [/\s+(?:lowo|lodo)\s+/gi, " from "],
+    [/\s+(?:lori|fun)\s+/gi, " on "],
+    [/\s+ati\s+/gi, " and "],
+    [/\bapo\s+(\d+)\s+/gi, "$1 bags of "],
+    [/\bepo\b/gi, "fuel"],
+    [/\bowo\s+ile\b/gi, "rent"],
+    [/\bounje\b/gi, "food"],
+    [/\bowo\s+oko\b/gi, "transport"],
+    [/\b(?:lanaa|lana|ana)\b/gi, "yesterday"],
+    [/\b(?:lonii|loni|oni)\b/gi, "today"],
+  ],
+
+  messages: {
+    business_default: "Iṣẹ́ rẹ",
+    none: "Kò sí",
+    unknown: [
+      "Kò yé mi.",
+      'Tẹ "help" láti rí àwọn àṣẹ.',
+      "",
+      "Àpẹẹrẹ:",
+      "• Mo ta ìrẹsì 3 ní 4500",
+      "• Mo ná 5000 lórí epo",
+      "• Add stock ìrẹsì 10",
+      "• Àkópọ̀ week",
+    ].join("\n"),
+    reports_locked: '🔒 Ọ̀gá {business} nìkan ló lè rí {cmd}. Sọ fún wọn kí wọ́n fi "grant <nọ́mbà rẹ> reports" ránṣẹ́.',
+    owner_only: '🔒 Ọ̀gá {business} nìkan ló lè lo "{cmd}".',
+    language_current: "🌍 Èdè: {name}\nLáti yí i padà: language <{choices}>",
+    language_set: "✅ A ti yí èdè padà: {name}\nMà á máa dáhùn ní {name}. Àwọn àṣẹ Gẹ̀ẹ́sì ṣì ń ṣiṣẹ́.",
+    language_unknown: "Èdè yẹn kò mọ̀ mí. Yan ọ̀kan: {choices}",
+
+    expired: "⌛ Ìbéèrè yẹn ti parí, nítorí náà n kò kọ nǹkan sílẹ̀. Jọ̀wọ́ fi ránṣẹ́ lẹ́ẹ̀kan sí i.",
+    not_recorded: "❌ N kò kọ ọ́ sílẹ̀. Fi ránṣẹ́ lẹ́ẹ̀kan sí i pẹ̀lú àlàyé tó tọ́.",
+    reply_yes_no: "Dáhùn YES tàbí NO (láàrin ìṣẹ́jú {minutes}).",
+    item_did_you_mean:
+      '🤔 Ṣé "{suggestion}" lò ń sọ? Dáhùn YES láti lò ó, tàbí NO láti fi "{typed}" pamọ́ bí ọjà tuntun.',
+    confirm_one: "🤔 Kí n kọ {label} sílẹ̀?",
+    confirm_many: "🤔 Kí n kọ àwọn {total} wọ̀nyí sílẹ̀? Jọ̀wọ́ ṣàyẹ̀wò:",
+    concern_new_item: '"{item}" jẹ́ ọjà tuntun',
+    concern_currency: "o kò sọ owó, nítorí náà mo lo {currency} (o sábà máa ń lo {usual})",
+    concern_price: "iye tó wọ́pọ̀ jẹ́ {amount}",
+    concern_amount: "iye tó wọ́pọ̀ jẹ́ {amount}",
+    concern_limit: "ó ju ààlà àyẹ̀wò rẹ lọ, {limit}",
+
+    sale_recorded: "✅ A ti kọ ìtajà sílẹ̀ (#{id})",
+    sale_not_recorded: "A kò kọ ìtajà sílẹ̀: {error}",
+    expense_recorded: "✅ A ti kọ ìnáwó sílẹ̀ (#{id})",
+    expense_not_recorded: "A kò kọ ìnáwó sílẹ̀: {error}",
+    payment_recorded: "✅ A ti kọ ìsanwó sílẹ̀ (#{id})",
+    stock_set: "✅ A ti ṣe àtúnṣe ọjà (set, #{id})",
+    stock_added: "✅ A ti ṣe àtúnṣe ọjà (a fi kún un, #{id})",
+    stock_removed: "✅ A ti ṣe àtúnṣe ọjà (a yọ ọ́, #{id})",
+    stock_written_off: "✅ A ti ṣe àtúnṣe ọjà (ó bàjẹ́, #{id})",
+    label_item: "Ọjà",
+    label_unit_price: "Iye ẹyọ kan",
+    label_unit_cost: "Owó rírà ẹyọ kan",
+    label_qty: "Iye",
+    label_discount: "Ẹ̀dínwó",
+    label_total: "Àpapọ̀",
+    label_customer: "Oníbàárà",
+    label_category: "Ẹ̀ka",
+    label_amount: "Iye owó",
+    label_from: "Láti ọwọ́",
+    label_time: "Àkókò",
+    label_stock_left: "Ọjà tó kù",
+    label_new_stock: "Ọjà tuntun",
+    label_added: "A fi kún un",
+    label_removed: "A yọ ọ́",
+    on_credit: "lórí àwìn",
+    from_raw: '(láti "{raw}")',
+    budget_this_month: "🎯 Ìṣúná oṣù yìí: {budget}",
+    batch_recorded: (v) => `✅ Mo ti kọ ${v.count} sílẹ̀${v.date ? ` fún ${v.date}` : ""}`,
+    batch_nothing: "⚠️ N kò kọ nǹkankan sílẹ̀",
+    batch_problems: "A kò kọ wọ̀nyí sílẹ̀:",
+    batch_mistake: 'Àṣìṣe? Fi "delete <sale|expense|stock|payment> <id>" ránṣẹ́',
+    entry_sale: "ìtajà {item} ×{qty} ní {amount}",
+    entry_sale_item: "ìtajà {item} ×{qty}",
+    entry_expense: "ìnáwó {category} {amount}",
+    entry_purchase: "rírà {items}",
+    entry_payment: "ìsanwó láti ọ̀dọ̀ {customer} {amount}",
+    entry_stock_add: "fi kún ọjà {item} ×{qty}",
+    entry_stock_remove: "yọ ọjà {item} ×{qty}",
+    entry_stock_writeoff: "ọjà tó bàjẹ́ {item} ×{qty}",
+    entry_each: " @ {amount}",
+    entry_for: " ní {amount}",
+    entry_total: "àpapọ̀ {amount}",
+    entry_less: "yọ {amount} kúrò",
+    entry_to: "fún {customer}",
+    entry_to_credit: "fún {customer} lórí àwìn",
+    record_sale: "ìtajà #{id}: {item} x{qty} ní {amount}",
+    record_expense: "ìnáwó #{id}: {category} {amount}",
+    record_payment: "ìsanwó #{id}: {customer} san {amount}",
+    record_stock: "ọjà #{id}: {item} {delta} ({kind})",
+    stock_kind_opening: "ìbẹ̀rẹ̀",
+    stock_kind_purchase: "rírà",
+    stock_kind_sale: "títà",
+    stock_kind_adjustment: "àtúnṣe",
+    stock_kind_writeoff: "ìbàjẹ́",
+    batch_sale: "Ìtajà #{id}: {item} x{qty} {amount}",
+    batch_new_item: " (ọjà tuntun)",
+    batch_expense: "Ìnáwó #{id}: {category} {amount}",
+    batch_stock: "Ọjà #{id}: {item} {delta}{cost} (ó kù {qty})",
+    batch_payment: "Ìsanwó #{id}: {customer} san {amount}",
+    batch_credit_buyer: "Ta ló ń rà lórí àwìn? b.a. mo ta ìrẹsì 3 fún Musa lórí àwìn",
+    batch_no_cost: "{item} kò ní owó rírà, nítorí náà a kò mọ èrè rẹ̀. Ṣètò rẹ̀: cost {item} <iye>",
+
+    media_unsupported: "Mo lè ka ohùn àti fọ́tò rìsíìtì. Jọ̀wọ́ tẹ nǹkan mìíràn, bí àpẹẹrẹ: mo ta ìrẹsì 3 ní 45k",
+    media_no_adapter_audio: "N kò tíì lè gbọ́ ohùn. Jọ̀wọ́ tẹ ẹ́, bí àpẹẹrẹ: mo ta ìrẹsì 3 ní 45k",
+    media_no_adapter_image: "N kò tíì lè ka fọ́tò. Jọ̀wọ́ tẹ ẹ́, bí àpẹẹrẹ: mo ta ìrẹsì 3 ní 45k",
+    media_failed_audio: "Ohùn yẹn kò yé mi. Gbìyànjú lẹ́ẹ̀kan sí i, tàbí tẹ ẹ́: mo ta ìrẹsì 3 ní 45k",
+    media_failed_image: "Fọ́tò yẹn kò yé mi. Gbìyànjú lẹ́ẹ̀kan sí i, tàbí tẹ ẹ́: mo ta ìrẹsì 3 ní 45k",
+    media_heard_audio: "Ohun tí mo gbọ́",
+    media_heard_image: "Ohun tí mo kà",
+    media_unparsed: "N kò lè sọ ọ́ di àkọsílẹ̀. Jọ̀wọ́ tẹ ẹ́: mo ta ìrẹsì 3 ní 45k",
+    media_record: (v) => `Kí n kọ èyí sílẹ̀${v.date ? ` fún ${v.date}` : ""}?`,
+
+    summary_title: "📊 Àkópọ̀ Predicta ({business})",
+    period: "Àkókò: {label}",
+    summary_sales: "💰 Ìtajà:",
+    qty: "(iye: {qty})",
+    cash_vs_credit: "💵 Owó ní ọwọ́ àti àwìn:",
+    received: "Owó tó wọlé {amount}",
+    incl_repaid: " (pẹ̀lú {amount} tí wọ́n san padà)",
+    on_credit_amount: ", lórí àwìn {amount}",
+    owed_now: (v) => `💳 Gbèsè tí wọ́n jẹ ọ́ báyìí: ${v.amounts} (oníbàárà ${v.count}, fi "debts" ránṣẹ́)`,
+    cost_of_goods: "📦 Owó rírà ọjà:",
+    cogs_line: "COGS {cogs} → èrè {gross}",
+    units_without_cost: " ({qty} kò ní owó rírà)",
+    summary_expenses: "💸 Ìnáwó:",
+    summary_net: "📈 Èrè:",
+    all_in: "💱 Gbogbo rẹ̀ ní {currency}:",
+    no_rate_entries: "{count} kò tíì ní owó pàṣípààrọ̀ (a kò kà wọ́n)",
+    top_sales: "🏆 Ìtajà tó ga jù:",
+    cost_profit: "owó rírà {cost}, èrè {profit}",
+    margin: ", ìpín èrè {pct}%",
+    sale_profit: "Owó rírà: {cost} → èrè {profit} ({pct}%)",
+    top_expenses: "🧾 Ìnáwó tó ga jù:",
+    budgets_month: "🎯 Ìṣúná (oṣù yìí):",
+    stock_latest: "📦 Ọjà (tuntun jù):",
+    versus: "↕️ Ní ìfiwéra pẹ̀lú {label}:",
+    summary_tip: 'Ìmọ̀ràn: fi "summary week" tàbí "advice week" ránṣẹ́',
+    insights: "🧠 Àkíyèsí:",
+    auto_all: " 🔁 aládàáṣe",
+    auto_part: " (🔁 {amount} aládàáṣe)",
+    label_sales: "Ìtajà",
+    label_expenses: "Ìnáwó",
+    label_net: "Èrè",
+    change_new: "tuntun",
+    change_flat: "bákan náà",
+    change_up: "gòkè {pct}%",
+    change_down: "wálẹ̀ {pct}%",
+    headline: "{main} ní ìfiwéra pẹ̀lú {label}",
+    no_activity: "Kò sí nǹkan ní àkókò méjèèjì",
+    budget_used: "{spent} nínú {budget}",
+    budget_over: "{category}: {used} ⚠️ ó ti kọjá pẹ̀lú {over}",
+    budget_left: "{category}: {used} ({pct}%), {left} ló kù",
+
+    advice_title: "🧠 Ìmọ̀ràn Predicta ({business})",
+    top_product: "🏆 Ọjà tó tà jù: {item} ({amount})",
+    top_product_none: "🏆 Ọjà tó tà jù: Kò sí síbẹ̀",
+    actionable_tips: "✅ Ohun tí o lè ṣe:",
+    advice_tip: 'Ìmọ̀ràn: gbìyànjú "summary week"',
+    tip_below_cost:
+      '🛑 A ta "{item}" ní ìsàlẹ̀ owó rírà: ìtajà {revenue}, owó rírà {cost}. Gbé iye sókè tàbí ṣàyẹ̀wò owó rírà.',
+    tip_old_debts: (v) =>
+      `⏳ Gbèsè ${v.count} ti ju ọjọ́ ${v.days} lọ; ` +
+      `${v.customer} ti jẹ ${v.amount} fún ọjọ́ ${v.owedDays}. Tẹ̀lé e kí o tó fún un ní àwìn mìíràn.`,
+    tip_over_budget: "🎯 Ìṣúná ti kọjá oṣù yìí: {list}. Dín ìnáwó kù tàbí gbé ìṣúná sókè.",
+    tip_near_budget: '🎯 "{category}" ti lo {pct}% ìṣúná oṣù yìí; {left} ló kù.',
+    tip_no_sales: "📉 Kò sí ìtajà ní àkókò yìí. Kọ ìtajà 3 ó kéré tán fún ìmọ̀ràn tó dára jù.",
+    tip_no_expenses: "🧾 Kò sí ìnáwó. Kọ owó tí o ná (epo, owó ilé, ìpolówó) kí èrè lè péye.",
+    tip_sales_down:
+      "📉 Ìtajà ní {currency} ti wálẹ̀ {pct}% ní ìfiwéra pẹ̀lú àkókò tó kọjá. " +
+      "Ṣàyẹ̀wò iye, ọjà tó tán àti ọjọ́ tí kò ta.",
+    tip_sales_up: "🚀 Ìtajà ní {currency} ti gòkè {pct}% ní ìfiwéra pẹ̀lú àkókò tó kọjá. Máa ní ọjà tó ń tà jù.",
+    tip_expenses_grew: "💸 Ìnáwó ní {currency} ti gòkè {pct}%, ó yára ju ìtajà lọ. Ṣàyẹ̀wò ohun tó yí padà.",
+    tip_product_down: '🔎 Ìtajà "{item}" ti wálẹ̀ {pct}% ní ìfiwéra pẹ̀lú àkókò tó kọjá.',
+    tip_concentration: '⚠️ Ọ̀pọ̀ owó ń wá láti "{item}". Gbé ọjà 1–2 mìíràn lárugẹ láti dín ewu kù.',
+    tip_top_product: '📌 Ọjà tó tà jù ni "{item}". Kọ ìtajà ọjà mìíràn sílẹ̀ fún ìmọ̀ràn tó pọ̀ sí i.',
+    tip_low_stock: (v) => `🚨 Ọjà ${v.count} ti dé ìpele àtúnrà: ${v.list}. Fi "stock" ránṣẹ́ fún àlàyé.`,
+    tip_high_stock: '📦 Ọjà pọ̀: "{item}" jẹ́ {qty}. Ronú nípa ẹ̀dínwó kí ó lè tà kíákíá.',
+    tip_no_stock: '📦 Kò sí àtúnṣe ọjà. Lo: stock <ọjà> <iye> (bí "stock rice 20").',
+    tip_restock: '🔮 Ra "{item}" kún: nǹkan bí {units} ni a retí pé yóò tà lọ́sẹ̀ tó ń bọ̀, {stock} wà. Ra ~{qty}.',
+    tip_net_negative_all: "🔻 Èrè wà ní ìsàlẹ̀ òdo ({amount}). Ṣàyẹ̀wò ìnáwó àti iye.",
+    tip_net_negative: "🔻 Èrè wà ní ìsàlẹ̀ òdo ní {currency}. Ṣàyẹ̀wò ìnáwó àti iye.",
+    tip_no_rate:
+      '💱 Àwọn kan kò ní owó pàṣípààrọ̀ sí {currency}. Ṣètò rẹ̀ láti ọjọ́ wọn, bí ' +
+      '"rate USD {currency} 1550 2026-09-01" (láìsí ọjọ́, àwọn tuntun nìkan ló máa bò).',
+
+    forecast_title: "🔮 Àsọtẹ́lẹ̀ Predicta ({business})",
+    forecast_next: "Ọjọ́ {days} tó ń bọ̀: {from} sí {to}",
+    forecast_sales: "💰 Ìtajà tí a retí:",
+    forecast_range: "{amount} (láàrin {range})",
+    forecast_no_history: "Ìtàn ìtajà kò tíì tó",
+    forecast_demand: "📦 Iye tí a retí pé yóò tà:",
+    forecast_restock: "🛒 Ra kún kí ó lè tó:",
+    forecast_order: "{item}: ra ~{qty} ({stock} wà)",
+    forecast_based_on: "Ó dá lórí ọjọ́ {days} ìtajà. Ìgbẹ́kẹ̀lé: {confidence}.",
+    forecast_log_daily: "Máa kọ ìtajà sílẹ̀ lójoojúmọ́ kí o lè rí àsọtẹ́lẹ̀.",
+    confidence_low: "kéré",
+    confidence_medium: "àárín",
+    confidence_high: "ga",
+
+    usage: "Bí a ṣe ń lò ó: {usage}\nÀpẹẹrẹ: {example}",
+    error_example: "{error}\nÀpẹẹrẹ: {example}",
+    sale_usage:
+      "Bí a ṣe ń lò ó: sale <ọjà> <iye> [owó][owó-ìlú] [to <oníbàárà> [credit]]\n" +
+      "Àpẹẹrẹ: sale rice 3 ₦45000 | sale rice 3 (ó máa lo iye tí o fi pamọ́) | sale rice 3 @ 14000 -10%\n" +
+      "Lórí àwìn: sale rice 3 to musa credit",
+    credit_buyer_missing: "Ta ló ń rà lórí àwìn?",
+    export_ready:
+      "📁 Ìgbéjáde ti ṣetán: {label}\n{url}\nFáìlì: {file} (ìtajà, ìnáwó, ọjà)\n" +
+      "Líǹkì náà yóò parí lẹ́yìn wákàtí {hours}.",
+    customer_unknown: 'N kò ní oníbàárà tí à ń pè ní "{name}".',
+    customer_unknown_hint:
+      "Ìtajà lórí àwìn ló ń fi oníbàárà kún un, bí: mo ta ìrẹsì 3 fún {name} lórí àwìn. Wò wọ́n pẹ̀lú: customers",
+    customer_did_you_mean: "Ṣé {suggestion} lò ń sọ?",
+    debts_none: "🎉 Kò sí ẹni tó jẹ {business} ní gbèsè.",
+    debts_title: "💳 Gbèsè tí wọ́n jẹ {business}:",
+    debts_total: "Àpapọ̀: {amounts}",
+    debts_overdue: "⏳ {count} ti jẹ gbèsè ju ọjọ́ {days} lọ",
+    debts_tip: "Kọ ìsanwó sílẹ̀ pẹ̀lú: paid <oníbàárà> <owó>",
+    customers_title: "👥 Àwọn oníbàárà ({count}):",
+    customer_owes: "{name}: ó jẹ {amount}",
+    customers_tip: "Àlàyé: customer <orúkọ>",
+    customers_none: "Kò sí oníbàárà síbẹ̀.\nÌtajà ló ń fi wọ́n kún un, bí: mo ta ìrẹsì 3 fún Musa lórí àwìn",
+    ledger_credit: "ó ra {item} x{qty} lórí àwìn {amount}",
+    ledger_paid: "ó san {amount}",
+    ledger_none: "Kò sí ìtajà àwìn tàbí ìsanwó síbẹ̀.",
+    balance_clear: "{name} kò jẹ nǹkankan.",
+    balance_owes: "{name} jẹ {amount}",
+    balance_credit: "{name} ní {amount} lọ́dọ̀ rẹ",
+    debt_line: "{name}: {amount} fún ọjọ́ {days}",
+    low_stock_title: "📦 Ọjà tó ti dé ìpele àtúnrà:",
+    low_stock_line: "{item}: {qty} (àtúnrà ní {level}), {stockout}",
+    low_stock_none: "📦 Gbogbo ọjà ló wà lókè ìpele àtúnrà.\nṢètò ìpele pẹ̀lú: reorder <ọjà> <iye>",
+    stock_negative: '⚠️ Ọjà {item} ti di {qty}. Kọ ọjà tó dé sílẹ̀ pẹ̀lú "add stock {item} <iye>".',
+    stock_low: "⚠️ Ọjà ti fẹ́rẹ̀ tán: {qty} ló kù nínú {item}.",
+    stockout_no_sales: "kò sí ìtajà láìpẹ́",
+    stockout_today: "yóò tán lónìí bí a ṣe ń tà á",
+    stockout_days: "~ọjọ́ {days} ló kù ní {rate} lójúmọ́",
+    reorder_alert: "🔔 Ra {item} kún: {qty} ló kù (ìpele àtúnrà {level}), {stockout}.",
+    stock_not_updated: "A kò ṣe àtúnṣe ọjà: {error}",
+    invalid_unit_cost: "Owó rírà ẹyọ kan kò tọ́.",
+    stock_now: "Ọjà báyìí: {qty}",
+    reorder_title: "🔔 Ìpele àtúnrà:",
+    reorder_others: "(Àwọn yòókù ń lo {level}.)",
+    reorder_none: "Kò sí ìpele àtúnrà síbẹ̀.\nṢètò ọ̀kan pẹ̀lú: reorder <ọjà> <iye>, bí reorder rice 5",
+    reorder_removed: "✅ A ti yọ ìkìlọ̀ àtúnrà fún {item}.",
+    reorder_set:
+      "✅ A ti ṣètò ìpele àtúnrà: {item} ní {level}\nMà á sọ fún ọ̀gá nígbà tí ọjà bá dé {level} tàbí kéré sí i.",
+    prices_title: "🏷️ Iye ọjà:",
+    prices_none: "Kò sí iye síbẹ̀.\nṢètò ọ̀kan pẹ̀lú: price <ọjà> <owó>, bí price rice ₦15000",
+    price_set: '✅ A ti ṣètò iye\nỌjà: {item}\nIye: {amount} ẹyọ kan\nNísinsìnyí "mo ta {item} 3" yóò ṣiṣẹ́ láìsí owó.',
+    costs_title: "💲 Owó rírà ẹyọ kan:",
+    costs_none: "Kò sí owó rírà síbẹ̀.\nṢètò ọ̀kan pẹ̀lú: cost <ọjà> <owó>, bí cost rice ₦12000",
+    cost_set: "✅ A ti ṣètò owó rírà\nỌjà: {item}\nOwó rírà: {amount} ẹyọ kan\nÌtajà {item} tuntun yóò fi èrè hàn.",
+    products_title: "📋 Àwọn ọjà:",
+    product_aliases: "(a tún ń pè é ní: {aliases})",
+    products_tip: "Fi orúkọ ìnagijẹ kún un pẹ̀lú: alias <ìnagijẹ> = <ọjà>",
+    products_none: "Kò sí ọjà síbẹ̀. Wọ́n máa wọlé bí o ṣe ń kọ ìtajà àti ọjà sílẹ̀.",
+    product_unknown: 'N kò mọ "{item}" síbẹ̀. Fi "products" ránṣẹ́ láti rí àkójọ.',
+    alias_not_added: "A kò fi ìnagijẹ kún un: {error}",
+    alias_added: '✅ "{alias}" túmọ̀ sí {product} báyìí.',
+    categories_title: "🗂️ Ẹ̀ka ìnáwó:",
+    categories_own: "Àwọn ọ̀rọ̀ rẹ:",
+    categories_tip: "Kọ́ mi ní ọ̀rọ̀ pẹ̀lú: category <ọ̀rọ̀> = <ẹ̀ka>",
+    category_added: '✅ "{synonym}" ti di {category}',
+    category_moved: (v) => `Mo ti gbé ìnáwó àtijọ́ ${v.count} lọ sí ${v.category}.`,
+    budgets_title: "🎯 Ìṣúná oṣù yìí:",
+    budgets_none: "Kò sí ìṣúná síbẹ̀.\nṢètò ọ̀kan pẹ̀lú: budget fuel {amount}",
+    budget_owner_only: "🔒 Ọ̀gá {business} nìkan ló lè yí ìṣúná padà.",
+    budget_removed: "🗑️ A ti yọ ìṣúná {category}.",
+    budget_missing: "Kò sí ìṣúná fún {category}.",
+    budget_set: "✅ A ti ṣètò ìṣúná oṣù\n{budget}",
+    recurring_title: "🔁 Ìnáwó tó ń padà wá:",
+    recurring_next: ", èyí tó kàn {date}",
+    recurring_paused_tag: " ⏸️ ó dúró",
+    recurring_tip: "Dá dúró/tẹ̀síwájú/fagilé pẹ̀lú: recurring pause <id>",
+    recurring_none: "Kò sí ìnáwó tó ń padà wá.\nFi ọ̀kan kún un pẹ̀lú: recurring rent {amount} monthly on 1st",
+    recurring_resumed: "▶️ Ó ti tẹ̀síwájú: {expense}\nÈyí tó kàn: {date}",
+    recurring_paused: "⏸️ Ó ti dúró: {expense}\nÌnáwó tí a ti kọ sílẹ̀ ṣì wà.",
+    recurring_cancelled: "🗑️ A ti fagilé: {expense}\nÌnáwó tí a ti kọ sílẹ̀ ṣì wà.",
+    recurring_set:
+      "🔁 A ti ṣètò ìnáwó tó ń padà wá (#{id})\n{expense}\nÀkọ́kọ́: {date}\n" +
+      "Mà á máa kọ ọ́ sílẹ̀ fúnra mi. Dá a dúró pẹ̀lú: recurring cancel {id}",
+    rates_title: "💱 Owó pàṣípààrọ̀:",
+    rates_none:
+      "Kò sí owó pàṣípààrọ̀ síbẹ̀.\nṢètò ọ̀kan pẹ̀lú: rate USD {currency} 1550 [YYYY-MM-DD]\n" +
+      "Láìsí ọjọ́, àwọn tuntun nìkan ló máa bò.",
+    rate_saved: "✅ A ti fi owó pàṣípààrọ̀ pamọ́: 1 {base} = {rate} {quote}\nLáti: {from}",
+    rate_now: "báyìí",
+    rate_filled: "Mo ti yí {count} tí kò ní owó pàṣípààrọ̀ tẹ́lẹ̀ padà.",
+    rate_unconverted:
+      "{count} àtijọ́ ní {currency} kò tíì ní owó pàṣípààrọ̀, nítorí èyí bẹ̀rẹ̀ láti {from}. " +
+      "Láti bo wọ́n: rate {base} {quote} {rate} {date}",
+    recurring_error_frequency: "Sọ daily, weekly tàbí monthly.",
+    recurring_error_missing: "Ẹ̀ka tàbí iye owó kò sí.",
+    recurring_error_unreadable: 'N kò lè ka "{text}".',
+    recurring_error_weekday: '"{text}" kì í ṣe ọjọ́ ọ̀sẹ̀.',
+    recurring_error_day: '"{text}" kì í ṣe ọjọ́ oṣù.',
+    remind_error_frequency: "Sọ daily tàbí weekly.",
+    remind_error_time: 'N kò lè ka àkókò "{text}". Gbìyànjú 9pm tàbí 21:00.',
+
+    reminders_on: "⏰ Mò ń fi àkópọ̀ ránṣẹ́ {when} ({zone}).\nDá a dúró pẹ̀lú: remind off",
+    reminders_and: " àti ",
+    reminders_none: "⏰ Kò sí àkópọ̀ tí a ṣètò.\nGbìyànjú: remind daily 9pm | remind weekly sunday 8pm",
+    reminders_off: "🔕 Àkópọ̀ tí a ṣètò ti dúró.",
+    reminders_off_daily: "🔕 Àkópọ̀ ojoojúmọ́ ti dúró.",
+    reminders_off_weekly: "🔕 Àkópọ̀ ọ̀sọ̀ọ̀sẹ̀ ti dúró.",
+    reminders_were_off: "Kò sí àkópọ̀ tí a ṣètò tẹ́lẹ̀.",
+    reminder_set:
+      "⏰ Ó ti ṣetán. Mà á fi àkópọ̀ rẹ ránṣẹ́ {when} ({zone}).\nYí àkókò agbègbè padà pẹ̀lú: settings timezone <zone>",
+    settings:
+      "⚙️ Ètò\nOrúkọ: {name}\nOwó: {currency}\nÀkókò agbègbè: {zone}\nÈdè: {language}\n" +
+      "Béèrè kí n tó kọ sílẹ̀: {checks}\n\n" +
+      "Láti yí i padà: settings name <orúkọ> | settings currency <code> | settings timezone <zone>\n" +
+      "language <{choices}>\n" +
+      "settings confirm price <factor|off> | limit <amount|off> | currency on|off | newitems on|off\n" +
+      "settings confirm timeout <minutes>",
+    checks_now: "{error}\nBáyìí: {checks}",
+    checks_updated: "✅ A ti ṣe àtúnṣe àyẹ̀wò.\nBéèrè kí n tó kọ sílẹ̀: {checks}",
+    name_updated: "✅ A ti yí orúkọ iṣẹ́ padà: {name}",
+    currency_updated:
+      "✅ A ti yí owó àkọ́kọ́ padà: {code}\n" +
+      "(Àkọsílẹ̀ àtijọ́ ṣì ní owó tiwọn; àpapọ̀ tí a yí padà yóò máa lo {code}.)",
+    timezone_updated: '✅ A ti yí àkókò agbègbè padà: {zone}\n"summary today" yóò tẹ̀lé ọjọ́ tìrẹ báyìí.',
+    members_title: "👥 Àwọn ọmọ ẹgbẹ́ {business}:",
+    member_linked: "{number} ti wà nínú iṣẹ́ Predicta kan tẹ́lẹ̀.",
+    member_invited: (v) =>
+      `✅ Mo ti pe ${v.number} gẹ́gẹ́ bí òṣìṣẹ́${v.reports ? " (ó lè rí ìròyìn)" : ""}.\n` +
+      `Wọ́n lè kọ ìtajà, ìnáwó àti ọjà sílẹ̀ fún ${v.business} báyìí.`,
+    invite_welcome: '👋 A ti fi ọ́ kún {business} lórí Predicta. Dáhùn "help" láti rí àwọn àṣẹ.',
+    invite_not_sent: '(N kò lè fi iṣẹ́ ránṣẹ́ sí wọn — sọ fún wọn kí wọ́n fi "help" ránṣẹ́ sí nọ́mbà yìí.)',
+    not_staff: "{number} kì í ṣe òṣìṣẹ́ {business}.",
+    reports_granted: "✅ {number} lè rí àkópọ̀ àti ìmọ̀ràn báyìí.",
+    reports_revoked: "✅ {number} kò lè rí àkópọ̀ àti ìmọ̀ràn mọ́.",
+    member_removed: "✅ Mo ti yọ {number}. Àkọsílẹ̀ wọn àtijọ́ ṣì wà.",
+
+    nothing_to_undo: "Kò sí nǹkan láti dá padà síbẹ̀.",
+    undone: "↩️ Mo ti dá a padà: {record}",
+    stock_back: "Ọjà {item} ti padà sí {qty}",
+    nothing_to_edit: "Kò sí nǹkan láti ṣàtúnṣe síbẹ̀.",
+    not_edited: "N kò ṣàtúnṣe rẹ̀: {error}",
+    edited: "✏️ Mo ti ṣàtúnṣe\nTẹ́lẹ̀: {was}\nBáyìí: {now}",
+    record_not_found: "N kò rí {type} #{id} fún {business}.",
+    record_not_yours: "🔒 Ẹlòmíràn ló kọ {type} #{id} sílẹ̀. Sọ fún ọ̀gá kí ó pa á rẹ́.",
+    deleted: "🗑️ Mo ti pa á rẹ́: {record}",
+    stock_now_for: "Ọjà {item} jẹ́ {qty} báyìí",
+
+    help: (v) =>
+      [
+        `Àwọn àṣẹ Predicta (${v.business}):`,
+        "1) sale <ọjà> <iye> [owó]  bí: sale ìrẹsì 3 ₦45000",
+        "   tàbí: mo ta ìrẹsì 3 ní 4500 | mo ta ìrẹsì 3 fún Musa lórí àwìn",
+        "   Musa san 20000 | debts (gbèsè) | customers",
+        "2) expense <ẹ̀ka> <owó>  bí: expense fuel ₦15000",
+        "   tàbí: mo ná 5000 lórí epo lánàá | budget fuel ₦50000",
+        "3) stock <ọjà> <iye> | add stock ìrẹsì 10 | remove stock ìrẹsì 5",
+        "   mo ra àpò 10 ìrẹsì ní 120k",
+        `4) summary (àkópọ̀) [àkókò]  (àkókò: ${v.periods})`,
+        "5) advice (ìmọ̀ràn) [àkókò] | forecast [week|month]",
+        "6) undo | edit last 45000 | delete sale 12",
+        "7) settings | export [àkókò] | rate USD NGN 1550",
+        `   language <${v.languages}>`,
+        "8) members | invite <+nọ́mbà> | remind daily 9pm",
+        "9) help (ìrànlọ́wọ́)",
+        "",
+        "O tún lè fi ohùn tàbí fọ́tò rìsíìtì ránṣẹ́ (mà á béèrè kí n tó kọ ọ́ sílẹ̀).",
+      ].join("\n"),
+  },
+};
@@ -0,0 +1,243 @@
+/**
+ * Voice notes and receipt photos -> text for the message parser.
+ *
+ * Twilio posts NumMedia and MediaUrl<n>/MediaContentType<n> with the message; the media is
+ * fetched with the account credentials and handed to an adapter by kind:
+ *   audio -> speech-to-text     image -> OCR
+ * An adapter is `{ name, extractText(media) => text }` where media is
+ * { url, contentType, data (Buffer) }. Built in:
+ *   httpTextAdapter(name, url)  POSTs the raw bytes to url (SPEECH_TO_TEXT_URL / OCR_URL)
+ *                               and reads JSON like { "text": "sold 3 rice for 45k" }
+ *   stubAdapter(text)           returns fixed text (or text per media URL); MEDIA_STUB_TEXT
+ *                               sets one up for both kinds, for local testing without a provider
+ *
+ * Both run inside the Twilio webhook: the download and the adapter call each give up after
+ * MEDIA_TIMEOUT_MS, and a download stops as soon as it passes MEDIA_MAX_BYTES. Only https URLs on
+ * Twilio's hosts are downloaded, so a forged MediaUrl can't point the server anywhere else.
+ */
+
+const { parseAmount } = require("./nlParser");
+const { CATEGORIES } = require("./expenseCategories");
+const { SYMBOL_PATTERN, CURRENCY_CODES } = require("./money");
+
+const MAX_MEDIA_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 10 * 1024 * 1024;
+const MEDIA_TIMEOUT_MS = Number(process.env.MEDIA_TIMEOUT_MS) || 5000;
+
+const adapters = { audio: null, image: null };
+
+function setMediaAdapter(kind, adapter) {
+  if (!(kind in adapters)) throw new Error(`Unknown media kind: ${kind}`);
+  adapters[kind] = adapter && typeof adapter.extractText === "function" ? adapter : null;
+}
+
+function getMediaAdapter(kind) {
+  return adapters[kind] || null;
+}
+
+function httpTextAdapter(name, url) {
+  return {
+    name,
+    async extractText(media) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": media.contentType || "application/octet-stream" },
+        body: media.data,
+        signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`${name} responded ${res.status}`);
+      const body = await res.json();
+      return typeof body?.text === "string" ? body.text : "";
+    },
+  };
+}
+
+// text: a string for every media, or { [url]: text }
+function stubAdapter(text) {
+  return {
+    name: "stub",
+    async extractText(media) {
+      return typeof text === "string" ? text : text[media.url] || "";
+    },
+  };
+}
+
+if (process.env.SPEECH_TO_TEXT_URL) {
+  setMediaAdapter("audio", httpTextAdapter("speech-to-text", process.env.SPEECH_TO_TEXT_URL));
+}
+if (process.env.OCR_URL) setMediaAdapter("image", httpTextAdapter("ocr", process.env.OCR_URL));
+if (process.env.MEDIA_STUB_TEXT) {
+  for (const kind of Object.keys(adapters)) {
+    if (!adapters[kind]) setMediaAdapter(kind, stubAdapter(process.env.MEDIA_STUB_TEXT));
+  }
+}
+
+// "audio/ogg" -> "audio", "image/jpeg" -> "image", anything else -> null
+function mediaKind(contentType) {
+  const type = String(contentType || "").split("/")[0].toLowerCase();
+  return type in adapters ? type : null;
+}
+
+// [{ url, contentType }] from a Twilio webhook body
+function mediaFromWebhook(body = {}) {
+  const count = Math.min(Number(body.NumMedia) || 0, 10);
+  const media = [];
+  for (let i = 0; i < count; i++) {
+    const url = body[`MediaUrl${i}`];
+    if (url) media.push({ url, contentType: body[`MediaContentType${i}`] || "" });
+  }
+  return media;
+}
+
+// A fetch response body as a Buffer, refused as soon as it is known to pass maxBytes
+async function readCapped(res, maxBytes) {
+  const tooLarge = () => new Error(`media is larger than ${maxBytes} bytes`);
+  if (Number(res.headers.get("content-length")) > maxBytes) throw tooLarge();
+  const chunks = [];
+  let size = 0;
+  // throwing out of the loop cancels the rest of the download
+  for await (const chunk of res.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Media lives on api.twilio.com, which redirects to Twilio's media CDN
+const TWILIO_API_HOST = "api.twilio.com";
+const TWILIO_MEDIA_HOST_RE = /(^|\.)(twilio\.com|twiliocdn\.com)$/;
+const MAX_MEDIA_REDIRECTS = 3;
+
+// The URL when it is https on a Twilio host, else null (nothing else is downloaded, redirects included)
+function twilioMediaUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    return null;
+  }
+  return parsed.protocol === "https:" && TWILIO_MEDIA_HOST_RE.test(parsed.hostname) ? parsed : null;
+}
+
+// Twilio media URLs need the account credentials (basic auth), sent to api.twilio.com only
+async function fetchTwilioMedia(url, { maxBytes = MAX_MEDIA_BYTES } = {}) {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const auth = sid && token ? Buffer.from(`${sid}:${token}`).toString("base64") : null;
+  const signal = AbortSignal.timeout(MEDIA_TIMEOUT_MS);
+
+  let target = twilioMediaUrl(url);
+  for (let hops = 0; ; hops++) {
+    if (!target) throw new Error("media URL is not on a Twilio host");
+    const res = await fetch(target, {
+      headers: auth && target.hostname === TWILIO_API_HOST ? { Authorization: `Basic ${auth}` } : {},
+      redirect: "manual",
+      signal,
+    });
+    if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+      if (hops >= MAX_MEDIA_REDIRECTS) throw new Error("media download redirected too many times");
+      target = twilioMediaUrl(res.headers.get("location"), target);
+      continue;
+    }
+    if (!res.ok) throw new Error(`media download responded ${res.status}`);
+    return readCapped(res, maxBytes);
+  }
+}
+
+const TOTAL_LINE_RE = /\b(grand\s*total|total\s*(?:due|paid|amount)?|amount\s*(?:due|paid)|balance\s*due)\b/i;
+const SUBTOTAL_RE = /\bsub\s*-?\s*total\b/i;
+const RECEIPT_DATE_RE = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/;
+// Lines about paying rather than what was bought ("VAT", "CASH", "CHANGE") say nothing about the category
+const PAYMENT_LINE_RE = /\b(total|tax|vat|change|cash|card|pos|balance|amount|paid)\b/i;
+
+// Standard category for a single word on a receipt (exact names only: receipts are full of near-misses)
+function categoryOfWord(word) {
+  const found = Object.entries(CATEGORIES).find(([key, words]) => key === word || words.includes(word));
+  return found ? found[0] : null;
+}
+
+const LINE_AMOUNT_RE = new RegExp(
+  `(?:(?:${SYMBOL_PATTERN}|${CURRENCY_CODES.join("|")})\\s*)?\\d[\\d,]*(?:\\.\\d{1,2})?`,
+  "gi"
+);
+
+// Amounts on one receipt line, e.g. "TOTAL  ₦45,500.00" -> [{ amount: 45500, currency: "NGN" }]
+function lineAmounts(line) {
+  return (line.match(LINE_AMOUNT_RE) || [])
+    .map((token) => parseAmount(token.replace(/\s+/g, "")))
+    .filter((a) => a && a.amount > 0);
+}
+
+/**
+ * A receipt's OCR text -> a message for the parser ("spent 45500 NGN on fuel on 2026-10-12"),
+ * or null when no total is found. The category is the first standard one named on an item
+ * line ("PMS", "diesel" -> fuel), else inventory; the date is read as day/month/year.
+ */
+function receiptToMessage(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  let total = null;
+  for (const line of lines) {
+    if (!TOTAL_LINE_RE.test(line) || SUBTOTAL_RE.test(line)) continue;
+    const amounts = lineAmounts(line);
+    if (amounts.length) total = amounts[amounts.length - 1];
+    if (/grand\s*total/i.test(line) && total) break;
+  }
+  if (!total) return null;
+
+  const words = lines
+    .filter((l) => !PAYMENT_LINE_RE.test(l))
+    .join(" ")
+    .toLowerCase()
+    .split(/[^a-z]+/);
+  const category = words.map(categoryOfWord).find(Boolean) || "inventory";
+
+  const date = lines.map((l) => l.match(RECEIPT_DATE_RE)).find(Boolean);
+  let on = "";
+  if (date) {
+    const year = date[3].length === 2 ? 2000 + Number(date[3]) : Number(date[3]);
+    const pad = (n) => String(n).padStart(2, "0");
+    if (Number(date[2]) <= 12 && Number(date[1]) <= 31) on = ` on ${year}-${pad(date[2])}-${pad(date[1])}`;
+  }
+  return `spent ${total.amount}${total.currency ? ` ${total.currency}` : ""} on ${category}${on}`;
+}
+
+/**
+ * Media -> { kind, adapter, text, message } where message is what to run through the parser
+ * (a receipt's total for photos that are not a written-out entry), or { kind, error }.
+ * parse(text) -> truthy when the parser understands the text. fetchMedia(url) -> Buffer.
+ */
+async function extractMediaText({ url, contentType }, { parse, fetchMedia = fetchTwilioMedia } = {}) {
+  const kind = mediaKind(contentType);
+  if (!kind) return { kind: null, error: "unsupported" };
+  const adapter = getMediaAdapter(kind);
+  if (!adapter) return { kind, error: "no_adapter" };
+
+  let text;
+  try {
+    const data = await fetchMedia(url);
+    text = String((await adapter.extractText({ url, contentType, data })) || "").trim();
+  } catch (err) {
+    return { kind, adapter: adapter.name, error: err.message };
+  }
+  if (!text) return { kind, adapter: adapter.name, text, error: "no_text" };
+
+  const oneLine = text.replace(/\s+/g, " ");
+  const message = kind === "image" && !(parse && parse(oneLine)) ? receiptToMessage(text) || oneLine : oneLine;
+  return { kind, adapter: adapter.name, text, message };
+}
+
+module.exports = {
+  setMediaAdapter,
+  getMediaAdapter,
+  httpTextAdapter,
+  stubAdapter,
+  mediaKind,
+  mediaFromWebhook,
+  fetchTwilioMedia,
+  receiptToMessage,
+  extractMediaText,
+};
@@ -0,0 +1,144 @@
+/**
+ * Versioned schema migrations.
+ * - Files live in /migrations as <version>_<name>.js, e.g. 002_created_at_indexes.js
+ * - Each file exports { up(client), down(client) }
+ * - Applied versions are recorded in schema_migrations
+ * - A Postgres advisory lock keeps two instances from migrating at the same time
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary app-wide key for pg_advisory_lock ("predicta" on a phone keypad)
+const MIGRATION_LOCK_KEY = 77334282;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const m = file.match(MIGRATION_FILE_RE);
+      if (!m) return null;
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: Number(m[1]), name: m[2], up: mod.up, down: mod.down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const r = await client.query("SELECT version, applied_at FROM schema_migrations ORDER BY version");
+  return new Map(r.rows.map((row) => [Number(row.version), row.applied_at]));
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Each migration runs in its own transaction together with its schema_migrations row.
+async function runOne(client, migration, direction) {
+  await client.query("BEGIN");
+  try {
+    if (direction === "up") {
+      await migration.up(client);
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await migration.down(client);
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    err.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Apply pending migrations in order, optionally stopping at version `to`.
+ * Returns the list of applied migrations ({ version, name }).
+ */
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to !== undefined && m.version > to) break;
+      await runOne(client, m, "up");
+      console.log(`Migrated up: ${m.version}_${m.name}`);
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+/**
+ * Revert the latest applied migrations: `steps` of them (default 1),
+ * or every migration above version `to`.
+ */
+async function migrateDown({ steps = 1, to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const candidates = migrations.filter((m) => applied.has(m.version)).reverse();
+    const targets = to !== undefined ? candidates.filter((m) => m.version > to) : candidates.slice(0, steps);
+    const done = [];
+    for (const m of targets) {
+      await runOne(client, m, "down");
+      console.log(`Migrated down: ${m.version}_${m.name}`);
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedVersions(client);
+    return migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      applied_at: applied.get(m.version) || null,
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, getMigrationStatus };
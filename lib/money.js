@@ -0,0 +1,170 @@
+/**
+ * Money: the supported currencies, exact arithmetic and formatting.
+ *
+ * Amounts are NUMERIC in Postgres and arrive as strings ("45000.10"). Sums and differences
+ * are done in minor units (kobo, pence, cents) read straight from the decimal text, so
+ * nothing drifts the way 0.1 + 0.2 does; results go back out as numbers rounded to the
+ * currency (45000.1) for JSON and as symbols with fixed decimals for replies (₦45,000.10).
+ *
+ * Currency tokens: the ISO code in any case ("ngn"), a symbol ("₦", "KSh", "GH₵")
+ * or a word ("naira", "cedis"). Single-letter symbols ("R") only count in upper case.
+ */
+
+const CURRENCIES = {
+  NGN: { symbol: "₦", symbols: ["₦"], words: ["naira"], minor: 2 },
+  GBP: { symbol: "£", symbols: ["£"], words: ["pound", "pounds", "quid"], minor: 2 },
+  USD: { symbol: "$", symbols: ["$", "US$"], words: ["dollar", "dollars"], minor: 2 },
+  EUR: { symbol: "€", symbols: ["€"], words: ["euro", "euros"], minor: 2 },
+  GHS: { symbol: "₵", symbols: ["GH₵", "₵"], words: ["cedi", "cedis"], minor: 2 },
+  KES: { symbol: "KSh", symbols: ["KSh"], words: ["shilling", "shillings"], minor: 2 },
+  ZAR: { symbol: "R", symbols: ["R"], words: ["rand"], minor: 2 },
+};
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const longestFirst = (a, b) => b.length - a.length;
+
+// "₦" -> NGN ... longest first so "GH₵" wins over "₵"
+const SYMBOLS = CURRENCY_CODES.flatMap((code) => CURRENCIES[code].symbols.map((s) => [s, code])).sort((a, b) =>
+  longestFirst(a[0], b[0])
+);
+// "ngn", "naira", "ksh", "gh₵" -> code (lower case; symbols with letters count as words too)
+const WORDS = new Map();
+for (const code of CURRENCY_CODES) {
+  const { symbols, words } = CURRENCIES[code];
+  for (const w of [code, ...words, ...symbols.filter((s) => s.length > 1)]) WORDS.set(w.toLowerCase(), code);
+}
+
+// Regex sources for the parsers (match lower-cased text): symbols written before a number, and words
+const SYMBOL_PATTERN = [...new Set(SYMBOLS.map(([s]) => s.toLowerCase()))]
+  .filter((s) => s.length > 1 || !/[a-z]/.test(s))
+  .sort(longestFirst)
+  .map(escapeRe)
+  .join("|");
+const WORD_PATTERN = [...WORDS.keys()].filter((w) => /^[a-z]+$/.test(w)).sort(longestFirst).join("|");
+
+// "₦" | "ngn" | "Naira" | "KSh" -> "NGN" | "KES"; null when not a supported currency
+function currencyOf(token) {
+  const t = String(token || "").trim();
+  if (!t) return null;
+  const symbol = SYMBOLS.find(([s]) => s === t);
+  return symbol ? symbol[1] : WORDS.get(t.toLowerCase()) || null;
+}
+
+// "₦45000" -> { currency: "NGN", rest: "45000" }; currency null unless a symbol comes right before a number
+function splitCurrencySymbol(token) {
+  const t = String(token || "").trim();
+  const found = SYMBOLS.find(
+    ([s]) =>
+      (t.startsWith(s) || (s.length > 1 && t.toLowerCase().startsWith(s.toLowerCase()))) &&
+      /^[\d.]/.test(t.slice(s.length))
+  );
+  return found ? { currency: found[1], rest: t.slice(found[0].length) } : { currency: null, rest: t };
+}
+
+function minorDigits(currency) {
+  return CURRENCIES[currency] ? CURRENCIES[currency].minor : 2;
+}
+
+/**
+ * 45000.1 | "45000.10" | "-3.005" -> integer minor units (4500010, -301), halves away from zero.
+ * Decimal text is read digit by digit, so NUMERIC strings convert exactly. NaN when not a number.
+ */
+function toMinor(value, currency) {
+  const digits = minorDigits(currency);
+  const text = typeof value === "number" ? String(value) : String(value ?? "").trim();
+  const m = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+  if (!m || (!m[2] && !m[3])) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.round(n * 10 ** digits) : NaN;
+  }
+  const [, sign, whole, fraction = ""] = m;
+  const kept = fraction.slice(0, digits).padEnd(digits, "0");
+  let minor = Number(`${whole || "0"}${kept}`);
+  if (Number(fraction.charAt(digits) || 0) >= 5) minor += 1;
+  return sign === "-" && minor !== 0 ? -minor : minor;
+}
+
+function fromMinor(minor, currency) {
+  return minor / 10 ** minorDigits(currency);
+}
+
+// "45000.10" -> 45000.1: a NUMERIC (or any amount) as a number rounded to the currency; 0 when not a number
+function toAmount(value, currency) {
+  const minor = toMinor(value, currency);
+  return Number.isFinite(minor) ? fromMinor(minor, currency) : 0;
+}
+
+function roundMoney(value, currency) {
+  return fromMinor(toMinor(value, currency), currency);
+}
+
+// Exact sum of amounts in one currency; null / undefined count as 0
+function addMoney(currency, ...values) {
+  const minor = values.reduce((acc, v) => acc + (v === null || v === undefined ? 0 : toMinor(v, currency) || 0), 0);
+  return fromMinor(minor, currency);
+}
+
+// `from` minus every other value, exactly
+function subtractMoney(currency, from, ...values) {
+  return addMoney(currency, from, ...values.map((v) => -toAmount(v, currency)));
+}
+
+// An amount times a quantity (unit cost x units sold), rounded once to the currency; 0 when not a number
+function multiplyMoney(currency, amount, factor) {
+  const product = toMinor(amount, currency) * Number(factor);
+  return Number.isFinite(product) ? fromMinor(Math.round(product), currency) : 0;
+}
+
+const moneyFormats = new Map();
+function moneyFormat(locale, currency) {
+  const id = `${locale}:${currency}`;
+  if (!moneyFormats.has(id)) {
+    const digits = minorDigits(currency);
+    moneyFormats.set(
+      id,
+      new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency,
+        currencyDisplay: CURRENCIES[currency] ? "narrowSymbol" : "code",
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      })
+    );
+  }
+  return moneyFormats.get(id);
+}
+
+/**
+ * ("NGN", "45000") -> "₦45,000.00", ("GBP", 45.5) -> "£45.50", ("KES", 1200) -> "KSh 1,200.00";
+ * the locale places the symbol and separators ("fr-FR": "45 000,00 ₦"). Unknown codes keep the code.
+ */
+function formatMoney(currency, amount, locale = "en") {
+  const value = toAmount(amount, currency);
+  const symbol = CURRENCIES[currency] ? CURRENCIES[currency].symbol : null;
+  try {
+    return moneyFormat(locale, currency)
+      .formatToParts(value)
+      .map((p) => (p.type === "currency" && symbol ? symbol : p.value))
+      .join("");
+  } catch {
+    return `${currency} ${value.toFixed(minorDigits(currency))}`;
+  }
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  SYMBOL_PATTERN,
+  WORD_PATTERN,
+  currencyOf,
+  splitCurrencySymbol,
+  toMinor,
+  fromMinor,
+  toAmount,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  multiplyMoney,
+  formatMoney,
+};
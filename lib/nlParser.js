@@ -0,0 +1,399 @@
+/**
+ * Natural-language parser for WhatsApp messages.
+ *
+ *   parseMessage("sold 2 rice and 3 beans for 9k yesterday", { now, timeZone })
+ *   -> { date: "2026-10-18", occurredAt: Date, entries: [{ type: "sale", items: [...], total: {...}, ... }] }
+ *
+ * Understands amount shorthands (45k, 1.2m, ₦45,000, 30 gbp, 5k naira), quantities with units
+ * (3 rice, rice x3, 10 bags of rice, 2kg beans), several line items per message (", " / "and"),
+ * past dates (yesterday, on Monday, last friday, 3 days ago, on 12th, on 2026-10-01) and these
+ * message shapes:
+ *
+ *   sale      sold 3 rice for 45k | I sold rice x3 ₦45k | sold 2 rice and 3 beans for 9000
+ *             sold 3 rice at 14000 each with 10% discount | sold 3 rice to Musa on credit
+ *   expense   spent £30 on fuel | paid 5k for fuel | spent 5k on fuel and 2k on airtime
+ *   purchase  bought 10 bags of rice for 120k   (adds stock at its unit cost)
+ *   payment   Musa paid ₦20000 | received 20k from Musa
+ *   stock     add stock rice 10 @ 12000 | remove stock rice 5 | write off rice 2
+ *
+ * Returns null for anything else (commands such as "sale rice 3" pass through untouched).
+ * options.language reads that language's phrasings first ("I don sell 3 rice for 4500",
+ * "j'ai vendu 3 riz pour 4500"; see lib/i18n.js).
+ * toCommand() turns a simple undated single entry back into the equivalent WhatsApp command.
+ */
+
+const { parseDate, formatDate, addDays, zonedParts, localDateTimeToUtc } = require("./periods");
+const { mapCategory, isStandardCategory } = require("./expenseCategories");
+const { toEnglish } = require("./i18n");
+const { SYMBOL_PATTERN, WORD_PATTERN, currencyOf, roundMoney } = require("./money");
+
+const MULTIPLIERS = { k: 1000, m: 1000000 };
+
+const CURRENCY_WORD = WORD_PATTERN;
+// A currency symbol before the number; "n5000" is naira
+const CURRENCY_SYMBOL = `${SYMBOL_PATTERN}|n(?=\\d)`;
+// One amount, e.g. 45000 | 45,000 | 45k | 1.2m | ₦45k | n5000 | 30 gbp | gbp 30 | 5k naira | ksh 500
+const AMOUNT =
+  `(?:(?:${CURRENCY_WORD})\\s*)?(?:${CURRENCY_SYMBOL})?\\d[\\d,]*(?:\\.\\d+)?[km]?` +
+  `(?:\\s*(?:${CURRENCY_WORD})\\b)?`;
+
+const UNITS =
+  "kgs?|g|grams?|l|litres?|liters?|bags?|cartons?|crates?|packs?|packets?|pieces?|pcs|pc|bottles?|tins?|" +
+  "sachets?|bundles?|dozens?|boxes|box|tubers?|paints?|rolls?|yards?|units?";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const WEEKDAY = "sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs|rsday)?|fri(?:day)?|sat(?:urday)?";
+
+const FILLER_RE = /^(?:(?:i|we|i've|we've|i have|we have|just|please|pls|today)\s+)+/i;
+
+/**
+ * "45k" -> { amount: 45000, currency: null }, "₦1.2m" -> { amount: 1200000, currency: "NGN" },
+ * "30 gbp" -> { amount: 30, currency: "GBP" }; null when the text is not an amount.
+ */
+function parseAmount(text) {
+  const t = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  const m = t.match(
+    new RegExp(
+      `^(?:(${CURRENCY_WORD})\\s*)?(${CURRENCY_SYMBOL})?(\\d[\\d,]*(?:\\.\\d+)?)([km])?(?:\\s*(${CURRENCY_WORD}))?$`
+    )
+  );
+  if (!m) return null;
+  const [, before, symbol, digits, multiplier, after] = m;
+  if (!/^\d{1,3}(,\d{3})*(\.\d+)?$|^\d+(\.\d+)?$/.test(digits)) return null;
+  const amount = Number(digits.replace(/,/g, "")) * (multiplier ? MULTIPLIERS[multiplier] : 1);
+  if (!Number.isFinite(amount)) return null;
+  const currency = (symbol === "n" ? "NGN" : currencyOf(symbol)) || currencyOf(before) || currencyOf(after);
+  return { amount: roundMoney(amount, currency), currency };
+}
+
+// A bare number ("3") could be a quantity; anything with a symbol, suffix or currency is money
+function isMarkedAmount(text) {
+  return !/^\d+$/.test(String(text).trim());
+}
+
+/**
+ * "3 rice" | "3x rice" | "rice x3" | "10 bags of rice" | "2kg beans" | "rice 3"
+ * -> { item, qty, unit, explicit }; qty is 1 (explicit false) when none is given.
+ */
+function parseQuantity(text) {
+  const t = String(text || "").trim();
+  const clean = (item) =>
+    item
+      .replace(/^(?:of|the|some)\s+/i, "")
+      .replace(/[.!]+$/, "")
+      .trim()
+      .toLowerCase();
+  const unitOf = (u) => (u ? u.toLowerCase() : null);
+
+  let m = t.match(new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*[x×]?\\s*(?:(${UNITS})\\s+)?(?:of\\s+)?(.+)$`, "i"));
+  if (m) return { item: clean(m[3]), qty: Number(m[1]), unit: unitOf(m[2]), explicit: true };
+
+  m = t.match(new RegExp(`^(.+?)\\s*[x×]\\s*(\\d+(?:\\.\\d+)?)(?:\\s*(${UNITS}))?$`, "i"));
+  if (m) return { item: clean(m[1]), qty: Number(m[2]), unit: unitOf(m[3]), explicit: true };
+
+  m = t.match(new RegExp(`^(.+?)\\s+(\\d+(?:\\.\\d+)?)\\s*(${UNITS})?$`, "i"));
+  if (m) return { item: clean(m[1]), qty: Number(m[2]), unit: unitOf(m[3]), explicit: true };
+
+  return { item: clean(t), qty: 1, unit: null, explicit: false };
+}
+
+function previousMonth({ y, m }) {
+  return m === 1 ? { y: y - 1, m: 12 } : { y, m: m - 1 };
+}
+
+/**
+ * Finds a date phrase, returns { text without it, date: "YYYY-MM-DD" | null }.
+ * Weekdays and days of the month mean the most recent one (today included).
+ */
+function extractDate(text, { now = new Date(), timeZone = "UTC" } = {}) {
+  const today = zonedParts(now, timeZone);
+  const todayDate = { y: today.y, m: today.m, d: today.d };
+  const patterns = [
+    [/\b(?:the\s+)?day\s+before\s+yesterday\b/i, () => addDays(todayDate, -2)],
+    [/\byesterday\b/i, () => addDays(todayDate, -1)],
+    [/\btoday\b/i, () => todayDate],
+    [/\b(\d{1,2})\s+days?\s+ago\b/i, (m) => addDays(todayDate, -Number(m[1]))],
+    [
+      new RegExp(`\\b(?:(last)|on)\\s+(${WEEKDAY})\\b`, "i"),
+      (m) => {
+        const target = WEEKDAYS.findIndex((w) => w.startsWith(m[2].toLowerCase().slice(0, 3)));
+        const current = WEEKDAYS.findIndex((w) => w.startsWith(today.weekday.toLowerCase()));
+        let back = (current - target + 7) % 7;
+        if (m[1] && back === 0) back = 7;
+        return addDays(todayDate, -back);
+      },
+    ],
+    [/\bon\s+(\d{4}-\d{2}-\d{2})\b/i, (m) => parseDate(m[1])],
+    [
+      /\bon\s+(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\b/i,
+      (m) => {
+        const y = m[3] ? Number(m[3]) : todayDate.y;
+        const date = parseDate(formatDate({ y, m: Number(m[2]), d: Number(m[1]) }));
+        if (date && !m[3] && formatDate(date) > formatDate(todayDate)) return { ...date, y: y - 1 };
+        return date;
+      },
+    ],
+    [
+      /\bon\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b/i,
+      (m) => {
+        // The most recent month that has that day: "31st" in October after a 30-day September is 31 August
+        const day = Number(m[1]);
+        if (day < 1 || day > 31) return null;
+        let month = { y: todayDate.y, m: todayDate.m };
+        if (day > todayDate.d) month = previousMonth(month);
+        let date;
+        while (!(date = parseDate(formatDate({ ...month, d: day })))) month = previousMonth(month);
+        return date;
+      },
+    ],
+  ];
+
+  for (const [re, toDate] of patterns) {
+    const m = text.match(re);
+    if (!m) continue;
+    const date = toDate(m);
+    if (!date) continue;
+    const rest = (text.slice(0, m.index) + " " + text.slice(m.index + m[0].length)).replace(/\s+/g, " ").trim();
+    return { text: rest, date: formatDate(date) };
+  }
+  return { text, date: null };
+}
+
+// Splits "2 rice, 3 beans and 1 oil" into line items; commas inside amounts (45,000) are kept
+function splitItems(text) {
+  return text
+    .split(/\s*,\s*(?!\d{3}(?:\D|$))|\s+(?:and|&|\+|plus)\s+/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Removes the first match of `re` from `text`; returns [match | null, rest]
+function take(text, re) {
+  const m = text.match(re);
+  if (!m) return [null, text];
+  return [m, (text.slice(0, m.index) + " " + text.slice(m.index + m[0].length)).replace(/\s+/g, " ").trim()];
+}
+
+/**
+ * One line item with an optional price:
+ *   "rice x3 ₦45k" | "3 rice for 45000" | "3 rice at 14000 each" | "3 rice @ 14k" | "3 rice 14000 each"
+ * -> { item, qty, unit, price: { kind: "total" | "unit", amount, currency } | null }
+ */
+function parseLineItem(text) {
+  let rest = text.trim();
+  let price = null;
+
+  let [m, after] = take(rest, new RegExp(`\\s+for\\s+(${AMOUNT})$`, "i"));
+  if (m) {
+    price = { kind: "total", ...parseAmount(m[1]) };
+    rest = after;
+  } else {
+    [m, after] = take(
+      rest,
+      new RegExp(`(?:\\s+at|\\s*@)\\s*(${AMOUNT})(?:\\s+(?:each|per\\s+\\w+|a\\s+piece))?$|\\s+(${AMOUNT})\\s+(?:each|per\\s+\\w+)$`, "i")
+    );
+    if (m) {
+      price = { kind: "unit", ...parseAmount(m[1] || m[2]) };
+      rest = after;
+    }
+  }
+
+  if (!price) {
+    m = rest.match(new RegExp(`\\s+(${AMOUNT})$`, "i"));
+    if (m) {
+      const before = rest.slice(0, m.index);
+      const amount = parseAmount(m[1]);
+      if (amount && (isMarkedAmount(m[1]) || parseQuantity(before).explicit)) {
+        price = { kind: "total", ...amount };
+        rest = before;
+      }
+    }
+  }
+
+  const { item, qty, unit } = parseQuantity(rest);
+  if (!item || (price && price.amount === undefined)) return null;
+  return { item, qty, unit, price };
+}
+
+// A single shared "for 9000" after the last of several items is the total for all of them
+function parseLineItems(text) {
+  const items = splitItems(text).map(parseLineItem);
+  if (!items.length || items.some((i) => !i)) return null;
+  let total = null;
+  const last = items[items.length - 1];
+  if (items.length > 1 && last.price?.kind === "total" && items.slice(0, -1).every((i) => !i.price)) {
+    total = { amount: last.price.amount, currency: last.price.currency };
+    last.price = null;
+  }
+  return { items, total };
+}
+
+function parseSale(body) {
+  let text = body;
+  let m;
+
+  [m, text] = take(text, /\s*\bon\s+credit\b/i);
+  const credit = Boolean(m);
+  [m, text] = take(text, /\s+to\s+([^,]+?)(?=\s+(?:for|at|@|with|less|on)\s|\s*,|\s+and\s|$)/i);
+  const customer = m ? m[1].trim() : null;
+  [m, text] = take(
+    text,
+    new RegExp(`\\s+(?:with\\s+(\\d+(?:\\.\\d+)?%|${AMOUNT})\\s*(?:discount|off)?|less\\s+(\\d+(?:\\.\\d+)?%|${AMOUNT}))(?=\\s|$)`, "i")
+  );
+  let discount = null;
+  if (m) {
+    const value = (m[1] || m[2]).trim();
+    discount = value.endsWith("%") ? value : String(parseAmount(value)?.amount ?? "");
+    if (!discount) return null;
+  }
+
+  const lines = parseLineItems(text);
+  if (!lines) return null;
+  return { type: "sale", ...lines, discount, customer, credit };
+}
+
+function parseExpenses(body) {
+  const entries = [];
+  for (const part of splitItems(body)) {
+    // "5k on fuel" | "5k for fuel" | "for fuel 5k" | "fuel 5k"
+    let m = part.match(new RegExp(`^(${AMOUNT})\\s+(?:on|for)\\s+(.+)$`, "i"));
+    let amountText = m && m[1];
+    let category = m && m[2];
+    if (!m) {
+      m = part.match(new RegExp(`^(?:(?:on|for)\\s+)?(.+?)\\s+(${AMOUNT})$`, "i"));
+      if (m) [, category, amountText] = m;
+    }
+    const amount = amountText ? parseAmount(amountText) : null;
+    if (!amount || !category) return null;
+    entries.push({ type: "expense", category: category.trim().toLowerCase(), amount: amount.amount, currency: amount.currency });
+  }
+  return entries.length ? entries : null;
+}
+
+function parsePurchase(body) {
+  const lines = parseLineItems(body);
+  if (!lines) return null;
+
+  // "bought fuel for 5k" is a running cost, not stock
+  if (lines.items.length === 1 && !lines.items[0].unit) {
+    const category = mapCategory(lines.items[0].item);
+    if (isStandardCategory(category) && category !== "inventory" && lines.items[0].price) {
+      const { amount, currency } = lines.items[0].price;
+      const total = lines.items[0].price.kind === "unit" ? amount * lines.items[0].qty : amount;
+      return [{ type: "expense", category: lines.items[0].item, amount: total, currency }];
+    }
+  }
+  return [{ type: "purchase", ...lines }];
+}
+
+function parseBody(s) {
+  let m;
+
+  if ((m = s.match(/^(?:sold|sell|selling)\s+(.+)$/i))) {
+    const sale = parseSale(m[1]);
+    return sale ? [sale] : null;
+  }
+
+  if ((m = s.match(/^(?:spent|spend)\s+(.+)$/i))) return parseExpenses(m[1]);
+
+  // "paid 5k for fuel" / "paid for fuel 5k"; "paid musa 20000" stays the repayment command
+  if ((m = s.match(/^paid\s+(.+)$/i))) {
+    const body = m[1];
+    const plain = body.match(new RegExp(`^([a-z][\\w ]*?)\\s+(${AMOUNT})$`, "i"));
+    if (plain && !/^(?:for|on)\s/i.test(body) && !isStandardCategory(mapCategory(plain[1]))) return null;
+    return parseExpenses(body);
+  }
+
+  if ((m = s.match(/^(?:bought|buy|purchased|restocked|restock)\s+(.+)$/i))) return parsePurchase(m[1]);
+
+  // Musa paid ₦20000 | received 20k from Musa
+  if (
+    (m = s.match(new RegExp(`^(.+?)\\s+(?:has\\s+)?(?:paid|repaid|paid\\s+back)\\s+(${AMOUNT})$`, "i"))) &&
+    !/^(?:i|we)$/i.test(m[1].trim())
+  ) {
+    const amount = parseAmount(m[2]);
+    if (!amount) return null;
+    return [{ type: "payment", customer: m[1].trim(), amount: amount.amount, currency: amount.currency }];
+  }
+  if ((m = s.match(new RegExp(`^(?:received|got)\\s+(${AMOUNT})\\s+from\\s+(.+)$`, "i")))) {
+    const amount = parseAmount(m[1]);
+    if (!amount) return null;
+    return [{ type: "payment", customer: m[2].trim(), amount: amount.amount, currency: amount.currency }];
+  }
+
+  // Add stock bin 10 [@ £4] | Remove stock bin 5 | Write off bin 2
+  if ((m = s.match(new RegExp(`^add\\s+stock\\s+(.+?)\\s+(\\d+)(?:\\s*@\\s*(${AMOUNT}))?$`, "i")))) {
+    const cost = m[3] ? parseAmount(m[3]) : null;
+    if (m[3] && !cost) return null;
+    return [{ type: "stock", action: "add", item: m[1].trim().toLowerCase(), qty: Number(m[2]), cost }];
+  }
+  if ((m = s.match(/^remove\s+stock\s+(.+?)\s+(\d+)$/i))) {
+    return [{ type: "stock", action: "remove", item: m[1].trim().toLowerCase(), qty: Number(m[2]), cost: null }];
+  }
+  if ((m = s.match(/^write[\s-]?off\s+(.+)$/i))) {
+    const { item, qty, explicit } = parseQuantity(m[1]);
+    if (!explicit) return null;
+    return [{ type: "stock", action: "writeoff", item, qty, cost: null }];
+  }
+
+  return null;
+}
+
+function parseMessage(raw, { now = new Date(), timeZone = "UTC", language = null } = {}) {
+  const text = toEnglish(String(raw || ""), language)
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/[.!]+$/, "");
+  if (!text) return null;
+
+  const dated = extractDate(text, { now, timeZone });
+  const body = dated.text.replace(FILLER_RE, "");
+  const entries = parseBody(body);
+  if (!entries) return null;
+
+  const today = formatDate(zonedParts(now, timeZone));
+  const date = dated.date && dated.date !== today ? dated.date : null;
+  if (date && date > today) return null;
+  // Past entries are dated midday local time, clear of any day boundary
+  const occurredAt = date ? localDateTimeToUtc(`${date} 12:00`, timeZone) : null;
+  return { entries, date, occurredAt };
+}
+
+// Amount and currency as command tokens ("45000" / "45000 GBP")
+function moneyTokens(amount, currency) {
+  return `${amount}${currency ? ` ${currency}` : ""}`;
+}
+
+const asToken = (name) => String(name).trim().replace(/\s+/g, "_");
+
+/**
+ * The WhatsApp command for a parsed message the regular handlers can take as is:
+ * one undated entry with one line item (no purchase). null otherwise.
+ */
+function toCommand(parsed) {
+  if (!parsed || parsed.date || parsed.entries.length !== 1) return null;
+  const e = parsed.entries[0];
+
+  if (e.type === "sale" && e.items.length === 1) {
+    const [line] = e.items;
+    const price = line.price || (e.total ? { kind: "total", ...e.total } : null);
+    let cmd = `sale ${asToken(line.item)} ${line.qty}`;
+    if (price) cmd += ` ${price.kind === "unit" ? "@ " : ""}${moneyTokens(price.amount, price.currency)}`;
+    if (e.discount) cmd += ` -${e.discount}`;
+    if (e.customer) cmd += ` to ${asToken(e.customer)}`;
+    if (e.credit) cmd += " credit";
+    return cmd;
+  }
+  if (e.type === "expense") return `expense ${asToken(e.category)} ${moneyTokens(e.amount, e.currency)}`;
+  if (e.type === "payment") return `paid ${asToken(e.customer)} ${moneyTokens(e.amount, e.currency)}`;
+  if (e.type === "stock") {
+    const cmd = { add: "stockadd", remove: "stockremove", writeoff: "writeoff" }[e.action];
+    return `${cmd} ${asToken(e.item)} ${e.qty}${e.cost ? ` ${moneyTokens(e.cost.amount, e.cost.currency)}` : ""}`;
+  }
+  return null;
+}
+
+module.exports = { parseAmount, parseQuantity, extractDate, parseMessage, toCommand };
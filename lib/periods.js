@@ -0,0 +1,339 @@
+/**
+ * Reporting periods, evaluated in the business's own timezone.
+ *
+ * Grammar (shared by WhatsApp "summary"/"advice" and GET /admin/summary?period=):
+ * - today | yesterday
+ * - week | this week | last week          (calendar weeks, Monday to Sunday)
+ * - month | this month | last month
+ * - ytd | year | this year                (1 January to today)
+ * - 7d | 30d                              (rolling windows ending now)
+ * - 2026-09-15                            (a single day)
+ * - 2026-09                               (a calendar month)
+ * - 2026-09-01 to 2026-09-30              (inclusive date range)
+ *
+ * resolvePeriod() returns UTC instants [start, end) for querying plus the local dates for display.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_RE = /^(\d{4})-(\d{2})$/;
+
+const NAMED_PERIODS = {
+  "": "today",
+  today: "today",
+  yesterday: "yesterday",
+  week: "this_week",
+  "this week": "this_week",
+  "last week": "last_week",
+  month: "this_month",
+  "this month": "this_month",
+  "last month": "last_month",
+  ytd: "ytd",
+  year: "ytd",
+  "this year": "ytd",
+  "year to date": "ytd",
+  "7d": "rolling_7d",
+  "30d": "rolling_30d",
+};
+
+const NAMED_LABELS = {
+  today: "today",
+  yesterday: "yesterday",
+  this_week: "this week",
+  last_week: "last week",
+  this_month: "this month",
+  last_month: "last month",
+  ytd: "year to date",
+  rolling_7d: "last 7 days",
+  rolling_30d: "last 30 days",
+};
+
+const PERIOD_HELP =
+  "today | yesterday | week | last week | month | last month | ytd | YYYY-MM | YYYY-MM-DD [to YYYY-MM-DD]";
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Plain calendar dates are handled as { y, m, d } and moved around with UTC arithmetic.
+function parseDate(str) {
+  const m = String(str || "").match(DATE_RE);
+  if (!m) return null;
+  const date = { y: Number(m[1]), m: Number(m[2]), d: Number(m[3]) };
+  const check = new Date(Date.UTC(date.y, date.m - 1, date.d));
+  if (check.getUTCMonth() !== date.m - 1 || check.getUTCDate() !== date.d) return null;
+  return date;
+}
+
+function addDays(date, days) {
+  const t = new Date(Date.UTC(date.y, date.m - 1, date.d) + days * DAY_MS);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+function addMonths(date, months) {
+  const t = new Date(Date.UTC(date.y, date.m - 1 + months, 1));
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: 1 };
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.y, b.m - 1, b.d) - Date.UTC(a.y, a.m - 1, a.d)) / DAY_MS);
+}
+
+// Wall-clock fields of `instant` in `timeZone`
+function zonedParts(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  }).formatToParts(instant);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    y: Number(get("year")),
+    m: Number(get("month")),
+    d: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: get("weekday"),
+  };
+}
+
+function timeZoneOffsetMs(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.y, p.m - 1, p.d, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a local wall-clock time on `date` in `timeZone` (DST-safe; times skipped by
+// a clock change land just after it)
+function localTimeToUtc(date, hour, minute, timeZone) {
+  const guess = Date.UTC(date.y, date.m - 1, date.d, hour, minute);
+  let instant = new Date(guess - timeZoneOffsetMs(new Date(guess), timeZone));
+  const corrected = new Date(guess - timeZoneOffsetMs(instant, timeZone));
+  if (corrected.getTime() !== instant.getTime()) instant = corrected;
+  return instant;
+}
+
+// UTC instant of local midnight at the start of `date` in `timeZone`
+function startOfLocalDay(date, timeZone) {
+  return localTimeToUtc(date, 0, 0, timeZone);
+}
+
+function localToday(now, timeZone) {
+  const p = zonedParts(now, timeZone);
+  return { y: p.y, m: p.m, d: p.d };
+}
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+/**
+ * Parse period text into a spec. Returns { error } when the text is not a period.
+ */
+function parsePeriod(text) {
+  const t = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+  if (Object.prototype.hasOwnProperty.call(NAMED_PERIODS, t)) return { kind: NAMED_PERIODS[t] };
+
+  const range = t.match(/^(\d{4}-\d{2}-\d{2})\s*(?:to|until|\.\.)\s*(\d{4}-\d{2}-\d{2})$/);
+  if (range) {
+    const from = parseDate(range[1]);
+    const to = parseDate(range[2]);
+    if (!from || !to) return { error: "Invalid date. Use YYYY-MM-DD." };
+    if (daysBetween(from, to) < 0) return { error: "The start date must be before the end date." };
+    return { kind: "range", from, to };
+  }
+
+  const day = parseDate(t);
+  if (day) return { kind: "range", from: day, to: day };
+
+  const month = t.match(MONTH_RE);
+  if (month && Number(month[2]) >= 1 && Number(month[2]) <= 12) {
+    const from = { y: Number(month[1]), m: Number(month[2]), d: 1 };
+    return { kind: "range", from, to: addDays(addMonths(from, 1), -1) };
+  }
+
+  return { error: `Unknown period "${text}". Try: ${PERIOD_HELP}` };
+}
+
+/**
+ * Resolve a spec to concrete bounds in `timeZone`.
+ * Returns { kind, label, timeZone, start, end, fromDate, toDate } where start/end are
+ * UTC Date instants (end exclusive) and fromDate/toDate are inclusive local YYYY-MM-DD.
+ */
+function resolvePeriod(spec, timeZone, now = new Date()) {
+  const today = localToday(now, timeZone);
+
+  if (spec.kind === "rolling_7d" || spec.kind === "rolling_30d") {
+    const days = spec.kind === "rolling_7d" ? 7 : 30;
+    const start = new Date(now.getTime() - days * DAY_MS);
+    return {
+      kind: spec.kind,
+      label: NAMED_LABELS[spec.kind],
+      timeZone,
+      start,
+      end: now,
+      fromDate: formatDate(localToday(start, timeZone)),
+      toDate: formatDate(today),
+    };
+  }
+
+  let from;
+  let to;
+  const weekStart = addDays(today, -WEEKDAY_INDEX[zonedParts(now, timeZone).weekday]);
+
+  if (spec.kind === "today") [from, to] = [today, today];
+  else if (spec.kind === "yesterday") [from, to] = [addDays(today, -1), addDays(today, -1)];
+  else if (spec.kind === "this_week") [from, to] = [weekStart, today];
+  else if (spec.kind === "last_week") [from, to] = [addDays(weekStart, -7), addDays(weekStart, -1)];
+  else if (spec.kind === "this_month") [from, to] = [{ ...today, d: 1 }, today];
+  else if (spec.kind === "last_month") {
+    from = addMonths(today, -1);
+    to = addDays({ ...today, d: 1 }, -1);
+  } else if (spec.kind === "ytd") [from, to] = [{ y: today.y, m: 1, d: 1 }, today];
+  else if (spec.kind === "range") [from, to] = [spec.from, spec.to];
+  else throw new Error(`Unknown period kind: ${spec.kind}`);
+
+  const fromDate = formatDate(from);
+  const toDate = formatDate(to);
+  const dates = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
+  const label = spec.kind === "range" ? dates : `${NAMED_LABELS[spec.kind]} (${dates})`;
+
+  return {
+    kind: spec.kind,
+    label,
+    timeZone,
+    start: startOfLocalDay(from, timeZone),
+    end: startOfLocalDay(addDays(to, 1), timeZone),
+    fromDate,
+    toDate,
+  };
+}
+
+// Whether `window` (from resolvePeriod) takes in `now`: today, this week, a range ending today...
+function isCurrentPeriod(window, now = new Date()) {
+  return window.start.getTime() <= now.getTime() && now.getTime() <= window.end.getTime();
+}
+
+// Periods that are still running ("so far"): compare against the same elapsed time.
+const TO_DATE_KINDS = new Set(["today", "this_week", "this_month", "ytd"]);
+
+function shiftMonthsClamped(date, months) {
+  const first = addMonths(date, months);
+  const lastDay = addDays(addMonths(first, 1), -1).d;
+  return { ...first, d: Math.min(date.d, lastDay) };
+}
+
+/**
+ * The window to compare `window` (from resolvePeriod) against:
+ * - days, weeks and custom ranges: the same number of days immediately before
+ * - months and year-to-date: the same dates one month / one year earlier
+ * - rolling windows: the preceding window of equal length
+ * For periods still in progress the previous window stops at the same elapsed time,
+ * so "today at 9am" is compared with "yesterday until 9am".
+ */
+function previousPeriod(window, now = new Date()) {
+  const { kind, timeZone } = window;
+
+  if (kind === "rolling_7d" || kind === "rolling_30d") {
+    const length = window.end.getTime() - window.start.getTime();
+    const start = new Date(window.start.getTime() - length);
+    return {
+      kind,
+      label: `previous ${NAMED_LABELS[kind].replace(/^last /, "")}`,
+      timeZone,
+      start,
+      end: window.start,
+      fromDate: formatDate(localToday(start, timeZone)),
+      toDate: formatDate(localToday(new Date(window.start.getTime() - 1), timeZone)),
+    };
+  }
+
+  const from = parseDate(window.fromDate);
+  const to = parseDate(window.toDate);
+  let prevFrom;
+  let prevTo;
+
+  if (kind === "this_month" || kind === "last_month") {
+    prevFrom = addMonths(from, -1);
+    prevTo = kind === "last_month" ? addDays(from, -1) : shiftMonthsClamped(to, -1);
+  } else if (kind === "ytd") {
+    prevFrom = { y: from.y - 1, m: 1, d: 1 };
+    prevTo = to.m === 2 && to.d === 29 ? { y: to.y - 1, m: 2, d: 28 } : { ...to, y: to.y - 1 };
+  } else {
+    // a week in progress compares with the same weekdays of the week before
+    const days = kind === "this_week" ? 7 : daysBetween(from, to) + 1;
+    prevFrom = addDays(from, -days);
+    prevTo = addDays(to, -days);
+  }
+
+  const start = startOfLocalDay(prevFrom, timeZone);
+  let end = startOfLocalDay(addDays(prevTo, 1), timeZone);
+  const toDateRunning = TO_DATE_KINDS.has(kind);
+  if (toDateRunning) {
+    const elapsed = Math.min(now.getTime(), window.end.getTime()) - window.start.getTime();
+    end = new Date(Math.min(end.getTime(), start.getTime() + elapsed));
+  }
+
+  const fromDate = formatDate(prevFrom);
+  const toDate = formatDate(prevTo);
+  const dates = fromDate === toDate ? fromDate : `${fromDate} to ${toDate}`;
+  return {
+    kind: "range",
+    label: toDateRunning ? `${dates} (same point in time)` : dates,
+    timeZone,
+    start,
+    end,
+    fromDate,
+    toDate,
+  };
+}
+
+/**
+ * "2026-09-15" or "2026-09-15 14:30" (local time in `timeZone`) -> UTC Date, or null if invalid.
+ */
+function localDateTimeToUtc(text, timeZone) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  if (!m) return null;
+  const date = parseDate(m[1]);
+  if (!date) return null;
+  const hour = m[2] === undefined ? 0 : Number(m[2]);
+  const minute = m[3] === undefined ? 0 : Number(m[3]);
+  if (hour > 23 || minute > 59) return null;
+  return localTimeToUtc(date, hour, minute, timeZone);
+}
+
+module.exports = {
+  PERIOD_HELP,
+  localDateTimeToUtc,
+  isValidTimeZone,
+  parsePeriod,
+  resolvePeriod,
+  previousPeriod,
+  isCurrentPeriod,
+  zonedParts,
+  startOfLocalDay,
+  parseDate,
+  addDays,
+  formatDate,
+};
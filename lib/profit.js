@@ -0,0 +1,27 @@
+/**
+ * Profit arithmetic shared by the summary, the period comparison and parsed purchases.
+ *
+ * Bought stock is a cost once: it goes into stock at its unit cost and reaches profit as cost of
+ * goods sold when it sells. It is not logged as an expense as well, or net would count it twice.
+ */
+
+const { roundMoney, subtractMoney } = require("./money");
+
+// "10 bags for 120k" -> 12000 each; "@ 14000" -> 14000 each; null when no price was given
+function purchaseUnitCost(price, qty, defaultCurrency) {
+  if (!price) return null;
+  const currency = price.currency || defaultCurrency;
+  const amount = price.kind === "unit" ? price.amount : roundMoney(price.amount / qty, currency);
+  return { amount, currency };
+}
+
+// Net = sales − cost of goods sold − expenses, per currency
+function netByCurrency(sales, cogs, expenses) {
+  const net = {};
+  for (const c of new Set([...Object.keys(sales), ...Object.keys(expenses)])) {
+    net[c] = subtractMoney(c, sales[c] || 0, cogs[c], expenses[c]);
+  }
+  return net;
+}
+
+module.exports = { purchaseUnitCost, netByCurrency };
@@ -0,0 +1,207 @@
+/**
+ * Recurring expenses ("recurring rent 500 GBP monthly on 1st").
+ *
+ * A template repeats daily, weekly (day = weekday, 0 = Sunday) or monthly (day = day of
+ * month; 29-31 fall on the last day of shorter months). next_due is the local date of its
+ * next occurrence. The scheduler job books every occurrence from next_due up to the
+ * business's local today, so days missed while the app was down are caught up. Each
+ * occurrence is claimed in recurring_expense_runs (UNIQUE recurring_id + due_date) in the same
+ * transaction that writes the expense, so restarts and parallel instances never book it twice.
+ */
+
+const { zonedParts, parseDate, addDays, formatDate } = require("./periods");
+const { WEEKDAYS, parseWeekday } = require("./reminders");
+
+const FREQUENCIES = {
+  daily: "daily",
+  day: "daily",
+  weekly: "weekly",
+  week: "weekly",
+  monthly: "monthly",
+  month: "monthly",
+};
+// Upper bound on occurrences booked for one template in a single run
+const MAX_CATCH_UP = 400;
+
+const AMOUNT_RE = /^\D?\d[\d,]*(\.\d+)?$/;
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function weekdayOf(date) {
+  return new Date(Date.UTC(date.y, date.m - 1, date.d)).getUTCDay();
+}
+
+// "1st" | "15" | "31st" -> 1..31, or null
+function parseDayOfMonth(text) {
+  const m = String(text || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(st|nd|rd|th)?$/);
+  if (!m) return null;
+  const day = Number(m[1]);
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+function ordinal(n) {
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+/**
+ * Arguments after "recurring":
+ *   <category> <amount>[currency] [currency] [every] <daily|weekly|monthly> [on <day>]
+ * -> { category, amount, currency, frequency, day } with amount/currency as typed, or { error, text? }
+ * where error is a code ("frequency", "missing", "unreadable", "weekday" or "day") and text the words it
+ * could not read. day is null when not given (the first occurrence is then today).
+ */
+function parseRecurringArgs(args) {
+  const tokens = args.map(String).filter((t) => t && t.toLowerCase() !== "every");
+  const fIdx = tokens.findIndex((t) => FREQUENCIES[t.toLowerCase()]);
+  if (fIdx === -1) return { error: "frequency" };
+
+  const before = tokens.slice(0, fIdx);
+  const aIdx = before.findIndex((t, i) => i > 0 && AMOUNT_RE.test(t));
+  if (aIdx === -1) return { error: "missing" };
+  if (before.length > aIdx + 2) return { error: "unreadable", text: before.slice(aIdx).join(" ") };
+
+  const frequency = FREQUENCIES[tokens[fIdx].toLowerCase()];
+  const after = tokens.slice(fIdx + 1).filter((t) => !["on", "the"].includes(t.toLowerCase()));
+  let day = null;
+  if (after.length) {
+    if (frequency === "daily" || after.length > 1) return { error: "unreadable", text: after.join(" ") };
+    day = frequency === "weekly" ? parseWeekday(after[0]) : parseDayOfMonth(after[0]);
+    if (day === null) return { error: frequency === "weekly" ? "weekday" : "day", text: after[0] };
+  }
+
+  return {
+    category: before.slice(0, aIdx).join(" "),
+    amount: before[aIdx],
+    currency: before[aIdx + 1],
+    frequency,
+    day,
+  };
+}
+
+function describeSchedule(t) {
+  if (t.frequency === "weekly") {
+    const day = WEEKDAYS[t.day];
+    return `weekly on ${day.charAt(0).toUpperCase()}${day.slice(1)}`;
+  }
+  if (t.frequency === "monthly") return `monthly on the ${ordinal(t.day)}`;
+  return "daily";
+}
+
+// Fills in a missing day from `today` ({ y, m, d }), the date the template is created
+function withDefaultDay(spec, today) {
+  if (spec.day !== null && spec.day !== undefined) return spec;
+  if (spec.frequency === "weekly") return { ...spec, day: weekdayOf(today) };
+  if (spec.frequency === "monthly") return { ...spec, day: today.d };
+  return spec;
+}
+
+// First occurrence on or after `from` ({ y, m, d })
+function nextDueFrom(t, from) {
+  if (t.frequency === "weekly") return addDays(from, (t.day - weekdayOf(from) + 7) % 7);
+  if (t.frequency === "monthly") {
+    const thisMonth = Math.min(t.day, daysInMonth(from.y, from.m));
+    if (thisMonth >= from.d) return { ...from, d: thisMonth };
+    const next = from.m === 12 ? { y: from.y + 1, m: 1 } : { y: from.y, m: from.m + 1 };
+    return { ...next, d: Math.min(t.day, daysInMonth(next.y, next.m)) };
+  }
+  return from;
+}
+
+// Local dates ("YYYY-MM-DD") due from next_due up to and including `today`
+function dueDates(t, today) {
+  const dates = [];
+  let due = parseDate(t.next_due);
+  const last = formatDate(today);
+  while (due && formatDate(due) <= last && dates.length < MAX_CATCH_UP) {
+    dates.push(formatDate(due));
+    due = nextDueFrom(t, addDays(due, 1));
+  }
+  return { dates, nextDue: due ? formatDate(due) : t.next_due };
+}
+
+/**
+ * Scheduler job that books due occurrences as expenses.
+ * recordExpense(template, dueDate, client) -> expense id; it runs inside the claiming transaction.
+ * prepare(template, dueDates), optional, runs first outside it (slow lookups such as exchange rates).
+ */
+function createRecurringExpenseJob({
+  db,
+  recordExpense,
+  prepare = null,
+  defaultTimeZone = "Africa/Lagos",
+  logger = console,
+}) {
+  return {
+    name: "recurring_expenses",
+    async run(now) {
+      // No timezone is more than a day ahead of UTC; the exact local check is below
+      const horizon = formatDate(addDays(zonedParts(now, "UTC"), 1));
+      const r = await db.query(
+        `SELECT r.id, r.business_id, r.member_id, r.category, r.raw_category, r.amount, r.currency,
+                r.frequency, r.day, to_char(r.next_due, 'YYYY-MM-DD') AS next_due, b.timezone
+         FROM recurring_expenses r
+         JOIN businesses b ON b.id = r.business_id
+         WHERE r.status = 'active' AND r.next_due <= $1::date`,
+        [horizon]
+      );
+
+      let created = 0;
+      for (const row of r.rows) {
+        const template = { ...row, timezone: row.timezone || defaultTimeZone };
+        const { dates, nextDue } = dueDates(template, zonedParts(now, template.timezone));
+        if (!dates.length) continue;
+
+        let client = null;
+        try {
+          if (prepare) await prepare(template, dates);
+          client = await db.connect();
+          await client.query("BEGIN");
+          for (const date of dates) {
+            const claim = await client.query(
+              `INSERT INTO recurring_expense_runs (recurring_id, due_date)
+               VALUES ($1, $2::date)
+               ON CONFLICT (recurring_id, due_date) DO NOTHING
+               RETURNING id`,
+              [template.id, date]
+            );
+            if (!claim.rows.length) continue;
+            const expenseId = await recordExpense(template, date, client);
+            await client.query("UPDATE recurring_expense_runs SET expense_id = $2 WHERE id = $1", [
+              claim.rows[0].id,
+              expenseId,
+            ]);
+            created += 1;
+          }
+          await client.query(
+            "UPDATE recurring_expenses SET next_due = GREATEST(next_due, $2::date) WHERE id = $1",
+            [template.id, nextDue]
+          );
+          await client.query("COMMIT");
+        } catch (err) {
+          // Left for the next tick: nothing from this template was booked
+          if (client) await client.query("ROLLBACK");
+          logger.error("recurring expense error:", err);
+        } finally {
+          if (client) client.release();
+        }
+      }
+      return { created };
+    },
+  };
+}
+
+module.exports = {
+  parseRecurringArgs,
+  describeSchedule,
+  withDefaultDay,
+  nextDueFrom,
+  dueDates,
+  createRecurringExpenseJob,
+};
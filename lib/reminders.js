@@ -0,0 +1,205 @@
+/**
+ * Scheduled summaries ("remind daily 9pm" / "remind weekly sunday 8pm").
+ *
+ * A reminder is due once per local day (daily) or once on its weekday (weekly), from its
+ * local send time until the end of that day, so a restart shortly after the send time still
+ * delivers it. Each send is claimed in reminder_sends (UNIQUE reminder_id + slot) once its
+ * messages are built and before the first goes out, which keeps restarts and parallel
+ * instances from double-sending. A slot is only given up on once something was delivered
+ * or its sends keep failing: when building fails the next tick tries again, and when the
+ * first message does the claim waits for a retry with a growing backoff (MAX_SEND_ATTEMPTS).
+ */
+
+const { zonedParts, formatDate, localDateTimeToUtc } = require("./periods");
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_TIMES = { daily: { hour: 21, minute: 0 }, weekly: { hour: 21, minute: 0 } };
+const FREQUENCIES = Object.keys(DEFAULT_TIMES);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "9pm" | "9:30pm" | "21:00" | "21" -> { hour, minute }, or null
+function parseTimeOfDay(text) {
+  const m = String(text || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = m[2] === undefined ? 0 : Number(m[2]);
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[3] === "pm" ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// "sunday" / "sun" -> 0
+function parseWeekday(text) {
+  const t = String(text || "").trim().toLowerCase().slice(0, 3);
+  const i = WEEKDAYS.indexOf(t);
+  return i === -1 ? null : i;
+}
+
+/**
+ * Arguments after "remind":
+ *   off [daily|weekly] | daily [time] | weekly [weekday] [time]
+ * -> { off: true, frequency } (frequency null for both) | { frequency, weekday, hour, minute } | { error, text? }
+ * error is a code ("frequency" or "time"); the caller words it in the sender's language.
+ */
+function parseReminderArgs(args) {
+  const [first, ...rest] = args.map((a) => String(a).toLowerCase());
+  if (first === "off" || first === "stop") {
+    if (!rest.length) return { off: true, frequency: null };
+    if (rest.length > 1 || !FREQUENCIES.includes(rest[0])) return { error: "frequency" };
+    return { off: true, frequency: rest[0] };
+  }
+  if (!FREQUENCIES.includes(first)) return { error: "frequency" };
+
+  let weekday = null;
+  if (first === "weekly") {
+    weekday = rest.length && parseWeekday(rest[0]) !== null ? parseWeekday(rest.shift()) : 0;
+  }
+  const time = rest.length ? parseTimeOfDay(rest.join("")) : DEFAULT_TIMES[first];
+  if (!time) return { error: "time", text: rest.join(" ") };
+  return { frequency: first, weekday, ...time };
+}
+
+function describeReminder(r) {
+  const time = `${pad(r.hour)}:${pad(r.minute)}`;
+  if (r.frequency === "weekly") {
+    const day = WEEKDAYS[r.weekday];
+    return `weekly on ${day.charAt(0).toUpperCase()}${day.slice(1)} at ${time}`;
+  }
+  return `daily at ${time}`;
+}
+
+/**
+ * { slot, at } when the reminder should have gone out by `now`, else null.
+ * reminder: { frequency, weekday, hour, minute, timezone, active_since? }
+ * A reminder switched on after today's send time starts with the next one.
+ */
+function dueSlot(reminder, now) {
+  const local = zonedParts(now, reminder.timezone);
+  if (reminder.frequency === "weekly" && WEEKDAYS.indexOf(local.weekday.toLowerCase()) !== reminder.weekday) {
+    return null;
+  }
+  const date = formatDate(local);
+  const at = localDateTimeToUtc(`${date} ${pad(reminder.hour)}:${pad(reminder.minute)}`, reminder.timezone);
+  if (!at || now < at) return null;
+  if (reminder.active_since && at < new Date(reminder.active_since)) return null;
+  return { slot: date, at };
+}
+
+// A send where nothing went out is tried again after 5, 10 then 20 minutes, then given up
+const MAX_SEND_ATTEMPTS = 4;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Scheduler job that sends due reminders to each business's owners.
+ * messenger: { send(to, body) }; buildMessages(reminder, now) -> [body, ...].
+ */
+function createReminderJob({ db, messenger, buildMessages, defaultTimeZone = "Africa/Lagos", logger = console }) {
+  return {
+    name: "reminders",
+    async run(now) {
+      const r = await db.query(
+        `SELECT r.id, r.business_id, r.frequency, r.weekday, r.hour, r.minute,
+                (r.updated_at AT TIME ZONE 'UTC') AS active_since, b.timezone
+         FROM reminders r
+         JOIN businesses b ON b.id = r.business_id
+         WHERE r.enabled`
+      );
+
+      let sent = 0;
+      for (const row of r.rows) {
+        const reminder = { ...row, timezone: row.timezone || defaultTimeZone };
+        const due = dueSlot(reminder, now);
+        if (!due) continue;
+
+        // Already handled, or waiting to retry: skip before building a summary every tick
+        const done = await db.query(
+          `SELECT id, status, (retry_at AT TIME ZONE 'UTC') AS retry_at
+           FROM reminder_sends WHERE reminder_id = $1 AND slot = $2`,
+          [reminder.id, due.slot]
+        );
+        const previous = done.rows[0];
+        if (previous && (previous.status !== "retry" || new Date(previous.retry_at) > now)) continue;
+
+        let owners;
+        let bodies;
+        try {
+          owners = await db.query(
+            "SELECT whatsapp_from FROM business_members WHERE business_id = $1 AND role = 'owner'",
+            [reminder.business_id]
+          );
+          bodies = await buildMessages(reminder, now);
+        } catch (err) {
+          // Nothing claimed yet: the next tick tries again
+          logger.error("reminder build error:", err);
+          continue;
+        }
+
+        const claim = previous
+          ? await db.query(
+              `UPDATE reminder_sends SET status = 'sending', attempts = attempts + 1
+               WHERE id = $1 AND status = 'retry'
+               RETURNING id, attempts`,
+              [previous.id]
+            )
+          : await db.query(
+              `INSERT INTO reminder_sends (reminder_id, slot)
+               VALUES ($1, $2)
+               ON CONFLICT (reminder_id, slot) DO NOTHING
+               RETURNING id, attempts`,
+              [reminder.id, due.slot]
+            );
+        if (!claim.rows.length) continue;
+        const { id: sendId, attempts } = claim.rows[0];
+
+        let delivered = 0;
+        try {
+          for (const owner of owners.rows) {
+            for (const body of bodies) {
+              await messenger.send(owner.whatsapp_from, body);
+              delivered += 1;
+            }
+          }
+          await db.query("UPDATE reminder_sends SET status = 'sent', sent_at = NOW() WHERE id = $1", [sendId]);
+          sent += 1;
+        } catch (err) {
+          logger.error("reminder send error:", err);
+          const error = String(err.message || err).slice(0, 500);
+          if (!delivered && attempts < MAX_SEND_ATTEMPTS) {
+            // Nothing went out: try again once the backoff has passed
+            const retryAt = new Date(now.getTime() + retryDelayMs(attempts));
+            await db.query(
+              `UPDATE reminder_sends SET status = 'retry', error = $2, retry_at = ($3::timestamptz AT TIME ZONE 'UTC')
+               WHERE id = $1`,
+              [sendId, error, retryAt.toISOString()]
+            );
+          } else {
+            // Not retried: out of attempts, or half delivered (better than a repeated summary)
+            await db.query("UPDATE reminder_sends SET status = 'failed', error = $2 WHERE id = $1", [sendId, error]);
+          }
+        }
+      }
+      return { sent };
+    },
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseTimeOfDay,
+  parseWeekday,
+  parseReminderArgs,
+  describeReminder,
+  dueSlot,
+  createReminderJob,
+};
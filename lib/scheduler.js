@@ -0,0 +1,49 @@
+/**
+ * Minimal in-process job scheduler. Every `intervalMs` it runs each job once with the
+ * current time from `now()`; jobs must be idempotent (several app instances, restarts),
+ * typically by claiming work in the database before doing it.
+ *
+ * Tests drive it with a fake clock: createScheduler({ jobs, now: () => fakeDate }).tick().
+ *
+ * A job is { name, run(now) }.
+ */
+
+function createScheduler({ jobs = [], now = () => new Date(), intervalMs = 60 * 1000, logger = console } = {}) {
+  let timer = null;
+  let running = false;
+
+  // Runs every job once; a failing job is logged and does not stop the others.
+  async function tick(at = now()) {
+    if (running) return { skipped: true };
+    running = true;
+    const results = {};
+    try {
+      for (const job of jobs) {
+        try {
+          results[job.name] = await job.run(at);
+        } catch (err) {
+          logger.error(`scheduler job ${job.name} error:`, err);
+          results[job.name] = { error: err.message };
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return results;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => tick(), intervalMs);
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop, jobs, intervalMs };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,67 @@
+/**
+ * Twilio webhook signature check (X-Twilio-Signature).
+ * Twilio signs the full public URL it called plus the POSTed form params
+ * with TWILIO_AUTH_TOKEN; we rebuild that URL and compare.
+ *
+ * Env:
+ * - TWILIO_AUTH_TOKEN          (required for the check)
+ * - PUBLIC_BASE_URL            (optional, e.g. https://predicta.onrender.com; otherwise derived
+ *                               from the request, honouring X-Forwarded-* via "trust proxy")
+ * - TRUST_PROXY                (proxies whose X-Forwarded-* headers count: a hop count, default 1
+ *                               for Render's proxy, or addresses/subnets like "loopback, 10.0.0.0/8";
+ *                               "false" for none)
+ * - TWILIO_SKIP_SIGNATURE=true (local development only: skip the check)
+ */
+
+const twilio = require("twilio");
+
+// Express "trust proxy" value from TRUST_PROXY. Never `true`: that would believe
+// X-Forwarded-* from anyone who can reach the app, and so any URL a signature was made for.
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return 1;
+  if (text === "false") return false;
+  if (/^\d+$/.test(text)) return Number(text);
+  if (text === "true") throw new Error("TRUST_PROXY=true trusts every client; give a hop count or addresses");
+  return text;
+}
+
+function publicBaseUrl(req) {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (base) return base.replace(/\/+$/, "");
+  return `${req.protocol}://${req.host}`;
+}
+
+function publicRequestUrl(req) {
+  return `${publicBaseUrl(req)}${req.originalUrl}`;
+}
+
+function signatureCheckSkipped() {
+  return String(process.env.TWILIO_SKIP_SIGNATURE || "").toLowerCase() === "true";
+}
+
+function requireTwilioSignature(req, res, next) {
+  if (signatureCheckSkipped()) return next();
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.header("x-twilio-signature");
+  const url = publicRequestUrl(req);
+
+  if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn("Twilio signature rejected ❌", {
+      url,
+      from: req.body?.From,
+      reason: !authToken ? "TWILIO_AUTH_TOKEN not set" : !signature ? "missing signature" : "mismatch",
+    });
+    return res.status(403).send("Forbidden");
+  }
+  return next();
+}
+
+module.exports = {
+  trustProxySetting,
+  requireTwilioSignature,
+  publicBaseUrl,
+  publicRequestUrl,
+  signatureCheckSkipped,
+};
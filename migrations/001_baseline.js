@@ -0,0 +1,82 @@
+/**
+ * Baseline: the tables POST /admin/init-db used to create.
+ * IF NOT EXISTS so databases that were set up by init-db adopt it cleanly.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS businesses (
+      id SERIAL PRIMARY KEY,
+      business_name TEXT NOT NULL,
+      whatsapp_from TEXT UNIQUE NOT NULL,
+      default_currency TEXT DEFAULT 'NGN',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sales (
+      id SERIAL PRIMARY KEY,
+      business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
+      item TEXT NOT NULL,
+      quantity INT NOT NULL,
+      amount NUMERIC NOT NULL,
+      currency TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS expenses (
+      id SERIAL PRIMARY KEY,
+      business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
+      category TEXT NOT NULL,
+      amount NUMERIC NOT NULL,
+      currency TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_events (
+      id SERIAL PRIMARY KEY,
+      business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
+      item TEXT NOT NULL,
+      quantity INT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id SERIAL PRIMARY KEY,
+      business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
+      item TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('opening', 'purchase', 'sale', 'adjustment', 'writeoff')),
+      delta INT NOT NULL,
+      sale_id INT REFERENCES sales(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  // Carry legacy stock_events snapshots over as opening balances (once per item)
+  await client.query(`
+    INSERT INTO stock_movements (business_id, item, kind, delta, created_at)
+    SELECT DISTINCT ON (se.business_id, se.item) se.business_id, se.item, 'opening', se.quantity, se.created_at
+    FROM stock_events se
+    WHERE NOT EXISTS (
+      SELECT 1 FROM stock_movements sm WHERE sm.business_id = se.business_id AND sm.item = se.item
+    )
+    ORDER BY se.business_id, se.item, se.created_at DESC
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS stock_movements");
+  await client.query("DROP TABLE IF EXISTS stock_events");
+  await client.query("DROP TABLE IF EXISTS expenses");
+  await client.query("DROP TABLE IF EXISTS sales");
+  await client.query("DROP TABLE IF EXISTS businesses");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+/**
+ * Summaries filter every record table by business and time window.
+ */
+
+const TABLES = ["sales", "expenses", "stock_events", "stock_movements"];
+
+async function up(client) {
+  for (const table of TABLES) {
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_${table}_business_created_at ON ${table} (business_id, created_at)`
+    );
+  }
+}
+
+async function down(client) {
+  for (const table of TABLES) {
+    await client.query(`DROP INDEX IF EXISTS idx_${table}_business_created_at`);
+  }
+}
+
+module.exports = { up, down };
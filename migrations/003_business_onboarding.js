@@ -0,0 +1,16 @@
+/**
+ * Conversational onboarding: new numbers start at step "name" and walk through
+ * name -> currency -> confirm -> complete. Existing businesses are already set up.
+ */
+
+async function up(client) {
+  await client.query(
+    "ALTER TABLE businesses ADD COLUMN IF NOT EXISTS onboarding_step TEXT NOT NULL DEFAULT 'complete'"
+  );
+}
+
+async function down(client) {
+  await client.query("ALTER TABLE businesses DROP COLUMN IF EXISTS onboarding_step");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * Several WhatsApp numbers per business (owner + staff), and who created each record.
+ * Every existing business gets its whatsapp_from as the owner member.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS business_members (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      whatsapp_from TEXT UNIQUE NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'staff')),
+      can_view_reports BOOLEAN NOT NULL DEFAULT false,
+      invited_by INT REFERENCES business_members(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    INSERT INTO business_members (business_id, whatsapp_from, role, can_view_reports)
+    SELECT id, whatsapp_from, 'owner', true FROM businesses
+    ON CONFLICT (whatsapp_from) DO NOTHING
+  `);
+
+  for (const table of ["sales", "expenses", "stock_movements"]) {
+    await client.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS member_id INT REFERENCES business_members(id) ON DELETE SET NULL`
+    );
+  }
+}
+
+async function down(client) {
+  for (const table of ["sales", "expenses", "stock_movements"]) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS member_id`);
+  }
+  await client.query("DROP TABLE IF EXISTS business_members");
+}
+
+module.exports = { up, down };
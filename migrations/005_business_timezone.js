@@ -0,0 +1,16 @@
+/**
+ * Summaries use calendar periods in the business's local time.
+ * Existing businesses get a zone guessed from their default currency.
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Africa/Lagos'");
+  await client.query("UPDATE businesses SET timezone = 'Europe/London' WHERE default_currency = 'GBP'");
+  await client.query("UPDATE businesses SET timezone = 'America/New_York' WHERE default_currency = 'USD'");
+}
+
+async function down(client) {
+  await client.query("ALTER TABLE businesses DROP COLUMN IF EXISTS timezone");
+}
+
+module.exports = { up, down };
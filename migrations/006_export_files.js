@@ -0,0 +1,24 @@
+/**
+ * Generated export files handed out by link (WhatsApp "export month").
+ * Stored in the database so any instance can serve them; rows expire.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS export_files (
+      token TEXT PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      file_name TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      content BYTEA NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS export_files");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * Bulk CSV imports: every imported row points at its batch so a bad import can be rolled back.
+ */
+
+const TABLES = ["sales", "expenses", "stock_movements"];
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      type TEXT NOT NULL CHECK (type IN ('sales', 'expenses', 'stock')),
+      row_count INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      rolled_back_at TIMESTAMP
+    );
+  `);
+
+  for (const table of TABLES) {
+    await client.query(`
+      ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS import_batch_id INT REFERENCES import_batches(id) ON DELETE SET NULL
+    `);
+  }
+}
+
+async function down(client) {
+  for (const table of TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS import_batch_id`);
+  }
+  await client.query("DROP TABLE IF EXISTS import_batches");
+}
+
+module.exports = { up, down };
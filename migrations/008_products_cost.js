@@ -0,0 +1,43 @@
+/**
+ * Product catalogue with unit cost, and cost snapshots on sales / stock purchases
+ * so summaries can report COGS, gross profit and margin.
+ * Existing item names become products.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      cost_price NUMERIC,
+      cost_currency TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, name)
+    );
+  `);
+
+  for (const table of ["sales", "stock_movements"]) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS unit_cost NUMERIC`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS cost_currency TEXT`);
+  }
+
+  await client.query(`
+    INSERT INTO products (business_id, name)
+    SELECT business_id, item FROM sales WHERE business_id IS NOT NULL
+    UNION
+    SELECT business_id, item FROM stock_movements WHERE business_id IS NOT NULL
+    ON CONFLICT (business_id, name) DO NOTHING
+  `);
+}
+
+async function down(client) {
+  for (const table of ["sales", "stock_movements"]) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS unit_cost`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS cost_currency`);
+  }
+  await client.query("DROP TABLE IF EXISTS products");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * Product catalogue: aliases and a default unit price per product, plus
+ * pending_actions for yes/no follow-ups ("Did you mean rice bag? reply yes").
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS unit_price NUMERIC");
+  await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS price_currency TEXT");
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_aliases (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      alias TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, alias)
+    );
+  `);
+  await client.query("CREATE INDEX IF NOT EXISTS product_aliases_product_idx ON product_aliases (product_id)");
+
+  // One open question per sender; a new one replaces the old
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pending_actions (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      whatsapp_from TEXT NOT NULL UNIQUE,
+      kind TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS pending_actions");
+  await client.query("DROP TABLE IF EXISTS product_aliases");
+  await client.query("ALTER TABLE products DROP COLUMN IF EXISTS price_currency");
+  await client.query("ALTER TABLE products DROP COLUMN IF EXISTS unit_price");
+}
+
+module.exports = { up, down };
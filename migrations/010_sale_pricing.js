@@ -0,0 +1,17 @@
+/**
+ * Unit price and discount on each sale (amount stays the total actually charged).
+ * Existing sales get unit_price = amount / quantity and no discount.
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE sales ADD COLUMN IF NOT EXISTS unit_price NUMERIC");
+  await client.query("ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount NUMERIC NOT NULL DEFAULT 0");
+  await client.query("UPDATE sales SET unit_price = amount / quantity WHERE unit_price IS NULL AND quantity > 0");
+}
+
+async function down(client) {
+  await client.query("ALTER TABLE sales DROP COLUMN IF EXISTS discount");
+  await client.query("ALTER TABLE sales DROP COLUMN IF EXISTS unit_price");
+}
+
+module.exports = { up, down };
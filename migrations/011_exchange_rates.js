@@ -0,0 +1,38 @@
+/**
+ * Exchange rates (1 base = rate quote, valid from a point in time) and the rate
+ * used to convert each sale / expense into the business's default currency.
+ * business_id NULL = a rate shared by every business (admin or provider).
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id SERIAL PRIMARY KEY,
+      business_id INT REFERENCES businesses(id) ON DELETE CASCADE,
+      base TEXT NOT NULL,
+      quote TEXT NOT NULL,
+      rate NUMERIC NOT NULL CHECK (rate > 0),
+      valid_from TIMESTAMP NOT NULL DEFAULT NOW(),
+      source TEXT NOT NULL DEFAULT 'manual',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS exchange_rates_pair_idx ON exchange_rates (base, quote, valid_from DESC)"
+  );
+
+  for (const table of ["sales", "expenses"]) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS fx_rate NUMERIC`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS fx_currency TEXT`);
+  }
+}
+
+async function down(client) {
+  for (const table of ["sales", "expenses"]) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS fx_currency`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS fx_rate`);
+  }
+  await client.query("DROP TABLE IF EXISTS exchange_rates");
+}
+
+module.exports = { up, down };
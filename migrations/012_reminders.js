@@ -0,0 +1,41 @@
+/**
+ * Scheduled summaries: one daily and/or one weekly reminder per business, and a log of
+ * sends keyed by local date so each slot is delivered at most once.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reminders (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+      weekday SMALLINT CHECK (weekday BETWEEN 0 AND 6),
+      hour SMALLINT NOT NULL CHECK (hour BETWEEN 0 AND 23),
+      minute SMALLINT NOT NULL DEFAULT 0 CHECK (minute BETWEEN 0 AND 59),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, frequency)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reminder_sends (
+      id SERIAL PRIMARY KEY,
+      reminder_id INT NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+      slot TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'sending',
+      error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (reminder_id, slot)
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS reminder_sends");
+  await client.query("DROP TABLE IF EXISTS reminders");
+}
+
+module.exports = { up, down };
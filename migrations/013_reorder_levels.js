@@ -0,0 +1,16 @@
+/**
+ * Per-product reorder level, and when the owner was last alerted that the product
+ * reached it (cleared once stock is back above the level).
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_level INT");
+  await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_alerted_at TIMESTAMP");
+}
+
+async function down(client) {
+  await client.query("ALTER TABLE products DROP COLUMN IF EXISTS low_stock_alerted_at");
+  await client.query("ALTER TABLE products DROP COLUMN IF EXISTS reorder_level");
+}
+
+module.exports = { up, down };
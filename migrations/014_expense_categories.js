@@ -0,0 +1,100 @@
+/**
+ * Standard expense categories: per-business synonyms, monthly budgets, and the text
+ * originally typed (raw_category). Existing expenses are mapped onto the taxonomy.
+ *
+ * The mapping is frozen here as it stood when this migration was written, so later changes
+ * to lib/expenseCategories.js do not change what it does. Whole text first, then each word;
+ * close spellings are left as they are.
+ */
+
+const CATEGORIES = {
+  fuel: ["fuel", "petrol", "diesel", "gas", "gasoline", "pms", "transport fuel", "generator fuel"],
+  transport: [
+    "transport",
+    "transportation",
+    "taxi",
+    "uber",
+    "bolt",
+    "bus",
+    "okada",
+    "keke",
+    "fare",
+    "delivery",
+    "logistics",
+    "shipping",
+  ],
+  rent: ["rent", "shop rent", "lease", "rental"],
+  salaries: ["salary", "salaries", "wages", "wage", "staff", "staff pay", "payroll"],
+  utilities: ["utilities", "electricity", "light", "nepa", "power", "water", "waste"],
+  airtime: ["airtime", "data", "internet", "wifi", "phone", "recharge"],
+  inventory: ["inventory", "stock", "goods", "restock", "supplies", "purchase", "purchases"],
+  marketing: ["marketing", "ads", "ad", "advert", "adverts", "advertising", "promo", "promotion", "flyers"],
+  repairs: ["repairs", "repair", "maintenance", "fix", "servicing"],
+  fees: ["fees", "fee", "tax", "taxes", "levy", "bank charges", "charges", "license", "permit"],
+  packaging: ["packaging", "bags", "nylon", "cartons", "boxes", "wrapping"],
+  food: ["food", "lunch", "feeding", "meals"],
+};
+
+const SYNONYMS = new Map();
+for (const [key, words] of Object.entries(CATEGORIES)) {
+  SYNONYMS.set(key, key);
+  for (const w of words) SYNONYMS.set(w, key);
+}
+
+function mapCategory(text) {
+  const name = String(text || "")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+  if (!name) return "";
+  if (SYNONYMS.has(name)) return SYNONYMS.get(name);
+  const word = name.split(" ").find((w) => SYNONYMS.has(w));
+  return word ? SYNONYMS.get(word) : name;
+}
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS category_synonyms (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      synonym TEXT NOT NULL,
+      category TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, synonym)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS expense_budgets (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      category TEXT NOT NULL,
+      amount NUMERIC NOT NULL CHECK (amount >= 0),
+      currency TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, category)
+    );
+  `);
+
+  await client.query("ALTER TABLE expenses ADD COLUMN IF NOT EXISTS raw_category TEXT");
+  await client.query("UPDATE expenses SET raw_category = category WHERE raw_category IS NULL");
+
+  const distinct = await client.query("SELECT DISTINCT category FROM expenses WHERE category IS NOT NULL");
+  for (const { category } of distinct.rows) {
+    const mapped = mapCategory(category);
+    if (mapped && mapped !== category) {
+      await client.query("UPDATE expenses SET category = $2 WHERE category = $1", [category, mapped]);
+    }
+  }
+}
+
+async function down(client) {
+  await client.query("UPDATE expenses SET category = raw_category WHERE raw_category IS NOT NULL");
+  await client.query("ALTER TABLE expenses DROP COLUMN IF EXISTS raw_category");
+  await client.query("DROP TABLE IF EXISTS expense_budgets");
+  await client.query("DROP TABLE IF EXISTS category_synonyms");
+}
+
+module.exports = { up, down };
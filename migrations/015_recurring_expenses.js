@@ -0,0 +1,51 @@
+/**
+ * Recurring expenses: templates ("rent 500 GBP monthly on 1st"), one run row per occurrence
+ * (UNIQUE recurring_id + due_date, so an occurrence is booked at most once) and a link from
+ * each generated expense back to its template.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS recurring_expenses (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      member_id INT REFERENCES business_members(id) ON DELETE SET NULL,
+      category TEXT NOT NULL,
+      raw_category TEXT,
+      amount NUMERIC NOT NULL CHECK (amount >= 0),
+      currency TEXT NOT NULL,
+      frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+      day SMALLINT,
+      next_due DATE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS recurring_expenses_due_idx ON recurring_expenses (next_due) WHERE status = 'active'"
+  );
+
+  await client.query(
+    "ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_id INT REFERENCES recurring_expenses(id) ON DELETE SET NULL"
+  );
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS recurring_expense_runs (
+      id SERIAL PRIMARY KEY,
+      recurring_id INT NOT NULL REFERENCES recurring_expenses(id) ON DELETE CASCADE,
+      due_date DATE NOT NULL,
+      expense_id INT REFERENCES expenses(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (recurring_id, due_date)
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS recurring_expense_runs");
+  await client.query("ALTER TABLE expenses DROP COLUMN IF EXISTS recurring_id");
+  await client.query("DROP TABLE IF EXISTS recurring_expenses");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Customers and credit: sales can name a customer and be paid now ('cash') or later
+ * ('credit'); repayments go in customer_payments. A customer's balance is their credit
+ * sales minus their payments, per currency.
+ */
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL,
+      phone TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (business_id, name_key)
+    );
+  `);
+
+  await client.query(
+    "ALTER TABLE sales ADD COLUMN IF NOT EXISTS customer_id INT REFERENCES customers(id) ON DELETE SET NULL"
+  );
+  await client.query(
+    "ALTER TABLE sales ADD COLUMN IF NOT EXISTS payment TEXT NOT NULL DEFAULT 'cash' CHECK (payment IN ('cash', 'credit'))"
+  );
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS sales_credit_customer_idx ON sales (business_id, customer_id) WHERE payment = 'credit'"
+  );
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS customer_payments (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+      member_id INT REFERENCES business_members(id) ON DELETE SET NULL,
+      amount NUMERIC NOT NULL CHECK (amount > 0),
+      currency TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS customer_payments_business_created_idx ON customer_payments (business_id, created_at)"
+  );
+}
+
+async function down(client) {
+  await client.query("DROP TABLE IF EXISTS customer_payments");
+  await client.query("ALTER TABLE sales DROP COLUMN IF EXISTS payment");
+  await client.query("ALTER TABLE sales DROP COLUMN IF EXISTS customer_id");
+  await client.query("DROP TABLE IF EXISTS customers");
+}
+
+module.exports = { up, down };
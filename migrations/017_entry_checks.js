@@ -0,0 +1,28 @@
+/**
+ * Per-business thresholds for holding back suspicious entries until the sender confirms
+ * them (see lib/entryChecks.js). A null factor/limit turns that check off.
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS confirm_price_factor NUMERIC DEFAULT 5");
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS confirm_max_amount NUMERIC");
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS confirm_currency BOOLEAN NOT NULL DEFAULT true");
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS confirm_new_items BOOLEAN NOT NULL DEFAULT true");
+  await client.query(
+    "ALTER TABLE businesses ADD COLUMN IF NOT EXISTS confirm_timeout_minutes INT NOT NULL DEFAULT 15"
+  );
+}
+
+async function down(client) {
+  for (const column of [
+    "confirm_timeout_minutes",
+    "confirm_new_items",
+    "confirm_currency",
+    "confirm_max_amount",
+    "confirm_price_factor",
+  ]) {
+    await client.query(`ALTER TABLE businesses DROP COLUMN IF EXISTS ${column}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+/**
+ * Voice notes and receipt photos (see lib/mediaIngest.js): one row per media item with
+ * what was read from it and what happened next. Records created from it point back
+ * through media_id.
+ *
+ * status: failed (no text could be read) | unparsed (text, but not an entry) |
+ *         pending (waiting for YES/NO) | recorded | rejected
+ */
+
+const TABLES = ["sales", "expenses", "stock_movements", "customer_payments"];
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS media_ingestions (
+      id SERIAL PRIMARY KEY,
+      business_id INT NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+      member_id INT REFERENCES business_members(id) ON DELETE SET NULL,
+      whatsapp_from TEXT NOT NULL,
+      message_sid TEXT,
+      kind TEXT NOT NULL CHECK (kind IN ('audio', 'image')),
+      media_url TEXT NOT NULL,
+      content_type TEXT,
+      caption TEXT,
+      adapter TEXT,
+      extracted_text TEXT,
+      message_text TEXT,
+      status TEXT NOT NULL CHECK (status IN ('failed', 'unparsed', 'pending', 'recorded', 'rejected')),
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      resolved_at TIMESTAMP
+    );
+  `);
+  await client.query(
+    "CREATE INDEX IF NOT EXISTS media_ingestions_business_created_idx ON media_ingestions (business_id, created_at)"
+  );
+
+  for (const table of TABLES) {
+    await client.query(
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS media_id INT REFERENCES media_ingestions(id) ON DELETE SET NULL`
+    );
+  }
+}
+
+async function down(client) {
+  for (const table of TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS media_id`);
+  }
+  await client.query("DROP TABLE IF EXISTS media_ingestions");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+/**
+ * Reply language per business (see lib/i18n.js): "en" | "pcm" | "yo" | "ha" | "fr".
+ * Set from WhatsApp with "language <name>"; existing businesses stay on English.
+ */
+
+async function up(client) {
+  await client.query("ALTER TABLE businesses ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en'");
+}
+
+async function down(client) {
+  await client.query("ALTER TABLE businesses DROP COLUMN IF EXISTS language");
+}
+
+module.exports = { up, down };
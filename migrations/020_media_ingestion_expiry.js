@@ -0,0 +1,26 @@
+/**
+ * Media ingestions whose question lapsed (no YES/NO in time, or another message came first)
+ * are marked expired instead of staying pending. failed now also covers a YES whose entries
+ * were refused when replayed; error holds the reply.
+ */
+
+const STATUSES = ["failed", "unparsed", "pending", "recorded", "rejected"];
+
+async function setStatuses(client, statuses) {
+  await client.query("ALTER TABLE media_ingestions DROP CONSTRAINT IF EXISTS media_ingestions_status_check");
+  await client.query(
+    `ALTER TABLE media_ingestions ADD CONSTRAINT media_ingestions_status_check
+     CHECK (status IN (${statuses.map((s) => `'${s}'`).join(", ")}))`
+  );
+}
+
+async function up(client) {
+  await setStatuses(client, [...STATUSES, "expired"]);
+}
+
+async function down(client) {
+  await client.query("UPDATE media_ingestions SET status = 'rejected' WHERE status = 'expired'");
+  await setStatuses(client, STATUSES);
+}
+
+module.exports = { up, down };
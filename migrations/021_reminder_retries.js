@@ -0,0 +1,19 @@
+/**
+ * Reminder sends that failed before anything was delivered are retried with a backoff:
+ * status 'retry' until retry_at, attempts counting the tries (see lib/reminders.js).
+ */
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE reminder_sends
+      ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS retry_at TIMESTAMP
+  `);
+}
+
+async function down(client) {
+  await client.query("DELETE FROM reminder_sends WHERE status = 'retry'");
+  await client.query("ALTER TABLE reminder_sends DROP COLUMN IF EXISTS retry_at, DROP COLUMN IF EXISTS attempts");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+/**
+ * Schema migrations CLI
+ *   npm run migrate                 -> apply all pending migrations
+ *   npm run migrate -- up --to 3    -> apply pending migrations up to version 3
+ *   npm run migrate -- down         -> revert the latest migration
+ *   npm run migrate -- down --steps 2 | --to 1
+ *   npm run migrate -- status       -> list migrations and whether they are applied
+ */
+
+require("dotenv").config();
+
+const { pool } = require("../lib/db");
+const { migrateUp, migrateDown, getMigrationStatus } = require("../lib/migrator");
+
+function readFlag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  const n = Number(args[i + 1]);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} expects a whole number`);
+  return n;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = (args[0] || "up").toLowerCase();
+
+  if (command === "status") {
+    const status = await getMigrationStatus();
+    for (const m of status) {
+      console.log(`${m.applied ? "✅" : "⏳"} ${m.version}_${m.name}${m.applied ? ` (${m.applied_at})` : ""}`);
+    }
+    const pending = status.filter((m) => !m.applied).length;
+    console.log(pending ? `${pending} pending migration(s)` : "Schema is up to date");
+  } else if (command === "up") {
+    const done = await migrateUp({ to: readFlag(args, "to") });
+    console.log(done.length ? `Applied ${done.length} migration(s)` : "Nothing to migrate");
+  } else if (command === "down") {
+    const done = await migrateDown({ steps: readFlag(args, "steps") || 1, to: readFlag(args, "to") });
+    console.log(done.length ? `Reverted ${done.length} migration(s)` : "Nothing to revert");
+  } else {
+    throw new Error(`Unknown command "${command}". Use: up | down | status`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("migrate error:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,36 @@
+/**
+ * Print a curl command for a correctly signed Twilio webhook call, so the
+ * signature check can be exercised locally without Twilio.
+ *
+ *   node scripts/sign-twilio-request.js http://localhost:3000/twilio/whatsapp \
+ *     From=whatsapp:+2348000000000 "Body=sale rice 3 45000"
+ *
+ * Uses TWILIO_AUTH_TOKEN from the environment / .env. The URL must match what the
+ * server reconstructs (PUBLIC_BASE_URL + path, or the Host it sees).
+ */
+
+require("dotenv").config();
+
+const twilio = require("twilio");
+
+const [url, ...pairs] = process.argv.slice(2);
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+if (!url || !authToken) {
+  console.error("Usage: node scripts/sign-twilio-request.js <url> Key=Value ... (needs TWILIO_AUTH_TOKEN)");
+  process.exit(1);
+}
+
+const params = {};
+for (const pair of pairs) {
+  const i = pair.indexOf("=");
+  if (i > 0) params[pair.slice(0, i)] = pair.slice(i + 1);
+}
+
+const signature = twilio.getExpectedTwilioSignature(authToken, url, params);
+const quote = (v) => `'${String(v).replace(/'/g, "'\\''")}'`;
+const dataFlags = Object.entries(params)
+  .map(([k, v]) => `--data-urlencode ${quote(`${k}=${v}`)}`)
+  .join(" ");
+
+console.log(`curl -X POST ${quote(url)} -H ${quote(`X-Twilio-Signature: ${signature}`)} ${dataFlags}`);
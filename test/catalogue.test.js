@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ITEM_TABLES, renameProduct, mergeProducts } = require("../lib/catalogue");
+
+// Just enough of pg for renames and merges: products, aliases and item names on history rows.
+// Statements run on the pool's one client; a ROLLBACK puts the state back as it was at BEGIN.
+// Rows come back as copies, as they do from pg.
+const copies = (rows) => rows.map((r) => ({ ...r }));
+
+function fakePool({ failOn = null } = {}) {
+  let state = {
+    products: [
+      { id: 1, business_id: 7, name: "rice bag", cost_price: null, cost_currency: null, reorder_level: null },
+      { id: 2, business_id: 7, name: "rice", cost_price: "900", cost_currency: "NGN", reorder_level: 5 },
+    ],
+    aliases: [{ business_id: 7, product_id: 2, alias: "rce" }],
+    history: Object.fromEntries(ITEM_TABLES.map((table) => [table, [{ item: "rice" }, { item: "rice bag" }]])),
+  };
+  let saved = null;
+  const log = [];
+  const client = {
+    released: false,
+    release() {
+      this.released = true;
+    },
+    async query(sql, params = []) {
+      log.push(sql.trim().split(/\s+/).slice(0, 3).join(" "));
+      if (failOn && sql.includes(failOn)) throw new Error("connection lost");
+      if (sql === "BEGIN") saved = structuredClone(state);
+      if (sql === "ROLLBACK") state = saved;
+      if (["BEGIN", "COMMIT", "ROLLBACK"].includes(sql)) return { rows: [] };
+
+      const table = ITEM_TABLES.find((t) => sql.startsWith(`UPDATE ${t} SET item`));
+      if (table) {
+        const rows = state.history[table].filter((r) => r.item === params[1]);
+        for (const r of rows) r.item = params[2];
+        return { rows: [], rowCount: rows.length };
+      }
+      if (sql.startsWith("SELECT * FROM products WHERE id = $1")) {
+        return { rows: copies(state.products.filter((p) => p.id === params[0])) };
+      }
+      if (sql.startsWith("SELECT * FROM products WHERE business_id = $1 AND id = ANY")) {
+        return { rows: copies(state.products.filter((p) => params[1].includes(p.id))) };
+      }
+      if (sql.startsWith("SELECT p.*")) {
+        const alias = state.aliases.find((a) => a.alias === params[1]);
+        return { rows: copies(state.products.filter((p) => p.name === params[1] || alias?.product_id === p.id)) };
+      }
+      if (sql.startsWith("DELETE FROM product_aliases")) {
+        state.aliases = state.aliases.filter((a) => a.alias !== params[1]);
+        return { rows: [] };
+      }
+      if (sql.startsWith("UPDATE products SET name")) {
+        state.products.find((p) => p.id === params[0]).name = params[1];
+        return { rows: [] };
+      }
+      if (sql.startsWith("UPDATE product_aliases")) {
+        for (const a of state.aliases) if (a.product_id === params[0]) a.product_id = params[1];
+        return { rows: [] };
+      }
+      if (sql.startsWith("UPDATE products SET")) {
+        const p = state.products.find((row) => row.id === params[0]);
+        p.cost_price = p.cost_price ?? params[1];
+        p.cost_currency = p.cost_currency ?? params[2];
+        p.reorder_level = p.reorder_level ?? params[5];
+        return { rows: copies([p]) };
+      }
+      if (sql.startsWith("DELETE FROM products")) {
+        state.products = state.products.filter((p) => p.id !== params[0]);
+        return { rows: [] };
+      }
+      if (sql.startsWith("INSERT INTO product_aliases")) {
+        state.aliases.push({ business_id: params[0], product_id: params[1], alias: params[2] });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+  return {
+    client,
+    log,
+    get state() {
+      return state;
+    },
+    async connect() {
+      return client;
+    },
+  };
+}
+
+const itemsIn = (pool) => Object.fromEntries(ITEM_TABLES.map((t) => [t, pool.state.history[t].map((r) => r.item)]));
+
+test("renaming rewrites every table that stores the item, in one transaction", async () => {
+  const pool = fakePool();
+  const result = await renameProduct(7, 2, "Rice_5kg", pool);
+
+  assert.equal(result.product.name, "rice 5kg");
+  assert.deepEqual(result.rewritten, { sales: 1, stock_movements: 1, stock_events: 1 });
+  for (const items of Object.values(itemsIn(pool))) assert.deepEqual(items, ["rice 5kg", "rice bag"]);
+  assert.deepEqual(
+    pool.state.aliases.filter((a) => a.product_id === 2).map((a) => a.alias),
+    ["rce", "rice"]
+  );
+  assert.equal(pool.log[0], "BEGIN");
+  assert.equal(pool.log.at(-1), "COMMIT");
+  assert.ok(pool.client.released);
+});
+
+test("a rename onto another product's name is refused", async () => {
+  const pool = fakePool();
+  const result = await renameProduct(7, 2, "rice bag", pool);
+  assert.deepEqual(result, { error: '"rice bag" is already rice bag (#1); merge instead', status: 409 });
+  assert.equal(pool.log.at(-1), "ROLLBACK");
+  assert.deepEqual(itemsIn(pool).sales, ["rice", "rice bag"]);
+});
+
+test("merging moves history, aliases and what the target lacks", async () => {
+  const pool = fakePool();
+  const result = await mergeProducts(7, 2, 1, pool);
+
+  assert.equal(result.merged, "rice");
+  assert.deepEqual(result.rewritten, { sales: 1, stock_movements: 1, stock_events: 1 });
+  for (const items of Object.values(itemsIn(pool))) assert.deepEqual(items, ["rice bag", "rice bag"]);
+  assert.deepEqual(pool.state.products.map((p) => p.id), [1]);
+  assert.deepEqual([result.product.cost_price, result.product.reorder_level], ["900", 5]);
+  assert.deepEqual(
+    pool.state.aliases.map((a) => [a.alias, a.product_id]),
+    [
+      ["rce", 1],
+      ["rice", 1],
+    ]
+  );
+  assert.equal(pool.log.at(-1), "COMMIT");
+});
+
+test("a failure part-way leaves every table as it was", async () => {
+  const pool = fakePool({ failOn: "UPDATE stock_events" });
+  await assert.rejects(mergeProducts(7, 2, 1, pool), /connection lost/);
+
+  assert.equal(pool.log.at(-1), "ROLLBACK");
+  for (const items of Object.values(itemsIn(pool))) assert.deepEqual(items, ["rice", "rice bag"]);
+  assert.equal(pool.state.products.length, 2);
+  assert.ok(pool.client.released);
+});
+
+test("merging needs two different products", async () => {
+  const pool = fakePool();
+  assert.deepEqual(await mergeProducts(7, 2, 2, pool), { error: "Both products must exist and differ", status: 404 });
+  assert.deepEqual(await mergeProducts(7, 2, 9, pool), { error: "Both products must exist and differ", status: 404 });
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEBT_OVERDUE_DAYS, runningBalances, outstanding, summarizeDebts, isOverdue } = require("../lib/credit");
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+const credit = (amount, created_at, currency = "NGN") => ({ kind: "credit", amount, currency, created_at });
+const payment = (amount, created_at, currency = "NGN") => ({ kind: "payment", amount, currency, created_at });
+
+test("running balances", () => {
+  const ledger = [credit("1000.10", "2026-10-01"), payment("0.10", "2026-10-02"), credit("500", "2026-10-03")];
+  assert.deepEqual(runningBalances(ledger).map((e) => e.balance), [1000.1, 1000, 1500]);
+
+  const mixed = [credit("100", "2026-10-01", "GBP"), credit("5000", "2026-10-01"), payment("40", "2026-10-02", "GBP")];
+  assert.deepEqual(
+    runningBalances(mixed).map((e) => [e.currency, e.balance]),
+    [
+      ["GBP", 100],
+      ["NGN", 5000],
+      ["GBP", 60],
+    ]
+  );
+});
+
+test("outstanding debt", async (t) => {
+  await t.test("nothing owed", () => {
+    assert.deepEqual(outstanding([], NOW), { balance: 0, since: null, days: 0 });
+  });
+
+  await t.test("the age is the oldest credit not fully paid", () => {
+    const ledger = [credit("1000", "2026-09-01"), credit("500", "2026-10-09"), payment("1000", "2026-10-10")];
+    const debt = outstanding(ledger, NOW);
+    assert.deepEqual([debt.balance, debt.since.toISOString().slice(0, 10), debt.days], [500, "2026-10-09", 10]);
+  });
+
+  await t.test("a part-paid credit keeps its age", () => {
+    const ledger = [credit("1000", "2026-09-01"), payment("999.99", "2026-10-10")];
+    const debt = outstanding(ledger, NOW);
+    assert.deepEqual([debt.balance, debt.days], [0.01, 48]);
+  });
+
+  await t.test("paid off exactly", () => {
+    const ledger = [credit("0.10", "2026-09-01"), credit("0.20", "2026-09-02"), payment("0.30", "2026-09-03")];
+    assert.deepEqual(outstanding(ledger, NOW), { balance: 0, since: null, days: 0 });
+  });
+
+  await t.test("a repayment larger than the debt leaves credit, not a debt", () => {
+    const ledger = [credit("1000", "2026-09-01"), payment("1500", "2026-09-05")];
+    assert.deepEqual(outstanding(ledger, NOW), { balance: -500, since: null, days: 0 });
+  });
+
+  await t.test("credit in hand is used up by the next credit sale", () => {
+    const ledger = [credit("1000", "2026-09-01"), payment("1500", "2026-09-05"), credit("800", "2026-10-17")];
+    const debt = outstanding(ledger, NOW);
+    assert.deepEqual([debt.balance, debt.days], [300, 2]);
+  });
+});
+
+test("debts across customers", () => {
+  const rows = [
+    { customer_id: 2, name: "Musa", ...payment("200", "2026-10-12") },
+    { customer_id: 1, name: "Ada", ...credit("3000", "2026-08-01") },
+    { customer_id: 2, name: "Musa", ...credit("5000", "2026-10-10") },
+    { customer_id: 3, name: "Ngozi", ...credit("100", "2026-10-01") },
+    { customer_id: 3, name: "Ngozi", ...payment("250", "2026-10-02") },
+    { customer_id: 1, name: "Ada", ...credit("20", "2026-10-01", "GBP") },
+  ];
+  assert.deepEqual(
+    summarizeDebts(rows, NOW).map((d) => [d.name, d.currency, d.balance, d.days]),
+    [
+      ["Musa", "NGN", 4800, 9],
+      ["Ada", "NGN", 3000, 79],
+      ["Ada", "GBP", 20, 18],
+    ]
+  );
+});
+
+test("overdue debts", async (t) => {
+  // DEBT_OVERDUE_DAYS: 30 unless set in the environment
+  const cases = [
+    [{ days: DEBT_OVERDUE_DAYS - 1 }, undefined, false],
+    [{ days: DEBT_OVERDUE_DAYS }, undefined, true],
+    [{ days: DEBT_OVERDUE_DAYS + 15 }, undefined, true],
+    [{ days: 7 }, 7, true],
+    [{ days: 6 }, 7, false],
+  ];
+  for (const [debt, days, expected] of cases) {
+    await t.test(`${debt.days} days, threshold ${days ?? "default"}`, () => {
+      assert.equal(isOverdue(debt, days), expected);
+    });
+  }
+});
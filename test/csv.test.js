@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { csvEscape, toCsvLine, parseCsv } = require("../lib/csv");
+
+test("cells are escaped", async (t) => {
+  const cases = [
+    ["rice", "rice"],
+    ["rice, bag", '"rice, bag"'],
+    ['5" pipe', '"5"" pipe"'],
+    [null, ""],
+    [45000, "45000"],
+    ["-3", "-3"],
+    ["+2.5", "+2.5"],
+    ["=HYPERLINK(\"http://x\")", "\"'=HYPERLINK(\"\"http://x\"\")\""],
+    ["+rice", "'+rice"],
+    ["-fuel", "'-fuel"],
+    ["@SUM(A1:A9)", "'@SUM(A1:A9)"],
+    ["\tcmd", "'\tcmd"],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(String(input), () => assert.equal(csvEscape(input), expected));
+  }
+});
+
+test("lines round-trip through the parser", () => {
+  const line = toCsvLine(["rice, bag", 3, '5" pipe']);
+  assert.equal(line, '"rice, bag",3,"5"" pipe"\r\n');
+  assert.deepEqual([...parseCsv(`item,qty\r\n${line}`)[1]], ["rice, bag", "3", '5" pipe']);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_CHECKS,
+  QUESTIONS,
+  checksFromRow,
+  usualAmount,
+  entryConcerns,
+  settledQuestions,
+  settling,
+  parseCheckSetting,
+} = require("../lib/entryChecks");
+
+const past = (currency, ...amounts) => amounts.map((amount) => ({ amount, currency }));
+
+test("usual amount", async (t) => {
+  const cases = [
+    [
+      "list price wins",
+      [{ amount: "15000", currency: "NGN" }, past("NGN", 1, 2, 3)],
+      { amount: 15000, currency: "NGN" },
+    ],
+    ["median of history", [null, past("NGN", 100, 300, 200, 900)], { amount: 250, currency: "NGN" }],
+    ["latest currency only", [null, past("GBP", 4, 5, 6).concat(past("NGN", 9000))], { amount: 5, currency: "GBP" }],
+    ["too little history", [null, past("GBP", 4, 5)], { amount: null, currency: "GBP" }],
+    ["no history", [null, []], { amount: null, currency: null }],
+  ];
+  for (const [name, args, expected] of cases) {
+    await t.test(name, () => assert.deepEqual(usualAmount(...args), expected));
+  }
+});
+
+test("entry concerns", async (t) => {
+  const usual = { amount: 15000, currency: "NGN" };
+  const entry = { compared: 15000, currency: "NGN", currencyTyped: true, newItem: false };
+  const cases = [
+    ["usual entry", entry, usual, DEFAULT_CHECKS, 45000, []],
+    ["100x the price", { ...entry, compared: 1500000 }, usual, DEFAULT_CHECKS, null, ["price"]],
+    ["a tenth of the price", { ...entry, compared: 1500 }, usual, DEFAULT_CHECKS, null, ["price"]],
+    ["price check off", { ...entry, compared: 1500 }, usual, { ...DEFAULT_CHECKS, priceFactor: null }, null, []],
+    ["other currency is not compared", { ...entry, compared: 40, currency: "GBP" }, usual, DEFAULT_CHECKS, null, []],
+    [
+      "defaulted currency, usually another",
+      { ...entry, compared: 40, currency: "NGN", currencyTyped: false },
+      { amount: 40, currency: "GBP" },
+      DEFAULT_CHECKS,
+      null,
+      ["currency"],
+    ],
+    ["defaulted currency, usually the same", { ...entry, currencyTyped: false }, usual, DEFAULT_CHECKS, null, []],
+    ["new item", { ...entry, newItem: true }, { amount: null, currency: null }, DEFAULT_CHECKS, null, ["new_item"]],
+    ["new items off", { ...entry, newItem: true }, usual, { ...DEFAULT_CHECKS, newItems: false }, null, []],
+    ["above the limit", entry, usual, { ...DEFAULT_CHECKS, maxAmount: 40000 }, 45000, ["limit"]],
+    ["limit without a rate", entry, usual, { ...DEFAULT_CHECKS, maxAmount: 40000 }, null, []],
+  ];
+  for (const [name, e, u, checks, amountInDefault, expected] of cases) {
+    await t.test(name, () => {
+      assert.deepEqual(
+        entryConcerns(e, u, checks, amountInDefault).map((c) => c.check),
+        expected
+      );
+    });
+  }
+});
+
+test("checks from a businesses row", () => {
+  assert.deepEqual(checksFromRow({}), DEFAULT_CHECKS);
+  assert.deepEqual(
+    checksFromRow({
+      confirm_price_factor: "10",
+      confirm_max_amount: "500000",
+      confirm_currency: false,
+      confirm_new_items: true,
+      confirm_timeout_minutes: 5,
+    }),
+    { priceFactor: 10, maxAmount: 500000, currency: false, newItems: true, timeoutMinutes: 5 }
+  );
+  assert.equal(checksFromRow({ confirm_price_factor: null }).priceFactor, null);
+});
+
+test("an answer settles only its own question", () => {
+  // "sale rcie 3 ₦4500000": YES to "Did you mean rice?" replays the sale with the item settled
+  const itemQuestion = {
+    yes: "sale rice 3 ₦4500000",
+    no: "sale rcie 3 ₦4500000",
+    settled: settling(new Set(), "item"),
+  };
+  const settled = settledQuestions(itemQuestion);
+  assert.ok(settled.has("item"));
+  assert.ok(!settled.has("concerns"));
+
+  // so the outlier amount is still asked about, and that question keeps the item answer
+  const concerns = entryConcerns(
+    { compared: 1500000, currency: "NGN", currencyTyped: true, newItem: false },
+    { amount: 15000, currency: "NGN" },
+    DEFAULT_CHECKS
+  );
+  assert.deepEqual(concerns, [{ check: "price", usual: 15000, currency: "NGN" }]);
+  assert.deepEqual(settling(settled, "concerns"), ["item", "concerns"]);
+});
+
+test("settled questions", async (t) => {
+  const cases = [
+    ["no payload", null, []],
+    ["question from before the flags", { yes: "sale rice 3", no: null }, []],
+    ["customer after item", { settled: ["item", "customer"] }, ["item", "customer"]],
+    ["media confirmation", { settled: QUESTIONS }, QUESTIONS],
+  ];
+  for (const [name, payload, expected] of cases) {
+    await t.test(name, () => assert.deepEqual([...settledQuestions(payload)], expected));
+  }
+  assert.deepEqual(settling(new Set(["item"]), "item"), ["item"]);
+});
+
+test("settings confirm", async (t) => {
+  const cases = [
+    ["price 5", { changes: { confirmPriceFactor: 5 } }],
+    ["price 10x", { changes: { confirmPriceFactor: 10 } }],
+    ["price off", { changes: { confirmPriceFactor: null } }],
+    ["limit 500,000", { changes: { confirmMaxAmount: 500000 } }],
+    ["limit off", { changes: { confirmMaxAmount: null } }],
+    ["currency off", { changes: { confirmCurrency: false } }],
+    ["newitems on", { changes: { confirmNewItems: true } }],
+    ["timeout 10", { changes: { confirmTimeoutMinutes: 10 } }],
+    ["timeout 30 min", { changes: { confirmTimeoutMinutes: 30 } }],
+  ];
+  for (const [input, expected] of cases) {
+    const [setting, ...value] = input.split(" ");
+    await t.test(input, () => assert.deepEqual(parseCheckSetting(setting, value.join(" ")), expected));
+  }
+
+  for (const input of ["price 1", "limit -5", "currency maybe", "timeout 0", "colour red"]) {
+    const [setting, ...value] = input.split(" ");
+    await t.test(input, () => assert.ok(parseCheckSetting(setting, value.join(" ")).error));
+  }
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mapCategory, parseBudgetArgs } = require("../lib/expenseCategories");
+
+test("categories for what people type", async (t) => {
+  const cases = [
+    ["petrol", "fuel"],
+    ["Transport_Fuel", "fuel"],
+    ["shop rent", "rent"],
+    ["shop rent arrears", "rent"],
+    ["bank charges", "fees"],
+    ["staff", "salaries"],
+    ["staff lunch", "food"],
+    ["lunch for staff", "food"],
+    ["phone", "airtime"],
+    ["phone repair", "repairs"],
+    ["diesel for generator", "fuel"],
+    ["delivery bags", "packaging"],
+    ["electricty", "utilities"],
+    ["church levy", "fees"],
+    ["school fees", "fees"],
+    ["aso ebi", "aso ebi"],
+    ["", ""],
+  ];
+  for (const [typed, expected] of cases) {
+    await t.test(typed || "(empty)", () => assert.equal(mapCategory(typed), expected));
+  }
+});
+
+test("business synonyms win at each step", async (t) => {
+  const own = new Map([
+    ["staff lunch", "welfare"],
+    ["gen", "fuel"],
+    ["bags", "inventory"],
+  ]);
+  const cases = [
+    ["staff lunch", "welfare"],
+    ["friday staff lunch", "welfare"],
+    ["gen repair", "repairs"],
+    ["gen", "fuel"],
+    ["delivery bags", "inventory"],
+  ];
+  for (const [typed, expected] of cases) {
+    await t.test(typed, () => assert.equal(mapCategory(typed, own), expected));
+  }
+  await t.test("as an object", () => assert.equal(mapCategory("gen", { gen: "fuel" }), "fuel"));
+});
+
+test("budget arguments", async (t) => {
+  const cases = [
+    ["fuel 50000", { category: "fuel", amount: "50000", currency: undefined }],
+    ["fuel ₦50000", { category: "fuel", amount: "₦50000", currency: undefined }],
+    ["fuel 500 GBP", { category: "fuel", amount: "500", currency: "GBP" }],
+    ["staff lunch 20000", { category: "staff lunch", amount: "20000", currency: undefined }],
+    ["shop_rent 100k", { category: "shop_rent", amount: "100k", currency: undefined }],
+    ['"staff lunch" 20000 NGN', { category: "staff lunch", amount: "20000", currency: "NGN" }],
+    ["“staff lunch” off", { category: "staff lunch", off: true }],
+    ["staff lunch off", { category: "staff lunch", off: true }],
+    ["fuel remove", { category: "fuel", off: true }],
+    ["staff lunch", { category: "staff lunch", amount: undefined, currency: undefined }],
+    ['"staff lunch"', { category: "staff lunch", amount: undefined, currency: undefined }],
+    ['"staff lunch" monthly 20000', { error: "missing" }],
+    ["50000", { error: "missing" }],
+    ['"" 50000', { error: "missing" }],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.deepEqual(parseBudgetArgs(input.split(" ")), expected));
+  }
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { weekdayFactors, forecastSeries } = require("../lib/forecast");
+
+// n days of history from 2026-09-01 (a Tuesday); value(weekday, index)
+function history(n, value) {
+  return Array.from({ length: n }, (_, i) => {
+    const day = new Date(Date.UTC(2026, 8, 1 + i));
+    return { date: day.toISOString().slice(0, 10), value: value(day.getUTCDay(), i) };
+  });
+}
+
+// The week after 28 days of history: 2026-09-29 (Tuesday) to 2026-10-05
+const NEXT_WEEK = history(35, () => 0)
+  .slice(28)
+  .map((h) => h.date);
+
+test("weekday factors", async (t) => {
+  await t.test("flat sales", () => assert.deepEqual(weekdayFactors(history(28, () => 100)), [1, 1, 1, 1, 1, 1, 1]));
+
+  await t.test("too little history is flat", () => {
+    assert.deepEqual(weekdayFactors(history(13, (wd) => wd * 10)), [1, 1, 1, 1, 1, 1, 1]);
+  });
+
+  await t.test("busy Saturdays", () => {
+    const factors = weekdayFactors(history(56, (wd) => (wd === 6 ? 300 : 100)));
+    assert.ok(factors[6] > 2 && factors[6] < 2.2, `Saturday ${factors[6]}`);
+    assert.ok(factors.slice(0, 6).every((f) => f === factors[0] && f < 1));
+    assert.ok(Math.abs(factors.reduce((acc, f) => acc + f, 0) - 7) < 1e-9);
+  });
+});
+
+test("forecast series", async (t) => {
+  await t.test("no history", () => {
+    const f = forecastSeries([], NEXT_WEEK);
+    assert.deepEqual([f.total, f.low, f.high, f.days_of_history, f.confidence], [0, 0, 0, 0, "none"]);
+    assert.deepEqual(f.daily.map((d) => d.value), [0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  await t.test("steady sales carry on", () => {
+    const f = forecastSeries(history(28, () => 100), NEXT_WEEK);
+    assert.deepEqual([f.total, f.low, f.high, f.confidence], [700, 700, 700, "high"]);
+    assert.deepEqual(f.daily[0], { date: "2026-09-29", value: 100 });
+    assert.equal(f.daily.length, 7);
+  });
+
+  await t.test("the busy weekday stays busy", () => {
+    const f = forecastSeries(history(56, (wd) => (wd === 6 ? 300 : 100)), NEXT_WEEK);
+    const [tuesday, , , , sat] = f.daily;
+    assert.equal(sat.date, "2026-10-03");
+    assert.ok(sat.value > 2 * tuesday.value, `${sat.value} vs ${tuesday.value}`);
+  });
+
+  await t.test("erratic sales widen the range and lower the confidence", () => {
+    const f = forecastSeries(history(28, (wd, i) => (i % 2 ? 0 : 200)), NEXT_WEEK);
+    assert.ok(f.low < f.total && f.total < f.high);
+    assert.ok(f.low >= 0);
+    assert.equal(f.confidence, "medium");
+  });
+
+  await t.test("a few days of history is low confidence", () => {
+    assert.equal(forecastSeries(history(5, () => 100), NEXT_WEEK).confidence, "low");
+  });
+});
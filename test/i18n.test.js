@@ -0,0 +1,156 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LANGUAGES,
+  parseLanguage,
+  languageChoices,
+  t,
+  formatNumber,
+  formatCurrencyAmount,
+  parseAnswer,
+  commandFor,
+} = require("../lib/i18n");
+const { parseMessage, toCommand } = require("../lib/nlParser");
+
+const OPTIONS = { now: new Date("2026-10-19T10:00:00Z"), timeZone: "Africa/Lagos" };
+
+test("language names", async (t) => {
+  const cases = [
+    ["pidgin", "pcm"],
+    ["Naija", "pcm"],
+    ["Yorùbá", "yo"],
+    ["yoruba", "yo"],
+    ["hausa", "ha"],
+    ["French", "fr"],
+    ["français", "fr"],
+    ["en", "en"],
+    ["klingon", null],
+    ["", null],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input || "(empty)", () => assert.equal(parseLanguage(input), expected));
+  }
+  assert.equal(languageChoices(), "english|pidgin|yoruba|hausa|french");
+});
+
+test("messages fall back to English and fill placeholders", () => {
+  assert.equal(t("en", "sale_recorded", { id: 7 }), "✅ Sale recorded (#7)");
+  assert.equal(t("fr", "auto_all"), t("en", "auto_all"));
+  assert.equal(t("pcm", "not_staff", { number: "+234803", business: "Ada" }), "+234803 no be staff of Ada.");
+  assert.equal(t("de", "sale_recorded", { id: 7 }), "✅ Sale recorded (#7)");
+  assert.equal(t("en", "batch_recorded", { count: 1, date: "2026-10-18" }), "✅ Recorded 1 entry for 2026-10-18");
+  assert.equal(t("en", "batch_recorded", { count: 2 }), "✅ Recorded 2 entries");
+  assert.throws(() => t("en", "no_such_message"), /Unknown message: no_such_message/);
+});
+
+test("every message index.js asks for exists in English", () => {
+  const source = fs.readFileSync(path.join(__dirname, "..", "index.js"), "utf8");
+  const used = new Set([...source.matchAll(/\bt\(\w+, "(\w+)"/g)].map((m) => m[1]));
+  assert.deepEqual([...used].filter((key) => !(key in LANGUAGES.en.messages)), []);
+});
+
+test("every translated message exists in English", () => {
+  const english = new Set(Object.keys(LANGUAGES.en.messages));
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    const extra = Object.keys(language.messages).filter((key) => !english.has(key));
+    assert.deepEqual(extra, [], code);
+  }
+});
+
+test("numbers and amounts follow the language", async (t) => {
+  const cases = [
+    ["en", 45000, "45,000", "₦45,000.00"],
+    ["pcm", 45000.5, "45,000.5", "₦45,000.50"],
+    ["fr", 45000, "45\u202f000", "45\u202f000,00\u00a0₦"], // narrow/no-break spaces
+  ];
+  for (const [lang, amount, number, money] of cases) {
+    await t.test(`${lang} ${amount}`, () => {
+      assert.equal(formatNumber(lang, amount), number);
+      assert.equal(formatCurrencyAmount(lang, "NGN", amount), money);
+    });
+  }
+});
+
+test("YES/NO answers in any language", async (t) => {
+  const cases = [
+    ["yes", "yes"],
+    ["Yes!", "yes"],
+    ["oui", "yes"],
+    ["bẹ́ẹ̀ni", "yes"],
+    ["beeni", "yes"],
+    ["eh", "yes"],
+    ["na so", "yes"],
+    ["no", "no"],
+    ["non", "no"],
+    ["rara", "no"],
+    ["a'a", "no"],
+    ["a’a", "no"],
+    ["maybe", null],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.equal(parseAnswer(input), expected));
+  }
+});
+
+test("localized command words", async (t) => {
+  const cases = [
+    ["aide", "help"],
+    ["taimako", "help"],
+    ["résumé", "summary"],
+    ["resume", "summary"],
+    ["àkópọ̀", "summary"],
+    ["langue", "language"],
+    ["sale", "sale"],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.equal(commandFor(input), expected));
+  }
+});
+
+test("messages in each language's phrasing", async (t) => {
+  const cases = [
+    ["pcm", "I don sell 3 rice for 4500", "sale rice 3 4500"],
+    ["pcm", "I sell 3 rice give Musa for credit", "sale rice 3 to Musa credit"],
+    ["pcm", "Musa don pay me 20k", "paid Musa 20000"],
+    ["pcm", "I don collect 20k from Musa", "paid Musa 20000"],
+    ["yo", "mo ta ìrẹsì 3 ní 4500", "sale iresi 3 4500"],
+    ["yo", "mo ta iresi 3 fun Musa lori awin", "sale iresi 3 to Musa credit"],
+    ["yo", "Musa san 20000", "paid Musa 20000"],
+    ["ha", "na sayar da shinkafa 3 akan 4500", "sale shinkafa 3 4500"],
+    ["ha", "na sayar da shinkafa 3 ga Musa bashi", "sale shinkafa 3 to Musa credit"],
+    ["ha", "Musa ya biya 20000", "paid Musa 20000"],
+    ["fr", "J'ai vendu 3 riz pour 4500", "sale riz 3 4500"],
+    ["fr", "vendu 3 riz à 1500 chacun", "sale riz 3 @ 1500"],
+    ["fr", "vendu 3 riz à Musa à crédit", "sale riz 3 to Musa credit"],
+    ["fr", "j'ai reçu 20000 de Musa", "paid Musa 20000"],
+  ];
+  for (const [language, input, expected] of cases) {
+    await t.test(`${language}: ${input}`, () => {
+      assert.equal(toCommand(parseMessage(input, { ...OPTIONS, language })), expected);
+    });
+  }
+});
+
+test("dated expenses in each language", async (t) => {
+  const cases = [
+    ["pcm", "I don spend 5k for fuel yesterday"],
+    ["yo", "mo ná 5000 lórí epo lánàá"],
+    ["ha", "na kashe 5000 akan mai jiya"],
+    ["fr", "j'ai dépensé 5000 pour le carburant hier"],
+  ];
+  for (const [language, input] of cases) {
+    await t.test(`${language}: ${input}`, () => {
+      const parsed = parseMessage(input, { ...OPTIONS, language });
+      assert.equal(parsed.date, "2026-10-18");
+      assert.deepEqual(parsed.entries, [{ type: "expense", category: "fuel", amount: 5000, currency: null }]);
+    });
+  }
+});
+
+test("phrasings only apply for the business's language", () => {
+  assert.equal(parseMessage("J'ai vendu 3 riz pour 4500", OPTIONS), null);
+  assert.equal(toCommand(parseMessage("sold 3 rice for 4500", { ...OPTIONS, language: "fr" })), "sale rice 3 4500");
+});
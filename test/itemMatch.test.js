@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeItemName, levenshtein, similarity, findClosest } = require("../lib/itemMatch");
+
+test("item names are normalized", async (t) => {
+  const cases = [
+    ["Rice_Bag ", "rice bag"],
+    ["rice  bag", "rice bag"],
+    ["  GARRI\t", "garri"],
+    [null, ""],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(JSON.stringify(input), () => assert.equal(normalizeItemName(input), expected));
+  }
+});
+
+test("edit distance", () => {
+  assert.equal(levenshtein("rice", "rice"), 0);
+  assert.equal(levenshtein("rce", "rice"), 1);
+  assert.equal(levenshtein("", "oil"), 3);
+  assert.equal(levenshtein("kitten", "sitting"), 3);
+});
+
+test("similarity", async (t) => {
+  await t.test("same name", () => assert.equal(similarity("rice", "rice"), 1));
+  await t.test("nothing to compare", () => assert.equal(similarity("", "rice"), 0));
+  await t.test("a typo", () => assert.ok(similarity("rcie", "rice") >= 0.5));
+  await t.test("one word of a longer name", () => assert.equal(similarity("rice", "rice bag"), 0.95));
+  await t.test("all the words of a longer name", () => assert.equal(similarity("rice oil", "rice bag oil"), 0.8));
+  await t.test("a typo of one word in a longer name", () => {
+    const score = similarity("rce", "rice bag");
+    assert.ok(score >= 0.7 && score < 0.8, String(score));
+  });
+  await t.test("unrelated names", () => assert.ok(similarity("oil", "rice bag") < 0.5));
+});
+
+test("closest catalogue match", async (t) => {
+  const candidates = [
+    { key: "rice bag", value: "rice bag" },
+    { key: "groundnut oil", value: "groundnut oil" },
+    { key: "garri", value: "garri" },
+    // aliases come after the canonical names and point at them
+    { key: "rice", value: "rice bag" },
+    { key: "g oil", value: "groundnut oil" },
+  ];
+  const cases = [
+    ["Rice_Bag", "rice bag"],
+    ["rcie bag", "rice bag"],
+    ["ric", "rice bag"], // through the "rice" alias
+    ["G_Oil", "groundnut oil"],
+    ["gari", "garri"],
+    ["oil", "groundnut oil"],
+    ["sugar", null],
+    ["", null],
+  ];
+  for (const [typed, expected] of cases) {
+    await t.test(typed || "(empty)", () => {
+      const best = findClosest(typed, candidates);
+      assert.equal(best ? best.value : null, expected);
+    });
+  }
+
+  await t.test("ties go to the earlier candidate", () => {
+    const tied = [
+      { key: "rice", value: "rice" },
+      { key: "rice", value: "rice bag" },
+    ];
+    assert.equal(findClosest("rice", tied).value, "rice");
+  });
+
+  await t.test("minScore", () => {
+    assert.equal(findClosest("gari", candidates, { minScore: 0.95 }), null);
+    assert.equal(findClosest("gari", candidates, { minScore: 0.5 }).value, "garri");
+  });
+});
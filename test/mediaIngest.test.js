@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseMessage } = require("../lib/nlParser");
+const {
+  setMediaAdapter,
+  stubAdapter,
+  mediaKind,
+  mediaFromWebhook,
+  receiptToMessage,
+  extractMediaText,
+  fetchTwilioMedia,
+} = require("../lib/mediaIngest");
+
+const OPTIONS = { now: new Date("2026-10-19T10:00:00Z"), timeZone: "Africa/Lagos" };
+const parse = (text) => parseMessage(text, OPTIONS);
+const fetchMedia = async () => Buffer.from("media");
+
+const FUEL_RECEIPT = [
+  "TOTAL FILLING STATION",
+  "Lekki 12/10/2026 14:33",
+  "PMS 20.5L x 617   12,648.50",
+  "VAT 0.00",
+  "TOTAL ₦12,648.50",
+  "CASH 13,000",
+  "CHANGE 351.50",
+].join("\n");
+
+const SHOP_RECEIPT = [
+  "SHOPRITE",
+  "Rice 2 x 1500   3,000.00",
+  "Beans           1,500.00",
+  "Subtotal        4,500.00",
+  "VAT               337.50",
+  "Grand Total NGN 4,837.50",
+].join("\n");
+
+test("media kinds from the webhook", () => {
+  assert.deepEqual(
+    mediaFromWebhook({
+      NumMedia: "2",
+      MediaUrl0: "https://media/1",
+      MediaContentType0: "audio/ogg",
+      MediaUrl1: "https://media/2",
+      MediaContentType1: "image/jpeg",
+    }),
+    [
+      { url: "https://media/1", contentType: "audio/ogg" },
+      { url: "https://media/2", contentType: "image/jpeg" },
+    ]
+  );
+  assert.deepEqual(mediaFromWebhook({ Body: "hi" }), []);
+  assert.equal(mediaKind("audio/ogg"), "audio");
+  assert.equal(mediaKind("image/jpeg"), "image");
+  assert.equal(mediaKind("application/pdf"), null);
+});
+
+test("receipts become expense messages", async (t) => {
+  const cases = [
+    ["fuel receipt", FUEL_RECEIPT, "spent 12648.5 NGN on fuel on 2026-10-12"],
+    ["shop receipt", SHOP_RECEIPT, "spent 4837.5 NGN on inventory"],
+    ["pounds", "Tesco\n01/10/2026\nMilk 1.20\nTotal £1.20", "spent 1.2 GBP on inventory on 2026-10-01"],
+    ["no total", "hello there", null],
+  ];
+  for (const [name, text, expected] of cases) {
+    await t.test(name, () => assert.equal(receiptToMessage(text), expected));
+  }
+
+  await t.test("the message parses", () => {
+    const parsed = parse(receiptToMessage(FUEL_RECEIPT));
+    assert.equal(parsed.date, "2026-10-12");
+    assert.deepEqual(parsed.entries, [{ type: "expense", category: "fuel", amount: 12648.5, currency: "NGN" }]);
+  });
+});
+
+test("extracting text with the stub adapters", async (t) => {
+  setMediaAdapter("audio", stubAdapter("I sold rice x3 ₦45k"));
+  setMediaAdapter(
+    "image",
+    stubAdapter({ "https://media/receipt": FUEL_RECEIPT, "https://media/note": "sold 2 rice and 3 beans\nfor 9000" })
+  );
+  t.after(() => {
+    setMediaAdapter("audio", null);
+    setMediaAdapter("image", null);
+  });
+
+  const cases = [
+    [
+      "voice note",
+      { url: "https://media/voice", contentType: "audio/ogg" },
+      { kind: "audio", adapter: "stub", text: "I sold rice x3 ₦45k", message: "I sold rice x3 ₦45k" },
+    ],
+    [
+      "receipt photo",
+      { url: "https://media/receipt", contentType: "image/jpeg" },
+      { kind: "image", adapter: "stub", text: FUEL_RECEIPT, message: "spent 12648.5 NGN on fuel on 2026-10-12" },
+    ],
+    [
+      "handwritten note",
+      { url: "https://media/note", contentType: "image/png" },
+      {
+        kind: "image",
+        adapter: "stub",
+        text: "sold 2 rice and 3 beans\nfor 9000",
+        message: "sold 2 rice and 3 beans for 9000",
+      },
+    ],
+    [
+      "nothing readable",
+      { url: "https://media/blank", contentType: "image/png" },
+      { kind: "image", adapter: "stub", text: "", error: "no_text" },
+    ],
+    [
+      "unsupported type",
+      { url: "https://media/doc", contentType: "application/pdf" },
+      { kind: null, error: "unsupported" },
+    ],
+  ];
+  for (const [name, media, expected] of cases) {
+    await t.test(name, async () => assert.deepEqual(await extractMediaText(media, { parse, fetchMedia }), expected));
+  }
+
+  await t.test("download failure", async () => {
+    const failing = async () => {
+      throw new Error("media download responded 404");
+    };
+    const media = { url: "https://media/gone", contentType: "audio/ogg" };
+    const result = await extractMediaText(media, { fetchMedia: failing });
+    assert.deepEqual(result, { kind: "audio", adapter: "stub", error: "media download responded 404" });
+  });
+});
+
+test("no adapter configured", async () => {
+  const result = await extractMediaText({ url: "https://media/voice", contentType: "audio/ogg" }, { fetchMedia });
+  assert.deepEqual(result, { kind: "audio", error: "no_adapter" });
+});
+
+test("downloads stop at the size cap", async (t) => {
+  const realFetch = global.fetch;
+  t.after(() => (global.fetch = realFetch));
+  const chunked = (sizes) =>
+    new ReadableStream({
+      start(controller) {
+        for (const n of sizes) controller.enqueue(new Uint8Array(n));
+        controller.close();
+      },
+    });
+
+  global.fetch = async () => new Response(chunked([4, 4]));
+  const media = (name) => `https://api.twilio.com/media/${name}`;
+  assert.equal((await fetchTwilioMedia(media("ok"), { maxBytes: 10 })).length, 8);
+
+  global.fetch = async () => new Response(chunked([6, 6]));
+  await assert.rejects(fetchTwilioMedia(media("big"), { maxBytes: 10 }), /larger than 10 bytes/);
+
+  global.fetch = async () => new Response("x", { headers: { "Content-Length": "50" } });
+  await assert.rejects(fetchTwilioMedia(media("declared"), { maxBytes: 10 }), /larger than 10 bytes/);
+});
+
+test("media is only downloaded from Twilio over https", async (t) => {
+  const realFetch = global.fetch;
+  const env = { TWILIO_ACCOUNT_SID: "AC123", TWILIO_AUTH_TOKEN: "secret" };
+  const saved = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+  t.after(() => {
+    global.fetch = realFetch;
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+  Object.assign(process.env, env);
+
+  const requests = [];
+  const redirects = {
+    "https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME1": "https://mms.twiliocdn.com/ME1",
+    "https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME2": "https://attacker.example/ME2",
+  };
+  global.fetch = async (url, options) => {
+    requests.push({ url: String(url), auth: options.headers.Authorization || null });
+    const location = redirects[String(url)];
+    return location ? new Response(null, { status: 307, headers: { Location: location } }) : new Response("data");
+  };
+
+  await t.test("other hosts, http and junk are refused before any request", async () => {
+    for (const url of [
+      "https://attacker.example/ME1",
+      "https://api.twilio.com.attacker.example/ME1",
+      "http://api.twilio.com/ME1",
+      "file:///etc/passwd",
+      "not a url",
+    ]) {
+      await assert.rejects(fetchTwilioMedia(url), /not on a Twilio host/, url);
+    }
+    assert.deepEqual(requests, []);
+  });
+
+  await t.test("the redirect to the CDN is followed without the credentials", async () => {
+    requests.length = 0;
+    const data = await fetchTwilioMedia("https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME1");
+    assert.equal(data.toString(), "data");
+    assert.deepEqual(
+      requests.map((r) => [r.url, r.auth !== null]),
+      [
+        ["https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME1", true],
+        ["https://mms.twiliocdn.com/ME1", false],
+      ]
+    );
+  });
+
+  await t.test("a redirect off Twilio is refused", async () => {
+    requests.length = 0;
+    const url = "https://api.twilio.com/2010-04-01/Accounts/AC123/Messages/MM1/Media/ME2";
+    await assert.rejects(fetchTwilioMedia(url), /not on a Twilio host/);
+    assert.equal(requests.length, 1);
+  });
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  currencyOf,
+  splitCurrencySymbol,
+  toMinor,
+  toAmount,
+  roundMoney,
+  addMoney,
+  multiplyMoney,
+  subtractMoney,
+  formatMoney,
+} = require("../lib/money");
+
+test("currency tokens", async (t) => {
+  const cases = [
+    ["NGN", "NGN"],
+    ["ngn", "NGN"],
+    ["₦", "NGN"],
+    ["naira", "NGN"],
+    ["£", "GBP"],
+    ["quid", "GBP"],
+    ["US$", "USD"],
+    ["€", "EUR"],
+    ["euros", "EUR"],
+    ["GH₵", "GHS"],
+    ["₵", "GHS"],
+    ["cedis", "GHS"],
+    ["KSh", "KES"],
+    ["ksh", "KES"],
+    ["R", "ZAR"],
+    ["rand", "ZAR"],
+    ["r", null],
+    ["CAD", null],
+    ["", null],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input || "(empty)", () => assert.equal(currencyOf(input), expected));
+  }
+});
+
+test("leading currency symbols", async (t) => {
+  const cases = [
+    ["₦45000", { currency: "NGN", rest: "45000" }],
+    ["GH₵20.50", { currency: "GHS", rest: "20.50" }],
+    ["₵20", { currency: "GHS", rest: "20" }],
+    ["KSh500", { currency: "KES", rest: "500" }],
+    ["R99", { currency: "ZAR", rest: "99" }],
+    ["Rice", { currency: null, rest: "Rice" }],
+    ["45000", { currency: null, rest: "45000" }],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.deepEqual(splitCurrencySymbol(input), expected));
+  }
+});
+
+test("minor units are read exactly", async (t) => {
+  const cases = [
+    ["45000.10", 4500010],
+    ["45000", 4500000],
+    [45000.1, 4500010],
+    ["0.005", 1],
+    [1.005, 101],
+    ["-3.005", -301],
+    [".5", 50],
+    ["1e3", 100000],
+    ["abc", NaN],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(String(input), () => assert.equal(toMinor(input, "NGN"), expected));
+  }
+});
+
+test("arithmetic does not drift", () => {
+  assert.equal(addMoney("NGN", 0.1, 0.2), 0.3);
+  assert.equal(addMoney("NGN", "45000.10", null, undefined, "0.20"), 45000.3);
+  assert.equal(subtractMoney("NGN", "45000.10", "0.20"), 44999.9);
+  assert.equal(subtractMoney("GBP", 10, "3.33", "3.33", "3.33"), 0.01);
+  assert.equal(toAmount("1234.567", "KES"), 1234.57);
+  assert.equal(toAmount(null, "NGN"), 0);
+  assert.equal(roundMoney(2.675), 2.68);
+  assert.equal(multiplyMoney("NGN", "0.1", 3), 0.3);
+  assert.equal(multiplyMoney("GBP", "1.15", 3), 3.45);
+  assert.equal(multiplyMoney("NGN", "2.50", 1.5), 3.75);
+  assert.equal(multiplyMoney("NGN", "abc", 2), 0);
+});
+
+test("amounts are formatted per currency", async (t) => {
+  const cases = [
+    ["NGN", 45000, "en", "₦45,000.00"],
+    ["NGN", "45000.5", "en-NG", "₦45,000.50"],
+    ["GBP", 45.5, "en", "£45.50"],
+    ["USD", -12.345, "en", "-$12.35"],
+    ["EUR", 1200, "en", "€1,200.00"],
+    ["GHS", 20, "en", "₵20.00"],
+    ["KES", 1200, "en", "KSh\u00a01,200.00"],
+    ["ZAR", 99.9, "en", "R\u00a099.90"],
+    ["NGN", 45000, "fr-FR", "45\u202f000,00\u00a0₦"], // narrow/no-break spaces
+    ["CAD", 5, "en", "CAD\u00a05.00"],
+  ];
+  for (const [currency, amount, locale, expected] of cases) {
+    await t.test(`${currency} ${amount} ${locale}`, () => {
+      assert.equal(formatMoney(currency, amount, locale), expected);
+    });
+  }
+});
@@ -0,0 +1,270 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseAmount, parseQuantity, parseMessage, toCommand } = require("../lib/nlParser");
+
+// Monday 19 October 2026, 11:00 in Lagos
+const NOW = new Date("2026-10-19T10:00:00Z");
+const OPTIONS = { now: NOW, timeZone: "Africa/Lagos" };
+
+test("amount shorthands", async (t) => {
+  const cases = [
+    ["45000", { amount: 45000, currency: null }],
+    ["45,000", { amount: 45000, currency: null }],
+    ["45k", { amount: 45000, currency: null }],
+    ["1.2m", { amount: 1200000, currency: null }],
+    ["₦45k", { amount: 45000, currency: "NGN" }],
+    ["N5000", { amount: 5000, currency: "NGN" }],
+    ["£30", { amount: 30, currency: "GBP" }],
+    ["$12.50", { amount: 12.5, currency: "USD" }],
+    ["30 gbp", { amount: 30, currency: "GBP" }],
+    ["5k naira", { amount: 5000, currency: "NGN" }],
+    ["usd 40", { amount: 40, currency: "USD" }],
+    ["rice", null],
+    ["45,00", null],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.deepEqual(parseAmount(input), expected));
+  }
+});
+
+test("quantities with units", async (t) => {
+  const cases = [
+    ["3 rice", { item: "rice", qty: 3, unit: null, explicit: true }],
+    ["3x rice", { item: "rice", qty: 3, unit: null, explicit: true }],
+    ["rice x3", { item: "rice", qty: 3, unit: null, explicit: true }],
+    ["rice × 3", { item: "rice", qty: 3, unit: null, explicit: true }],
+    ["10 bags of rice", { item: "rice", qty: 10, unit: "bags", explicit: true }],
+    ["2kg beans", { item: "beans", qty: 2, unit: "kg", explicit: true }],
+    ["2 cartons indomie", { item: "indomie", qty: 2, unit: "cartons", explicit: true }],
+    ["rice 3", { item: "rice", qty: 3, unit: null, explicit: true }],
+    ["palm oil", { item: "palm oil", qty: 1, unit: null, explicit: false }],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.deepEqual(parseQuantity(input), expected));
+  }
+});
+
+// Messages the regular commands handle as they are
+test("simple messages become commands", async (t) => {
+  const cases = [
+    ["Sold 3 bin for 400 gbp", "sale bin 3 400 GBP"],
+    ["Sold 3 bin for £400", "sale bin 3 400 GBP"],
+    ["sold 3 rice", "sale rice 3"],
+    ["sold 3 rice for 45k", "sale rice 3 45000"],
+    ["I sold rice x3 ₦45k", "sale rice 3 45000 NGN"],
+    ["sold 3 rice 45000", "sale rice 3 45000"],
+    ["sold rice 3", "sale rice 3"],
+    ["Sold 3 rice at 14000 each", "sale rice 3 @ 14000"],
+    ["sold 3 rice @ 14k", "sale rice 3 @ 14000"],
+    ["sold 3 rice 14000 each", "sale rice 3 @ 14000"],
+    ["Sold 3 rice at 14000 each with 10% discount", "sale rice 3 @ 14000 -10%"],
+    ["sold 3 rice with ₦500 off", "sale rice 3 -500"],
+    ["sold 3 rice less 10%", "sale rice 3 -10%"],
+    ["sold 2 bags of rice for 90k", "sale rice 2 90000"],
+    ["sold 3 palm oil for 4500", "sale palm_oil 3 4500"],
+    ["Sold 3 rice to Musa on credit", "sale rice 3 to Musa credit"],
+    ["sold 3 rice to Mama Ngozi for 45000 on credit", "sale rice 3 45000 to Mama_Ngozi credit"],
+    ["Spent £30 on fuel", "expense fuel 30 GBP"],
+    ["Spent 30 gbp on fuel", "expense fuel 30 GBP"],
+    ["spent €30 on fuel", "expense fuel 30 EUR"],
+    ["sold 2 bread for GH₵20", "sale bread 2 20 GHS"],
+    ["sold 3 rice for ksh 500", "sale rice 3 500 KES"],
+    ["spent 20 rand on transport", "expense transport 20 ZAR"],
+    ["spent 2k on shop rent", "expense shop_rent 2000"],
+    ["paid 5k for fuel", "expense fuel 5000"],
+    ["paid for fuel 5k", "expense fuel 5000"],
+    ["paid rent 50k", "expense rent 50000"],
+    ["bought fuel for 5k", "expense fuel 5000"],
+    ["Musa paid ₦20000", "paid Musa 20000 NGN"],
+    ["Mama Ngozi has paid 5k", "paid Mama_Ngozi 5000"],
+    ["received 20k from Musa", "paid Musa 20000"],
+    ["Add stock bin 10", "stockadd bin 10"],
+    ["add stock bin 10 @ £4", "stockadd bin 10 4 GBP"],
+    ["Remove stock bin 5", "stockremove bin 5"],
+    ["write off bin 2", "writeoff bin 2"],
+    ["write-off 2 bread", "writeoff bread 2"],
+    ["sold 2 rice today", "sale rice 2"],
+    ["sold 2 rice on monday", "sale rice 2"],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => assert.equal(toCommand(parseMessage(input, OPTIONS)), expected));
+  }
+});
+
+// Multi-item, dated and purchase messages are recorded as a batch
+test("batch messages", async (t) => {
+  const cases = [
+    [
+      "sold 2 rice and 3 beans for 9000",
+      {
+        date: null,
+        entries: [
+          {
+            type: "sale",
+            items: [
+              { item: "rice", qty: 2, unit: null, price: null },
+              { item: "beans", qty: 3, unit: null, price: null },
+            ],
+            total: { amount: 9000, currency: null },
+            discount: null,
+            customer: null,
+            credit: false,
+          },
+        ],
+      },
+    ],
+    [
+      "sold 2 rice for 6000, 3 beans for 3000 last friday",
+      {
+        date: "2026-10-16",
+        entries: [
+          {
+            type: "sale",
+            items: [
+              { item: "rice", qty: 2, unit: null, price: { kind: "total", amount: 6000, currency: null } },
+              { item: "beans", qty: 3, unit: null, price: { kind: "total", amount: 3000, currency: null } },
+            ],
+            total: null,
+            discount: null,
+            customer: null,
+            credit: false,
+          },
+        ],
+      },
+    ],
+    [
+      "yesterday I sold rice x2 & beans x1 to Musa on credit",
+      {
+        date: "2026-10-18",
+        entries: [
+          {
+            type: "sale",
+            items: [
+              { item: "rice", qty: 2, unit: null, price: null },
+              { item: "beans", qty: 1, unit: null, price: null },
+            ],
+            total: null,
+            discount: null,
+            customer: "Musa",
+            credit: true,
+          },
+        ],
+      },
+    ],
+    [
+      "bought 10 bags of rice for 120k",
+      {
+        date: null,
+        entries: [
+          {
+            type: "purchase",
+            items: [{ item: "rice", qty: 10, unit: "bags", price: { kind: "total", amount: 120000, currency: null } }],
+            total: null,
+          },
+        ],
+      },
+    ],
+    [
+      "bought 10 rice and 5 beans for ₦150k on 12th",
+      {
+        date: "2026-10-12",
+        entries: [
+          {
+            type: "purchase",
+            items: [
+              { item: "rice", qty: 10, unit: null, price: null },
+              { item: "beans", qty: 5, unit: null, price: null },
+            ],
+            total: { amount: 150000, currency: "NGN" },
+          },
+        ],
+      },
+    ],
+    [
+      "paid 5k for fuel yesterday",
+      { date: "2026-10-18", entries: [{ type: "expense", category: "fuel", amount: 5000, currency: null }] },
+    ],
+    [
+      "spent 5k on fuel and 2k on airtime",
+      {
+        date: null,
+        entries: [
+          { type: "expense", category: "fuel", amount: 5000, currency: null },
+          { type: "expense", category: "airtime", amount: 2000, currency: null },
+        ],
+      },
+    ],
+    [
+      "spent £30 on fuel 3 days ago",
+      { date: "2026-10-16", entries: [{ type: "expense", category: "fuel", amount: 30, currency: "GBP" }] },
+    ],
+    [
+      "Musa paid 20k on 2026-10-01",
+      { date: "2026-10-01", entries: [{ type: "payment", customer: "Musa", amount: 20000, currency: null }] },
+    ],
+    [
+      "sold 3 rice on 31st",
+      {
+        date: "2026-08-31",
+        entries: [
+          {
+            type: "sale",
+            items: [{ item: "rice", qty: 3, unit: null, price: null }],
+            total: null,
+            discount: null,
+            customer: null,
+            credit: false,
+          },
+        ],
+      },
+    ],
+    [
+      "sold 4 rice on 25th",
+      {
+        date: "2026-09-25",
+        entries: [
+          {
+            type: "sale",
+            items: [{ item: "rice", qty: 4, unit: null, price: null }],
+            total: null,
+            discount: null,
+            customer: null,
+            credit: false,
+          },
+        ],
+      },
+    ],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => {
+      const parsed = parseMessage(input, OPTIONS);
+      assert.equal(toCommand(parsed), null);
+      assert.deepEqual({ date: parsed.date, entries: parsed.entries }, expected);
+    });
+  }
+});
+
+test("past dates are stamped at local midday", () => {
+  const parsed = parseMessage("paid 5k for fuel yesterday", OPTIONS);
+  assert.equal(parsed.occurredAt.toISOString(), "2026-10-18T11:00:00.000Z");
+});
+
+test("messages that are not natural language pass through", async (t) => {
+  const cases = [
+    "sale rice 3 ₦45000",
+    "expense fuel 5000",
+    "paid musa 20000",
+    "summary yesterday",
+    "stock rice 20",
+    "help",
+    "I paid 5000",
+    "hello",
+    "Musa paid 20,00",
+    "received 1,0000 from Musa",
+    "add stock rice 10 @ 1,00",
+  ];
+  for (const input of cases) {
+    await t.test(input, () => assert.equal(parseMessage(input, OPTIONS), null));
+  }
+});
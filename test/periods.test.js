@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parsePeriod,
+  resolvePeriod,
+  previousPeriod,
+  isCurrentPeriod,
+  localDateTimeToUtc,
+  startOfLocalDay,
+} = require("../lib/periods");
+
+const LAGOS = "Africa/Lagos";
+
+// Instants as ISO text without the milliseconds: "2026-10-18T23:00:00Z"
+const iso = (date) => date.toISOString().replace(".000", "");
+
+const resolve = (text, timeZone, now) => resolvePeriod(parsePeriod(text), timeZone, new Date(now));
+
+// [fromDate, toDate, start, end] of a period resolved at `now`
+function bounds(text, timeZone, now) {
+  const w = resolve(text, timeZone, now);
+  return [w.fromDate, w.toDate, iso(w.start), iso(w.end)];
+}
+
+test("days and months in the business's timezone", async (t) => {
+  const cases = [
+    ["today", "2026-10-19T10:00:00Z", ["2026-10-19", "2026-10-19", "2026-10-18T23:00:00Z", "2026-10-19T23:00:00Z"]],
+    ["today", "2026-10-18T23:30:00Z", ["2026-10-19", "2026-10-19"]], // just after midnight in Lagos
+    ["yesterday", "2026-10-19T10:00:00Z", ["2026-10-18", "2026-10-18"]],
+    ["month", "2026-10-19T10:00:00Z", ["2026-10-01", "2026-10-19", "2026-09-30T23:00:00Z"]],
+    ["last month", "2026-03-31T10:00:00Z", ["2026-02-01", "2026-02-28"]],
+    ["last month", "2026-01-15T10:00:00Z", ["2025-12-01", "2025-12-31"]],
+    ["ytd", "2026-10-19T10:00:00Z", ["2026-01-01", "2026-10-19"]],
+    ["2028-02", "2026-10-19T10:00:00Z", ["2028-02-01", "2028-02-29"]],
+    ["2026-09-15", "2026-10-19T10:00:00Z", ["2026-09-15", "2026-09-15"]],
+    ["2026-09-01 to 2026-09-30", "2026-10-19T10:00:00Z", ["2026-09-01", "2026-09-30", "2026-08-31T23:00:00Z"]],
+  ];
+  for (const [text, now, expected] of cases) {
+    await t.test(`${text} at ${now}`, () => {
+      assert.deepEqual(bounds(text, LAGOS, now).slice(0, expected.length), expected);
+    });
+  }
+});
+
+test("weeks run Monday to Sunday", async (t) => {
+  const cases = [
+    ["week", "2026-10-19T10:00:00Z", ["2026-10-19", "2026-10-19"]], // a Monday
+    ["week", "2026-10-21T10:00:00Z", ["2026-10-19", "2026-10-21"]],
+    ["week", "2026-10-25T22:00:00Z", ["2026-10-19", "2026-10-25"]], // Sunday, 23:00 in Lagos
+    ["week", "2026-10-25T23:30:00Z", ["2026-10-26", "2026-10-26"]], // already Monday in Lagos
+    ["last week", "2026-10-21T10:00:00Z", ["2026-10-12", "2026-10-18"]],
+    ["last week", "2026-01-01T10:00:00Z", ["2025-12-22", "2025-12-28"]],
+  ];
+  for (const [text, now, expected] of cases) {
+    await t.test(`${text} at ${now}`, () => assert.deepEqual(bounds(text, LAGOS, now).slice(0, 2), expected));
+  }
+});
+
+test("days around daylight saving changes", async (t) => {
+  const cases = [
+    ["London spring forward (23 hours)", "Europe/London", "2026-03-29", "2026-03-29T00:00:00Z", "2026-03-29T23:00:00Z"],
+    ["London clocks back (25 hours)", "Europe/London", "2026-10-25", "2026-10-24T23:00:00Z", "2026-10-26T00:00:00Z"],
+    ["New York spring forward", "America/New_York", "2026-03-08", "2026-03-08T05:00:00Z", "2026-03-09T04:00:00Z"],
+  ];
+  for (const [name, zone, day, start, end] of cases) {
+    await t.test(name, () => assert.deepEqual(bounds(day, zone, "2026-12-01T12:00:00Z").slice(2), [start, end]));
+  }
+
+  await t.test("local times on and around the change", () => {
+    const cases = [
+      ["2026-03-28 12:00", "Europe/London", "2026-03-28T12:00:00Z"],
+      ["2026-03-29 12:00", "Europe/London", "2026-03-29T11:00:00Z"],
+      ["2026-03-29 01:30", "Europe/London", "2026-03-29T01:30:00Z"], // skipped: lands at 02:30 BST
+      ["2026-10-25 12:00", "Europe/London", "2026-10-25T12:00:00Z"],
+    ];
+    for (const [text, zone, expected] of cases) assert.equal(iso(localDateTimeToUtc(text, zone)), expected, text);
+    assert.equal(iso(startOfLocalDay({ y: 2026, m: 11, d: 1 }, "America/New_York")), "2026-11-01T04:00:00Z");
+  });
+});
+
+test("invalid periods and dates", async (t) => {
+  const cases = [
+    ["2026-09-10 to 2026-09-01", /start date must be before/],
+    ["2026-02-30 to 2026-03-01", /Invalid date/],
+    ["2026-02-30", /Unknown period/],
+    ["2026-13", /Unknown period/],
+    ["fortnight", /Unknown period/],
+  ];
+  for (const [text, error] of cases) {
+    await t.test(text, () => assert.match(parsePeriod(text).error, error));
+  }
+
+  await t.test("local date-times", () => {
+    for (const text of ["2026-09-15 24:00", "2026-09-15 12:60", "2026-02-30", "15/09/2026", ""]) {
+      assert.equal(localDateTimeToUtc(text, LAGOS), null, text);
+    }
+  });
+
+  await t.test("unknown kinds", () => {
+    assert.throws(() => resolvePeriod({ kind: "decade" }, LAGOS), /Unknown period kind/);
+  });
+});
+
+test("current periods", async (t) => {
+  const now = "2026-10-19T10:00:00Z";
+  const cases = [
+    ["today", true],
+    ["week", true],
+    ["7d", true],
+    ["2026-10-01 to 2026-10-19", true],
+    ["yesterday", false],
+    ["last month", false],
+    ["2026-10-20 to 2026-10-31", false],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => assert.equal(isCurrentPeriod(resolve(text, LAGOS, now), new Date(now)), expected));
+  }
+});
+
+test("previous periods", async (t) => {
+  const previous = (text, now) => {
+    const prev = previousPeriod(resolve(text, LAGOS, now), new Date(now));
+    return [prev.fromDate, prev.toDate, iso(prev.end)];
+  };
+
+  await t.test("today so far compares with yesterday until the same time", () => {
+    assert.deepEqual(previous("today", "2026-10-19T08:00:00Z"), ["2026-10-18", "2026-10-18", "2026-10-18T08:00:00Z"]);
+  });
+
+  await t.test("the 31st compares with the end of a shorter month", () => {
+    assert.deepEqual(previous("month", "2026-03-31T10:00:00Z").slice(0, 2), ["2026-02-01", "2026-02-28"]);
+  });
+
+  await t.test("a finished week compares with the whole week before", () => {
+    const expected = ["2026-10-05", "2026-10-11", "2026-10-11T23:00:00Z"];
+    assert.deepEqual(previous("last week", "2026-10-21T10:00:00Z"), expected);
+  });
+});
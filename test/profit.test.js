@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { purchaseUnitCost, netByCurrency } = require("../lib/profit");
+
+test("purchase unit cost", async (t) => {
+  const cases = [
+    [{ kind: "total", amount: 120000, currency: "NGN" }, 10, { amount: 12000, currency: "NGN" }],
+    [{ kind: "unit", amount: 14000 }, 10, { amount: 14000, currency: "NGN" }],
+    [{ kind: "total", amount: 100, currency: "GBP" }, 3, { amount: 33.33, currency: "GBP" }],
+    [null, 10, null],
+  ];
+  for (const [price, qty, expected] of cases) {
+    await t.test(`${JSON.stringify(price)} x${qty}`, () => {
+      assert.deepEqual(purchaseUnitCost(price, qty, "NGN"), expected);
+    });
+  }
+});
+
+test("buying stock and selling it counts the cost once", () => {
+  // bought 10 bags of rice for 120k, then sold 10 at 15000 each, and spent 5k on fuel
+  const cost = purchaseUnitCost({ kind: "total", amount: 120000, currency: "NGN" }, 10, "NGN");
+  const sales = { NGN: 150000 };
+  const cogs = { NGN: cost.amount * 10 };
+  const expenses = { NGN: 5000 };
+  assert.deepEqual(netByCurrency(sales, cogs, expenses), { NGN: 25000 });
+});
+
+test("net covers currencies with only sales or only expenses", () => {
+  assert.deepEqual(netByCurrency({ NGN: 9000 }, { NGN: 4000.5 }, { GBP: 30 }), { NGN: 4999.5, GBP: -30 });
+});
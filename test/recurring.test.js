@@ -0,0 +1,182 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseRecurringArgs, nextDueFrom, dueDates, createRecurringExpenseJob } = require("../lib/recurring");
+const { parseDate, formatDate } = require("../lib/periods");
+
+const quiet = { error() {} };
+
+test("recurring arguments", async (t) => {
+  const cases = [
+    ["rent 500 GBP monthly on 1st", { category: "rent", amount: "500", currency: "GBP", frequency: "monthly", day: 1 }],
+    ["shop rent ₦50000 every month", { category: "shop rent", amount: "₦50000", frequency: "monthly", day: null }],
+    ["salaries 20000 weekly friday", { category: "salaries", amount: "20000", frequency: "weekly", day: 5 }],
+    ["rent 500 yearly", { error: "frequency" }],
+    ["rent monthly", { error: "missing" }],
+    ["rent 500 monthly on 32nd", { error: "day", text: "32nd" }],
+    ["salaries 20000 weekly someday", { error: "weekday", text: "someday" }],
+  ];
+  for (const [input, expected] of cases) {
+    await t.test(input, () => {
+      const parsed = parseRecurringArgs(input.split(" "));
+      assert.deepEqual(parsed, expected.error ? expected : { currency: undefined, ...expected });
+    });
+  }
+});
+
+test("next occurrence", async (t) => {
+  const cases = [
+    ["day 31 in February", { frequency: "monthly", day: 31 }, "2026-02-01", "2026-02-28"],
+    ["day 31 in a leap February", { frequency: "monthly", day: 31 }, "2028-02-01", "2028-02-29"],
+    ["day 15 already passed", { frequency: "monthly", day: 15 }, "2026-10-19", "2026-11-15"],
+    ["december rolls into january", { frequency: "monthly", day: 5 }, "2026-12-06", "2027-01-05"],
+    ["weekly on friday", { frequency: "weekly", day: 5 }, "2026-10-19", "2026-10-23"],
+    ["daily", { frequency: "daily", day: null }, "2026-10-19", "2026-10-19"],
+  ];
+  for (const [name, template, from, expected] of cases) {
+    await t.test(name, () => assert.equal(formatDate(nextDueFrom(template, parseDate(from))), expected));
+  }
+});
+
+test("due dates catch up on missed occurrences", async (t) => {
+  const cases = [
+    [
+      "month end across February",
+      { frequency: "monthly", day: 31, next_due: "2026-01-31" },
+      "2026-04-02",
+      ["2026-01-31", "2026-02-28", "2026-03-31"],
+      "2026-04-30",
+    ],
+    [
+      "several missed days",
+      { frequency: "daily", day: null, next_due: "2026-10-16" },
+      "2026-10-19",
+      ["2026-10-16", "2026-10-17", "2026-10-18", "2026-10-19"],
+      "2026-10-20",
+    ],
+    ["not due yet", { frequency: "weekly", day: 5, next_due: "2026-10-23" }, "2026-10-19", [], "2026-10-23"],
+  ];
+  for (const [name, template, today, dates, nextDue] of cases) {
+    await t.test(name, () => assert.deepEqual(dueDates(template, parseDate(today)), { dates, nextDue }));
+  }
+});
+
+// Just enough of pg for the job: templates, recurring_expense_runs and transactions
+function fakeDb(templates) {
+  const runs = [];
+  const booked = [];
+  const db = {
+    runs,
+    booked,
+    async query(sql, params = []) {
+      if (sql.includes("FROM recurring_expenses r")) {
+        return { rows: templates.filter((t) => t.next_due <= params[0]).map((t) => ({ ...t })) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+    async connect() {
+      let pending = null;
+      return {
+        async query(sql, params = []) {
+          if (sql === "BEGIN") pending = { runs: [], nextDue: [] };
+          else if (sql === "COMMIT") {
+            runs.push(...pending.runs);
+            for (const [id, nextDue] of pending.nextDue) {
+              const t = templates.find((x) => x.id === id);
+              if (nextDue > t.next_due) t.next_due = nextDue;
+            }
+          } else if (sql === "ROLLBACK") pending = null;
+          else if (sql.includes("INSERT INTO recurring_expense_runs")) {
+            const claimed = [...runs, ...pending.runs];
+            if (claimed.some((r) => r.recurring_id === params[0] && r.due_date === params[1])) return { rows: [] };
+            const run = { id: runs.length + pending.runs.length + 1, recurring_id: params[0], due_date: params[1] };
+            pending.runs.push(run);
+            return { rows: [{ id: run.id }] };
+          } else if (sql.startsWith("UPDATE recurring_expense_runs")) {
+            pending.runs.find((r) => r.id === params[0]).expense_id = params[1];
+          } else if (sql.startsWith("UPDATE recurring_expenses")) {
+            pending.nextDue.push(params);
+          } else throw new Error(`Unexpected query: ${sql}`);
+          return { rows: [] };
+        },
+        release() {},
+      };
+    },
+  };
+  return db;
+}
+
+const RENT = {
+  id: 1,
+  business_id: 7,
+  member_id: 3,
+  category: "rent",
+  raw_category: "rent",
+  amount: "500",
+  currency: "GBP",
+  frequency: "monthly",
+  day: 31,
+  next_due: "2026-01-31",
+  timezone: "Europe/London",
+};
+
+function setup(templates = [{ ...RENT }]) {
+  const db = fakeDb(templates);
+  const prepared = [];
+  const job = createRecurringExpenseJob({
+    db,
+    logger: quiet,
+    prepare: async (template, dates) => prepared.push(dates),
+    recordExpense: async (template, dueDate) => {
+      db.booked.push(`${template.category} ${dueDate}`);
+      return db.booked.length;
+    },
+  });
+  return { db, job, prepared, templates };
+}
+
+test("the job books missed occurrences once", async () => {
+  const { db, job, prepared, templates } = setup();
+  const now = new Date("2026-04-02T09:00:00Z");
+
+  assert.deepEqual(await job.run(now), { created: 3 });
+  assert.deepEqual(db.booked, ["rent 2026-01-31", "rent 2026-02-28", "rent 2026-03-31"]);
+  assert.deepEqual(prepared, [["2026-01-31", "2026-02-28", "2026-03-31"]]);
+  assert.equal(templates[0].next_due, "2026-04-30");
+  assert.deepEqual(db.runs.map((r) => r.expense_id), [1, 2, 3]);
+
+  assert.deepEqual(await job.run(now), { created: 0 });
+  assert.equal(db.booked.length, 3);
+});
+
+test("claimed occurrences are not booked again even if next_due was not moved on", async () => {
+  const { db, job, templates } = setup();
+  const now = new Date("2026-04-02T09:00:00Z");
+  await job.run(now);
+
+  templates[0].next_due = "2026-01-31";
+  assert.deepEqual(await job.run(now), { created: 0 });
+  assert.equal(db.booked.length, 3);
+});
+
+test("a failed booking is rolled back and retried on the next run", async () => {
+  const templates = [{ ...RENT, next_due: "2026-03-31" }];
+  const db = fakeDb(templates);
+  let fail = true;
+  const job = createRecurringExpenseJob({
+    db,
+    logger: quiet,
+    recordExpense: async () => {
+      if (fail) throw new Error("connection terminated");
+      return 1;
+    },
+  });
+  const now = new Date("2026-04-02T09:00:00Z");
+
+  assert.deepEqual(await job.run(now), { created: 0 });
+  assert.equal(db.runs.length, 0);
+  assert.equal(templates[0].next_due, "2026-03-31");
+
+  fail = false;
+  assert.deepEqual(await job.run(now), { created: 1 });
+});
@@ -0,0 +1,221 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseReminderArgs, dueSlot, createReminderJob } = require("../lib/reminders");
+const { createScheduler } = require("../lib/scheduler");
+
+const quiet = { error() {} };
+
+test("reminder arguments", async (t) => {
+  const cases = [
+    [["daily", "9pm"], { frequency: "daily", weekday: null, hour: 21, minute: 0 }],
+    [["daily"], { frequency: "daily", weekday: null, hour: 21, minute: 0 }],
+    [["weekly", "monday", "7:30am"], { frequency: "weekly", weekday: 1, hour: 7, minute: 30 }],
+    [["weekly", "20:00"], { frequency: "weekly", weekday: 0, hour: 20, minute: 0 }],
+    [["off"], { off: true, frequency: null }],
+    [["off", "weekly"], { off: true, frequency: "weekly" }],
+    [["off", "monthly"], { error: "frequency" }],
+    [["hourly"], { error: "frequency" }],
+    [["daily", "noonish"], { error: "time", text: "noonish" }],
+  ];
+  for (const [args, expected] of cases) {
+    await t.test(args.join(" "), () => assert.deepEqual(parseReminderArgs(args), expected));
+  }
+});
+
+test("due slots in the business's timezone", async (t) => {
+  const daily = { frequency: "daily", weekday: null, hour: 21, minute: 0, timezone: "Africa/Lagos" };
+  const cases = [
+    ["before the send time", daily, "2026-10-19T19:59:00Z", null],
+    ["at the send time", daily, "2026-10-19T20:00:00Z", "2026-10-19"],
+    ["later that evening", daily, "2026-10-19T22:30:00Z", "2026-10-19"],
+    ["weekly on its weekday", { ...daily, frequency: "weekly", weekday: 1 }, "2026-10-19T20:00:00Z", "2026-10-19"],
+    ["weekly on another day", { ...daily, frequency: "weekly", weekday: 0 }, "2026-10-19T20:00:00Z", null],
+    ["switched on late", { ...daily, active_since: "2026-10-19T20:30:00Z" }, "2026-10-19T21:00:00Z", null],
+  ];
+  for (const [name, reminder, now, slot] of cases) {
+    await t.test(name, () => {
+      const due = dueSlot(reminder, new Date(now));
+      assert.equal(due ? due.slot : null, slot);
+    });
+  }
+});
+
+// Just enough of pg for the reminder job: one reminder, its owners and reminder_sends
+function fakeDb(reminder) {
+  const sends = [];
+  let nextId = 1;
+  return {
+    sends,
+    async query(sql, params = []) {
+      if (sql.includes("FROM reminders r")) return { rows: [reminder] };
+      if (sql.includes("FROM business_members")) return { rows: [{ whatsapp_from: "whatsapp:+2348000000001" }] };
+      if (sql.startsWith("SELECT id, status")) {
+        return { rows: sends.filter((s) => s.reminder_id === params[0] && s.slot === params[1]) };
+      }
+      if (sql.includes("INSERT INTO reminder_sends")) {
+        if (sends.some((s) => s.reminder_id === params[0] && s.slot === params[1])) return { rows: [] };
+        const row = { id: nextId++, reminder_id: params[0], slot: params[1], status: "sending", attempts: 1 };
+        sends.push(row);
+        return { rows: [{ id: row.id, attempts: row.attempts }] };
+      }
+      if (sql.startsWith("UPDATE reminder_sends")) {
+        const row = sends.find((s) => s.id === params[0]);
+        const status = sql.match(/SET status = '(\w+)'/)[1];
+        if (status === "sending") {
+          if (row.status !== "retry") return { rows: [] };
+          row.attempts += 1;
+        }
+        Object.assign(row, { status }, status === "retry" ? { retry_at: new Date(params[2]) } : {});
+        return { rows: [{ id: row.id, attempts: row.attempts }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+// failFrom: messages sent before sends start failing; failures: how many sends fail before that stops
+function stubMessenger({ failFrom = Infinity, failures = Infinity } = {}) {
+  const sent = [];
+  let failed = 0;
+  return {
+    sent,
+    get failed() {
+      return failed;
+    },
+    async send(to, body) {
+      if (sent.length >= failFrom && failed < failures) {
+        failed += 1;
+        throw new Error("twilio down");
+      }
+      sent.push({ to, body });
+    },
+  };
+}
+
+const REMINDER = {
+  id: 1,
+  business_id: 7,
+  frequency: "daily",
+  weekday: null,
+  hour: 21,
+  minute: 0,
+  active_since: new Date("2026-10-01T00:00:00Z"),
+  timezone: "Africa/Lagos",
+};
+
+function setup({ reminder = REMINDER, messenger = stubMessenger(), buildMessages } = {}) {
+  let clock = new Date("2026-10-19T19:00:00Z");
+  const db = fakeDb(reminder);
+  const built = [];
+  const build =
+    buildMessages ||
+    (async (r, now) => {
+      built.push(now);
+      return [`summary ${r.id}`, "advice"];
+    });
+  const newScheduler = () =>
+    createScheduler({
+      now: () => clock,
+      logger: quiet,
+      jobs: [createReminderJob({ db, messenger, buildMessages: build, logger: quiet })],
+    });
+  return { db, messenger, built, newScheduler, setClock: (iso) => (clock = new Date(iso)) };
+}
+
+test("sends once the slot is due, with the scheduler's clock", async () => {
+  const { db, messenger, built, newScheduler, setClock } = setup();
+  const scheduler = newScheduler();
+
+  assert.deepEqual(await scheduler.tick(), { reminders: { sent: 0 } });
+  assert.equal(messenger.sent.length, 0);
+
+  setClock("2026-10-19T20:01:00Z");
+  assert.deepEqual(await scheduler.tick(), { reminders: { sent: 1 } });
+  assert.deepEqual(messenger.sent.map((m) => m.body), ["summary 1", "advice"]);
+  assert.deepEqual(built, [new Date("2026-10-19T20:01:00Z")]);
+  assert.equal(db.sends[0].status, "sent");
+});
+
+test("does not send twice after a restart", async () => {
+  const { messenger, built, newScheduler, setClock } = setup();
+  setClock("2026-10-19T20:01:00Z");
+  await newScheduler().tick();
+
+  setClock("2026-10-19T20:05:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 0 } });
+  assert.equal(messenger.sent.length, 2);
+  assert.equal(built.length, 1);
+
+  setClock("2026-10-20T20:01:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 1 } });
+  assert.equal(messenger.sent.length, 4);
+});
+
+test("a reminder switched on after today's send time starts tomorrow", async () => {
+  const { messenger, newScheduler, setClock } = setup({
+    reminder: { ...REMINDER, active_since: new Date("2026-10-19T20:30:00Z") },
+  });
+  setClock("2026-10-19T20:45:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 0 } });
+
+  setClock("2026-10-20T20:00:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 1 } });
+  assert.equal(messenger.sent.length, 2);
+});
+
+test("retries when nothing was delivered", async () => {
+  let fail = true;
+  const { db, messenger, newScheduler, setClock } = setup({
+    buildMessages: async () => {
+      if (fail) throw new Error("connection terminated");
+      return ["summary"];
+    },
+  });
+  setClock("2026-10-19T20:01:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 0 } });
+  assert.equal(db.sends.length, 0);
+
+  fail = false;
+  setClock("2026-10-19T20:02:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 1 } });
+  assert.equal(messenger.sent.length, 1);
+});
+
+test("a first message that fails is retried after a backoff", async () => {
+  const { db, messenger, newScheduler, setClock } = setup({ messenger: stubMessenger({ failFrom: 0, failures: 1 }) });
+  setClock("2026-10-19T20:01:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 0 } });
+  assert.equal(db.sends[0].status, "retry");
+  assert.deepEqual(db.sends[0].retry_at, new Date("2026-10-19T20:06:00Z"));
+
+  // Not before the backoff has passed
+  setClock("2026-10-19T20:02:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 0 } });
+  assert.equal(messenger.failed, 1);
+
+  setClock("2026-10-19T20:06:00Z");
+  assert.deepEqual(await newScheduler().tick(), { reminders: { sent: 1 } });
+  assert.deepEqual([db.sends[0].status, db.sends[0].attempts], ["sent", 2]);
+  assert.equal(messenger.sent.length, 2);
+});
+
+test("a slot whose sends keep failing is given up after four attempts", async () => {
+  const { db, messenger, newScheduler, setClock } = setup({ messenger: stubMessenger({ failFrom: 0 }) });
+  for (const time of ["20:01", "20:06", "20:16", "20:36", "21:30", "22:30"]) {
+    setClock(`2026-10-19T${time}:00Z`);
+    await newScheduler().tick();
+  }
+  assert.deepEqual([db.sends[0].status, db.sends[0].attempts], ["failed", 4]);
+  assert.equal(messenger.failed, 4);
+});
+
+test("a half-delivered summary is not retried", async () => {
+  const half = setup({ messenger: stubMessenger({ failFrom: 1 }) });
+  half.setClock("2026-10-19T20:01:00Z");
+  await half.newScheduler().tick();
+  half.setClock("2026-10-19T20:02:00Z");
+  await half.newScheduler().tick();
+  assert.equal(half.db.sends[0].status, "failed");
+  assert.equal(half.messenger.sent.length, 1);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const bodyParser = require("body-parser");
+const twilio = require("twilio");
+
+const { trustProxySetting, requireTwilioSignature } = require("../lib/twilioSignature");
+
+const AUTH_TOKEN = "test-auth-token";
+const BODY = { From: "whatsapp:+2348000000001", Body: "sold 3 rice for 45k", NumMedia: "0" };
+
+// A webhook app on a free local port; post(body, { signedUrl, headers }) -> HTTP status
+async function startApp(t, trustProxy) {
+  const app = express();
+  app.set("trust proxy", trustProxy);
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.post("/webhook", requireTwilioSignature, (req, res) => res.send("ok"));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => server.close());
+  const local = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    local,
+    async post(body, { signedUrl = `${local}/webhook`, signedBody = body, headers = {} } = {}) {
+      const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, signedUrl, signedBody);
+      const res = await fetch(`${local}/webhook`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature, ...headers },
+        body: new URLSearchParams(body),
+      });
+      return res.status;
+    },
+  };
+}
+
+function withEnv(t, values) {
+  const saved = Object.fromEntries(Object.keys(values).map((k) => [k, process.env[k]]));
+  t.after(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+  for (const [k, v] of Object.entries(values)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+}
+
+test("trust proxy setting", async (t) => {
+  const cases = [
+    [undefined, 1],
+    ["", 1],
+    ["2", 2],
+    ["0", 0],
+    ["false", false],
+    ["loopback, 10.0.0.0/8", "loopback, 10.0.0.0/8"],
+  ];
+  for (const [value, expected] of cases) {
+    await t.test(String(value), () => assert.equal(trustProxySetting(value), expected));
+  }
+  await t.test("true is refused", () => assert.throws(() => trustProxySetting("true"), /hop count/));
+});
+
+test("webhook signatures", async (t) => {
+  withEnv(t, { TWILIO_AUTH_TOKEN: AUTH_TOKEN, PUBLIC_BASE_URL: undefined, TWILIO_SKIP_SIGNATURE: undefined });
+  t.mock.method(console, "warn", () => {});
+  const app = await startApp(t, trustProxySetting("1"));
+
+  await t.test("a valid signature", async () => assert.equal(await app.post(BODY), 200));
+
+  await t.test("a tampered body", async () => {
+    assert.equal(await app.post({ ...BODY, Body: "sold 300 rice for 45k" }, { signedBody: BODY }), 403);
+  });
+
+  await t.test("a missing signature", async () => {
+    const res = await fetch(`${app.local}/webhook`, { method: "POST", body: new URLSearchParams(BODY) });
+    assert.equal(res.status, 403);
+  });
+
+  await t.test("a signature for another URL", async () => {
+    assert.equal(await app.post(BODY, { signedUrl: `${app.local}/other` }), 403);
+  });
+
+  await t.test("the public URL is rebuilt from the proxy's forwarded headers", async () => {
+    const headers = { "X-Forwarded-Proto": "https", "X-Forwarded-Host": "predicta.example" };
+    assert.equal(await app.post(BODY, { signedUrl: "https://predicta.example/webhook", headers }), 200);
+  });
+
+  await t.test("PUBLIC_BASE_URL wins over the request", async (t) => {
+    withEnv(t, { PUBLIC_BASE_URL: "https://predicta.onrender.com/" });
+    const headers = { "X-Forwarded-Host": "attacker.example" };
+    assert.equal(await app.post(BODY, { signedUrl: "https://predicta.onrender.com/webhook", headers }), 200);
+  });
+});
+
+test("forwarded headers from an untrusted client are ignored", async (t) => {
+  withEnv(t, { TWILIO_AUTH_TOKEN: AUTH_TOKEN, PUBLIC_BASE_URL: undefined, TWILIO_SKIP_SIGNATURE: undefined });
+  t.mock.method(console, "warn", () => {});
+  const app = await startApp(t, trustProxySetting("false"));
+
+  const headers = { "X-Forwarded-Proto": "https", "X-Forwarded-Host": "predicta.example" };
+  assert.equal(await app.post(BODY, { signedUrl: "https://predicta.example/webhook", headers }), 403);
+  assert.equal(await app.post(BODY, { headers }), 200);
+});